@@ -104,6 +104,39 @@ $(document).ready(function() {
 		SimGUI.activeConfig.timerTickLen = $("#inputTimerTickLen").val();
 		SimGUI.saveLocal();
 	});
+	// number of CPUs
+	$("#inputCpus").keydown(function(e) {
+		if (e.keycode === 13 || e.which === 13) {
+			SimGUI.applySettings();
+		}
+	});
+	$("#inputCpus").change(function() {
+		SimGUI.changed = true;
+		SimGUI.activeConfig.cpus = parseInt($("#inputCpus").val());
+		SimGUI.saveLocal();
+	});
+	// context switch cost
+	$("#inputSwitchCost").keydown(function(e) {
+		if (e.keycode === 13 || e.which === 13) {
+			SimGUI.applySettings();
+		}
+	});
+	$("#inputSwitchCost").change(function() {
+		SimGUI.changed = true;
+		SimGUI.readSwitchCost();
+		SimGUI.saveLocal();
+	});
+	// random seed
+	$("#inputSeed").keydown(function(e) {
+		if (e.keycode === 13 || e.which === 13) {
+			SimGUI.applySettings();
+		}
+	});
+	$("#inputSeed").change(function() {
+		SimGUI.changed = true;
+		SimGUI.readSeed();
+		SimGUI.saveLocal();
+	});
 	// process definitions
 	$("#processDefArea").change(function() {
 		SimGUI.changed = true;
@@ -125,6 +158,10 @@ $(document).ready(function() {
 		$(this).tooltip('hide');
 		SimGUI.simStep($("#inputStep").val());
 	});
+	$("#btnInputStepBack").click(function() {
+		$(this).tooltip('hide');
+		SimGUI.simStepBack($("#inputStep").val());
+	});
 
 	// run simulation until given time
 	$("#inputRunTo").keydown(function(e) {
@@ -192,6 +229,37 @@ $(document).ready(function() {
 		SimGUI.applySettings();
 	});
 
+	// results header buttons - prevent click propagation & export statistics or trace
+	$("#btnExportCSV").click(function(e){
+		e.stopPropagation();
+		$(this).tooltip("hide");
+		SimGUI.exportCSV();
+	});
+
+	$("#btnExportSummaryCSV").click(function(e){
+		e.stopPropagation();
+		$(this).tooltip("hide");
+		SimGUI.exportSummaryCSV();
+	});
+
+	$("#btnExportTrace").click(function(e){
+		e.stopPropagation();
+		$(this).tooltip("hide");
+		SimGUI.exportTrace();
+	});
+
+	$("#btnExportMultiCSV").click(function(e){
+		e.stopPropagation();
+		$(this).tooltip("hide");
+		SimGUI.exportMultiCSV();
+	});
+
+	$("#btnExportMultiSummaryCSV").click(function(e){
+		e.stopPropagation();
+		$(this).tooltip("hide");
+		SimGUI.exportMultiSummaryCSV();
+	});
+
 	// animate simulation & make sure the button uses correct icon
 	$("#btnAnimateRun").click(function() {
 		$(this).tooltip("hide");
@@ -469,6 +537,32 @@ var SimGUI = {};
 		sg.classControl.reload();	// update scheduling class list
 	}
 
+	/* Read the random seed from its input. Whole numbers are used as integer seeds, anything else as a string seed and
+	 * an empty input removes the seed, so every run gets a random one. */
+	sg.readSeed = function() {
+		let seed = $("#inputSeed").val().trim();
+		if (seed === "") {
+			delete(sg.activeConfig.seed);
+		} else if (/^-?\d+$/.test(seed)) {
+			sg.activeConfig.seed = parseInt(seed);
+		} else {
+			sg.activeConfig.seed = seed;
+		}
+	}
+
+	/* read the context switch cost, intervals and distributions are written as JSON */
+	sg.readSwitchCost = function() {
+		let cost = $("#inputSwitchCost").val().trim();
+		if (cost === "" || cost === "0") {
+			delete(sg.activeConfig.contextSwitchCost);
+		} else if (/^[\[{]/.test(cost)) {
+			sg.activeConfig.contextSwitchCost = sg.tryRun("context switch cost contains a syntax error", JSON.parse,
+				cost);
+		} else {
+			sg.activeConfig.contextSwitchCost = cost;
+		}
+	}
+
 	/* Read settings from the GUI. Fairly unnecessasry, since settings get updated on change, but still done just to
 	 * make sure nothing gets left out. */
 	sg.readSettings = function() {
@@ -480,6 +574,13 @@ var SimGUI = {};
 		sg.activeConfig.name = $("#inputSimName").val();
 		sg.activeConfig.simLen = $("#inputSimLen").val();
 		sg.activeConfig.timerTickLen = $("#inputTimerTickLen").val();
+		if ($("#inputCpus").val() !== "") {
+			sg.activeConfig.cpus = parseInt($("#inputCpus").val());
+		} else {
+			delete(sg.activeConfig.cpus);
+		}
+		sg.readSwitchCost();
+		sg.readSeed();
 
 		sg.activeConfig.processes = $("#processDefArea").val();
 
@@ -600,6 +701,14 @@ var SimGUI = {};
 		// timer tick length
 		$("#inputTimerTickLen").val(simConfig.timerTickLen === undefined ?
 			sg.shorten(sr("getDefaultTimerTickLen"), false) : simConfig.timerTickLen);
+		// number of CPUs
+		$("#inputCpus").val(simConfig.cpus === undefined ? 1 : simConfig.cpus);
+		// context switch cost
+		$("#inputSwitchCost").val(simConfig.contextSwitchCost === undefined ? "" :
+			typeof(simConfig.contextSwitchCost) === "object" ? JSON.stringify(simConfig.contextSwitchCost) :
+			simConfig.contextSwitchCost);
+		// random seed
+		$("#inputSeed").val(simConfig.seed === undefined ? "" : simConfig.seed);
 		// scheduling class list
 		if (sg.state > 0) {		// update classes if we initialised simulation
 			sg.classControl.reload();
@@ -696,15 +805,22 @@ var SimGUI = {};
 		sg.classControl.reload(false);	// remove activity indicators since they're wrong before init
 	}
 
-	/* import simulation settings from JSON that the user uploads */
+	/* import simulation settings from JSON that the user uploads, or the workload from a kernel scheduler trace */
 	sg.importSettings = function() {
 		$("#inputUploadSettings").click();
 	}
 	sg.importSettingsCallback = function(fileList) {
 		let fileReader = new FileReader();
+		let fileName = fileList[0] !== undefined ? fileList[0].name : "";
 		fileReader.onload = function() {
 			$("#inputUploadSettings").val("");	// reset input so it can trigger change event on same file
-			let parsedConfig = sg.tryRun("cannot parse uploaded file", JSON.parse, fileReader.result);
+			let parsedConfig;
+			if (TraceImport.detect(fileReader.result) !== null) {
+				parsedConfig = sg.tryRun("cannot import uploaded trace", TraceImport.parse, fileReader.result,
+					{name: fileName});
+			} else {
+				parsedConfig = sg.tryRun("cannot parse uploaded file", JSON.parse, fileReader.result);
+			}
 
 			sg.simLoad(parsedConfig, false);
 		}
@@ -775,6 +891,46 @@ var SimGUI = {};
 		sg.activeProcesses = null;
 	}
 
+	/* export per-process statistics of the finished simulation run as CSV and download them */
+	sg.exportCSV = function() {
+		let csvString = sg.tryRun("the simulation needs to run to the end before exporting its statistics",
+			Simulator.exportCSV, sg.simRes);
+
+		downloadData(sg.simRes.name + ".csv", csvString);
+	}
+
+	/* export aggregate statistics of the finished simulation run as CSV and download them */
+	sg.exportSummaryCSV = function() {
+		let csvString = sg.tryRun("the simulation needs to run to the end before exporting its statistics",
+			Simulator.exportSummaryCSV, sg.simRes);
+
+		downloadData(sg.simRes.name + "-summary.csv", csvString);
+	}
+
+	/* export per-process statistics of every multi run simulation as CSV and download them */
+	sg.exportMultiCSV = function() {
+		let csvString = sg.tryRun("multiple simulations need to be run before exporting their statistics",
+			Simulator.multiRun.exportCSV);
+
+		downloadData(Simulator.multiRun.simConf.name + "-runs.csv", csvString);
+	}
+
+	/* export aggregate statistics of the multi run simulations as CSV and download them */
+	sg.exportMultiSummaryCSV = function() {
+		let csvString = sg.tryRun("multiple simulations need to be run before exporting their statistics",
+			Simulator.multiRun.exportSummaryCSV);
+
+		downloadData(Simulator.multiRun.simConf.name + "-summary.csv", csvString);
+	}
+
+	/* export the current simulation run in the Trace Event Format and download it, for viewing in Perfetto */
+	sg.exportTrace = function() {
+		let traceString = sg.tryRun("the simulation needs to be run before exporting a trace",
+			TraceExport.stringify, sg.simRes);
+
+		downloadData(sg.simRes.name + ".trace.json", traceString);
+	}
+
 	/* reset simulation settings */
 	sg.resetSettings = function() {
 		if (sg.loadedConfig !== undefined) {
@@ -848,6 +1004,10 @@ var SimGUI = {};
 			"running",
 			"blocked",
 			"preempted",
+			null,
+			"switching",
+			"waiting for lock",
+			"throttled",
 		];
 
 		var colors = [
@@ -857,6 +1017,10 @@ var SimGUI = {};
 			"#a6f6b3",
 			"#c8c8c8",
 			"#ffcbb7",
+			null,
+			"#e2d4f7",
+			"#f7d4e6",
+			"#ffb3b3",
 		];
 
 		var colors2 = [
@@ -866,6 +1030,10 @@ var SimGUI = {};
 			"#6fc87e",
 			"#a3a3a3",
 			"#ce876c",
+			null,
+			"#9c84c4",
+			"#c4849f",
+			"#cc3d3d",
 		];
 
 		/* gather timeline data */
@@ -882,10 +1050,10 @@ var SimGUI = {};
 			for (let j = 0; j < execArray[i].length-1 && execArray[i][j].timestamp < runTime; j++) {
 				/* Save preempt event, use it if an enqueue event happens afterwards before a pick event. Enqueue events
 				 * can happen in putPrev after a preempt, but the process was still preempted, not just randomly
-				 * enqueued. Clear the block event on pick. */
+				 * enqueued. Clear the block event on pick, and on throttling, which the enqueue event ends. */
 				if (execArray[i][j].event === LogEvent.preempt) {
 					tmpBlockEvt = execArray[i][j];
-				} else if (execArray[i][j].event === LogEvent.pick) {
+				} else if (execArray[i][j].event === LogEvent.pick || execArray[i][j].event === LogEvent.throttle) {
 					tmpBlockEvt = null;
 				}
 
@@ -942,17 +1110,58 @@ var SimGUI = {};
 		return new vis.DataSet(tItems);
 	}
 
+	/* timelineGroups, a timeline row for every process */
+	sg.timelineGroups = function() {
+		var tGroups = [];
+		for (let i = 0; i < sg.simRes.processList.length; i++) {
+			tGroups.push({id: i, content: i + ": " + sg.simRes.processList[i].pname +
+				"<br>("+ sg.simRes.processList[i].schedClass.name +")"});
+		}
+		return tGroups;
+	}
+
+	/* colorTimeline, color the timeline rows in process colors */
+	sg.colorTimeline = function() {
+		let backgrounds = $(".vis-background > .vis-group");
+		let labels = $(".vis-label");
+		for (let i = 0; i < sg.simRes.processList.length; i++) {
+			$(backgrounds[i+1]).css({
+				"background-color": sg.procColors[i].substr(0, sg.procColors[i].length - 2) + "20%)"
+			});
+			$(labels[i]).css({
+				"background-color": sg.procColors[i].substr(0, sg.procColors[i].length - 2) + "60%)"
+			});
+		}
+	}
+
+	/* updateTimeline, show the current simulation result on the timeline. Processes that were forked or, after
+	 * stepping back, not yet forked since the last update get their rows added or removed. */
+	sg.updateTimeline = function() {
+		var shown = sg.procColors.length - 1;
+		var count = sg.simRes.processList.length;
+		if (count === shown) {
+			sg.timeline.setItems(sg.genTimelineDataset());
+			return;
+		}
+
+		let idleColor = sg.procColors.pop();
+		sg.procColors = sg.procColors.slice(0, count).concat(getRandomColors(Math.max(0, count - shown), 70, 85));
+		sg.procColors.push(idleColor);
+
+		sg.timeline.setData({
+			groups: sg.timelineGroups(),
+			items: sg.genTimelineDataset()
+		});
+		sg.colorTimeline();
+	}
+
 	/* simFirstRun, initialize the simulator GUI for running full or step-by-step single simulations */
 	sg.initRun = function() {
 		/* get process colors */
 		sg.procColors = getRandomColors(sg.simRes.processList.length, 70, 85);
 		sg.procColors.push("hsla(0,0%,85%,1)");
 
-		var tGroups = [];
-		for (let i = 0; i < sg.simRes.processList.length; i++) {
-			tGroups.push({id: i, content: i + ": " + sg.simRes.processList[i].pname +
-				"<br>("+ sg.simRes.processList[i].schedClass.name +")"});
-		}
+		var tGroups = sg.timelineGroups();
 
 
 		/* calculate initial width for the timeline */
@@ -982,16 +1191,7 @@ var SimGUI = {};
 			});
 
 			/* set timeline colors */
-			let backgrounds = $(".vis-background > .vis-group");
-			let labels = $(".vis-label");
-			for (let i = 0; i < sg.simRes.processList.length; i++) {
-				$(backgrounds[i+1]).css({
-					"background-color": sg.procColors[i].substr(0, sg.procColors[i].length - 2) + "20%)"
-				});
-				$(labels[i]).css({
-					"background-color": sg.procColors[i].substr(0, sg.procColors[i].length - 2) + "60%)"
-				});
-			}
+			sg.colorTimeline();
 		}
 
 		sg.timeline.setData({
@@ -1039,7 +1239,7 @@ var SimGUI = {};
 			if (sg.state < 2) {
 				sg.initRun();
 			} else {
-				sg.timeline.setItems(sg.genTimelineDataset());
+				sg.updateTimeline();
 			}
 
 			sg.endRun();
@@ -1064,7 +1264,7 @@ var SimGUI = {};
 			if (sg.state < 2) {
 				sg.initRun();
 			} else {
-				sg.timeline.setItems(sg.genTimelineDataset());
+				sg.updateTimeline();
 			}
 
 			if (sg.simRes.finished) {
@@ -1083,6 +1283,12 @@ var SimGUI = {};
 	sg.simRunTo = function(time) {
 		time = sg.parseSuffix(time);
 
+		// a time before the current one takes the shown simulation back
+		if (sg.state !== 1 && !sg.tlClear && typeof(time) === "number" && time < sr('time')) {
+			sg.simRunBackTo(time);
+			return;
+		}
+
 		if (sg.state < 1 || sg.state === 1 && sg.changed) {
 			sg.applySettings();
 		}
@@ -1099,7 +1305,7 @@ var SimGUI = {};
 			if (sg.state < 2) {
 				sg.initRun();
 			} else {
-				sg.timeline.setItems(sg.genTimelineDataset());
+				sg.updateTimeline();
 			}
 
 			if (sg.simRes.finished) {
@@ -1110,6 +1316,45 @@ var SimGUI = {};
 		}
 	}
 
+	/* simStepBack, take the simulation back by a specified number of time steps */
+	sg.simStepBack = function(steps) {
+		if (typeof(steps) === "string") {
+			steps = parseInt(steps);
+		}
+
+		sg.showBack(sr('stepBack', steps));
+	}
+
+	/* simRunBackTo, take the simulation back to the given time */
+	sg.simRunBackTo = function(time) {
+		sg.showBack(sr('runBackTo', time));
+	}
+
+	/* showBack, display the simulation after it was taken back, a finished one continues running from there */
+	sg.showBack = function(simRes) {
+		// stop animation
+		sg.animationRunning = false;
+		sg.animationStarted = false;
+		$("#btnAnimateRun").removeClass("icon-pause");
+		$("#btnAnimateRun").addClass("icon-play");
+
+		if (simRes === null) {
+			return;
+		}
+
+		sg.simRes = simRes;
+		console.log(sg.simRes);
+
+		if (sg.state === 1 || sg.tlClear) {
+			sg.initRun();
+		} else {
+			sg.updateTimeline();
+			sg.setState(2);
+		}
+
+		sg.centerView(sg.simRes.runTime);
+	}
+
 	/* animateRun, run a simulation step by step with a set time delay */
 	sg.animateRun = async function() {
 		$("#btnInputStep").tooltip('hide');
@@ -1138,6 +1383,16 @@ var SimGUI = {};
 
 		// fill in the general results array
 		singleResTable.find("#cpuAvg").text(sg.round(sg.simRes.averageLoad * 100) + "%");
+		singleResTable.find(".cpuRes").remove();
+		if (sg.simRes.cpus > 1) {
+			let cpuAvgRow = singleResTable.find("#cpuAvg").parent();
+			for (let i = sg.simRes.cpuLoad.length - 1; i >= 0; i--) {
+				cpuAvgRow.after('<tr class="cpuRes"><td>CPU ' + i + '</td><td class="tab-res">' +
+					sg.round(sg.simRes.cpuLoad[i] * 100) + '%</td></tr>');
+			}
+		}
+		singleResTable.find("#switchCnt").text(sg.simRes.contextSwitches);
+		singleResTable.find("#overheadTime").text(sg.round(sg.simRes.overheadTime));
 		singleResTable.find("#latencyAvg").text(sg.round(sg.simRes.averageLatency.general.avg));
 		singleResTable.find("#latencyDev").text(sg.round(sg.simRes.averageLatency.general.dev));
 		if (sg.simRes.averageTurnaround.exited > 0) {
@@ -1149,6 +1404,7 @@ var SimGUI = {};
 			singleResTable.find("#turnaroundAvg").text("-");
 			singleResTable.find("#turnaroundDev").text("-");
 		}
+		singleResTable.find("#seedVal").text(sg.simRes.seed);
 
 		// add class specific results
 		singleResTable.find(".classRes").remove();
@@ -1161,6 +1417,39 @@ var SimGUI = {};
 
 		}
 
+		// add I/O device results
+		singleResTable.find(".devRes").remove();
+		for (let dev of sg.simRes.deviceStats) {
+			singleResTable.append('<tr class="devRes"><th scope="row" colspan="2">Device ' + dev.name + '</th></tr>');
+			singleResTable.append('<tr class="devRes"><td>Requests served</td><td class="tab-res">' + dev.requests + '</td></tr>');
+			singleResTable.append('<tr class="devRes"><td>Utilisation</td><td class="tab-res">' + sg.round(dev.utilisation * 100) + '%</td></tr>');
+			singleResTable.append('<tr class="devRes"><td>Average queue wait</td><td class="tab-res">' + (dev.waitAvg === null ? "-" : sg.round(dev.waitAvg)) + '</td></tr>');
+			singleResTable.append('<tr class="devRes"><td>Longest queue wait</td><td class="tab-res">' + dev.waitMax + '</td></tr>');
+		}
+
+		// add detected deadlocks
+		singleResTable.find(".lockRes").remove();
+		for (let deadlock of sg.simRes.deadlocks) {
+			singleResTable.append('<tr class="lockRes"><th scope="row" colspan="2">Deadlock at ' + deadlock.time + '</th></tr>');
+			singleResTable.append('<tr class="lockRes"><td>Processes</td><td class="tab-res">' + deadlock.processes.join(", ") + '</td></tr>');
+			singleResTable.append('<tr class="lockRes"><td>Locks</td><td class="tab-res">' + deadlock.locks.join(", ") + '</td></tr>');
+		}
+
+		// add the process tree, if any of the processes forked children
+		singleResTable.find(".treeRes").remove();
+		if (sg.simRes.processTree.some(node => node.children.length > 0)) {
+			singleResTable.append('<tr class="treeRes"><th scope="row" colspan="2">Process tree</th></tr>');
+			let addNode = function(node, depth) {
+				singleResTable.append('<tr class="treeRes"><td colspan="2" style="padding-left: ' + (0.75 + depth * 1.5) + 'rem">' + node.pid + ": " + node.pname + '</td></tr>');
+				for (let child of node.children) {
+					addNode(child, depth + 1);
+				}
+			}
+			for (let node of sg.simRes.processTree) {
+				addNode(node, 0);
+			}
+		}
+
 		// add per process results
 		var singleProcTable = $("#singleProcTable");
 		singleProcTable.empty();
@@ -1185,6 +1474,14 @@ var SimGUI = {};
 					'<tr><td></td><th scope=row>turnaround time</th><td class="tab-res">' + sg.round(procStats[i].turnaround.value) + '</td></tr>'
 				)
 			}
+			if (procStats[i].locks.acquired > 0 || procStats[i].locks.waits > 0) {
+				singleProcTable.append('<tr><td></td><th scope="row" colspan=2>locks</th></tr>' +
+					'<tr><td></td><td>times acquired</td><td class="tab-res">' + procStats[i].locks.acquired + '</td></tr>' +
+					'<tr><td></td><td>average hold</td><td class="tab-res">' + (procStats[i].locks.holdAvg === null ? "-" : sg.round(procStats[i].locks.holdAvg)) + '</td></tr>' +
+					'<tr><td></td><td>times waited</td><td class="tab-res">' + procStats[i].locks.waits + '</td></tr>' +
+					'<tr><td></td><td>wait sum</td><td class="tab-res">' + sg.round(procStats[i].locks.waitSum) + '</td></tr>' +
+					'<tr><td></td><td>longest wait</td><td class="tab-res">' + sg.round(procStats[i].locks.waitMax) + '</td></tr>');
+			}
 
 			execAvg.push(sg.round(procStats[i].execution.avg));
 			execDev.push(sg.round(procStats[i].execution.dev));
@@ -1201,8 +1498,8 @@ var SimGUI = {};
 		drawMixedProcGraph("latBarChart", "Average process wait time", latAvg,
 			"Process wait time standard deviation", latDev);
 
-		/* gather and set process execution chart data */
-		var simLen = sg.simRes.length;
+		/* gather and set process execution chart data, every CPU adds its own share of available time */
+		var simLen = sg.simRes.length * sg.simRes.cpus;
 		sg.execTimes = [];
 		sg.procNames = [];
 		for (let i = 0; i < sg.simRes.processList.length; i++) {
@@ -1291,6 +1588,7 @@ var SimGUI = {};
 			<tr><td>Simulation name</td><td class="tab-right">' + Simulator.multiRun.simConf.name + '</td></tr>\
 			<tr><td>Simulations ran</td><td class="tab-right">' + sg.simMultiRes.simulationsRan + '</td></tr>\
 			<tr><td>Real time taken</td><td class="tab-right">' + sg.simMultiRes.realTimeTaken + 'ms</td></tr>\
+			<tr><td>Master seed</td><td class="tab-right">' + sg.simMultiRes.masterSeed + '</td></tr>\
 			<tr><th scope="row" colspan="2">CPU load</th></tr>\
 			<tr><td>Average</td><td class="tab-res">' + sg.round(sg.simMultiRes.averageLoad.avg * 100) + '%</td></tr>\
 			<tr><td>Standard deviation</td><td class="tab-res">' + sg.round(sg.simMultiRes.averageLoad.dev * 100) + '%</td></tr>\
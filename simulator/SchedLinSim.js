@@ -5,9 +5,19 @@
  * @version 1.0.0
  */
 
+/* In the browser the dependencies are loaded by script tags before this file, in Node.js we require them. */
+if (typeof module !== "undefined" && module.exports) {
+    var redblack = require("./redblack.js");
+    var SimulationPresets = require("./SimulationPresets.js");
+}
+
 /**
  * An enum type used for distinguishing log events stored in processes.
- * Possible values: enqueue, dequeue, pick, block, exit.
+ * Possible values: enqueue, dequeue, pick, block, preempt, exit, switch, lock, throttle. A switch entry marks the start
+ * of a context switch to the process, which is followed by a pick entry once the switch is over. A lock entry marks a
+ * process that woke up, but has to wait for a {@link Lock} or a condition signal before it becomes runnable. A throttle
+ * entry marks a runnable process that its class holds back until a bandwidth limit lets it run again, it's followed by
+ * an enqueue entry once it may.
  * @readonly
  * @type {LogEvent}
  * @enum {number}
@@ -18,13 +28,16 @@ const LogEvent = Object.freeze({
     "pick": 3,
     "block": 4,
     "preempt": 5,
-    "exit": 6
+    "exit": 6,
+    "switch": 7,
+    "lock": 8,
+    "throttle": 9
 });
 
 
 /**
  * An enum type used for distinguishing exit conditions used for ending a process of the simulation. Used in ExitEvent.
- * Possible values: procExec, simExec, execCnt.
+ * Possible values: procExec, simExec, execCnt, refused (a forked process that its scheduling class didn't accept).
  * @readonly
  * @type {ExitCond}
  * @enum {number}
@@ -32,7 +45,8 @@ const LogEvent = Object.freeze({
 const ExitCond = Object.freeze({
 	"procExec": 1,
 	"simExec": 2,
-	"execCnt": 3
+	"execCnt": 3,
+	"refused": 4
 });
 
 
@@ -53,6 +67,10 @@ class LogEntry {
  * A general class that represents a simulator scheduling class. The actual implementations should extend it and use
  * the same methods. SchedClass implementations exist in the global namespace, not under this SchedClass.
  *
+ * Implementations are registered with {@link index.html#simulationregisterschedclass Simulation.registerSchedClass()}
+ * and every simulation creates its own instances of them by calling their constructor with the class name only, so
+ * constructors must not take any other parameters.
+ *
  * If you wish to implement a scheduling class of your own, please refer to
  * {@link index.html#schedclasstemplate SchedClassTemplate}, which serves as an example scheduling class implementation
  * with extra instructions and explainations.
@@ -62,6 +80,14 @@ class LogEntry {
 	constructor(name) {
 		this.name = name;
 
+        /**
+         * The simulation that this instance of the class belongs to. Every {@link Simulation} creates its own
+         * instances of the registered scheduling classes and sets this field, so scheduling classes call the
+         * simulator through it (this.sim.time(), this.sim.putPrev(prev), ...) instead of the global Simulator.
+         * @type {Simulation}
+         */
+        this.sim = null;
+
         /**
          * The runqueue object of the scheduling class. Individual classes are free to re-implement this in any way they
          * see fit.
@@ -112,7 +138,7 @@ class LogEntry {
         this.nrRunning = 0;
         this.nrWaiting = 0;
         this.latencySum = 0;
-        this.latencyUpdate = Simulator.time();
+        this.latencyUpdate = this.sim.time();
         this.latencyLog = [];
 	}
 
@@ -137,6 +163,21 @@ class LogEntry {
         return "No description.";
     }
 
+    /**
+     * Translates a priority from a process or template definition into the one that the class and the simulator work
+     * with, where a lower number means a higher priority. The simulator calls it for every priority of the behavior of
+     * a process when the process is created, before the class is initialized. Classes whose definitions use the same
+     * numbers return the priority unchanged, which is what this method does. Classes that follow a convention where a
+     * higher number means a higher priority, like RTClass with the sched_priority of the kernel, map it here, and can
+     * throw if the priority isn't a valid one.
+     * @param  {number} priority The priority from the definition.
+     * @param  {string} where The process or template that the priority belongs to, for error messages.
+     * @return {number} The priority that the process runs with.
+     */
+    definitionPriority(priority) {   // param: "where", add if required
+        return priority;
+    }
+
 	/**
 	 * Enqueues a process into the class's runqueue.
 	 * @param  {Process} proc The process to enqueue.
@@ -151,7 +192,7 @@ class LogEntry {
         /* Mark the process as currently enqueued on the runqueue. */
 		proc.onRq = true;
         /* Log the enqueue event in the process's execution log. */
-        proc.execLog.push(new LogEntry(Simulator.time(), LogEvent.enqueue));
+        proc.execLog.push(new LogEntry(this.sim.time(), LogEvent.enqueue));
 	}
 
 	/**
@@ -166,7 +207,7 @@ class LogEntry {
         /* Mark the process as not currently in the runqueue. */
 		proc.onRq = false;
         /* Log the dequeue event in the process's execution log. */
-        proc.execLog.push(new LogEntry(Simulator.time(), LogEvent.dequeue));
+        proc.execLog.push(new LogEntry(this.sim.time(), LogEvent.dequeue));
 	}
 
 	/**
@@ -181,10 +222,10 @@ class LogEntry {
 	 * @return {Process} The process to be run next.
 	 */
 	pickNext() {   // param: "prev", add if required
-        if (Simulator.calledPutPrev) { // DO NOT REMOVE THIS. Read above warning!
+        if (this.sim.calledPutPrev) { // DO NOT REMOVE THIS. Read above warning!
             throw new Error("simulatorPutPrev true at the start of pickNext. A previous scheduling class likely called putPrev but returned null!");
         }
-        var now = Simulator.time();
+        var now = this.sim.time();
 
         /* Update latency sum. */
         this.latencySum += (now - this.latencyUpdate) * this.nrWaiting;
@@ -198,7 +239,7 @@ class LogEntry {
 	 * @param  {Process} prev The process that ran previously and just finished executing.
 	 */
 	putPrev() {    // param: "prev", add if required
-		Simulator.calledPutPrev = true; // DO NOT REMOVE THIS. Read the warning on "SchedClass.pickNext()"!
+		this.sim.calledPutPrev = true; // DO NOT REMOVE THIS. Read the warning on "SchedClass.pickNext()"!
 	}
 
 	/**
@@ -216,6 +257,30 @@ class LogEntry {
 
 	}
 
+	/**
+	 * A timer interrupt that every active class of the CPU gets on every tick, before taskTick is called on the class of
+	 * the running process. Classes that keep time based state of their own, such as a budget of run time that is
+	 * refilled every period, use it to update that state even while processes of other classes are running or the CPU
+	 * is idle. A class may call for a reschedule from here, for example when its processes may run again.
+	 */
+	classTick() {
+
+	}
+
+	/**
+	 * Sets up a process that another process forked while the simulation was running, before it's enqueued for the
+	 * first time. The processes from the simulation definition are set up in init, so the fields that init gives to
+	 * every process need to be given to forked ones here. Fields set with the same value for all the processes of the
+	 * class ({@link index.html#simulatormodproc Simulator.modProc()} with a string as propName) are copied over by the
+	 * simulator, so only the ones calculated per process are left to this method. A class can refuse the process, as
+	 * the kernel fails a fork that it can't admit, in which case the process exits right away without running.
+	 * @param  {Process} proc The forked process.
+	 * @return {boolean} False if the class refuses the process, anything else accepts it.
+	 */
+	taskFork() {   // param: "proc", add if required
+
+	}
+
     /**
      * A method to update and log the current latency of all the processes waiting on the runqueue of this scheduling
      * class. This method does the same thing as the latency update code in pickNext. This method should be called when
@@ -225,7 +290,7 @@ class LogEntry {
      * Actual implementations of scheduling classes should not re-implement this method.
      */
     updateLatency() {
-        var now = Simulator.time();
+        var now = this.sim.time();
         /* Update latency sum. */
         this.latencySum += (now - this.latencyUpdate) * this.nrWaiting;
         this.latencyUpdate = now;
@@ -242,7 +307,7 @@ class LogEntry {
      * @return {number} Current latency of the scheduling class.
      */
     getLatency() {
-        var lastBit = (Simulator.time() - this.latencyUpdate) * this.nrWaiting;
+        var lastBit = (this.sim.time() - this.latencyUpdate) * this.nrWaiting;
         return this.latencySum + lastBit;
     }
 
@@ -262,8 +327,8 @@ class LogEntry {
      */
     getAverageLatency() {
         if (this.latencyLog.length > 0) {
-            var avgLat = this.latencyLog.reduce((acc, curr) => acc + curr) / this.latencyLog.length;
-            var varLat = this.latencyLog.reduce((acc, curr) => acc + Math.pow((curr - avgLat), 2)) / this.latencyLog.length;
+            var avgLat = this.latencyLog.reduce((acc, curr) => acc + curr, 0) / this.latencyLog.length;
+            var varLat = this.latencyLog.reduce((acc, curr) => acc + Math.pow((curr - avgLat), 2), 0) / this.latencyLog.length;
             return {avg: avgLat, dev: Math.sqrt(varLat)};
         } else {
             return {avg: 0, dev: 0};
@@ -289,7 +354,7 @@ class LogEntry {
      * already exited.
      * Actual implementations of scheduling classes should not re-implement this method. This function is a
      * class-specific reimplementation of
-     * {@link index.html#simulatorgetaverageturnaround Simulator.getAverageTurnaround}.
+     * {@link index.html#simulatorgetaverageturnaround this.sim.getAverageTurnaround}.
      * @return {Object} An object with 4 entries pertaining to the processes of this class in the last simulation run:
      * - avg: average process turnaround time,
      * - dev: population standard deviation of process turnaround time,
@@ -298,14 +363,14 @@ class LogEntry {
      * calculations.
      */
     getAverageTurnaround() {
-        return Simulator.getAverageTurnaround(this.name);
+        return this.sim.getAverageTurnaround(this.name);
     }
     /**
      * A simple helper method that returns the average turnaround time of the scheduling class. Should mainly be used
      * once the simulation has ended.
      * Actual implementations of scheduling classes should not re-implement this method. There's a similar method
      * available for all processes in the simulator in
-     * {@link index.html#simulatorgetaverageturnaround Simulator.getAverageTurnaround}.
+     * {@link index.html#simulatorgetaverageturnaround this.sim.getAverageTurnaround}.
      * @return {number} The average turnaround time of processes belonging to this scheduling class in the last
      * simulation run.
      */
@@ -329,6 +394,18 @@ class LogEntry {
         return res;
     }
 
+    /**
+     * A method that returns values that the class tracked over the course of the simulation, in the form of an array
+     * of [description, points] pairs, where points is an array of [time, value] pairs, ordered by time. Used at the
+     * end of execution next to {@link index.html#schedclassgetclassstats SchedClass.getClassStats}, for values whose
+     * development is more telling than their final state. Scheduling class implementations that track such values
+     * should append their series to the end of the array.
+     * @return {Array} An array of time series, empty by default.
+     */
+    getClassTimeSeries() {
+        return [];
+    }
+
 
 } /* SchedClass */
 
@@ -362,13 +439,13 @@ class IdleClass extends SchedClass {
 
     /* Runqueue here is just the idle task, return it after calling putPrev. */
 	pickNext(prev) {
-        Simulator.calledPutPrev = false;
-        Simulator.putPrev(prev);
+        this.sim.calledPutPrev = false;
+        this.sim.putPrev(prev);
 		return this.runqueue;
 	}
 
 	putPrev() {
-        Simulator.calledPutPrev = true;
+        this.sim.calledPutPrev = true;
 	}
 
     checkPreempt() {
@@ -399,6 +476,13 @@ class Process {
 		/** Process name.
           * @type {string} */
 		this.pname = pname;
+		/** Parent process ID, the PID of the process that forked this one at runtime. Processes from the process list
+		  * of the simulation definition have no parent and keep the value of -1.
+		  * @type {number} */
+		this.ppid = -1;
+		/** The PIDs of the processes that this one forked, in the order in which they were forked.
+		  * @type {number[]} */
+		this.children = [];
 
         /** Process alive status. False before it's spawned (ForkEvent) and after it exits (ExitEvent). This switch is
           * here as an extra safety check to make sure that dead processes stay dead. No zombies please.
@@ -424,6 +508,17 @@ class Process {
 		  * @type {number} */
 		this.remainingRuntime = 0;
 
+		/** The number of the simulated CPU that the process is assigned to. Processes are placed on a CPU when they
+		  * are forked and stay there for the rest of their lifetime. A negative value means that the process hasn't
+		  * been placed yet and can go to any CPU.
+		  * @type {number} */
+		this.cpu = -1;
+		/** The path of the control group that the process belongs to, such as "/users/alice". Classes that support
+		  * groups share the CPU between the groups first and between the processes of a group second. "/" is the
+		  * root group, which holds the processes and groups that aren't in any other group.
+		  * @type {string} */
+		this.group = "/";
+
 		/** Process scheduing policy, tells us how to schedule it.
           * @type {string} */
 		this.policy = "";
@@ -459,6 +554,43 @@ class Process {
 		  * and could end up in runqueue when it needs to end.
 		  * @type {ExitEvent} */
 		this.strictEndEvent = null;
+		/** The request to an I/O {@link Device} that the process is blocked on, null if it isn't waiting for a device.
+		  * @type {Object} */
+		this.ioRequest = null;
+		/** True while the process is blocked until all of its children exit, because of the "waitChildren" field of
+		  * its behavior. The exit of its last child wakes it up.
+		  * @type {boolean} */
+		this.waitingChildren = false;
+
+		/** The locks that the process holds, in the order in which it took them. Each entry holds the name of the
+		  * {@link Lock} and the simulation time at which the process got it: {lock, since}.
+		  * @type {Object[]} */
+		this.locksHeld = [];
+		/** The name of the lock or condition that the process is waiting for, null if it isn't waiting for one.
+		  * @type {string} */
+		this.lockWait = null;
+		/** The simulation time at which the process started waiting for {@link Process#lockWait}.
+		  * @type {number} */
+		this.lockWaitSince = -1;
+		/** True once the condition that the process waits for was signalled, until the process becomes runnable.
+		  * @type {boolean} */
+		this.signalled = false;
+		/** True while the process is part of a detected deadlock.
+		  * @type {boolean} */
+		this.deadlocked = false;
+		/** The priority from the process's behavior while the lock protocol has it running with a borrowed priority or
+		  * scheduling class, null otherwise. Behavior updates change this value instead of the current priority.
+		  * @type {number} */
+		this.basePriority = null;
+		/** The scheduling classes, other than its own, that the lock protocol could move the process into. Decided
+		  * when the processes are loaded, so that {@link index.html#simulatormodproc Simulator.modProc} can give the
+		  * process the fields that these classes need.
+		  * @type {string[]} */
+		this.lockClasses = [];
+		/** Lock statistics: the number of locks taken, the time that they were held for and the time spent waiting
+		  * for locks and condition signals, {acquired, holdTime, holdMax, waits, waitTime, waitMax}.
+		  * @type {Object} */
+		this.lockStats = {acquired: 0, holdTime: 0, holdMax: 0, waits: 0, waitTime: 0, waitMax: 0};
 
 		/** Process execution counter, counts the number of times that the process was picked.
           * @type {number} */
@@ -520,6 +652,130 @@ class IdleProcess extends Process {
 }
 
 
+/**
+ * An object representing a single simulated processor. Each CPU runs its own process and has its own idle process, as
+ * well as its own instance of every active scheduling class. The processes that are assigned to a CPU are only ever
+ * scheduled by the class instances of that CPU.
+ * @param {number} id The number of the CPU, which is also its index in the simulator's CPU list.
+ * @param {Simulation} sim The simulation that the CPU belongs to.
+ */
+class Cpu {
+    constructor(id, sim) {
+        /** CPU number, starting with 0.
+          * @type {number} */
+        this.id = id;
+        /** The process that is currently running on this CPU.
+          * @type {Process} */
+        this.curr = null;
+        /** The idle process of this CPU, run when no other process is available.
+          * @type {IdleProcess} */
+        this.idle = new IdleProcess();
+        /** The idle scheduling class of this CPU.
+          * @type {IdleClass} */
+        this.idleClass = new IdleClass();
+        /** The instances of active scheduling classes that belong to this CPU, in the form of name:class pairs.
+          * @type {Object} */
+        this.schedClassActive = {};
+        /** The pending {@link ContextSwitchEvent} of this CPU while it is switching to a process, null otherwise.
+          * @type {ContextSwitchEvent} */
+        this.switchEvent = null;
+        /** The time that this CPU spent on finished or interrupted context switches, in simulation nanoseconds.
+          * @type {number} */
+        this.switchTime = 0;
+
+        this.idleClass.sim = sim;
+        this.idle.schedClass = this.idleClass;
+    }
+}
+
+
+/**
+ * An object representing a simulated I/O device, such as a disk, a network interface or a terminal. Devices are shared
+ * by all the CPUs. A process whose block entry is a request to a device stays blocked until the device has served the
+ * request. The device serves one request at a time, the others wait in its queue, so the time that a process stays
+ * blocked depends on how busy the device is.
+ * @param {string} name The name of the device, as given in the simulation definition.
+ */
+class Device {
+    constructor(name) {
+        /** The name of the device.
+          * @type {string} */
+        this.name = name;
+        /** The time that the device needs for every request, regardless of its size. A number, an interval or a
+          * distribution, in simulation nanoseconds.
+          * @type {(number|number[]|Object)} */
+        this.service = 0;
+        /** The number of bytes that the device transfers per second, adds size / bandwidth to the service time of
+          * requests that have a size. 0 if request sizes aren't used.
+          * @type {number} */
+        this.bandwidth = 0;
+        /** The queueing discipline that decides which waiting request gets served next: "fifo", "sjf" or "priority".
+          * @type {string} */
+        this.discipline = "fifo";
+        /** The requests that are waiting for the device.
+          * @type {Object[]} */
+        this.queue = [];
+        /** The request that the device is currently serving, null if the device is idle.
+          * @type {Object} */
+        this.current = null;
+        /** The simulation time at which the device started serving the current request.
+          * @type {number} */
+        this.busySince = -1;
+        /** The time that the device spent serving requests, not counting the current one.
+          * @type {number} */
+        this.busyTime = 0;
+        /** The number of requests that the device started serving.
+          * @type {number} */
+        this.started = 0;
+        /** The number of requests that the device finished serving.
+          * @type {number} */
+        this.finished = 0;
+        /** The sum of the times that the started requests waited in the queue.
+          * @type {number} */
+        this.waitSum = 0;
+        /** The longest time that a started request waited in the queue.
+          * @type {number} */
+        this.waitMax = 0;
+    }
+}
+
+
+/**
+ * An object representing a synchronization primitive that processes share: a mutex, a counting semaphore or a
+ * condition. Processes take mutexes and semaphores with the "acquire" field of their behavior when they wake up and
+ * stay blocked until they get them. A mutex has a single holder, a semaphore as many as its count. A condition has no
+ * holders, processes wait for it until another process signals it.
+ * @param {string} name The name of the lock, as given in the simulation definition.
+ * @param {string} type "mutex", "semaphore" or "condition".
+ */
+class Lock {
+    constructor(name, type) {
+        /** The name of the lock.
+          * @type {string} */
+        this.name = name;
+        /** The type of the lock: "mutex", "semaphore" or "condition".
+          * @type {string} */
+        this.type = type;
+        /** The number of processes that can hold the lock at once, 1 for a mutex and 0 for a condition.
+          * @type {number} */
+        this.count = type === "condition" ? 0 : 1;
+        /** The number of processes that can still take the lock.
+          * @type {number} */
+        this.value = this.count;
+        /** The processes that currently hold the lock.
+          * @type {Process[]} */
+        this.holders = [];
+        /** The processes that wait for the lock, in the order in which they started waiting.
+          * @type {Process[]} */
+        this.waiters = [];
+        /** The highest priority of every process that takes the lock, in the form {policy, priority}. The highest of
+          * them is the priority ceiling of the lock.
+          * @type {Object[]} */
+        this.users = [];
+    }
+}
+
+
 /**
  * An object representing an event in the simulator. Other event types are extended from it and exist in global
  * namespace.
@@ -529,7 +785,8 @@ class IdleProcess extends Process {
 class Event {
 	constructor(time) {
 		this.time = time;
-        this.setOn = Simulator.time();
+        /* The simulation time at which the event was created, filled in by the simulation that queues or logs it. */
+        this.setOn = -1;
 	}
 }
 
@@ -578,7 +835,8 @@ class ForkEvent extends Event {
  * @extends Event
  * @param {number}	 time		Time of event in nanoseconds of the simulation.
  * @param {Process}  process	The process that is exiting.
- * @param {ExitCond} cond		The exit condition that set the event. Available types: procExec, simExec, execCnt.
+ * @param {ExitCond} cond		The exit condition that set the event. Available types: procExec, simExec, execCnt,
+ * 								refused.
  * @param {boolean}  nice		Defines whether the process should exit nicely, after it finishes its execution or is
  * 								preempted, or abruptly, right away.
  */
@@ -624,14 +882,16 @@ class BlockEvent extends Event {
 
 /**
  * TimerEvent happens when a timer finishes its countdown. It generally means a scheduler interruption and a process
- * preemption decision.
+ * preemption decision. Every simulated CPU has its own timer.
  * @memberof Event
  * @extends Event
  * @param {number} time Time of event in nanoseconds of the simulation.
+ * @param {number} cpu  The number of the CPU that the timer belongs to.
  */
 class TimerEvent extends Event {
-	constructor(time) {
+	constructor(time, cpu) {
 		super(time);
+        this.cpu = cpu;
 	}
 }
 
@@ -640,12 +900,34 @@ class TimerEvent extends Event {
  * prosses in the simEventLog (simEvents array of {@link SimResult}).
  * @memberof Event
  * @extends Event
- * @param {number} time Time of event in nanoseconds of the simulation.
+ * @param {number}  time    Time of event in nanoseconds of the simulation.
+ * @param {Process} process The process that was picked.
+ * @param {number}  cpu     The number of the CPU on which the process was picked.
  */
 class PickEvent extends Event {
-	constructor(time, process) {
+	constructor(time, process, cpu) {
+		super(time);
+        this.process = process;
+        this.cpu = cpu;
+	}
+}
+
+/**
+ * ContextSwitchEvent ends a context switch. When a context switch has a cost (see
+ * {@link index.html#simulatorsetcontextswitchcost Simulator.setContextSwitchCost()}), the picked process only starts
+ * running once this event is handled, the time between its PickEvent and this event is overhead. If the process is
+ * stopped before that, the event is removed from the simulationQueue and the switch is cut short.
+ * @memberof Event
+ * @extends Event
+ * @param {number}  time    Time of event in nanoseconds of the simulation.
+ * @param {Process} process The process that the CPU is switching to.
+ * @param {number}  cpu     The number of the CPU that is switching.
+ */
+class ContextSwitchEvent extends Event {
+	constructor(time, process, cpu) {
 		super(time);
         this.process = process;
+        this.cpu = cpu;
 	}
 }
 
@@ -674,6 +956,15 @@ class PickEvent extends Event {
  *
  * @property {number}       contextSwitches     The number of times that a new process as picked during simulation.
  *
+ * @property {number}       overheadTime        The time that the CPUs spent on context switches instead of running
+ * processes, summed over all CPUs. Always 0 unless the simulation definition sets a contextSwitchCost.
+ *
+ * @property {number}       cpus                The number of simulated CPUs.
+ *
+ * @property {(number|string)} seed             The seed of the random number generator used in the simulation. Passing
+ * it to {@link index.html#simulatorinit Simulator.init()} together with the same simulation definition replays the
+ * simulation exactly.
+ *
  * @property {Process[]}    processList         An array of all processes that were loaded into the simulation, in the
  * order in which they were added. The index of a process in the array matches its process ID.
  *
@@ -682,7 +973,10 @@ class PickEvent extends Event {
  * attached to their process field.
  *
  * @property {number}       averageLoad         A value between 0 and 1 that describes the ratio of time spent executing
- * processes (other than idle). Effectively the fraction of time for whiich the processor was in use.
+ * processes (other than idle). Effectively the fraction of time for whiich the processor was in use. With multiple CPUs
+ * this is the average over all of them.
+ *
+ * @property {number[]}     cpuLoad             The average load of each individual CPU, indexed by CPU number.
  *
  * @property {Object}       averageLatency      An object with the entries ***general*** and ***byClass***:
  *
@@ -717,10 +1011,24 @@ class PickEvent extends Event {
  * classes by calling {@link index.html#schedclassgetclassstats SchedClass.getClassStats} on them. Object keys are
  * scheduling class names.
  *
+ * @property {Object}       classTimeSeries     An object containing the time series obtained from each of the active
+ * classes by calling {@link index.html#schedclassgetclasstimeseries SchedClass.getClassTimeSeries} on them, keyed by
+ * scheduling class names the same way as classStats.
+ *
  * @property {Object[]}     processStats        An array of objects returned by
  * {@link index.html#simulatorprocstats Simulator.procStats} that holds per-class statistics for the simulation.
  * Processes in this array are indexed by their process id (PID).
  *
+ * @property {Object[]}     deviceStats         An array of objects returned by
+ * {@link index.html#simulatorgetdevicestats Simulator.getDeviceStats} with the utilisation and queue wait of every
+ * I/O device. Empty if the simulation definition has no devices.
+ *
+ * @property {Object[]}     deadlocks           The deadlocks that were detected during the simulation, as returned by
+ * {@link index.html#simulatorgetdeadlocks Simulator.getDeadlocks}. Empty if none were found.
+ *
+ * @property {Object[]}     processTree         The processes arranged by who forked whom, as returned by
+ * {@link index.html#simulatorgetprocesstree Simulator.getProcessTree}.
+ *
  */
 class SimResult {
 	constructor(timestamp) {
@@ -732,16 +1040,24 @@ class SimResult {
 
 		this.length = 0;
 		this.contextSwitches = 0;
+        this.overheadTime = 0;
+        this.cpus = 1;
+        this.seed = null;
 
 		this.processList = [];
 		this.simEvents = [];
 
         this.averageLoad = -1;
+        this.cpuLoad = [];
         this.averageLatency = {};
         this.averageTurnaround = {};
 
         this.classStats = {};
+        this.classTimeSeries = {};
         this.processStats = [];
+        this.deviceStats = [];
+        this.deadlocks = [];
+        this.processTree = [];
 	}
 }
 
@@ -752,6 +1068,15 @@ class SimResult {
  * @description A scheduling simulator inspired by the Linux Completely Fair Scheduler design and implemented in
  * JavaScript. This is the main class representing the simulator namespace.
  *
+ * The simulator is implemented by the Simulation constructor. Every <code>new Simulation(definition)</code> holds its
+ * own simulation state, so several simulations can be set up and run side by side without affecting each other. The
+ * methods documented here are available on every instance. Simulator itself is the default instance, used by the
+ * GUI and the browser console. When a definition is given to the constructor, the new simulation is initialised with
+ * it right away, as if passed to {@link index.html#simulatorinit init()}.
+ *
+ * @param {(undefined|Object|string)} definition An optional simulation definition or the name of a preset in
+ * {@link SimulationPresets}.
+ *
  * @property {string}   simulatorVersion  Private variable, access with
  * {@link index.html#simulatorgetversion Simulator.getVersion()}. Holds the current version of the simulator.
  *
@@ -768,6 +1093,11 @@ class SimResult {
  * timer event will occur, in simulation nanoseconds. By default it will occur every millisecond.
  * This variable cannot be changed while a simulation is running.
  *
+ * @property {(number|number[]|Object)} contextSwitchCost Private variable, access with
+ * {@link index.html#simulatorgetcontextswitchcost Simulator.getContextSwitchCost()} and
+ * {@link index.html#simulatorsetcontextswitchcost Simulator.setContextSwitchCost()}. The time that a CPU needs to switch
+ * to a different process, as a number, an interval or a distribution. 0 by default, which makes switches free.
+ *
  * @property {string}   schedClassName  Private variable. The name of the scheduling class to which the processes
  * without individual scheduling class specifications belong.
  *
@@ -836,7 +1166,9 @@ class SimResult {
  *
  * @property {Object}	schedClassRegistered  Private variable, access with
  * {@link index.html#simulatorgetschedclassregistered Simulator.getSchedClassRegistered()}. An object that holds all the
- * registered scheduling classes in the form of name:class pairs ({@link string}: {@link SchedClass}). Not to be
+ * registered scheduling classes in the form of name:class pairs ({@link string}: {@link SchedClass}). The instances are
+ * this simulation's own, created from the classes registered with
+ * {@link index.html#simulationregisterschedclass Simulation.registerSchedClass()}. Not to be
  * confused with schedClassActive, that holds only the active classes - that is, the classes that the loaded simulation
  * actually uses.
  *
@@ -868,19 +1200,69 @@ class SimResult {
  * made. This is a bit of a safeguard to make sure that "pickNext()" implementations of
  * {@link SchedClass scheduling classes} make this call and make it only when they actually return a process.
  *
- * @property {Process}	curr			Private variable, access with
- * {@link index.html#simulatorgetcurr Simulator.getCurr()}. The currently running process. Used to track the process
- * that is currently running during the simulation.
+ * @property {(number|string)} simSeed Private variable, access with
+ * {@link index.html#simulatorgetseed Simulator.getSeed()} and
+ * {@link index.html#simulatorsetseed Simulator.setSeed(seed)}. The seed that the random number generator was last
+ * seeded with. It is recorded in every {@link SimResult}, so that any simulation can be replayed.
+ *
+ * @property {number}	rngState		Private variable. The internal state of the seedable pseudorandom number generator
+ * that is used for all random values in the simulation, accessed through
+ * {@link index.html#simulatorrandom Simulator.random()}.
+ *
+ * @property {number}	cpuCount		Private variable, access with
+ * {@link index.html#simulatorgetcpucount Simulator.getCpuCount()} and
+ * {@link index.html#simulatorsetcpucount Simulator.setCpuCount(number)}. The number of simulated CPUs, 1 by default.
+ *
+ * @property {Cpu[]}	cpuList			Private variable, access with
+ * {@link index.html#simulatorgetcpu Simulator.getCpu(id)}. An array of all simulated CPUs, indexed by CPU number. Each
+ * {@link Cpu} holds its currently running process, its idle process and its own instances of the active scheduling
+ * classes.
  *
- * @property {Process}	idle			Private variable, access with
- * {@link index.html#simulatorgetidle Simulator.getIdle()}. The simulator idle process. This process is run when nothing
- * else is available.
+ * @property {Object}	devices			Private variable, set with
+ * {@link index.html#simulatorloaddevices Simulator.loadDevices()}. The simulated I/O {@link Device devices}, in the form
+ * of name:device pairs.
  *
- * @property {Process}	idleClass		Private variable. The idle scheduling class. This is a simplified class that
- * only handles the idle task and does not implement all the features that regular scheduling classes should.
+ * @property {Object}	locks			Private variable, set with
+ * {@link index.html#simulatorloadlocks Simulator.loadLocks()}. The {@link Lock locks} that the processes share, in the
+ * form of name:lock pairs.
+ *
+ * @property {string}	lockProtocol	Private variable, set with
+ * {@link index.html#simulatorloadlocks Simulator.loadLocks()}. The protocol that lends priorities to lock holders:
+ * "none", "inheritance" or "ceiling".
+ *
+ * @property {Object}	groups			Private variable, set with
+ * {@link index.html#simulatorloadgroups Simulator.loadGroups()}, access with
+ * {@link index.html#simulatorgetgroups Simulator.getGroups()}. The control groups that processes can be assigned to, in
+ * the form of path: {path, parent, shares, quota, period} pairs.
+ *
+ * @property {Object[]}	deadlocks		Private variable, access with
+ * {@link index.html#simulatorgetdeadlocks Simulator.getDeadlocks()}. The deadlocks detected in the current
+ * simulation.
+ *
+ * @property {Object}	templates		Private variable, set with
+ * {@link index.html#simulatorloadproc Simulator.loadProc()}. The process templates that running processes fork their
+ * children from, in the form of name: {definition, lockClasses} pairs.
+ *
+ * @property {Object[]}	procMods		Private variable. The same value changes that the scheduling classes made to
+ * their processes with {@link index.html#simulatormodproc Simulator.modProc()}, in the form of
+ * {propName, propVal, className} entries. They are made again on every process that is forked at runtime.
+ *
+ * @property {Cpu}		thisCpu			Private variable, access with
+ * {@link index.html#simulatorgetcpu Simulator.getCpu()}. The CPU that the simulator is currently working on. It is set
+ * before every call into the scheduling classes, so that methods like
+ * {@link index.html#simulatorgetcurr Simulator.getCurr()} and
+ * {@link index.html#simulatorpicknext Simulator.pickNext()} act on the CPU that the calling class instance belongs to.
+ *
+ * @property {Object}	listeners		Private variable, access with {@link index.html#simulatoron Simulator.on()} and
+ * {@link index.html#simulatoroff Simulator.off()}. The functions subscribed to simulation hooks, in the form of
+ * hook name: function array pairs. Subscriptions are kept between simulations.
+ *
+ * @property {Event}	currentEvent	Private variable. The event from the simulation queue that the main loop is
+ * currently processing, passed to preempt hooks as the event that caused the preemption. Null outside of the main
+ * loop.
  */
-var Simulator = {};
-(function(sim) {
+function Simulation(definition) {
+    var sim = this;
 	/* private variables -------------------------------------------------------------------------------------------- */
     var simulatorVersion = "1.0.0";
 
@@ -898,6 +1280,7 @@ var Simulator = {};
 
     var simulationName = "";
     var timerTickLen = 0;
+    var contextSwitchCost = 0;
 	var simulationLen = 0;
     var schedClassName = "";
 
@@ -913,9 +1296,31 @@ var Simulator = {};
 	var schedClassPrio = [];
 	var procList = [];
 
-	var curr = null;
-	var idle = null;
-	var idleClass = null;
+    var simSeed = null;
+    var rngState = 0;
+
+    var cpuCount = 1;
+    var cpuList = [];
+    var thisCpu = null;
+    var devices = {};
+    var locks = {};
+    var lockProtocol = "none";
+    var groups = {};
+    var deadlocks = [];
+    var templates = {};
+    var procMods = [];
+
+    var hookTypes = ["fork", "enqueue", "pick", "preempt", "block", "exit", "tick"];
+    var listeners = {};
+    var currentEvent = null;
+    var hookError = null;
+
+    var stepCount = 0;
+    var checkpoints = [];
+    var checkpointInterval = 1000;
+    var checkpointStride = 1;
+    var maxCheckpoints = 64;
+    var replaying = false;
 
 	/* public variables --------------------------------------------------------------------------------------------- */
     sim.preemption = true;
@@ -961,6 +1366,7 @@ var Simulator = {};
 	 * @return {Object} schedClassRegistered
 	 */
     sim.getSchedClassRegistered = function() {
+        syncSchedClasses();
         return schedClassRegistered;
     }
 
@@ -970,15 +1376,21 @@ var Simulator = {};
 	 * @return {string[]} schedClassPrioRegistered
 	 */
 	sim.getSchedClassPrioRegistered = function() {
+        syncSchedClasses();
 		return schedClassPrioRegistered;
 	}
 
     /**
-	 * Simulator.getSchedClassActive; returns {@link Simulator schedClassActive}.
+	 * Simulator.getSchedClassActive; returns {@link Simulator schedClassActive}. When given a CPU number, returns the
+	 * instances of active scheduling classes that belong to that CPU instead.
 	 * @memberof Simulator
+	 * @param {(undefined|number)} cpuId The number of the CPU whose scheduling class instances should be returned.
 	 * @return {Object} schedClassActive
 	 */
-	sim.getSchedClassActive = function() {
+	sim.getSchedClassActive = function(cpuId) {
+		if (cpuId !== undefined) {
+			return sim.getCpu(cpuId).schedClassActive;
+		}
 		return schedClassActive;
 	}
 
@@ -1011,21 +1423,42 @@ var Simulator = {};
 	}
 
 	/**
-	 * Simulator.getIdle; returns the simulation {@link Simulator idle} process.
+	 * Simulator.getCpu; returns a simulated {@link Cpu}. Without an argument, returns the CPU that the simulator is
+	 * currently working on ({@link Simulator thisCpu}).
+	 * @memberof Simulator
+	 * @param {(undefined|number)} id The number of the CPU to return.
+	 * @return {Cpu} The requested CPU.
+	 */
+	sim.getCpu = function(id) {
+		if (id === undefined) {
+			return thisCpu;
+		} else if (cpuList[id] === undefined) {
+			throw new Error("no CPU with the number " + id + " exists in the simulation.");
+		}
+		return cpuList[id];
+	}
+
+	/**
+	 * Simulator.getIdle; returns the idle process of a CPU. Without an argument, returns the idle process of the CPU
+	 * that the simulator is currently working on.
 	 * @memberof Simulator
+	 * @param {(undefined|number)} cpuId The number of the CPU whose idle process should be returned.
 	 * @return {Process} The idle process.
 	 */
-	sim.getIdle = function() {
-		return idle;
+	sim.getIdle = function(cpuId) {
+		return sim.getCpu(cpuId).idle;
 	}
 
 	/**
-	 * Simulator.getCurr; returns the currently running process {@link Simulator curr}.
+	 * Simulator.getCurr; returns the currently running process of a CPU. Without an argument, returns the process that
+	 * is running on the CPU that the simulator is currently working on. Scheduling classes should call this without
+	 * an argument, which gives them the running process of the CPU that they belong to.
 	 * @memberof Simulator
+	 * @param {(undefined|number)} cpuId The number of the CPU whose running process should be returned.
 	 * @return {Process} The currently running process.
 	 */
-	sim.getCurr = function() {
-		return curr;
+	sim.getCurr = function(cpuId) {
+		return sim.getCpu(cpuId).curr;
 	}
 
     /**
@@ -1124,6 +1557,130 @@ var Simulator = {};
         return defaultTimerTickLen;
     }
 
+    /**
+     * Simulator.setContextSwitchCost; Set the time that a CPU spends switching to a different process. During a switch
+     * the CPU runs neither the previous nor the next process, the next process only starts using up its run time once
+     * the switch is over. Switches to the idle process and picks of the process that was already running are free.
+     * This function should only be called while a simulation is not in progress.
+     * @memberof Simulator
+     * @param  {(number|number[]|Object)} cost The cost of a context switch in simulation nanoseconds, with suffixes
+     * already handled. Either a number, an interval or a distribution, in which case every switch gets its own cost.
+     * 0 turns the cost off.
+     */
+    sim.setContextSwitchCost = function(cost) {
+        if (simRunning) {
+            throw new Error("attempting to change contextSwitchCost while simulation is running. Did you forget to " +
+                            "stop it beforehand (Simulator.break())?");
+        } else if (typeof(cost) === "number" ? !(cost >= 0) || !Number.isInteger(cost) :
+            !entryValid(cost) || cost instanceof Array && cost[0] < 0) {
+                throw new Error("setContextSwitchCost expects a non-negative integer, an interval or a distribution, " +
+                                "instead found: " + JSON.stringify(cost));
+        }
+
+        contextSwitchCost = cost;
+    }
+    /**
+     * Simulator.getContextSwitchCost; Returns the time that a CPU spends switching to a different process.
+     * @memberof Simulator
+     * @return {(number|number[]|Object)} The cost of a context switch, as set in the simulation definition.
+     */
+    sim.getContextSwitchCost = function() {
+        return contextSwitchCost;
+    }
+
+
+    /**
+     * Simulator.setSeed; Seed the random number generator of the simulator. All the random values in a simulation
+     * (intervals in process definitions, random decisions of scheduling classes) are drawn from this generator, so the
+     * same seed and the same simulation definition always produce the same simulation. Without an argument, a new
+     * random seed is chosen.
+     * @memberof Simulator
+     * @param {(undefined|number|string)} seed An integer or a string to seed the generator with.
+     */
+    sim.setSeed = function(seed) {
+        if (seed === undefined) {
+            seed = Math.floor(Math.random() * 4294967296);
+        }
+
+        rngState = seedState(seed);
+        simSeed = seed;
+    }
+    /**
+     * Simulator.getSeed; Returns the seed that the random number generator was last seeded with.
+     * @memberof Simulator
+     * @return {(number|string)} The current seed.
+     */
+    sim.getSeed = function() {
+        return simSeed;
+    }
+
+    /**
+     * Simulator.random; Returns a pseudorandom number from the interval [0, 1), drawn from the simulator's seedable
+     * generator (mulberry32). Scheduling classes that make random decisions should use this instead of Math.random(),
+     * so that their simulations can be replayed.
+     * @memberof Simulator
+     * @return {number} A pseudorandom number, 0 <= number < 1.
+     */
+    sim.random = function() {
+        rngState = (rngState + 0x6D2B79F5) >>> 0;
+        return mix32(rngState) / 4294967296;
+    }
+
+
+    /**
+     * Simulator.setCpuCount; Set the number of simulated CPUs. This function should only be called while a simulation
+     * is not in progress and only takes effect once the processes are (re)loaded.
+     * @memberof Simulator
+     * @param  {number} count A positive integer, the number of CPUs to simulate.
+     */
+    sim.setCpuCount = function(count) {
+        if (simRunning) {
+            throw new Error("attempting to change the number of CPUs while simulation is running. Did you forget to " +
+                            "stop it beforehand (Simulator.break())?");
+        } else if (typeof(count) !== "number" || !Number.isInteger(count) || count < 1) {
+            throw new Error("setCpuCount expects a positive integer, instead found: " + count);
+        }
+
+        cpuCount = count;
+    }
+    /**
+     * Simulator.getCpuCount; Returns the number of simulated CPUs.
+     * @memberof Simulator
+     * @return {number} The number of CPUs.
+     */
+    sim.getCpuCount = function() {
+        return cpuCount;
+    }
+
+
+    /**
+     * Simulator.setCheckpointInterval; Set how often the simulation saves a checkpoint that
+     * {@link index.html#simulatorstepback Simulator.stepBack()} and
+     * {@link index.html#simulatorrunbackto Simulator.runBackTo()} can return to. Shorter intervals make stepping back
+     * faster at the cost of memory, as every checkpoint is a full copy of the simulation state. Checkpoints are only
+     * saved while the simulation runs for a given time or number of steps, a simulation that runs to the end in one go
+     * saves none. Once there are 64 of them, every other one is dropped and the interval doubles, so a long
+     * simulation keeps checkpoints every 2^k intervals instead of an ever growing list.
+     * @memberof Simulator
+     * @param  {number} steps The number of simulation steps between two checkpoints. 0 keeps only the checkpoint at the
+     * start of the simulation, so every step back replays the simulation from the beginning.
+     */
+    sim.setCheckpointInterval = function(steps) {
+        if (typeof(steps) !== "number" || !Number.isInteger(steps) || steps < 0) {
+            throw new Error("setCheckpointInterval expects a non-negative integer, instead found: " + steps);
+        }
+
+        checkpointInterval = steps;
+    }
+    /**
+     * Simulator.getCheckpointInterval; Returns the number of simulation steps between two checkpoints.
+     * @memberof Simulator
+     * @return {number} The checkpoint interval.
+     */
+    sim.getCheckpointInterval = function() {
+        return checkpointInterval;
+    }
+
 
     /**
      * Simulator.setSchedClassName; Set the schedClassName parameter that decides the default scheduling class for the
@@ -1139,7 +1696,9 @@ var Simulator = {};
         if (simRunning) {
             throw new Error("attempting to change schedClassName while simulation is running. Did you forget to stop " +
                             "it beforehand (Simulator.break())?");
-        } else if (typeof(name) !== "string" || !(schedClassPrioRegistered.includes(name))) {
+        }
+        syncSchedClasses();
+        if (typeof(name) !== "string" || !(schedClassPrioRegistered.includes(name))) {
             throw new Error("invalid schedClassName given: " + name);
         }
 
@@ -1162,7 +1721,8 @@ var Simulator = {};
      * Handle suffixes "ns, us, ms, s, min" for simulation configuration entries that support them. The entries with
      * suffixes are converted to appropriate number of nanoseconds and processed as numbers henceforth.
      * @memberof Simulator
-     * @param  {(string | string[] | number | number[])} entry The entry to be checked.
+     * @param  {(string | string[] | number | number[] | Object)} entry The entry to be checked. The time fields of
+     * distribution objects are converted as well, including those of mixture components.
      * @param  {string} location A description of the entry's location to be used in case of errors.
      * @param  {number} defaultScale The number by which the values with no suffix should be multiplied.
      * @return {(number | number[])} Converted value or array of values. If nothing to convert was found or the input
@@ -1221,6 +1781,24 @@ var Simulator = {};
                     entry[i] = convertVal(entry[i]);
                 }
             }
+        } else if (isDist(entry)) {
+            /* only the time fields of a distribution get converted, shape parameters and weights have no units */
+            let distDef = distributions[entry.dist];
+            if (distDef === undefined) {
+                throw new Error("unknown distribution \"" + entry.dist + "\" found in " + location);
+            }
+            for (let field of distDef.time.concat(["min", "max"])) {
+                if (entry[field] !== undefined) {
+                    entry[field] = sim.handleSuffix(entry[field], location + ', distribution field "' + field + '"',
+                        defaultScale);
+                }
+            }
+            if (entry.components instanceof Array) {
+                for (let i = 0; i < entry.components.length; i++) {
+                    entry.components[i] = sim.handleSuffix(entry.components[i], location + ", component " + i,
+                        defaultScale);
+                }
+            }
         } else if (typeof(entry) === "string") {
             entry = convertVal(entry);
         } else if (typeof(entry) !== "number") {    // catch any unsupported types
@@ -1229,17 +1807,152 @@ var Simulator = {};
         return entry;
     };
 
+    /**
+     * Simulator.getProcVal; Returns an exact value for a value from a process definition, such as a run or block time.
+     * Numbers are returned as they are, intervals and distributions get a random value drawn with the simulator's seeded
+     * generator. This
+     * is the same function that the simulator uses for process definitions, exposed for scheduling classes that need
+     * to decide on such values in advance.
+     * @memberof Simulator
+     * @param  {(number|number[]|Object)} entry A value from process definition, with suffixes already handled.
+     * @return {number} An exact integer value to use.
+     */
+    sim.getProcVal = function(entry) {
+        return getProcVal(entry);
+    }
+
 
 	/* simulator private functions ---------------------------------------------------------------------------------- */
 	/* These are  the helper functions that should only be used by the simulator, from within the simulator. They are
 	 * not and should not be visible from the outside and to the sched classes. */
 
+    /**
+     * emit; private method - accessible only within simulator.
+     * Calls the functions subscribed to a hook with {@link index.html#simulatoron Simulator.on()}. An error thrown by a
+     * handler is kept until the simulator has finished handling the event, so that the simulation isn't left halfway
+     * through it, and is then thrown from {@link index.html#simulatorrun Simulator.run()}.
+     * @memberof Simulator
+     * @param  {string} type The name of the hook.
+     * @param  {Event} evt The event that the hook is about.
+     * @param  {Process} proc The affected process.
+     */
+    var emit = function(type, evt, proc) {
+        var handlers = listeners[type];
+        if (replaying || handlers === undefined || handlers.length === 0) {
+            return;
+        }
+        /* iterate over a copy, handlers may unsubscribe themselves */
+        for (let handler of handlers.slice()) {
+            try {
+                handler.call(sim, evt, proc);
+            } catch (error) {
+                if (hookError === null) {
+                    hookError = error;
+                }
+            }
+        }
+    }
+
+    /**
+     * cloneState; private method - accessible only within simulator.
+     * Deep copies a part of the simulation state for {@link index.html#simulatorsnapshot Simulator.snapshot()} and
+     * {@link index.html#simulatorrestore Simulator.restore()}. Objects keep their prototypes, so processes, events,
+     * scheduling classes and red-black trees stay what they were, and objects that are referenced from several places
+     * (a process in a runqueue and in the process list, for example) are copied only once, so the copy references the
+     * same copy from all those places. Functions and frozen objects are shared instead of copied.
+     * @memberof Simulator
+     * @param  {any} value The value to copy.
+     * @param  {Map} copies The objects copied so far, mapped to their copies. Objects that should not be copied can be
+     * mapped to whatever should replace them in the copy.
+     * @return {any} The copy.
+     */
+    var cloneState = function(value, copies) {
+        if (value === null || typeof(value) !== "object" || Object.isFrozen(value)) {
+            return value;
+        } else if (copies.has(value)) {
+            return copies.get(value);
+        }
+
+        var copy;
+        if (value instanceof Array) {
+            copy = new Array(value.length);
+        } else if (value instanceof Map) {
+            copy = new Map();
+            copies.set(value, copy);
+            value.forEach((v, k) => copy.set(cloneState(k, copies), cloneState(v, copies)));
+            return copy;
+        } else if (value instanceof Set) {
+            copy = new Set();
+            copies.set(value, copy);
+            value.forEach(v => copy.add(cloneState(v, copies)));
+            return copy;
+        } else {
+            copy = Object.create(Object.getPrototypeOf(value));
+        }
+        copies.set(value, copy);
+
+        for (let key of Object.keys(value)) {
+            copy[key] = cloneState(value[key], copies);
+        }
+        return copy;
+    }
+
+    /**
+     * seedState; private method - accessible only within simulator.
+     * Turns a seed into the 32 bit initial state of the random number generator. Integers are used directly, strings
+     * are hashed (FNV-1a).
+     * @memberof Simulator
+     * @param  {(number|string)} seed The seed to convert.
+     * @return {number} An unsigned 32 bit integer.
+     */
+    var seedState = function(seed) {
+        if (typeof(seed) === "number" && Number.isInteger(seed)) {
+            return seed >>> 0;
+        } else if (typeof(seed) === "string") {
+            let state = 2166136261;
+            for (let i = 0; i < seed.length; i++) {
+                state = Math.imul(state ^ seed.charCodeAt(i), 16777619) >>> 0;
+            }
+            return state;
+        }
+        throw new Error("a seed needs to be an integer or a string, instead found: " + seed);
+    }
+
+    /**
+     * mix32; private method - accessible only within simulator.
+     * The output function of the mulberry32 generator, scrambles a 32 bit state into a 32 bit output.
+     * @memberof Simulator
+     * @param  {number} t An unsigned 32 bit integer.
+     * @return {number} An unsigned 32 bit integer.
+     */
+    var mix32 = function(t) {
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return (t ^ (t >>> 14)) >>> 0;
+    }
+
+    /**
+     * deriveSeed; private method - accessible only within simulator.
+     * Derives the seed of an individual run in {@link index.html#simulatormultirun Simulator.multiRun} from the master
+     * seed and the index of the run. The same master seed always produces the same sequence of run seeds.
+     * @memberof Simulator
+     * @param  {(number|string)} masterSeed The master seed of the multiRun.
+     * @param  {number} index The index of the run.
+     * @return {number} The seed of the run, an unsigned 32 bit integer.
+     */
+    var deriveSeed = function(masterSeed, index) {
+        return mix32((seedState(masterSeed) + Math.imul(index + 1, 0x9E3779B9)) >>> 0);
+    }
+
+
 	/**
 	 * getProcVal; private method - accessible only within simulator.
-	 * A method that parses a value in process definition and returns either its exact value in case of a number, or
-	 * a randomly selected number from the interval in case of an interval (array with two numbers).
+	 * A method that parses a value in process definition and returns either its exact value in case of a number, a
+	 * randomly selected number from the interval in case of an interval (array with two numbers), or a value drawn from
+	 * the distribution in case of a distribution object. Values drawn from distributions are rounded to whole
+	 * nanoseconds and are never negative. Where 0 isn't a valid value, use getBurstVal instead.
 	 * @memberof Simulator
-	 * @param  {(number|number[])} entry A value from process definition.
+	 * @param  {(number|number[]|Object)} entry A value from process definition.
 	 * @return {number}       An exact integer value to use.
 	 */
 	var getProcVal = function (entry) {
@@ -1248,52 +1961,256 @@ var Simulator = {};
 				return entry;
 			} else if (entry instanceof Array && entry.length === 2 && typeof(entry[0]) === "number" &&
 				typeof(entry[1]) === "number"  && entry[0] <= entry[1]) {
-					return entry[0] + Math.floor( Math.random() * (entry[1] - entry[0]) );
+					return entry[0] + Math.floor( sim.random() * (entry[1] - entry[0]) );
+			} else if (isDist(entry) && distributions[entry.dist] !== undefined) {
+				return Math.max(0, Math.round(sampleDist(entry)));
 			}
 		}
 		throw new Error("parsing an ivnalid entity with getVal.");
 	}
 
+	/**
+	 * getBurstVal; private method - accessible only within simulator.
+	 * Same as getProcVal, for the run and block times of processes, which need to be at least 1 nanosecond. Precise
+	 * values and intervals are checked for that when the processes are loaded, values drawn from distributions are
+	 * raised to it here.
+	 * @memberof Simulator
+	 * @param  {(number|number[]|Object)} entry A run or block time from process definition.
+	 * @return {number}       An exact integer value to use.
+	 */
+	var getBurstVal = function (entry) {
+		return Math.max(1, getProcVal(entry));
+	}
+
 
     /**
-     * checkProcProp; private method - accessible only within simulator.
-     * Checks any additional property names that the user has added to the processes, either via configuration or via
-     * {@link index.html#simulatormodproc Simulator.modProc} method. Makes sure that the property names are valid and
-     * don't overwrite any existing properties that are essential for the proper functioning of the simulator. Out of
-     * all process properties, the exception that CAN be overwritten is "updated", since its there for the purposes of
-     * scheduling classes (it's mainly meant for timeslice calculations).
+     * isDist; private method - accessible only within simulator.
+     * Tells apart distribution objects from the other kinds of values in process definitions.
      * @memberof Simulator
-     * @param  {(string | string[])} property A property name or array of names to be checked.
-     * @return {boolean} Returns true if all property names are valid (really just errors out otherwise).
+     * @param  {any} entry A value from process definition.
+     * @return {boolean} True if the entry is a distribution object.
      */
-    var checkProcProp = function(property) {
-        var bannedNameList = [
-            "pid", "pname", "alive", "onRq", "waiting", "remainingRuntime", "policy", "schedClasss", "spawned",
-            "exited", "enqueued", "picked", "nextEvent", "strictEndEvent", "execCnt", "execTime", "waitTime",
-            "currBehavior", "nextBehIndex", "behavior", "execLog", "latencyLog", "runLog"];
-        if (typeof(property) === "string") {
-            if (bannedNameList.includes(property)) {
-                throw new Error("reserved process property discovered, please use another name: "+property);
-            }
-        } else if (property instanceof Array) {
-            for (let i = 0; i < property.length; i++) {
-                if (typeof(property[i]) !== "string") {
-                    throw new Error("process property with index "+i+" is of invalid type. Expected string, found "+typeof(property[i]));
-                }
-                if (bannedNameList.includes(property[i])) {
-                    throw new Error("reserved process property discovered, please use another name: "+property[i]);
-                }
-            }
-        } else {
-            throw new Error("process property of wrong type, expected string or string[], found: "+typeof(property))
-        }
-        return true;
+    var isDist = function(entry) {
+        return entry !== null && typeof(entry) === "object" && !(entry instanceof Array) &&
+            typeof(entry.dist) === "string";
     }
 
+    /**
+     * standardNormal; private method - accessible only within simulator.
+     * Draws a value from the standard normal distribution with the Box-Muller transform.
+     * @memberof Simulator
+     * @return {number} The drawn value.
+     */
+    var standardNormal = function() {
+        var u = 1 - sim.random();   // (0, 1], log(0) would be infinite
+        var v = sim.random();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
 
-	/**
-	 * insertEvent; private method - accessible only within simulator.
- 	 * Insert an event into the simulation queue at a precise time. This function should **ALWAYS** be used when pushing
+    /**
+     * distributions; private variable - accessible only within simulator.
+     * The distributions that can be used in process definitions, by their names. Each one lists its required fields,
+     * the fields holding time values (which accept time suffixes), a check of the field values and a function that
+     * draws a value. Every distribution can also be truncated with the optional "min" and "max" fields.
+     * @memberof Simulator
+     * @type {Object}
+     */
+    var distributions = {
+        uniform: {
+            required: ["min", "max"],
+            time: [],
+            valid: d => d.min <= d.max,
+            sample: d => d.min + sim.random() * (d.max - d.min)
+        },
+        exponential: {
+            required: ["mean"],
+            time: ["mean"],
+            valid: d => d.mean > 0,
+            sample: d => -d.mean * Math.log(1 - sim.random())
+        },
+        normal: {
+            required: ["mean", "sd"],
+            time: ["mean", "sd"],
+            valid: d => d.sd >= 0,
+            sample: d => d.mean + d.sd * standardNormal()
+        },
+        /* given by the mean and standard deviation of the values themselves, not of their logarithms */
+        lognormal: {
+            required: ["mean", "sd"],
+            time: ["mean", "sd"],
+            valid: d => d.mean > 0 && d.sd >= 0,
+            sample: function(d) {
+                var sigma2 = Math.log(1 + (d.sd * d.sd) / (d.mean * d.mean));
+                return Math.exp(Math.log(d.mean) - sigma2 / 2 + Math.sqrt(sigma2) * standardNormal());
+            }
+        },
+        pareto: {
+            required: ["scale", "shape"],
+            time: ["scale"],
+            valid: d => d.scale > 0 && d.shape > 0,
+            sample: d => d.scale / Math.pow(1 - sim.random(), 1 / d.shape)
+        },
+        weibull: {
+            required: ["scale", "shape"],
+            time: ["scale"],
+            valid: d => d.scale > 0 && d.shape > 0,
+            sample: d => d.scale * Math.pow(-Math.log(1 - sim.random()), 1 / d.shape)
+        },
+        empirical: {
+            required: ["samples"],
+            time: ["samples"],
+            valid: d => d.samples instanceof Array && d.samples.length > 0 &&
+                d.samples.every(x => typeof(x) === "number" && isFinite(x)),
+            sample: d => d.samples[Math.floor(sim.random() * d.samples.length)]
+        },
+        /* components are precise values, intervals or distributions, picked according to the optional weights */
+        mixture: {
+            required: ["components"],
+            time: [],
+            valid: d => d.components instanceof Array && d.components.length > 0 &&
+                d.components.every(c => typeof(c) === "number" || entryValid(c)) && (d.weights === undefined ||
+                d.weights instanceof Array && d.weights.length === d.components.length &&
+                d.weights.every(w => typeof(w) === "number" && w >= 0) && d.weights.some(w => w > 0)),
+            sample: function(d) {
+                var weights = d.weights !== undefined ? d.weights : d.components.map(() => 1);
+                var pick = sim.random() * weights.reduce((acc, w) => acc + w, 0);
+                var i = 0;
+                for (; i < weights.length - 1 && pick >= weights[i]; i++) {
+                    pick -= weights[i];
+                }
+                return getProcVal(d.components[i]);
+            }
+        }
+    };
+    distributions.bimodal = distributions.mixture;
+
+    /**
+     * entryValid; private method - accessible only within simulator.
+     * Checks an interval or a distribution object from a process definition, with suffixes already handled. Precise
+     * values are checked by the callers, as their limits differ from field to field.
+     * @memberof Simulator
+     * @param  {(number[]|Object)} entry The interval or distribution to check.
+     * @return {boolean} True if the entry can be passed to getProcVal.
+     */
+    var entryValid = function(entry) {
+        if (entry instanceof Array) {
+            return entry.length === 2 && typeof(entry[0]) === "number" && typeof(entry[1]) === "number" &&
+                entry[0] <= entry[1];
+        } else if (!isDist(entry) || distributions[entry.dist] === undefined) {
+            return false;
+        }
+
+        var distDef = distributions[entry.dist];
+        for (let field of distDef.required) {
+            if (entry[field] === undefined) {
+                return false;
+            }
+        }
+        for (let field of distDef.required.concat(["min", "max"])) {
+            if (entry[field] !== undefined && field !== "samples" && field !== "components" &&
+                (typeof(entry[field]) !== "number" || !isFinite(entry[field]))) {
+                    return false;
+            }
+        }
+        if (entry.min !== undefined && entry.max !== undefined && entry.min > entry.max) {
+            return false;
+        }
+        return distDef.valid(entry);
+    }
+
+    /**
+     * sampleDist; private method - accessible only within simulator.
+     * Draws a value from a distribution object. Truncated distributions are sampled again until the value falls within
+     * the limits, and give up after a number of tries by clamping the value to them.
+     * @memberof Simulator
+     * @param  {Object} entry A valid distribution object.
+     * @return {number} The drawn value, not rounded.
+     */
+    var sampleDist = function(entry) {
+        var sample = distributions[entry.dist].sample;
+        var min = entry.min !== undefined ? entry.min : -Infinity;
+        var max = entry.max !== undefined ? entry.max : Infinity;
+
+        var value;
+        for (let tries = 0; tries < 100; tries++) {
+            value = sample(entry);
+            if (value >= min && value <= max) {
+                return value;
+            }
+        }
+        return Math.min(Math.max(value, min), max);
+    }
+
+
+    /**
+     * checkProcProp; private method - accessible only within simulator.
+     * Checks any additional property names that the user has added to the processes, either via configuration or via
+     * {@link index.html#simulatormodproc Simulator.modProc} method. Makes sure that the property names are valid and
+     * don't overwrite any existing properties that are essential for the proper functioning of the simulator. Out of
+     * all process properties, the exception that CAN be overwritten is "updated", since its there for the purposes of
+     * scheduling classes (it's mainly meant for timeslice calculations).
+     * @memberof Simulator
+     * @param  {(string | string[])} property A property name or array of names to be checked.
+     * @return {boolean} Returns true if all property names are valid (really just errors out otherwise).
+     */
+    var checkProcProp = function(property) {
+        var bannedNameList = [
+            "pid", "pname", "alive", "onRq", "waiting", "remainingRuntime", "cpu", "group", "policy", "schedClasss",
+            "spawned", "exited", "enqueued", "picked", "nextEvent", "strictEndEvent", "execCnt", "execTime", "waitTime",
+            "currBehavior", "nextBehIndex", "behavior", "execLog", "latencyLog", "runLog", "ppid", "children",
+            "waitingChildren", "ioRequest", "locksHeld", "lockWait", "lockWaitSince", "signalled", "deadlocked",
+            "basePriority", "lockClasses", "lockStats"];
+        if (typeof(property) === "string") {
+            if (bannedNameList.includes(property)) {
+                throw new Error("reserved process property discovered, please use another name: "+property);
+            }
+        } else if (property instanceof Array) {
+            for (let i = 0; i < property.length; i++) {
+                if (typeof(property[i]) !== "string") {
+                    throw new Error("process property with index "+i+" is of invalid type. Expected string, found "+typeof(property[i]));
+                }
+                if (bannedNameList.includes(property[i])) {
+                    throw new Error("reserved process property discovered, please use another name: "+property[i]);
+                }
+            }
+        } else {
+            throw new Error("process property of wrong type, expected string or string[], found: "+typeof(property))
+        }
+        return true;
+    }
+
+
+    /**
+     * selectCpu; private method - accessible only within simulator.
+     * Picks the CPU that a newly forked process will be assigned to. Processes that were pinned to a CPU in their
+     * definition keep it, others are placed on the CPU with the fewest runnable processes. Ties go to the CPU with the
+     * lowest number. The process also gets linked to the scheduling class instance of its new CPU.
+     * @memberof Simulator
+     * @param  {Process} proc The process that is being forked.
+     * @return {Cpu} The CPU that the process was placed on.
+     */
+    var selectCpu = function(proc) {
+        if (proc.cpu < 0) {
+            let minLoad = Infinity;
+            for (let i = 0; i < cpuList.length; i++) {
+                let load = 0;
+                for (let name in cpuList[i].schedClassActive) {
+                    load += cpuList[i].schedClassActive[name].nrRunning;
+                }
+                if (load < minLoad) {
+                    minLoad = load;
+                    proc.cpu = i;
+                }
+            }
+        }
+        proc.schedClass = cpuList[proc.cpu].schedClassActive[proc.policy];
+        return cpuList[proc.cpu];
+    }
+
+
+	/**
+	 * insertEvent; private method - accessible only within simulator.
+ 	 * Insert an event into the simulation queue at a precise time. This function should **ALWAYS** be used when pushing
  	 * an event into the tree, one should never insert into simulationQueue directly because doing so can overwrite any
  	 * events already set at that time. This function handles that by creating an array when more than one event is
  	 * scheduled at the same time. Similarly, for accessing events one should always use the provided functions (such
@@ -1303,6 +2220,7 @@ var Simulator = {};
  	 * @return {Event}	The same event.
  	 */
 	var insertEvent = function(evt) {
+        evt.setOn = sim.time();
         var putTime = evt.time;
         if (putTime < sim.time()) {
             throw new Error("cannot insert event at a time that has already passed.");
@@ -1433,6 +2351,27 @@ var Simulator = {};
 
 
 	/**
+     * runSincePick; private method - accessible only within simulator.
+     * Returns the time that a running process has spent running since it was last picked. If the process gets
+     * stopped while its CPU is still switching to it, the switch is cut short: its ContextSwitchEvent is removed, the
+     * part of the switch that already passed is counted as overhead and the process has not run at all.
+     * @memberof Simulator
+     * @param  {Process} proc The running process.
+     * @return {number} The time that the process ran for.
+     */
+    var runSincePick = function(proc) {
+        var now = sim.time();
+        var cpu = cpuList[proc.cpu];
+        if (cpu !== undefined && cpu.switchEvent !== null && cpu.switchEvent.process === proc) {
+            deleteEvent(cpu.switchEvent);
+            cpu.switchTime += now - cpu.switchEvent.setOn;
+            cpu.switchEvent = null;
+            proc.picked = now;
+        }
+        return now - proc.picked;
+    }
+
+    /**
 	 * handlePreempt; private method - accessible only within simulator.
 	 * Handle preemption of a processs depending on its end event (block or exit).
 	 * @memberof Simulator
@@ -1446,7 +2385,7 @@ var Simulator = {};
         var now = sim.time();
 
         /* Calculate last run time. */
-        var lastRun = now - proc.picked;
+        var lastRun = runSincePick(proc);
 		/* Decrease remaining runtime. */
 		proc.remainingRuntime -= lastRun;
 
@@ -1512,6 +2451,7 @@ var Simulator = {};
 
         /* Log the premption. */
         proc.execLog.push(new LogEntry(sim.time(), LogEvent.preempt));
+        emit("preempt", currentEvent, proc);
 
 		/* Special case preemption rules */
 		if (proc.nextEvent instanceof ExitEvent) {
@@ -1566,7 +2506,7 @@ var Simulator = {};
         /* mark the process as blocked */
         proc.runnable = false;
         /* update execution time sum */
-        let lastRun = now - proc.picked
+        let lastRun = runSincePick(proc);
         proc.picked = now;
 
         proc.execTime += lastRun;
@@ -1576,87 +2516,1061 @@ var Simulator = {};
         if (proc.onRq) {
             proc.schedClass.dequeue(proc);
         }
-        /* Set next event for the process that blocked. Check if it's an exit on simExec. */
-        let time = getProcVal(proc.currBehavior.block);
-        proc.nextEvent = insertEvent(new EnqueueEvent(now + time, proc));
+        /* the children of the burst get forked as it ends */
+        if (proc.currBehavior.fork instanceof Array) {
+            forkChildren(proc);
+        }
+        /* Set next event for the process that blocked. Check if it's an exit on simExec. A process that blocks on a
+         * device gets its next event once the device starts serving its request. A process that waits for its children
+         * gets it from the exit of the last one. */
+        if (proc.currBehavior.waitChildren === true && hasLiveChildren(proc)) {
+            proc.waitingChildren = true;
+            proc.nextEvent = null;
+        } else if (isDeviceRequest(proc.currBehavior.block)) {
+            submitRequest(proc, proc.currBehavior.block);
+        } else {
+            let time = getBurstVal(proc.currBehavior.block);
+            proc.nextEvent = insertEvent(new EnqueueEvent(now + time, proc));
+        }
+
+        /* log that the process blocked */
+        proc.execLog.push(new LogEntry(now, LogEvent.block));
+
+        proc.schedClass.nrRunning--;
+
+        /* the burst is over, let go of the locks it doesn't hold on to and signal the waiting processes */
+        releaseLocks(proc, proc.currBehavior.hold);
+        signalConditions(proc);
+
+        emit("block", evt, proc);
+    }
+
+    /**
+	 * handleExit; private method - accessible only within simulator.
+	 * Handle an event exiting. This method is called either from {@link index.html#simulatorrun Simulator.run()} or
+	 * {@link index.html#simulatorhandlepreempt handlePreempt()}.
+	 * @memberof Simulator
+	 * @param  {ExitEvent} evt The exit event that needs to be handled.
+	 */
+    var handleExit = function(evt) {
+        var now = sim.time();
+        var proc = evt.process;
+        /* mark as dead */
+        proc.runnable = false;
+        proc.alive = false;
+        /* set exit time */
+        proc.exited = now;
+        /* dequeue if currently enqueued */
+        if (proc.onRq) {
+            proc.schedClass.dequeue(proc);
+        }
+        /* remove any potential nextEvent that was set for the process, this matters when exiting via strictEndEvent */
+        if (proc.nextEvent !== evt && proc.nextEvent instanceof Event && proc.nextEvent.time >= now) {
+            deleteEvent(proc.nextEvent);
+        }
+        /* withdraw the process's device request, if it was blocked on one */
+        if (proc.ioRequest !== null) {
+            cancelRequest(proc);
+        }
+        /* Log the process exit. */
+        proc.execLog.push(new LogEntry(now, LogEvent.exit));
+        /* Decrement the live process count. */
+        liveProcessCount--;
+
+        if (proc === cpuList[proc.cpu].curr) {    /* handle the case where the exiting process was currently executing */
+            /* Zero out remaining runtime. This is necessary so that sim.pickNext() doesn't see remaining
+             * runtime on previous process (this one) and assume that it was preempted. If it does, it will
+             * enqueue it again, which is bad, because we want it to exit. If we decide that the remaining
+             * runtime on exit is something that we want to know, we can store the following somewhere:
+             * var procFinalRuntime = evt.process.remainingRuntime - (sim.time() - evt.process.picked);
+             * Update: the above issue was fixed with "process.alive" check, but let's keep it zeroed out as
+             * extra precaution.
+             */
+            proc.remainingRuntime = 0;
+            /* Update execution time sum. */
+            let lastRun = runSincePick(proc);
+            proc.picked = now;
+            proc.execTime += lastRun;
+            proc.runLog.push(lastRun);
+            /* it no longer counts as runnable in its class */
+            proc.schedClass.nrRunning--;
+            /* Don't pick the next event here, that's done outside this function. */
+
+        } else if (proc.waiting) {  /* handle the case where the exiting process was currently waiting */
+            let pWaitTime = now - proc.enqueued;
+
+            /* Log the time that the process spent waiting. */
+            proc.latencyLog.push(pWaitTime);
+            proc.waitTime += pWaitTime;
+            proc.waiting = false;
+
+            /* Update latency sum. */
+            proc.schedClass.latencySum += (now - proc.schedClass.latencyUpdate) * proc.schedClass.nrWaiting;
+            proc.schedClass.latencyUpdate = now;
+            /* Subtract the process's wait time from latency sum. */
+            proc.schedClass.latencySum -= pWaitTime;
+            /* Decrease the numbers of waiting & running processes. */
+            proc.schedClass.nrWaiting--;
+            proc.schedClass.nrRunning--;
+        }
+
+        /* stop waiting for a lock and let go of the held ones */
+        if (proc.lockWait !== null) {
+            cancelLockWait(proc);
+        }
+        releaseLocks(proc, false);
+        /* the remaining processes might now have nobody left to wake them up */
+        checkDeadlock();
+
+        /* a parent that waits for its children wakes up once the last one exits */
+        proc.waitingChildren = false;
+        let parent = procList[proc.ppid];
+        if (parent !== undefined && parent.waitingChildren && !hasLiveChildren(parent)) {
+            parent.waitingChildren = false;
+            parent.nextEvent = insertEvent(new EnqueueEvent(now, parent));
+        }
+
+        emit("exit", evt, proc);
+    }
+
+
+    /**
+     * isDeviceRequest; private method - accessible only within simulator.
+     * Tells apart block entries that are requests to a device from block times.
+     * @memberof Simulator
+     * @param  {any} entry A block entry from a process definition.
+     * @return {boolean} True if the entry is a device request.
+     */
+    var isDeviceRequest = function(entry) {
+        return entry !== null && typeof(entry) === "object" && !(entry instanceof Array) &&
+            typeof(entry.device) === "string";
+    }
+
+    /**
+     * handleSize; private method - accessible only within simulator.
+     * Converts an amount of data, such as "4KB", to bytes. Numbers are taken as bytes, the units B, KB, MB and GB are
+     * powers of 1024. Intervals get both of their values converted.
+     * @memberof Simulator
+     * @param  {(number|string|Array)} entry The amount of data or an interval of amounts.
+     * @param  {string} location A description of the entry's location to be used in case of errors.
+     * @return {(number|number[])} The amount in bytes, or an interval of amounts.
+     */
+    var handleSize = function(entry, location) {
+        if (entry instanceof Array) {
+            return entry.map(value => handleSize(value, location));
+        } else if (typeof(entry) === "number") {
+            return entry;
+        }
+
+        var analysis = /^\s*(\d*)[.,]*(\d*)\s*(|b|bytes?|k|kb|kib|m|mb|mib|g|gb|gib)\s*$/i.exec(entry);
+        if (typeof(entry) !== "string" || analysis === null || analysis[1] + analysis[2] === "") {
+            throw new Error("invalid amount of data found in " + location + ": " + entry);
+        }
+        var scale = {"": 1, b: 1, k: 1024, m: 1048576, g: 1073741824}[analysis[3].charAt(0).toLowerCase()];
+        return Math.round(parseFloat(analysis[1] + "." + analysis[2]) * scale);
+    }
+
+    /**
+     * handleBlockEntry; private method - accessible only within simulator.
+     * Prepares the block entry of a process behavior. Block times get their suffixes handled, device requests get
+     * checked against the loaded devices and their size converted to bytes.
+     * @memberof Simulator
+     * @param  {any} entry The block entry.
+     * @param  {string} location A description of the entry's location to be used in case of errors.
+     * @return {any} The converted entry.
+     */
+    var handleBlockEntry = function(entry, location) {
+        if (!isDeviceRequest(entry)) {
+            return sim.handleSuffix(entry, location);
+        }
+
+        var device = devices[entry.device];
+        if (device === undefined) {
+            throw new Error("unknown device \"" + entry.device + "\" found in " + location + ". Devices need to be " +
+                "declared in the \"devices\" field of the simulation definition.");
+        }
+        if (entry.request !== undefined) {
+            if (device.bandwidth === 0) {
+                throw new Error("the request in " + location + " has a size, but device \"" + entry.device +
+                    "\" has no bandwidth to transfer it with.");
+            }
+            entry.request = handleSize(entry.request, location + ", request size");
+            if (typeof(entry.request) === "number" ? entry.request < 0 :
+                !entryValid(entry.request) || entry.request[0] < 0) {
+                    throw new Error("invalid request size found in " + location + ": " + JSON.stringify(entry.request));
+            }
+        }
+        return entry;
+    }
+
+    /* Queueing disciplines of devices. Each one returns the index of the request in the queue that gets served next. */
+    var disciplines = {
+        /* first come, first served */
+        fifo: function(queue) {
+            return 0;
+        },
+        /* the shortest request first, equal ones in the order of arrival */
+        sjf: function(queue) {
+            let next = 0;
+            for (let i = 1; i < queue.length; i++) {
+                if (queue[i].service < queue[next].service) {
+                    next = i;
+                }
+            }
+            return next;
+        },
+        /* the request of the process with the highest priority (lowest number) first, equal ones in the order of
+         * arrival */
+        priority: function(queue) {
+            let next = 0;
+            for (let i = 1; i < queue.length; i++) {
+                if (queue[i].process.currBehavior.priority < queue[next].process.currBehavior.priority) {
+                    next = i;
+                }
+            }
+            return next;
+        }
+    };
+
+    /**
+     * submitRequest; private method - accessible only within simulator.
+     * Queues the request of a process that blocked on a device. The service time of the request is decided right away,
+     * the device starts serving it immediately if it's idle.
+     * @memberof Simulator
+     * @param  {Process} proc The process that blocked.
+     * @param  {Object} entry The device request from the process's block entry.
+     */
+    var submitRequest = function(proc, entry) {
+        var device = devices[entry.device];
+        var service = device.service !== 0 ? getProcVal(device.service) : 0;
+        var size = 0;
+        if (entry.request !== undefined) {
+            size = getProcVal(entry.request);
+            service += Math.round(size / device.bandwidth * 1000000000);
+        }
+
+        proc.ioRequest = {
+            device: device.name,
+            process: proc,
+            size: size,
+            service: Math.max(service, 1),
+            arrived: sim.time(),
+            event: null
+        };
+        proc.nextEvent = null;
+        device.queue.push(proc.ioRequest);
+        if (device.current === null) {
+            startRequest(device);
+        }
+    }
+
+    /**
+     * startRequest; private method - accessible only within simulator.
+     * Takes the next request off the queue of an idle device, as decided by its queueing discipline, and starts serving
+     * it. The process that made the request gets an enqueue event at the time the request will be done.
+     * @memberof Simulator
+     * @param  {Device} device The device.
+     */
+    var startRequest = function(device) {
+        var now = sim.time();
+        var req = device.queue.splice(disciplines[device.discipline](device.queue), 1)[0];
+
+        device.waitSum += now - req.arrived;
+        device.waitMax = Math.max(device.waitMax, now - req.arrived);
+        device.started++;
+        device.current = req;
+        device.busySince = now;
+
+        req.event = insertEvent(new EnqueueEvent(now + req.service, req.process));
+        req.process.nextEvent = req.event;
+    }
+
+    /**
+     * finishRequest; private method - accessible only within simulator.
+     * Called when a process whose request was being served wakes up. Frees the device and starts serving the next
+     * request in its queue.
+     * @memberof Simulator
+     * @param  {Process} proc The process whose request is done.
+     */
+    var finishRequest = function(proc) {
+        var device = devices[proc.ioRequest.device];
+        device.busyTime += sim.time() - device.busySince;
+        device.finished++;
+        device.current = null;
+        proc.ioRequest = null;
+
+        if (device.queue.length > 0) {
+            startRequest(device);
+        }
+    }
+
+    /**
+     * cancelRequest; private method - accessible only within simulator.
+     * Withdraws the request of a process that exited while blocked on a device. A waiting request is just removed from
+     * the queue, a request that was being served frees the device for the next one.
+     * @memberof Simulator
+     * @param  {Process} proc The process that exited.
+     */
+    var cancelRequest = function(proc) {
+        var req = proc.ioRequest;
+        var device = devices[req.device];
+        proc.ioRequest = null;
+
+        if (device.current !== req) {
+            device.queue.splice(device.queue.indexOf(req), 1);
+            return;
+        }
+
+        /* handleExit already removed the enqueue event if the process still held on to it */
+        if (req.event !== proc.nextEvent) {
+            deleteEvent(req.event);
+        }
+        device.busyTime += sim.time() - device.busySince;
+        device.current = null;
+        if (device.queue.length > 0) {
+            startRequest(device);
+        }
+    }
+
+    /* The fields of process behaviors that work with locks. */
+    var lockFields = ["acquire", "hold", "wait", "signal", "broadcast"];
+
+    /**
+     * handleLockEntry; private method - accessible only within simulator.
+     * Checks the lock fields of a behavior entry against the loaded locks and turns single lock names into lists.
+     * "acquire" and "hold" take mutexes and semaphores, "hold" can also be true to keep all the held locks or false to
+     * keep none. "wait" takes a single condition, or null to stop waiting, "signal" and "broadcast" take conditions.
+     * @memberof Simulator
+     * @param  {Object} entry A behavior entry.
+     * @param  {string} location A description of the entry's location to be used in case of errors.
+     * @return {number} The number of lock fields found in the entry.
+     */
+    var handleLockEntry = function(entry, location) {
+        var found = 0;
+        for (let field of lockFields) {
+            if (entry[field] === undefined) {
+                continue;
+            }
+            found++;
+            if (field === "wait" && entry[field] === null || field === "hold" && typeof(entry[field]) === "boolean") {
+                continue;
+            }
+
+            if (typeof(entry[field]) === "string" && field !== "wait") {
+                entry[field] = [entry[field]];
+            }
+            let names = field === "wait" ? [entry[field]] : entry[field];
+            if (!(names instanceof Array) || field === "wait" && typeof(entry[field]) !== "string") {
+                throw new Error('invalid "' + field + '" field found in ' + location + ", needs to be a lock name" +
+                    (field === "wait" ? "." : " or a list of them."));
+            }
+
+            let types = field === "acquire" || field === "hold" ? ["mutex", "semaphore"] : ["condition"];
+            for (let name of names) {
+                if (typeof(name) !== "string" || locks[name] === undefined) {
+                    throw new Error('unknown lock "' + name + '" found in ' + location + ', "' + field + '" field. ' +
+                        'Locks need to be declared in the "locks" field of the simulation definition.');
+                } else if (!types.includes(locks[name].type)) {
+                    throw new Error('the "' + field + '" field in ' + location + " needs " +
+                        (types.length > 1 ? "a mutex or a semaphore" : "a condition") + ', but "' + name + '" is a ' +
+                        locks[name].type + ".");
+                }
+            }
+        }
+        return found;
+    }
+
+    /**
+     * behaviorDue; private method - accessible only within simulator.
+     * Tells whether the switch condition of a behavior entry is met, which makes the process switch to it the next time
+     * it's picked.
+     * @memberof Simulator
+     * @param  {Process} proc The process.
+     * @param  {Object} beh A behavior entry of the process.
+     * @param  {number} now The current simulation time.
+     * @return {boolean} True if the condition is met.
+     */
+    var behaviorDue = function(proc, beh, now) {
+        return beh.procExec !== undefined && proc.execTime >= beh.procExec ||
+            beh.simExec  !== undefined && now >= beh.simExec ||
+            beh.execCnt  !== undefined && proc.execCnt >= beh.execCnt;
+    }
+
+    /**
+     * lockField; private method - accessible only within simulator.
+     * Returns a lock field of the behavior that the process will have in its next burst. Locks are taken when the
+     * process wakes up, before it's picked and switches to a new behavior, so a behavior entry that is due already has
+     * its lock fields used.
+     * @memberof Simulator
+     * @param  {Process} proc The process that woke up.
+     * @param  {string} field The name of the field.
+     * @return {any} The value of the field, undefined if the process doesn't use it.
+     */
+    var lockField = function(proc, field) {
+        var nextBeh = proc.behavior[proc.nextBehIndex];
+        if (nextBeh !== undefined && !nextBeh.final && nextBeh[field] !== undefined &&
+            behaviorDue(proc, nextBeh, sim.time())) {
+                return nextBeh[field];
+        }
+        return proc.currBehavior[field];
+    }
+
+    /**
+     * takeLocks; private method - accessible only within simulator.
+     * Called when a process wakes up. Waits for the condition of the process's behavior, if it has one, then takes the
+     * locks in its "acquire" field, in order.
+     * @memberof Simulator
+     * @param  {Process} proc The process that woke up.
+     * @return {boolean} True if the process got everything it needs and can run, false if it has to wait.
+     */
+    var takeLocks = function(proc) {
+        var wait = lockField(proc, "wait");
+        if (typeof(wait) === "string" && !proc.signalled) {
+            waitForLock(proc, wait);
+            return false;
+        }
+
+        var acquire = lockField(proc, "acquire");
+        if (acquire !== undefined) {
+            for (let name of acquire) {
+                if (proc.locksHeld.some(held => held.lock === name)) {
+                    continue;
+                } else if (locks[name].value > 0) {
+                    grantLock(proc, locks[name]);
+                } else {
+                    waitForLock(proc, name);
+                    return false;
+                }
+            }
+        }
+
+        proc.signalled = false;
+        return true;
+    }
+
+    /**
+     * grantLock; private method - accessible only within simulator.
+     * Gives a free lock to a process.
+     * @memberof Simulator
+     * @param  {Process} proc The process that takes the lock.
+     * @param  {Lock} lock The lock.
+     */
+    var grantLock = function(proc, lock) {
+        lock.value--;
+        lock.holders.push(proc);
+        proc.locksHeld.push({lock: lock.name, since: sim.time()});
+        proc.lockStats.acquired++;
+
+        updatePriority(proc);
+    }
+
+    /**
+     * waitForLock; private method - accessible only within simulator.
+     * Makes a process that woke up wait for a lock or a condition. The process stays blocked, without a next event,
+     * until the lock is handed over to it or the condition is signalled.
+     * @memberof Simulator
+     * @param  {Process} proc The process.
+     * @param  {string} name The name of the lock or condition.
+     */
+    var waitForLock = function(proc, name) {
+        var lock = locks[name];
+        proc.lockWait = name;
+        proc.lockWaitSince = sim.time();
+        proc.lockStats.waits++;
+        proc.nextEvent = null;
+        lock.waiters.push(proc);
+        proc.execLog.push(new LogEntry(sim.time(), LogEvent.lock));
+
+        /* the holders might need to borrow the priority of the new waiter */
+        for (let holder of lock.holders) {
+            updatePriority(holder);
+        }
+        checkDeadlock();
+    }
+
+    /**
+     * endLockWait; private method - accessible only within simulator.
+     * Takes a process off the waiting list of the lock or condition that it waits for and logs the time it waited.
+     * @memberof Simulator
+     * @param  {Process} proc The waiting process.
+     */
+    var endLockWait = function(proc) {
+        var lock = locks[proc.lockWait];
+        var waited = sim.time() - proc.lockWaitSince;
+
+        lock.waiters.splice(lock.waiters.indexOf(proc), 1);
+        proc.lockStats.waitTime += waited;
+        proc.lockStats.waitMax = Math.max(proc.lockStats.waitMax, waited);
+        proc.lockWait = null;
+        proc.deadlocked = false;
+    }
+
+    /**
+     * cancelLockWait; private method - accessible only within simulator.
+     * Withdraws a process that exited while waiting for a lock. The holders of the lock no longer need its priority.
+     * @memberof Simulator
+     * @param  {Process} proc The process that exited.
+     */
+    var cancelLockWait = function(proc) {
+        var lock = locks[proc.lockWait];
+        endLockWait(proc);
+
+        for (let holder of lock.holders) {
+            updatePriority(holder);
+        }
+    }
+
+    /**
+     * releaseLocks; private method - accessible only within simulator.
+     * Lets go of the locks that a process holds, in the reverse order of taking them. A released lock is handed over
+     * to the most important of its waiting processes, which wakes up right away.
+     * @memberof Simulator
+     * @param  {Process} proc The process whose burst ended, or that exited.
+     * @param  {(undefined|boolean|string[])} keep The "hold" field of the process's behavior: the locks that stay
+     * held, or true to keep all of them.
+     */
+    var releaseLocks = function(proc, keep) {
+        if (keep === true || proc.locksHeld.length === 0) {
+            return;
+        }
+
+        var now = sim.time();
+        for (let i = proc.locksHeld.length - 1; i >= 0; i--) {
+            let held = proc.locksHeld[i];
+            if (keep instanceof Array && keep.includes(held.lock)) {
+                continue;
+            }
+
+            let lock = locks[held.lock];
+            proc.locksHeld.splice(i, 1);
+            lock.holders.splice(lock.holders.indexOf(proc), 1);
+            lock.value++;
+            proc.lockStats.holdTime += now - held.since;
+            proc.lockStats.holdMax = Math.max(proc.lockStats.holdMax, now - held.since);
+
+            if (lock.waiters.length > 0) {
+                let next = nextWaiter(lock);
+                endLockWait(next);
+                grantLock(next, lock);
+                next.nextEvent = insertEvent(new EnqueueEvent(now, next));
+            }
+        }
+
+        /* drop any priority that was lent for the released locks */
+        updatePriority(proc);
+    }
+
+    /**
+     * signalConditions; private method - accessible only within simulator.
+     * Signals the conditions in the "signal" and "broadcast" fields of a process's behavior at the end of its burst.
+     * A signal wakes up the most important waiting process, a broadcast all of them. Signals that nobody waits for are
+     * lost.
+     * @memberof Simulator
+     * @param  {Process} proc The process whose burst ended.
+     */
+    var signalConditions = function(proc) {
+        var now = sim.time();
+        for (let field of ["signal", "broadcast"]) {
+            if (proc.currBehavior[field] === undefined) {
+                continue;
+            }
+
+            for (let name of proc.currBehavior[field]) {
+                let lock = locks[name];
+                let count = field === "signal" ? Math.min(lock.waiters.length, 1) : lock.waiters.length;
+                for (let i = 0; i < count; i++) {
+                    let next = nextWaiter(lock);
+                    endLockWait(next);
+                    next.signalled = true;
+                    next.nextEvent = insertEvent(new EnqueueEvent(now, next));
+                }
+            }
+        }
+    }
+
+    /**
+     * currentPriority; private method - accessible only within simulator.
+     * Returns the scheduling class and priority that a process currently runs with.
+     * @memberof Simulator
+     * @param  {Process} proc The process.
+     * @return {Object} {policy, priority}
+     */
+    var currentPriority = function(proc) {
+        return {policy: proc.schedClass.name, priority: proc.currBehavior.priority};
+    }
+
+    /**
+     * outranks; private method - accessible only within simulator.
+     * Compares two priorities of the form {policy, priority}. The priority of a scheduling class that comes first in
+     * the class priority order is always higher, within the same class a lower number means a higher priority.
+     * @memberof Simulator
+     * @param  {Object} a The first priority.
+     * @param  {Object} b The second priority.
+     * @return {boolean} True if a is higher than b.
+     */
+    var outranks = function(a, b) {
+        var classA = schedClassPrio.indexOf(a.policy);
+        var classB = schedClassPrio.indexOf(b.policy);
+        return classA < classB || classA === classB && a.priority < b.priority;
+    }
+
+    /**
+     * nextWaiter; private method - accessible only within simulator.
+     * Returns the waiting process of a lock or condition with the highest priority, the one that waited the longest
+     * among equals.
+     * @memberof Simulator
+     * @param  {Lock} lock The lock.
+     * @return {Process} The waiting process.
+     */
+    var nextWaiter = function(lock) {
+        var next = lock.waiters[0];
+        for (let i = 1; i < lock.waiters.length; i++) {
+            if (outranks(currentPriority(lock.waiters[i]), currentPriority(next))) {
+                next = lock.waiters[i];
+            }
+        }
+        return next;
+    }
+
+    /**
+     * lockCeiling; private method - accessible only within simulator.
+     * Returns the priority ceiling of a lock, the highest priority of the processes that take it.
+     * @memberof Simulator
+     * @param  {Lock} lock The lock.
+     * @return {Object} The ceiling in the form {policy, priority}.
+     */
+    var lockCeiling = function(lock) {
+        var ceiling = null;
+        for (let user of lock.users) {
+            if (ceiling === null || outranks(user, ceiling)) {
+                ceiling = user;
+            }
+        }
+        return ceiling;
+    }
+
+    /**
+     * lockPriority; private method - accessible only within simulator.
+     * Decides the scheduling class and priority that a process should run with under the lock protocol. With
+     * priority inheritance, a process that holds mutexes runs with the highest priority of the processes that wait for
+     * them, with priority ceilings it runs with the ceilings of the mutexes. It never runs with a priority lower than
+     * its own.
+     * @memberof Simulator
+     * @param  {Process} proc The process.
+     * @return {Object} The new priority in the form {policy, priority}, null if the process already runs with it.
+     */
+    var lockPriority = function(proc) {
+        var target = {
+            policy: proc.policy,
+            priority: proc.basePriority !== null ? proc.basePriority : proc.currBehavior.priority
+        };
+        for (let held of proc.locksHeld) {
+            let lock = locks[held.lock];
+            if (lock.type !== "mutex") {
+                continue;
+            }
+
+            let lent = lockProtocol === "ceiling" ? [lockCeiling(lock)] : lock.waiters.map(currentPriority);
+            for (let prio of lent) {
+                if (outranks(prio, target)) {
+                    target = prio;
+                }
+            }
+        }
+
+        if (target.policy === proc.schedClass.name && target.priority === proc.currBehavior.priority) {
+            return null;
+        }
+        return target;
+    }
+
+    /**
+     * setPriority; private method - accessible only within simulator.
+     * Moves a process that isn't running to a new scheduling class or priority. A process that waits on a runqueue
+     * is dequeued from its old class and enqueued into the new one, taking its share of the classes' latency along.
+     * The process's own priority is kept in Process.basePriority for as long as it runs with a different one.
+     * @memberof Simulator
+     * @param  {Process} proc The process.
+     * @param  {Object} target The new priority in the form {policy, priority}.
+     */
+    var setPriority = function(proc, target) {
+        var now = sim.time();
+        var cpu = thisCpu;
+        thisCpu = cpuList[proc.cpu];
+        var from = proc.schedClass;
+        var to = thisCpu.schedClassActive[target.policy];
+
+        if (proc.onRq) {
+            from.dequeue(proc);
+        }
+        if (proc.runnable) {
+            from.nrRunning--;
+            to.nrRunning++;
+            if (proc.waiting) {
+                let waited = now - proc.enqueued;
+                from.latencySum += (now - from.latencyUpdate) * from.nrWaiting - waited;
+                from.latencyUpdate = now;
+                from.nrWaiting--;
+                to.latencySum += (now - to.latencyUpdate) * to.nrWaiting + waited;
+                to.latencyUpdate = now;
+                to.nrWaiting++;
+            }
+        }
+
+        var base = proc.basePriority !== null ? proc.basePriority : proc.currBehavior.priority;
+        proc.basePriority = target.policy === proc.policy && target.priority === base ? null : base;
+        proc.currBehavior.priority = target.priority;
+        proc.schedClass = to;
+
+        if (proc.runnable) {
+            to.enqueue(proc);
+        }
+        thisCpu = cpu;
+    }
+
+    /**
+     * updatePriority; private method - accessible only within simulator.
+     * Brings the priority of a process in line with the lock protocol, after it took or released a lock or the
+     * waiters of its locks changed. A waiting process that got a higher priority can preempt the running one, a
+     * running process is rescheduled and changes its priority on the way off the CPU. The change is passed on to the
+     * holders of the lock that the process waits for, if any.
+     * @memberof Simulator
+     * @param  {Process} proc The process.
+     */
+    var updatePriority = function(proc) {
+        if (lockProtocol === "none") {
+            return;
+        }
+        var target = lockPriority(proc);
+        if (target === null) {
+            return;
+        }
+
+        var cpu = thisCpu;
+        if (proc.runnable && cpuList[proc.cpu].curr === proc) {
+            thisCpu = cpuList[proc.cpu];
+            sim.pickNext();
+            thisCpu = cpu;
+            return;
+        }
+
+        setPriority(proc, target);
+        if (proc.runnable) {
+            thisCpu = cpuList[proc.cpu];
+            sim.checkPreempt(proc);
+            thisCpu = cpu;
+        } else if (proc.lockWait !== null) {
+            for (let holder of locks[proc.lockWait].holders) {
+                updatePriority(holder);
+            }
+        }
+    }
+
+    /**
+     * checkDeadlock; private method - accessible only within simulator.
+     * Looks for processes that wait for locks that will never be released, because their holders wait for each other.
+     * Newly found ones are recorded in the simulation's deadlocks. If all the live processes wait for locks or
+     * conditions, nothing can wake them up anymore and the simulation ends at the current time.
+     * @memberof Simulator
+     */
+    var checkDeadlock = function() {
+        var now = sim.time();
+        var waiting = procList.filter(proc => proc.lockWait !== null);
+        if (waiting.length === 0) {
+            return;
+        }
+
+        var stuck = waiting;
+        if (waiting.length < liveProcessCount) {
+            /* Keep dropping the processes that wait for a lock with a holder that can still go on, the ones left wait
+             * for each other. Conditions have no holders, anybody could signal them. */
+            stuck = waiting.filter(proc => locks[proc.lockWait].type !== "condition");
+            let dropped = true;
+            while (dropped) {
+                let left = stuck.filter(proc => locks[proc.lockWait].holders.length > 0 &&
+                    locks[proc.lockWait].holders.every(holder => stuck.includes(holder)));
+                dropped = left.length < stuck.length;
+                stuck = left;
+            }
+        }
+
+        var found = stuck.filter(proc => !proc.deadlocked);
+        if (found.length > 0) {
+            for (let proc of found) {
+                proc.deadlocked = true;
+            }
+            deadlocks.push({
+                time: now,
+                processes: found.map(proc => proc.pid),
+                locks: Array.from(new Set(found.map(proc => proc.lockWait)))
+            });
+        }
+
+        if (waiting.length === liveProcessCount && simulationLen > now) {
+            simulationLen = now;
+            insertEvent(new SimStopEvent(now));
+        }
+    }
+
+    /* The fields of process behaviors that fork children and wait for them. */
+    var forkFields = ["fork", "waitChildren"];
+
+    /**
+     * handleForkEntry; private method - accessible only within simulator.
+     * Checks the fork fields of a behavior entry. "fork" takes the name of a process template, an object with the name
+     * and the number of children to fork from it ({template, count}), or a list of either, and is turned into a list of
+     * such objects. The count can be a number, an interval or a distribution and is 1 when left out. "fork" can also be
+     * null to stop forking. "waitChildren" needs to be true or false.
+     * @memberof Simulator
+     * @param  {Object} entry A behavior entry.
+     * @param  {string} location A description of the entry's location to be used in case of errors.
+     * @return {number} The number of fork fields found in the entry.
+     */
+    var handleForkEntry = function(entry, location) {
+        var found = 0;
+        if (entry.waitChildren !== undefined) {
+            found++;
+            if (typeof(entry.waitChildren) !== "boolean") {
+                throw new Error('invalid "waitChildren" field found in ' + location + ", needs to be true or false.");
+            }
+        }
+        if (entry.fork === undefined) {
+            return found;
+        }
+        found++;
+        if (entry.fork === null) {
+            return found;
+        }
+
+        var forks = entry.fork instanceof Array ? entry.fork : [entry.fork];
+        entry.fork = forks.map(function(fork) {
+            if (typeof(fork) === "string") {
+                fork = {template: fork};
+            }
+            if (fork === null || typeof(fork) !== "object" || typeof(fork.template) !== "string") {
+                throw new Error('invalid "fork" field found in ' + location + ", needs to be a template name, an " +
+                    "object with a template name and a count, or a list of them.");
+            } else if (templates[fork.template] === undefined) {
+                throw new Error('unknown template "' + fork.template + '" found in ' + location + ', "fork" field. ' +
+                    'Templates need to be declared in the "templates" field of the simulation definition.');
+            }
+
+            var count = fork.count !== undefined ? fork.count : 1;
+            if (typeof(count) === "number" ? !Number.isInteger(count) || count < 0 :
+                !entryValid(count) || count instanceof Array && count[0] < 0) {
+                    throw new Error('invalid child count found in ' + location + ', "fork" field: ' +
+                        JSON.stringify(count) + ". Needs to be a whole number, an interval or a distribution.");
+            }
+            return {template: fork.template, count: count};
+        });
+        return found;
+    }
+
+    /**
+     * deadlineFields; private variable - accessible only within simulator.
+     * The names of the behavior fields that give the reservation of a process under a deadline scheduling class.
+     * @memberof Simulator
+     * @type {string[]}
+     */
+    var deadlineFields = ["runtime", "deadline", "period"];
+
+    /**
+     * handleDeadlineEntry; private method - accessible only within simulator.
+     * Checks the deadline fields of a behavior entry and converts their time suffixes. Each of "runtime", "deadline"
+     * and "period" needs to be a single time larger than 0, whether they fit together is up to the class that uses them.
+     * @memberof Simulator
+     * @param  {Object} entry A behavior entry.
+     * @param  {string} location A description of the entry's location to be used in case of errors.
+     * @return {number} The number of deadline fields found in the entry.
+     */
+    var handleDeadlineEntry = function(entry, location) {
+        var found = 0;
+        for (let field of deadlineFields) {
+            if (entry[field] === undefined) {
+                continue;
+            }
+            found++;
+            entry[field] = sim.handleSuffix(entry[field], location + ', "' + field + '" field');
+            if (typeof(entry[field]) !== "number" || entry[field] <= 0) {
+                throw new Error('invalid "' + field + '" field found in ' + location + ", needs to be a single time " +
+                    "larger than 0.");
+            }
+        }
+        return found;
+    }
+
+    /**
+     * shareFields; private variable - accessible only within simulator.
+     * The names of the behavior fields that change the tickets of a process under a proportional-share scheduling
+     * class: "tickets" sets its own number of tickets (ticket inflation), "transfer" names the process that gets them
+     * while it's blocked (ticket transfer).
+     * @memberof Simulator
+     * @type {string[]}
+     */
+    var shareFields = ["tickets", "transfer"];
+
+    /**
+     * handleShareEntry; private method - accessible only within simulator.
+     * Checks the proportional-share fields of a behavior entry. "tickets" needs to be a positive integer, "transfer"
+     * the name of a process or null, to stop transferring.
+     * @memberof Simulator
+     * @param  {Object} entry A behavior entry.
+     * @param  {string} location A description of the entry's location to be used in case of errors.
+     * @return {number} The number of proportional-share fields found in the entry.
+     */
+    var handleShareEntry = function(entry, location) {
+        var found = 0;
+        if (entry.tickets !== undefined) {
+            found++;
+            if (!Number.isInteger(entry.tickets) || entry.tickets < 1) {
+                throw new Error('invalid "tickets" field found in ' + location + ", needs to be a positive integer.");
+            }
+        }
+        if (entry.transfer !== undefined) {
+            found++;
+            if (entry.transfer !== null && (typeof(entry.transfer) !== "string" || entry.transfer === "")) {
+                throw new Error('invalid "transfer" field found in ' + location + ", needs to be the name of a " +
+                    "process or null.");
+            }
+        }
+        return found;
+    }
+
+    /**
+     * loadPriorities; private method - accessible only within simulator.
+     * Translates the priorities in the behavior of a process or template into the ones that its scheduling class works
+     * with, see SchedClass.definitionPriority().
+     * @memberof Simulator
+     * @param  {Object[]} behavior The behavior, a copy of the one from the definition.
+     * @param  {string} policy The name of the scheduling class.
+     * @param  {string} where The process or template, for error messages.
+     */
+    var loadPriorities = function(behavior, policy, where) {
+        for (let beh of behavior) {
+            if (typeof(beh.priority) === "number") {
+                beh.priority = schedClassRegistered[policy].definitionPriority(beh.priority, where);
+            }
+        }
+    }
+
+    /**
+     * createProcess; private method - accessible only within simulator.
+     * Creates a process from a checked process or template definition, with its policy, behavior, CPU and custom
+     * fields set. Its timestamps and the event that forks it are left to the caller.
+     * @memberof Simulator
+     * @param  {Object} procDef The process or template definition.
+     * @param  {number} pid The PID of the new process.
+     * @param  {string} procName The name of the new process.
+     * @return {Process} The new process.
+     */
+    var createProcess = function(procDef, pid, procName) {
+        var newProc = new Process(pid, procName);
+
+        /* pin the process to a CPU if requested, otherwise it gets placed when it's forked */
+        if (procDef.cpu !== undefined) {
+            newProc.cpu = procDef.cpu;
+        }
+        /* the control group of the process, the root one if none is given */
+        if (procDef.group !== undefined) {
+            newProc.group = procDef.group;
+        }
+
+        /* set sched policy and sched class reference */
+        if (typeof(procDef.policy) === "string") {
+            newProc.policy = procDef.policy;
+            newProc.schedClass = schedClassRegistered[procDef.policy];
+        } else {
+            newProc.policy = schedClassName;
+            newProc.schedClass = schedClassRegistered[schedClassName];
+        }
+
+        /* Set behavior. The behaviors need to be deep copied. Otherwise, behavior updates change the values in
+         * definition and mess up subsequent runs in multiRun mode. */
+        newProc.behavior = JSON.parse(JSON.stringify(procDef.behavior));
+        loadPriorities(newProc.behavior, newProc.policy, "process with PID " + pid);
+        newProc.currBehavior = newProc.behavior[0];
+        newProc.nextBehIndex = 1;
+
+        /* set final values of behavior execution conditions */
+        for (let j = 1; j < newProc.behavior.length; j++) {
+            if (typeof(newProc.behavior[j].procExec) === "object") {
+                newProc.behavior[j].procExec = getProcVal(newProc.behavior[j].procExec);
+            } else if (typeof(newProc.behavior[j].simExec) === "object") {
+                newProc.behavior[j].simExec = getProcVal(newProc.behavior[j].simExec);
+            } else if (typeof(newProc.behavior[j].execCnt) === "object") {
+                newProc.behavior[j].execCnt = getProcVal(newProc.behavior[j].execCnt);
+            }
+        }
 
-        /* log that the process blocked */
-        proc.execLog.push(new LogEntry(now, LogEvent.block));
+        /* add the properties from "custom" field into the process */
+        if (procDef.custom instanceof Object) {
+            for (let prop in procDef.custom) {
+                newProc[prop] = procDef.custom[prop];
+            }
+        }
 
-        proc.schedClass.nrRunning--;
+        return newProc;
     }
 
     /**
-	 * handleExit; private method - accessible only within simulator.
-	 * Handle an event exiting. This method is called either from {@link index.html#simulatorrun Simulator.run()} or
-	 * {@link index.html#simulatorhandlepreempt handlePreempt()}.
-	 * @memberof Simulator
-	 * @param  {ExitEvent} evt The exit event that needs to be handled.
-	 */
-    var handleExit = function(evt) {
+     * forkChildren; private method - accessible only within simulator.
+     * Creates the children that a process forks at the end of its burst, as given by the "fork" field of its behavior.
+     * The children get the next free PIDs and are forked right away, with a ForkEvent at the current time.
+     * @memberof Simulator
+     * @param  {Process} proc The parent process.
+     */
+    var forkChildren = function(proc) {
         var now = sim.time();
-        var proc = evt.process;
-        /* mark as dead */
-        proc.runnable = false;
-        proc.alive = false;
-        /* set exit time */
-        proc.exited = now;
-        /* dequeue if currently enqueued */
-        if (proc.onRq) {
-            proc.schedClass.dequeue(proc);
-        }
-        /* remove any potential nextEvent that was set for the process, this matters when exiting via strictEndEvent */
-        if (proc.nextEvent !== evt && proc.nextEvent instanceof Event && proc.nextEvent.time >= now) {
-            deleteEvent(proc.nextEvent);
-        }
-        /* Log the process exit. */
-        proc.execLog.push(new LogEntry(now, LogEvent.exit));
-        /* Decrement the live process count. */
-        liveProcessCount--;
-
-        if (proc === curr) {    /* handle the case where the exiting process was currently executing */
-            /* Zero out remaining runtime. This is necessary so that sim.pickNext() doesn't see remaining
-             * runtime on previous process (this one) and assume that it was preempted. If it does, it will
-             * enqueue it again, which is bad, because we want it to exit. If we decide that the remaining
-             * runtime on exit is something that we want to know, we can store the following somewhere:
-             * var procFinalRuntime = evt.process.remainingRuntime - (sim.time() - evt.process.picked);
-             * Update: the above issue was fixed with "process.alive" check, but let's keep it zeroed out as
-             * extra precaution.
-             */
-            proc.remainingRuntime = 0;
-            /* Update execution time sum. */
-            let lastRun = now - proc.picked;
-            proc.picked = now;
-            proc.execTime += lastRun;
-            proc.runLog.push(lastRun);
-            /* Don't pick the next event here, that's done outside this function. */
-
-        } else if (proc.waiting) {  /* handle the case where the exiting process was currently waiting */
-            let pWaitTime = now - proc.enqueued;
-
-            /* Log the time that the process spent waiting. */
-            proc.latencyLog.push(pWaitTime);
-            proc.waitTime += pWaitTime;
-            proc.waiting = false;
+        for (let fork of proc.currBehavior.fork) {
+            let template = templates[fork.template];
+            let count = Math.max(0, Math.round(getProcVal(fork.count)));
+            for (let i = 0; i < count; i++) {
+                let pname = template.definition.pname !== undefined ? template.definition.pname : fork.template;
+                let child = createProcess(template.definition, procList.length, pname + "_" + procList.length);
+                child.ppid = proc.pid;
+                child.lockClasses = template.lockClasses.slice();
+                /* children stay in the group of their parent, unless the template puts them in one of their own */
+                if (template.definition.group === undefined) {
+                    child.group = proc.group;
+                }
+                child.spawned = now;
+                child.enqueued = now;
+
+                /* the fields that the scheduling classes gave to the processes at init */
+                for (let mod of procMods) {
+                    if (mod.className === "all" || child.policy === mod.className ||
+                        child.lockClasses.includes(mod.className)) {
+                            child[mod.propName] = mod.propVal instanceof Object ?
+                                JSON.parse(JSON.stringify(mod.propVal)) : mod.propVal;
+                    }
+                }
 
-            /* Update latency sum. */
-            proc.schedClass.latencySum += (now - proc.schedClass.latencyUpdate) * proc.schedClass.nrWaiting;
-            proc.schedClass.latencyUpdate = now;
-            /* Subtract the process's wait time from latency sum. */
-            proc.schedClass.latencySum -= pWaitTime;
-            /* Decrease the numbers of waiting & running processes. */
-            proc.schedClass.nrWaiting--;
-            proc.schedClass.nrRunning--;
+                procList.push(child);
+                proc.children.push(child.pid);
+                liveProcessCount++;
+                insertEvent(new ForkEvent(now, child));
+            }
         }
     }
 
+    /**
+     * hasLiveChildren; private method - accessible only within simulator.
+     * Tells whether any of the children of a process have yet to exit.
+     * @memberof Simulator
+     * @param  {Process} proc The parent process.
+     * @return {boolean} True if a child is still alive or about to be forked.
+     */
+    var hasLiveChildren = function(proc) {
+        return proc.children.some(pid => procList[pid].exited < 0);
+    }
+
 
     /* simulator statistics functions ------------------------------------------------------------------------------- */
 	/* Functions that deal with simulation statistics. */
 
     /**
      * Simulator.getLatency; Returns the current latency of the entire simulator. This is just a helper function that
-     * goes through all active scheduling classes and calls
+     * goes through all active scheduling classes on all CPUs and calls
      * {@link index.html#schedclassgetlatency SchedClass.getLatency()} on each of them, then sums up the results and
      * returns them.
      * @memberof Simulator
@@ -1664,8 +3578,10 @@ var Simulator = {};
      */
     sim.getLatency = function() {
         var latSum = 0;
-        for (var i = 0; i < schedClassPrio; i++) {
-            latSum += schedClassActive[schedClassPrio[i]].getLatency();
+        for (let c = 0; c < cpuList.length; c++) {
+            for (let i = 0; i < schedClassPrio.length; i++) {
+                latSum += cpuList[c].schedClassActive[schedClassPrio[i]].getLatency();
+            }
         }
         return latSum;
     }
@@ -1674,8 +3590,9 @@ var Simulator = {};
     /**
      * Simulator.getAverageLatency; Returns the average latency of specified scheduling classes. As latency is more of
      * a scheduling class specific statistic, this function works by accepting one or multiple scheduling class names as
-     * arguments and calculating their latency. For a single scheduling class, the same result can be achieved by
-     * calling {@link index.html#schedclassgetaveragelatency SchedClass.getAverageLatency()} directly.
+     * arguments and calculating their latency. For a single scheduling class on a single CPU, the same result can be
+     * achieved by calling {@link index.html#schedclassgetaveragelatency SchedClass.getAverageLatency()} directly. With
+     * multiple CPUs, the latency samples of all CPUs are pooled together.
      * @memberof Simulator
      * @param  {(undefined | null | string)} classes Accepts multiple arguments in the form of class names (strings) of
      * the classes that should be included in the average latency calculation. Without parameter, or when parameter is
@@ -1701,28 +3618,36 @@ var Simulator = {};
             }
         }
 
-        var tmpLatLog, summedLatLog;
+        var tmpLatLog, cpuLatLog;
+        var summedLatLog = [];
         var latSum = 0;
-        var latEntryCount = schedClassActive[classList[0]].latencyLog.length;
-        for (let i = 0; i < classList.length; i++) {
-            tmpLatLog = schedClassActive[classList[i]].latencyLog;
-            if (tmpLatLog.length !== latEntryCount) {
-                throw new Error("number of entries in latency log differs between classes - it shouldn't!");
-            }
+        /* Latency logs are only comparable between the classes of the same CPU, so sum them up per CPU and pool the
+         * sums of all CPUs together afterwards. */
+        for (let c = 0; c < cpuList.length; c++) {
+            let classInstances = cpuList[c].schedClassActive;
+            let cpuEntryCount = classInstances[classList[0]].latencyLog.length;
+            for (let i = 0; i < classList.length; i++) {
+                tmpLatLog = classInstances[classList[i]].latencyLog;
+                if (tmpLatLog.length !== cpuEntryCount) {
+                    throw new Error("number of entries in latency log differs between classes - it shouldn't!");
+                }
 
-            latSum += tmpLatLog.reduce((acc, curr) => acc + curr);
+                latSum += tmpLatLog.reduce((acc, curr) => acc + curr, 0);
 
-            if (i === 0) {
-                summedLatLog = Array.from(tmpLatLog);
-            } else {
-                for (let j = 0; j < latEntryCount; j++) {
-                    summedLatLog[j] += tmpLatLog[j];
+                if (i === 0) {
+                    cpuLatLog = Array.from(tmpLatLog);
+                } else {
+                    for (let j = 0; j < cpuEntryCount; j++) {
+                        cpuLatLog[j] += tmpLatLog[j];
+                    }
                 }
             }
+            summedLatLog = summedLatLog.concat(cpuLatLog);
         }
+        var latEntryCount = summedLatLog.length;
 
         var avg = latSum / latEntryCount;
-        var latDev = Math.sqrt(summedLatLog.reduce((acc, curr) => acc + Math.pow((curr - avg), 2)) / latEntryCount);
+        var latDev = Math.sqrt(summedLatLog.reduce((acc, curr) => acc + Math.pow((curr - avg), 2), 0) / latEntryCount);
 
         return {
             avg: avg,
@@ -1738,24 +3663,115 @@ var Simulator = {};
      * If you need a load statistic during the simulation itself you probably want to use
      * {@link index.html#simulatorgetcurrload Simulator.getCurrLoad(reqTime)}.
      * @memberof Simulator
+     * @param {(undefined|number)} cpuId The number of the CPU whose load should be calculated. If undefined, the load
+     * is averaged over all CPUs.
      * @return {number} A value between 0 and 1 that describes the ratio of time spent executing processes (not idle).
      */
-    sim.getAverageLoad = function() {
+    sim.getAverageLoad = function(cpuId) {
+        var endTime = simEventLog[simEventLog.length - 1].time;
         var execStats = simEventLog.reduceRight((acc, evt) => {
-            /* Note down the times between pick events and differentiate between idle and regular processes. */
-            if (evt instanceof PickEvent) {
-                acc.all += acc.timestamp - evt.time;
+            /* Note down the times between pick events on each CPU and differentiate between idle and regular
+             * processes. */
+            if (evt instanceof PickEvent && (cpuId === undefined || evt.cpu === cpuId)) {
+                acc.all += acc.timestamps[evt.cpu] - evt.time;
                 if (!(evt.process instanceof IdleProcess)) {
-                    acc.active += acc.timestamp - evt.time;
+                    acc.active += acc.timestamps[evt.cpu] - evt.time;
                 }
-                acc.timestamp = evt.time;
+                acc.timestamps[evt.cpu] = evt.time;
             }
             return acc;
-        }, {all: 0, active: 0, timestamp: simEventLog[simEventLog.length - 1].time});
+        }, {all: 0, active: 0, timestamps: cpuList.map(() => endTime)});
         return execStats.active / execStats.all;
     }
 
 
+    /**
+     * Simulator.getOverheadTime; Returns the time that was spent on context switches so far, including the part of a
+     * switch that is still in progress. The CPU load counts this time as busy, since the processor was not idle, but it
+     * is not included in the execution time of any process.
+     * @memberof Simulator
+     * @param  {(undefined|number)} cpuId The number of the CPU whose overhead should be returned. If undefined, the
+     * overhead of all CPUs is summed up.
+     * @return {number} The time spent on context switches, in simulation nanoseconds.
+     */
+    sim.getOverheadTime = function(cpuId) {
+        var now = sim.time();
+        var cpus = cpuId === undefined ? cpuList : [sim.getCpu(cpuId)];
+        return cpus.reduce((acc, cpu) =>
+            acc + cpu.switchTime + (cpu.switchEvent !== null ? now - cpu.switchEvent.setOn : 0), 0);
+    }
+
+
+    /**
+     * Simulator.getDeviceStats; Returns the statistics of the simulated I/O devices, up to the current moment.
+     * @memberof Simulator
+     * @return {Object[]} An array with an object for each device, in the order in which they were defined:
+     * <pre><code>
+     * {
+     *     name: the name of the device,
+     *     requests: the number of requests that the device has served,
+     *     queued: the number of requests still waiting in its queue,
+     *     utilisation: the fraction of time that the device was busy, between
+     *                  0 and 1,
+     *     busyTime: the time that the device spent serving requests,
+     *     waitAvg: the average time that a request waited in the queue
+     *              before the device started serving it, null if no
+     *              requests were served,
+     *     waitMax: the longest time that a request waited in the queue
+     * }
+     * </code></pre>
+     */
+    sim.getDeviceStats = function() {
+        var now = sim.time();
+        return Object.keys(devices).map(name => {
+            let device = devices[name];
+            let busyTime = device.busyTime + (device.current !== null ? now - device.busySince : 0);
+            return {
+                name: name,
+                requests: device.finished,
+                queued: device.queue.length,
+                utilisation: now > 0 ? busyTime / now : 0,
+                busyTime: busyTime,
+                waitAvg: device.started > 0 ? device.waitSum / device.started : null,
+                waitMax: device.waitMax
+            };
+        });
+    }
+
+
+    /**
+     * Simulator.getDeadlocks; Returns the deadlocks found so far. A deadlock is recorded once, at the moment that the
+     * last of its processes started waiting, and its processes stay stuck for the rest of the simulation. When every
+     * live process is stuck the simulation ends at that moment.
+     * @memberof Simulator
+     * @return {Object[]} An array with an object for each deadlock, in the order in which they were found:
+     * <pre><code>
+     * {
+     *     time: the time at which the deadlock was found,
+     *     processes: the PIDs of the processes that are stuck,
+     *     locks: the names of the locks and conditions that they wait for
+     * }
+     * </code></pre>
+     */
+    sim.getDeadlocks = function() {
+        return deadlocks.map(d => ({time: d.time, processes: d.processes.slice(), locks: d.locks.slice()}));
+    }
+
+    /**
+     * Simulator.getProcessTree; Returns the processes of the simulation arranged by who forked whom. Every node holds
+     * the PID and the name of a process and the nodes of its children: {pid, pname, children}. The processes from the
+     * simulation definition are the roots of the tree, in the order of their PIDs.
+     * @memberof Simulator
+     * @return {Object[]} The root nodes of the process tree.
+     */
+    sim.getProcessTree = function() {
+        var node = function(proc) {
+            return {pid: proc.pid, pname: proc.pname, children: proc.children.map(pid => node(procList[pid]))};
+        }
+        return procList.filter(proc => proc.ppid < 0).map(node);
+    }
+
+
     /**
      * Simulator.getCurrLoad; Returns the processor load in the last *reqTime* simulation nanoseconds. The processor
      * load statistic is really just the fraction of time that was spent executing something useful in a given time
@@ -1765,14 +3781,17 @@ var Simulator = {};
      * @memberof Simulator
      * @param  {number} reqTime The amount of nanoseconds before the current moment that should be taken into account
      * when calculating system load. In other words, calculate processor load for last *reqTime* simulation nanoseconds.
+     * @param  {(undefined|number)} cpuId The number of the CPU whose load should be calculated. Defaults to the CPU
+     * that the simulator is currently working on.
      * @return {number} A number between 0 and 1 representing simulated processor load in the last *reqTime* simulation
      * nanoseconds.
      */
-    sim.getCurrLoad = function(reqTime) {
+    sim.getCurrLoad = function(reqTime, cpuId) {
         var all = 0, active = 0, thisTime = 0;
+        var cpu = sim.getCpu(cpuId).id;
         var timestamp = simEventLog[simEventLog.length - 1].time;
         for (var i = simEventLog.length - 2; i >= 0; i--) {
-            if (simEventLog[i] instanceof PickEvent) {
+            if (simEventLog[i] instanceof PickEvent && simEventLog[i].cpu === cpu) {
                 if (all + timestamp - simEventLog[i].time < reqTime) {
                     /* Requested time not reached, add this time interval to time sum "all". Also add it to "active" if
                      * any other process than idle ran. */
@@ -1875,8 +3894,10 @@ var Simulator = {};
      * a name of a simulation configuration in {@link SimulationPresets}. A template for writing simulation
      * configurations, complete with instructions and explainations, can be found in
      * {@link templates/Simulation-definition-template.js /docs/templates/Simulation-definition-template.js}.
+     * @param {(undefined|number|string)} seed A seed for the random number generator. Overrides the seed given in the
+     * simulation configuration. If neither is given, a random seed is chosen and recorded in the simulation result.
      */
-    sim.init = function(simConf) {
+    sim.init = function(simConf, seed) {
         if (simRunning) {
             throw new Error("a simulation is already underway. Finish it, or stop it with \"Simulator.break()\" before starting a new one.");
         }
@@ -1893,6 +3914,14 @@ var Simulator = {};
 
         /* set initial simulation time */
         sim.time(0);
+        currentEvent = null;
+        hookError = null;
+        stepCount = 0;
+        checkpoints = [];
+        checkpointStride = 1;
+
+        /* seed the random number generator before any random values are drawn */
+        sim.setSeed(seed !== undefined ? seed : simConf.seed);
 
         /* init simulation queue */
         simulationQueue = redblack.tree()
@@ -1916,12 +3945,27 @@ var Simulator = {};
         } else {                                    // ...but set it to default
             sim.setTimerTickLen(defaultTimerTickLen);
         }
+        if (simConf.contextSwitchCost !== undefined) {  // context switches are free unless they are given a cost
+            simConf.contextSwitchCost = sim.handleSuffix(simConf.contextSwitchCost,
+                'simulation configuration, context switch cost ("contextSwitchCost")');
+            sim.setContextSwitchCost(simConf.contextSwitchCost);
+        } else {
+            sim.setContextSwitchCost(0);
+        }
         if (simConf.policy !== undefined) { // policy is not obligatory, can be set per-process
             sim.setSchedClassName(simConf.policy)
         } else {
             schedClassName = null;
         }
-        sim.loadProc(simConf.processes);
+        if (simConf.cpus !== undefined) {   // the number of CPUs is not obligatory, a single one is simulated by default
+            sim.setCpuCount(simConf.cpus);
+        } else {
+            sim.setCpuCount(1);
+        }
+        sim.loadDevices(simConf.devices);   // devices are optional, but need to be known before processes use them
+        sim.loadLocks(simConf.locks, simConf.lockProtocol);     // the same goes for locks
+        sim.loadGroups(simConf.groups);     // and for the groups that processes are assigned to
+        sim.loadProc(simConf.processes, simConf.templates);
         if (simConf.classPrio !== undefined) {
             sim.parseClassPrio(simConf.classPrio);
         }
@@ -1931,31 +3975,43 @@ var Simulator = {};
 		contextSwitches = 0;
         liveProcessCount = sim.getProcList().length;
         simEventLog = [];
-		curr = idle;
+        deadlocks = [];
 
-        /* set up idle process */
-        idle.behavior[0].run = sim.getSimLen();
-        idle.currBehavior = idle.behavior[0];
+        for (let c = 0; c < cpuList.length; c++) {
+            thisCpu = cpuList[c];
+            thisCpu.curr = thisCpu.idle;
 
-        /* Init scheduling classes. Active classes get set in loadProc, so as long this comes after that it's fine. */
-        for (var i = 0; i < schedClassPrio.length; i++) {
-            if (typeof(simConf.classParams) === "object") {
-                schedClassActive[schedClassPrio[i]].init(simConf.classParams[schedClassPrio[i]]);
-            } else {
-                if (simConf.classParams !== undefined) {
-                    throw new Error("simConf.classParam needs to be either an object or undefined. Found " + typeof(simConf.classParams));
+            /* set up idle process */
+            thisCpu.idle.behavior[0].run = sim.getSimLen();
+            thisCpu.idle.currBehavior = thisCpu.idle.behavior[0];
+
+            /* Init scheduling classes. Active classes get set in loadProc, so as long this comes after that it's fine.
+             * Every CPU has its own class instances, each of which needs to be initialized. */
+            for (var i = 0; i < schedClassPrio.length; i++) {
+                if (typeof(simConf.classParams) === "object") {
+                    thisCpu.schedClassActive[schedClassPrio[i]].init(simConf.classParams[schedClassPrio[i]]);
+                } else {
+                    if (simConf.classParams !== undefined) {
+                        throw new Error("simConf.classParam needs to be either an object or undefined. Found " + typeof(simConf.classParams));
+                    }
+                    thisCpu.schedClassActive[schedClassPrio[i]].init();
                 }
-                schedClassActive[schedClassPrio[i]].init();
             }
         }
+        thisCpu = cpuList[0];
 
         /* push simulation stop event */
 		insertEvent(new SimStopEvent(sim.getSimLen()));
-        /* set the first timer event */
-        insertEvent(new TimerEvent(timerTickLen));
+        /* set the first timer event of each CPU */
+        for (let c = 0; c < cpuList.length; c++) {
+            insertEvent(new TimerEvent(timerTickLen, c));
+        }
 
         /* mark down that init was done */
         simInitDone = true;
+
+        /* the starting point that stepping back can always return to */
+        checkpoints.push(takeCheckpoint());
     }
 
 
@@ -1979,35 +4035,47 @@ var Simulator = {};
 
 
     /**
-	 * Simulator.registerSchedClass; Register a scheduling class to be used in the simulator. To implement a custom
-	 * scheduling class, please refer to
-	 * {@link index.html#schedclasstemplate SchedClassTemplate}, which serves as an example scheduling class
-	 * implementation with extra instructions and explainations.
+     * newSchedClass; private method - accessible only within simulator.
+     * Creates a new instance of a scheduling class that belongs to this simulation.
+     * @memberof Simulator
+     * @param  {SchedClass} schedClass An instance of the scheduling class to create another instance of.
+     * @return {SchedClass} The new instance, with its sim field set to this simulation.
+     */
+    var newSchedClass = function(schedClass) {
+        var instance = new schedClass.constructor(schedClass.name);
+        instance.sim = sim;
+        return instance;
+    }
+
+    /**
+     * syncSchedClasses; private method - accessible only within simulator.
+     * Creates this simulation's own instances of any scheduling classes that were registered in
+     * {@link index.html#simulationregisterschedclass Simulation.registerSchedClass()} since the last call. New classes
+     * are added at the end of the registered priority list.
+     * @memberof Simulator
+     */
+    var syncSchedClasses = function() {
+        if (schedClassPrioRegistered.length === Simulation.schedClassPrioRegistered.length) {
+            return;
+        }
+        for (let name of Simulation.schedClassPrioRegistered) {
+            if (schedClassRegistered[name] === undefined) {
+                schedClassRegistered[name] = newSchedClass(Simulation.schedClassRegistered[name]);
+                schedClassPrioRegistered.push(name);
+            }
+        }
+    }
+
+    /**
+	 * Simulator.registerSchedClass; Register a scheduling class to be used in the simulator. Same as
+	 * {@link index.html#simulationregisterschedclass Simulation.registerSchedClass()}, the class gets registered for
+	 * all simulations.
 	 * @memberof Simulator
 	 * @param  {string} className A name for the new scheduling class.
 	 * @param  {SchedClass} schedClass An implementation of a scheduling class that extends SchedClass.
 	 */
 	sim.registerSchedClass = function(className, schedClass) {
-        if (schedClass.name !== undefined && typeof(schedClass.name) === "string" &&
-			schedClass.init !== undefined && typeof(schedClass.init) === "function" &&
-			schedClass.enqueue !== undefined && typeof(schedClass.enqueue) === "function" &&
-			schedClass.dequeue !== undefined && typeof(schedClass.dequeue) === "function" &&
-			schedClass.pickNext !== undefined && typeof(schedClass.pickNext) === "function" &&
-			schedClass.putPrev !== undefined && typeof(schedClass.putPrev) === "function" &&
-			schedClass.taskTick !== undefined && typeof(schedClass.taskTick) === "function" &&
-			schedClass.checkPreempt !== undefined && typeof(schedClass.checkPreempt) === "function") {
-                if (schedClassPrioRegistered.includes(schedClass.name)) {
-                    throw new Error("a scheduling class with the name \""+schedClass.name+"\" already exists, please pick a different name");
-                } else if (schedClass.name !== className) {
-                    // let's make sure that we're actually registring what we think we are
-                    throw new Error("schedClass.name ("+schedClass.name+") and className ("+className+") need to be the same");
-                }
-
-				schedClassRegistered[className] = schedClass;
-				schedClassPrioRegistered.push(className);
-		} else {
-				throw new Error("malformed SchedClass: "+schedClass.constructor.name);
-		}
+        Simulation.registerSchedClass(className, schedClass);
 	}
 
     /**
@@ -2021,6 +4089,7 @@ var Simulator = {};
      * @param  {number[]} orderArray An array of indexes in the desired order.
      */
     sim.reorderRegisteredClasses = function(orderArray) {
+        syncSchedClasses();
         if (simRunning) {
             throw new Error("a simulation is running, finish or break it (Simulator.break()) before reordering scheduling classes.");
         } else if (!(orderArray instanceof Array)) {
@@ -2064,6 +4133,7 @@ var Simulator = {};
      * @param  {string[]} activeClassArray An array containing class names in order of desired priority.
      */
     sim.parseClassPrio = function(activeClassArray) {
+        syncSchedClasses();
         let regClass = [...schedClassPrioRegistered];   // clone array
         for (let i = activeClassArray.length - 1; i >= 0; i--) {
             if (typeof(activeClassArray[i]) !== "string") {
@@ -2138,6 +4208,229 @@ var Simulator = {};
 	}
 
 
+	/**
+	 * Simulator.loadDevices; Loads the I/O devices that the processes of the simulation can block on. This function
+	 * should not be called on its own - instead, use {@link index.html#simulatorinit Simulator.init()}, which loads
+	 * the devices before the processes that use them. Each device is given by its name and an object with the fields:
+	 * - **service**: the time that the device needs for every request, a number, an interval or a distribution,
+	 * - **bandwidth**: the amount of data that the device transfers per second, such as "100MB/s", which adds
+	 * size / bandwidth to the service time of requests that have a size,
+	 * - **discipline**: the order in which waiting requests are served, "fifo" (default) for first come, first served,
+	 * "sjf" for the shortest service time first or "priority" for the process with the highest priority first.
+	 *
+	 * At least one of service and bandwidth is required.
+	 * @memberof Simulator
+	 * @param  {(undefined|Object)} deviceDefs An object with device definitions, keyed by device name.
+	 */
+	sim.loadDevices = function(deviceDefs) {
+        devices = {};
+        if (deviceDefs === undefined) {
+            return;
+        } else if (deviceDefs === null || typeof(deviceDefs) !== "object" || deviceDefs instanceof Array) {
+            throw new Error("the devices of a simulation need to be an object with device definitions, instead found: " +
+                JSON.stringify(deviceDefs));
+        }
+
+        for (let name in deviceDefs) {
+            let def = deviceDefs[name];
+            let location = 'simulation configuration, device "' + name + '"';
+            if (def === null || typeof(def) !== "object" || def instanceof Array) {
+                throw new Error("invalid definition of " + location + ", needs to be an object.");
+            } else if (def.service === undefined && def.bandwidth === undefined) {
+                throw new Error(location + ' needs a "service" time, a "bandwidth" or both.');
+            }
+
+            let device = new Device(name);
+            if (def.service !== undefined) {
+                def.service = sim.handleSuffix(def.service, location + ', "service" field');
+                if (typeof(def.service) === "number" ? def.service < 0 :
+                    !entryValid(def.service) || def.service instanceof Array && def.service[0] < 0) {
+                        throw new Error(location + ' contains an invalid "service" field.');
+                }
+                device.service = def.service;
+            }
+            if (def.bandwidth !== undefined) {
+                let bandwidth = typeof(def.bandwidth) === "string" ? def.bandwidth.replace(/\/\s*s(ec)?\s*$/i, "") :
+                    def.bandwidth;
+                device.bandwidth = handleSize(bandwidth, location + ', "bandwidth" field');
+                if (typeof(device.bandwidth) !== "number" || device.bandwidth <= 0) {
+                    throw new Error(location + ' contains an invalid "bandwidth" field, needs to be a positive amount ' +
+                        'of data per second, such as "100MB/s".');
+                }
+            }
+            if (def.discipline !== undefined) {
+                if (disciplines[def.discipline] === undefined) {
+                    throw new Error(location + ' has an unknown queueing discipline "' + def.discipline + '", use ' +
+                        Object.keys(disciplines).join(", ") + ".");
+                }
+                device.discipline = def.discipline;
+            }
+            devices[name] = device;
+        }
+    }
+
+	/**
+	 * Simulator.loadLocks; Loads the locks that the processes of the simulation share, along with the protocol that
+	 * lends priorities to lock holders. This function should not be called on its own - instead, use
+	 * {@link index.html#simulatorinit Simulator.init()}, which loads the locks before the processes that use them. Each
+	 * lock is given by its name and an object with the fields:
+	 * - **type**: "mutex" (default), "semaphore" or "condition",
+	 * - **count**: the number of processes that can hold a semaphore at once, 1 by default.
+	 *
+	 * The protocol decides what happens when a process waits for a mutex that a process of a lower priority holds:
+	 * - **"none"** (default): nothing, the holder keeps its own priority. Processes with a priority between the two can
+	 * then keep the holder and with it the waiting process from running, which is known as priority inversion.
+	 * - **"inheritance"**: the holder runs with the priority of its most important waiter until it releases the mutex.
+	 * - **"ceiling"**: the holder runs with the ceiling of the mutex, the highest priority of all the processes that
+	 * take it, from the moment it gets the mutex until it releases it.
+	 *
+	 * Priorities are compared by scheduling class first and by priority number within the same class, where a lower
+	 * number means a higher priority. These are the priorities that processes run with, after
+	 * SchedClass.definitionPriority() translated the ones from their definitions. Semaphores and conditions have no
+	 * owner and aren't affected by the protocol.
+	 * @memberof Simulator
+	 * @param  {(undefined|Object)} lockDefs An object with lock definitions, keyed by lock name.
+	 * @param  {(undefined|string)} protocol The lock protocol: "none", "inheritance" or "ceiling".
+	 */
+	sim.loadLocks = function(lockDefs, protocol) {
+        locks = {};
+        if (protocol !== undefined && !["none", "inheritance", "ceiling"].includes(protocol)) {
+            throw new Error('unknown lock protocol "' + protocol + '", use none, inheritance or ceiling.');
+        }
+        lockProtocol = protocol !== undefined ? protocol : "none";
+
+        if (lockDefs === undefined) {
+            return;
+        } else if (lockDefs === null || typeof(lockDefs) !== "object" || lockDefs instanceof Array) {
+            throw new Error("the locks of a simulation need to be an object with lock definitions, instead found: " +
+                JSON.stringify(lockDefs));
+        }
+
+        for (let name in lockDefs) {
+            let def = lockDefs[name];
+            let location = 'simulation configuration, lock "' + name + '"';
+            if (def === null || typeof(def) !== "object" || def instanceof Array) {
+                throw new Error("invalid definition of " + location + ", needs to be an object.");
+            }
+
+            let type = def.type !== undefined ? def.type : "mutex";
+            if (!["mutex", "semaphore", "condition"].includes(type)) {
+                throw new Error(location + ' has an unknown type "' + type + '", use mutex, semaphore or condition.');
+            }
+            let lock = new Lock(name, type);
+            if (def.count !== undefined) {
+                if (type !== "semaphore") {
+                    throw new Error(location + ' has a "count", but only semaphores can be held by more than one ' +
+                        'process.');
+                } else if (!Number.isInteger(def.count) || def.count < 1) {
+                    throw new Error(location + ' contains an invalid "count" field, needs to be a positive integer.');
+                }
+                lock.count = def.count;
+                lock.value = def.count;
+            }
+            locks[name] = lock;
+        }
+    }
+
+	/**
+	 * Simulator.loadGroups; Loads the control groups that the processes of the simulation can be assigned to with
+	 * their "group" field. This function should not be called on its own - instead, use
+	 * {@link index.html#simulatorinit Simulator.init()}, which loads the groups before the processes that use them.
+	 * Groups form a tree like the cgroup hierarchy of Linux: each group is given by its path, such as "/users/alice",
+	 * which makes it a child of "/users", and an object with one of the fields:
+	 * - **weight**: the cgroup v2 "cpu.weight" of the group, an integer from 1 to 10000, 100 by default,
+	 * - **shares**: the cgroup v1 "cpu.shares" of the group, an integer from 2 to 262144, 1024 by default.
+	 *
+	 * A weight is turned into shares as weight * 1024 / 100, so both describe the same thing. The CPU time of a group
+	 * can also be limited, like with the cgroup v2 "cpu.max", with the fields:
+	 * - **quota**: the time that the processes of the group may run for in every period, on all the CPUs together, at
+	 * least 1ms, unlimited by default,
+	 * - **period**: the length of the period, from 1ms to 1s, 100ms by default.
+	 *
+	 * Groups that are only given as the parents of other groups get the default shares and no limit. The root group "/" holds all the others and the
+	 * processes that aren't assigned to any, so it can't be defined.
+	 * @memberof Simulator
+	 * @param  {(undefined|Object)} groupDefs An object with group definitions, keyed by group path.
+	 */
+	sim.loadGroups = function(groupDefs) {
+        groups = {};
+        if (groupDefs === undefined) {
+            return;
+        } else if (groupDefs === null || typeof(groupDefs) !== "object" || groupDefs instanceof Array) {
+            throw new Error("the groups of a simulation need to be an object with group definitions, instead found: " +
+                JSON.stringify(groupDefs));
+        }
+
+        /* parents come before their children, so that the children can be linked to them */
+        var paths = Object.keys(groupDefs).sort((a, b) => a.split("/").length - b.split("/").length);
+        for (let path of paths) {
+            let def = groupDefs[path];
+            let location = 'simulation configuration, group "' + path + '"';
+            if (!/^(\/[^\/]+)+$/.test(path)) {
+                throw new Error("invalid path of " + location + ', needs to look like "/name" or "/parent/name", ' +
+                    "the root group can't be defined.");
+            } else if (def === null || typeof(def) !== "object" || def instanceof Array) {
+                throw new Error("invalid definition of " + location + ", needs to be an object.");
+            } else if (def.weight !== undefined && def.shares !== undefined) {
+                throw new Error(location + ' has both a "weight" and "shares", use only one of them.');
+            }
+
+            let shares = 1024;
+            let quota = null;
+            let period = 100000000;
+            if (def.weight !== undefined) {
+                if (!Number.isInteger(def.weight) || def.weight < 1 || def.weight > 10000) {
+                    throw new Error(location + ' contains an invalid "weight" field, needs to be an integer from 1 ' +
+                        "to 10000.");
+                }
+                shares = Math.round(def.weight * 1024 / 100);
+            } else if (def.shares !== undefined) {
+                if (!Number.isInteger(def.shares) || def.shares < 2 || def.shares > 262144) {
+                    throw new Error(location + ' contains an invalid "shares" field, needs to be an integer from 2 ' +
+                        "to 262144.");
+                }
+                shares = def.shares;
+            }
+            if (def.quota !== undefined) {
+                quota = sim.handleSuffix(def.quota, location + ', "quota" field');
+                if (typeof(quota) !== "number" || quota < 1000000) {
+                    throw new Error(location + ' contains an invalid "quota" field, needs to be a time of at least 1ms.');
+                }
+            }
+            if (def.period !== undefined) {
+                period = sim.handleSuffix(def.period, location + ', "period" field');
+                if (typeof(period) !== "number" || period < 1000000 || period > 1000000000) {
+                    throw new Error(location + ' contains an invalid "period" field, needs to be a time from 1ms to ' +
+                        "1s.");
+                }
+            }
+
+            /* create the ancestors that weren't defined */
+            let parent = "/";
+            let names = path.split("/").slice(1);
+            for (let i = 1; i < names.length; i++) {
+                let ancestor = parent === "/" ? "/" + names[i - 1] : parent + "/" + names[i - 1];
+                if (groups[ancestor] === undefined) {
+                    groups[ancestor] = {path: ancestor, parent: parent, shares: 1024, quota: null, period: 100000000};
+                }
+                parent = ancestor;
+            }
+            groups[path] = {path: path, parent: parent, shares: shares, quota: quota, period: period};
+        }
+    }
+
+    /**
+     * Simulator.getGroups; Returns the control groups of the simulation, loaded with
+     * {@link index.html#simulatorloadgroups Simulator.loadGroups()}. Parents always come before their children.
+     * @memberof Simulator
+     * @return {Object[]} An array of groups in the form {path, parent, shares, quota, period}, where parent is the path
+     * of the parent group, "/" for the groups at the top of the tree, and quota is null for groups without a limit.
+     */
+    sim.getGroups = function() {
+        return Object.keys(groups).map(path => Object.assign({}, groups[path]));
+    }
+
+
 	/**
 	 * @namespace loadProc
 	 * @description Simulator.loadProc; Loads a list of processes to be run into the simulator. This function should not
@@ -2145,15 +4438,22 @@ var Simulator = {};
 	 * to write a simulation definition or a process list, refer to
      * {@link templates/Simulation-definition-template.js /docs/templates/Simulation-definition-template.js}, which
      * contains a template for writing simulation configurations, complete with instructions and explainations.
+	 *
+	 * Process templates are checked the same way as processes, except that they have no spawn time, as the processes
+	 * fork their children from them while the simulation runs.
 	 *
 	 * @memberof Simulator
 	 * @param  {Object} procListDef An object containing processes.
+	 * @param  {Object} templateDefs An object containing process templates as name: template pairs, optional.
 	 */
-	sim.loadProc = function(procListDef) {
+	sim.loadProc = function(procListDef, templateDefs) {
 		processesLoaded = false;
+        syncSchedClasses();
         procList = [];
         schedClassPrio = [];
         schedClassActive = {};
+        templates = {};
+        procMods = [];
         var activeClassList = [];
 
         if (schedClassNameSet) {
@@ -2163,44 +4463,68 @@ var Simulator = {};
 		if (procListDef === undefined || typeof(procListDef) !== "object" || procListDef.length < 1) {
 			throw new Error("missing or invalid process list passed to loadProc.");
 		}
+        if (templateDefs !== undefined && (templateDefs === null || typeof(templateDefs) !== "object" ||
+            templateDefs instanceof Array)) {
+                throw new Error("invalid process templates passed to loadProc, need to be an object of name: template pairs.");
+        }
 
 		var proc;
 
+        /* The templates are checked along with the processes. They need to be known before any of the behaviors that
+         * fork from them. */
+        var defList = [];
+        for (let i = 0; i < procListDef.length; i++) {
+            defList.push({def: procListDef[i], where: "process " + i});
+        }
+        for (let name in templateDefs) {
+            templates[name] = {definition: templateDefs[name], lockClasses: []};
+            defList.push({def: templateDefs[name], where: 'template "' + name + '"'});
+        }
+
         /* process list sanity check */
-		for (let i = 0; i < procListDef.length; i++) {
-			proc = procListDef[i];
+		for (let i = 0; i < defList.length; i++) {
+			proc = defList[i].def;
+            var where = defList[i].where;
+            if (proc === null || typeof(proc) !== "object") {
+                throw new Error("while reading " + where + ": needs to be an object.");
+            }
 
 			/* SchedClass sanity check, can be undefined if schedClassName is passed as parameter */
 			if (!schedClassNameSet && proc.policy === undefined) {
-				throw new Error("while reading process "+i+": missing policy definition. This field can be skipped if a default policy / scheduling class is defined for entire simulation.");
+				throw new Error("while reading "+where+": missing policy definition. This field can be skipped if a default policy / scheduling class is defined for entire simulation.");
 			} else if (proc.policy !== undefined && typeof(proc.policy) !== "string") {
-                throw new Error("while reading process "+i+":invalid policy definition type: \"" + typeof(proc.policy) + "\", needs to be a string. This field can be skipped if a policy is defined for entire simulation.");
+                throw new Error("while reading "+where+":invalid policy definition type: \"" + typeof(proc.policy) + "\", needs to be a string. This field can be skipped if a policy is defined for entire simulation.");
             } else if (proc.policy !== undefined && schedClassRegistered[proc.policy] === undefined) {
-                throw new Error("while reading process "+i+": given policy does not exist: \"" + proc.policy + "\". This field can be skipped if a policy is defined for entire simulation.");
+                throw new Error("while reading "+where+": given policy does not exist: \"" + proc.policy + "\". This field can be skipped if a policy is defined for entire simulation.");
             }
 
 			/* pname isn't necessary, but should be a string */
 			if (proc.pname !== undefined && typeof(proc.pname) !== "string") {
-				throw new Error("while reading process "+i+": pname should be either undefined or string.");
+				throw new Error("while reading "+where+": pname should be either undefined or string.");
 			}
 
-			/* spawn field can be a number or an array of 2 [from, to] and can't contain negative values */
-            proc.spawn = sim.handleSuffix(proc.spawn, "process "+i+": process spawn entry");
-			if (proc.spawn === undefined) {
-				throw new Error("while reading process "+i+": spawn value must be defined.");
-			} else if (typeof(proc.spawn) === "number") {
-				if (proc.spawn < 0) {
-					throw new Error("while reading process "+i+": spawn value cannot be negative.");
-				}
-			} else if (typeof(proc.spawn) === "object") {
-				if (proc.spawn.length !== 2 || proc.spawn[0] > proc.spawn[1] || proc.spawn[0] < 0) {
-					throw new Error("while reading process "+i+": invalid spawn range.");
+			/* spawn field can be a number or an array of 2 [from, to] and can't contain negative values. Templates
+			 * have none, their children are forked at runtime. */
+			if (i < procListDef.length) {
+                proc.spawn = sim.handleSuffix(proc.spawn, where+": process spawn entry");
+				if (proc.spawn === undefined) {
+					throw new Error("while reading "+where+": spawn value must be defined.");
+				} else if (typeof(proc.spawn) === "number") {
+					if (proc.spawn < 0) {
+						throw new Error("while reading "+where+": spawn value cannot be negative.");
+					}
+				} else if (proc.spawn instanceof Array) {
+					if (proc.spawn.length !== 2 || proc.spawn[0] > proc.spawn[1] || proc.spawn[0] < 0) {
+						throw new Error("while reading "+where+": invalid spawn range.");
+					}
+				} else if (!entryValid(proc.spawn)) {
+					throw new Error("while reading "+where+": invalid spawn distribution.");
 				}
 			}
 
 			/* behavior list */
 			if (proc.behavior === undefined || typeof(proc.behavior) !== "object" || proc.behavior.length < 1) {
-					throw new Error("while reading process "+i+": missing or invalid behavior list.");
+					throw new Error("while reading "+where+": missing or invalid behavior list.");
 			}
 
 			/**
@@ -2232,10 +4556,14 @@ var Simulator = {};
 						if (entry.run < 1) {
 							return -2;
 						}
-					} else if (typeof(entry.run) === "object") {
+					} else if (entry.run instanceof Array) {
 						if (entry.run.length !== 2 || entry.run[0] > entry.run[1] || entry.run[0] < 1) {
 							return -2;
 						}
+					} else if (isDist(entry.run)) {
+						if (!entryValid(entry.run)) {
+							return -2;
+						}
 					} else {
 						return -2;
 					}
@@ -2246,11 +4574,15 @@ var Simulator = {};
 						if (entry.block < 1) {
 							return -3;
 						}
-					} else if (typeof(entry.block) === "object") {
+					} else if (entry.block instanceof Array) {
 						if (entry.block.length !== 2 || entry.block[0] > entry.block[1] || entry.block[0] < 1) {
 							return -3;
 						}
-					} else {
+					} else if (isDist(entry.block)) {
+						if (!entryValid(entry.block)) {
+							return -3;
+						}
+					} else if (!isDeviceRequest(entry.block)) {	// device requests are checked by handleBlockEntry
 						return -3;
 					}
 					validFields++;
@@ -2269,11 +4601,13 @@ var Simulator = {};
 					if (execCond < 1) {
 						return false;
 					}
-				} else if (typeof(execCond) === "object") {
+				} else if (execCond instanceof Array) {
 					if (execCond.length !== 2 || typeof(execCond[0]) !== "number" || typeof(execCond[1]) !== "number" ||
                      execCond[0] > execCond[1] || execCond[0] < 0) {
 						return false;
 					}
+				} else if (isDist(execCond)) {
+					return entryValid(execCond);
 				} else {
 					return false;
 				}
@@ -2287,18 +4621,22 @@ var Simulator = {};
 			 * First behavior check entry.
 			 */
 			var validFields;
-            proc.behavior[0].run = sim.handleSuffix(proc.behavior[0].run, 'process '+i+': the first behavior entry, "run" field (missing or invalid)');
-            proc.behavior[0].block = sim.handleSuffix(proc.behavior[0].block, 'process '+i+': the first behavior entry, "block" field (missing or invalid)');
+            proc.behavior[0].run = sim.handleSuffix(proc.behavior[0].run, where+': the first behavior entry, "run" field (missing or invalid)');
+            proc.behavior[0].block = handleBlockEntry(proc.behavior[0].block, where+': the first behavior entry, "block" field (missing or invalid)');
             validFields = checkFields(proc.behavior[0]);
+            handleLockEntry(proc.behavior[0], where+': the first behavior entry');
+            handleForkEntry(proc.behavior[0], where+': the first behavior entry');
+            handleDeadlineEntry(proc.behavior[0], where+': the first behavior entry');
+            handleShareEntry(proc.behavior[0], where+': the first behavior entry');
 			if (validFields < 3) {
 				if (validFields > -1) {			// 0, 1, 2
-					throw new Error('while reading process '+i+': the first behavior entry does not contain all the required fields: "priority", "run", "block".');
+					throw new Error('while reading '+where+': the first behavior entry does not contain all the required fields: "priority", "run", "block".');
 				} else if (validFields < -2) {	// -3
-					throw new Error('while reading process '+i+': the first behavior entry contains an invalid "block" field. Make sure that it has correct syntax and its value is > 0.');
+					throw new Error('while reading '+where+': the first behavior entry contains an invalid "block" field. Make sure that it has correct syntax and its value is > 0.');
 				} else if (validFields < -1) {	// -2
-					throw new Error('while reading process '+i+': the first behavior entry contains an invalid "run" field. Make sure that it has correct syntax and its value is > 0.');
+					throw new Error('while reading '+where+': the first behavior entry contains an invalid "run" field. Make sure that it has correct syntax and its value is > 0.');
 				} else {						// -1
-					throw new Error('while reading process '+i+': the first behavior entry contains an invalid "priority" field.');
+					throw new Error('while reading '+where+': the first behavior entry contains an invalid "priority" field.');
 				}
 			}
 
@@ -2309,20 +4647,31 @@ var Simulator = {};
 					proc.behavior[j].final.toLowerCase() !== "true") {
 						/* check behavior definition fields if current entry isn't a process ending behavior entry */
                         if (proc.behavior[j].run !== undefined) {
-                            proc.behavior[j].run = sim.handleSuffix(proc.behavior[j].run, 'process '+i+': behavior entry '+j+', "run" field');
+                            proc.behavior[j].run = sim.handleSuffix(proc.behavior[j].run, where+': behavior entry '+j+', "run" field');
                         }
                         if (proc.behavior[j].block !== undefined) {
-                            proc.behavior[j].block = sim.handleSuffix(proc.behavior[j].block, 'process '+i+': behavior entry '+j+', "block" field');
+                            proc.behavior[j].block = handleBlockEntry(proc.behavior[j].block, where+': behavior entry '+j+', "block" field');
                         }
 						validFields = checkFields(proc.behavior[j]);
+                        if (validFields === 0) {        // an entry that only changes locks, forks, deadlines or tickets is fine too
+                            validFields = handleLockEntry(proc.behavior[j], where+': behavior entry '+j) +
+                                handleForkEntry(proc.behavior[j], where+': behavior entry '+j) +
+                                handleDeadlineEntry(proc.behavior[j], where+': behavior entry '+j) +
+                                handleShareEntry(proc.behavior[j], where+': behavior entry '+j);
+                        } else {
+                            handleLockEntry(proc.behavior[j], where+': behavior entry '+j);
+                            handleForkEntry(proc.behavior[j], where+': behavior entry '+j);
+                            handleDeadlineEntry(proc.behavior[j], where+': behavior entry '+j);
+                            handleShareEntry(proc.behavior[j], where+': behavior entry '+j);
+                        }
 						if (validFields === 0) {			// 0
-							throw new Error('while reading process '+i+': behavior entry '+j+' contains no behavior update fields.');
+							throw new Error('while reading '+where+': behavior entry '+j+' contains no behavior update fields.');
 						} else if (validFields < -2) {	// -3
-							throw new Error('while reading process '+i+': behavior entry '+j+' contains an invalid "block" field.');
+							throw new Error('while reading '+where+': behavior entry '+j+' contains an invalid "block" field.');
 						} else if (validFields < -1) {	// -2
-							throw new Error('while reading process '+i+': behavior entry '+j+' contains an invalid "run" field.');
+							throw new Error('while reading '+where+': behavior entry '+j+' contains an invalid "run" field.');
 						} else if (validFields <  0) {	// -1
-							throw new Error('while reading process '+i+': behavior entry '+j+' contains an invalid "priority" field.');
+							throw new Error('while reading '+where+': behavior entry '+j+' contains an invalid "priority" field.');
 						}
 				} else {
 					proc.behavior[j].final = true;
@@ -2343,29 +4692,29 @@ var Simulator = {};
 				 */
 				validFields = 0;
 				if (proc.behavior[j].procExec !== undefined) {	// 1
-                    proc.behavior[j].procExec = sim.handleSuffix(proc.behavior[j].procExec, 'while reading process '+i+': behavior entry '+j+', "procExec" field');
+                    proc.behavior[j].procExec = sim.handleSuffix(proc.behavior[j].procExec, 'while reading '+where+': behavior entry '+j+', "procExec" field');
 					if (!execCondValid(proc.behavior[j].procExec)) {
-						throw new Error('Error while reading process '+i+': behavior entry '+j+' contains an invalid "procExec" field.');
+						throw new Error('Error while reading '+where+': behavior entry '+j+' contains an invalid "procExec" field.');
 					}
 					validFields += 1;
 				}
 				if (proc.behavior[j].simExec !== undefined) {	// 2
-                    proc.behavior[j].simExec = sim.handleSuffix(proc.behavior[j].simExec, 'while reading process '+i+': behavior entry '+j+', "simExec" field');
+                    proc.behavior[j].simExec = sim.handleSuffix(proc.behavior[j].simExec, 'while reading '+where+': behavior entry '+j+', "simExec" field');
 					if (!execCondValid(proc.behavior[j].simExec)) {
-						throw new Error('Error while reading process '+i+': behavior entry '+j+' contains an invalid "simExec" field.');
+						throw new Error('Error while reading '+where+': behavior entry '+j+' contains an invalid "simExec" field.');
 					}
 					validFields += 2;
 				}
 				if (proc.behavior[j].execCnt !== undefined) {	// 4
 					if (!execCondValid(proc.behavior[j].execCnt)) {
-						throw new Error('Error while reading process '+i+': behavior entry '+j+' contains an invalid "execCnt" field.');
+						throw new Error('Error while reading '+where+': behavior entry '+j+' contains an invalid "execCnt" field.');
 					}
 					validFields += 4;
 				}
 				if (validFields === 0) {
-					throw new Error('Error while reading process '+i+': behavior entry '+j+' contains no parse conditions (fields "procExec", "simExec", "execCnt").');
+					throw new Error('Error while reading '+where+': behavior entry '+j+' contains no parse conditions (fields "procExec", "simExec", "execCnt").');
 				} else if (validFields === 3 || validFields > 4) {
-					throw new Error('Error while reading process '+i+': behavior entry '+j+' contains more than one parse condition.');
+					throw new Error('Error while reading '+where+': behavior entry '+j+' contains more than one parse condition.');
 				}
 			} /* behavior list for loop (j) */
 
@@ -2374,6 +4723,19 @@ var Simulator = {};
                 checkProcProp(Object.keys(proc.custom));
             }
 
+            /* "cpu" field check, the CPU that the process is pinned to */
+            if (proc.cpu !== undefined && (typeof(proc.cpu) !== "number" || !Number.isInteger(proc.cpu) ||
+                proc.cpu < 0 || proc.cpu >= cpuCount)) {
+                    throw new Error("while reading "+where+": invalid cpu field, needs to be an integer from 0 to " + (cpuCount - 1) + ".");
+            }
+
+            /* "group" field check, the control group that the process belongs to */
+            if (proc.group !== undefined && proc.group !== "/" && (typeof(proc.group) !== "string" ||
+                groups[proc.group] === undefined)) {
+                    throw new Error("while reading "+where+': unknown group "' + proc.group + '", use "/" or one of ' +
+                        "the groups of the simulation.");
+            }
+
 
 		} /* process list for loop (i) */
 
@@ -2397,12 +4759,12 @@ var Simulator = {};
 				procName = "proc_" + tmpPid.padStart(pidPadLength, "0");
 			}
 
-			/* create a new process object */
-			var newProc = new Process(i, procName);
-
 			/* determine spawn time */
 			var spawnTime = getProcVal(procDef.spawn);
 
+			/* create a new process object */
+			var newProc = createProcess(procDef, i, procName);
+
 			/* set timestamps */
 			newProc.spawned = spawnTime;
 			newProc.enqueued = spawnTime;
@@ -2410,40 +4772,8 @@ var Simulator = {};
 			/* log the enqueue - this seems to be unnecessary, enqueue function does it too */
 			//newProc.execLog.push(new LogEntry(spawnTime, LogEvent.enqueue));
 
-			/* set sched policy and sched class reference */
-            if (typeof(procDef.policy) === "string") {
-                newProc.policy = procDef.policy;
-                newProc.schedClass = schedClassRegistered[procDef.policy];
-                if (!activeClassList.includes(procDef.policy)) {
-                    activeClassList.push(procDef.policy);
-                }
-            } else {
-                newProc.policy = schedClassName;
-                newProc.schedClass = schedClassRegistered[schedClassName];
-            }
-
-			/* Set behavior. The behaviors need to be deep copied. Otherwise, behavior updates change the values in
-             * definition and mess up subsequent runs in multiRun mode. */
-            newProc.behavior = JSON.parse(JSON.stringify(procDef.behavior));
-            newProc.currBehavior = newProc.behavior[0];
-			newProc.nextBehIndex = 1;
-
-            /* set final values of behavior execution conditions */
-            for (let j = 1; j < newProc.behavior.length; j++) {
-                if (newProc.behavior[j].procExec instanceof Array) {
-                    newProc.behavior[j].procExec = getProcVal(newProc.behavior[j].procExec);
-                } else if (newProc.behavior[j].simExec instanceof Array) {
-                    newProc.behavior[j].simExec = getProcVal(newProc.behavior[j].simExec);
-                } else if (newProc.behavior[j].execCnt instanceof Array) {
-                    newProc.behavior[j].execCnt = getProcVal(newProc.behavior[j].execCnt);
-                }
-            }
-
-            /* add the properties from "custom" field into the process */
-            if (procDef.custom instanceof Object) {
-                for (let prop in procDef.custom) {
-                    newProc[prop] = procDef.custom[prop];
-                }
+            if (!activeClassList.includes(newProc.policy)) {
+                activeClassList.push(newProc.policy);
             }
 
             /* add the process to procList */
@@ -2454,6 +4784,65 @@ var Simulator = {};
 
 		} /* process list for loop (i) */
 
+        /* The templates stand in for the children that will be forked from them. Their classes need to be active from
+         * the start and they share the locks of their children. */
+        var users = procList.slice();
+        for (let name in templates) {
+            let policy = typeof(templates[name].definition.policy) === "string" ? templates[name].definition.policy :
+                schedClassName;
+            if (!activeClassList.includes(policy)) {
+                activeClassList.push(policy);
+            }
+            let behavior = JSON.parse(JSON.stringify(templates[name].definition.behavior));
+            loadPriorities(behavior, policy, 'template "' + name + '"');
+            users.push({policy: policy, behavior: behavior, lockClasses: templates[name].lockClasses});
+        }
+
+        /* Link the processes to the locks that they take. The highest priority of each process goes towards the
+         * ceilings of its locks. */
+        var mutexUsers = {};
+        for (let i = 0; i < users.length; i++) {
+            let used = [];
+            let highest = null;
+            for (let beh of users[i].behavior) {
+                if (beh.acquire !== undefined) {
+                    used = used.concat(beh.acquire.filter(name => !used.includes(name)));
+                }
+                if (typeof(beh.priority) === "number" && (highest === null || beh.priority < highest)) {
+                    highest = beh.priority;
+                }
+            }
+            for (let name of used) {
+                locks[name].users.push({policy: users[i].policy, priority: highest});
+                if (locks[name].type === "mutex") {
+                    if (mutexUsers[name] === undefined) {
+                        mutexUsers[name] = [];
+                    }
+                    mutexUsers[name].push(users[i]);
+                }
+            }
+        }
+        /* The lock protocol can move a process into the class of any process that it shares mutexes with, directly or
+         * through a chain of processes. */
+        var spread = lockProtocol !== "none";
+        while (spread) {
+            spread = false;
+            for (let name in mutexUsers) {
+                let classes = [];
+                for (let user of mutexUsers[name]) {
+                    classes = classes.concat([user.policy].concat(user.lockClasses).filter(c => !classes.includes(c)));
+                }
+                for (let user of mutexUsers[name]) {
+                    for (let c of classes) {
+                        if (c !== user.policy && !user.lockClasses.includes(c)) {
+                            user.lockClasses.push(c);
+                            spread = true;
+                        }
+                    }
+                }
+            }
+        }
+
         /* populate active class list and priority list - in the order of registered priority list */
         for (let i = 0; i < schedClassPrioRegistered.length; i++) {
             if (activeClassList.includes(schedClassPrioRegistered[i])) {
@@ -2462,10 +4851,21 @@ var Simulator = {};
             }
         }
 
-		/* initialize idle class and process */
-		idleClass = new IdleClass;
-		idle = new IdleProcess;
-		idle.schedClass = idleClass;
+		/* Initialize CPUs, each with its own idle class and process. The first CPU uses the registered instances of
+		 * scheduling classes, the rest get new instances of the same classes. */
+        cpuList = [];
+        for (let c = 0; c < cpuCount; c++) {
+            let cpu = new Cpu(c, sim);
+            for (let name in schedClassActive) {
+                if (c === 0) {
+                    cpu.schedClassActive[name] = schedClassActive[name];
+                } else {
+                    cpu.schedClassActive[name] = newSchedClass(schedClassActive[name]);
+                }
+            }
+            cpuList.push(cpu);
+        }
+        thisCpu = cpuList[0];
 
 		processesLoaded = true;
 	} /* sim.loadProc */
@@ -2545,54 +4945,108 @@ var Simulator = {};
 
             /* push event to simulation log */
             simEventLog.push(evt);
+            currentEvent = evt;
 
 			if (evt instanceof ForkEvent || evt instanceof EnqueueEvent) {
                 let proc = evt.process;
                 let now = sim.time();
+                let refused = false;
 
                 if (evt instanceof ForkEvent) {
                     proc.alive = true;
+                    /* place the new process on a CPU */
+                    thisCpu = selectCpu(proc);
+                    /* the classes set up the processes that were forked at runtime, the rest got set up at init */
+                    if (proc.ppid >= 0) {
+                        for (let name of [proc.policy].concat(proc.lockClasses)) {
+                            if (thisCpu.schedClassActive[name].taskFork(proc) === false) {
+                                refused = true;
+                                break;
+                            }
+                        }
+                    }
+                } else {
+                    thisCpu = cpuList[proc.cpu];
+                    /* the process's device request has been served, the device can move on to the next one */
+                    if (proc.ioRequest !== null) {
+                        finishRequest(proc);
+                    }
                 }
-                proc.runnable = true;
 
-                /* Log the process enqueue time. */
-                proc.waiting = true;
-                proc.enqueued = now;
-
-                /* Update latency sum. */
-                proc.schedClass.latencySum += (now - proc.schedClass.latencyUpdate) * proc.schedClass.nrWaiting;
-                proc.schedClass.latencyUpdate = now;
-                /* Increase the numbers of waiting & running processes. */
-                proc.schedClass.nrWaiting++;
-                proc.schedClass.nrRunning++;
-
-				evt.process.schedClass.enqueue(evt.process);
-                sim.checkPreempt(evt.process);
+                if (refused) {
+                    /* a process that its class refused exits right away, without ever being enqueued */
+                    emit("fork", evt, proc);
+                    let exitEvt = new ExitEvent(now, proc, ExitCond.refused, false);
+                    simEventLog.push(exitEvt);
+                    handleExit(exitEvt);
+                } else if (takeLocks(proc)) {  /* a process that has to wait for a lock or a condition stays blocked */
+                    proc.runnable = true;
+
+                    /* Log the process enqueue time. */
+                    proc.waiting = true;
+                    proc.enqueued = now;
+
+                    /* Update latency sum. */
+                    proc.schedClass.latencySum += (now - proc.schedClass.latencyUpdate) * proc.schedClass.nrWaiting;
+                    proc.schedClass.latencyUpdate = now;
+                    /* Increase the numbers of waiting & running processes. */
+                    proc.schedClass.nrWaiting++;
+                    proc.schedClass.nrRunning++;
+
+                    evt.process.schedClass.enqueue(evt.process);
+                    emit(evt instanceof ForkEvent ? "fork" : "enqueue", evt, proc);
+                    sim.checkPreempt(evt.process);
+                } else if (evt instanceof ForkEvent) {
+                    emit("fork", evt, proc);
+                }
 
 			} else if (evt instanceof BlockEvent) {
+                thisCpu = cpuList[evt.process.cpu];
                 /* handle process blocking */
                 handleBlock(evt);
 				/* pick the next process to run & run it */
 				sim.pickNext();
 
 			} else if (evt instanceof TimerEvent) {
+                thisCpu = cpuList[evt.cpu];
                 if (sim.preemption) {
-                    curr.schedClass.taskTick();
+                    let ticked = thisCpu.curr;
+                    for (let i = 0; i < schedClassPrio.length; i++) {
+                        thisCpu.schedClassActive[schedClassPrio[i]].classTick();
+                    }
+                    /* a process that was picked by one of the class ticks has only just started running */
+                    if (thisCpu.curr === ticked) {
+                        thisCpu.curr.schedClass.taskTick();
+                    }
                     /* set the next timer tick event */
                     var nextTickTime = sim.time() + sim.getTimerTickLen();
-                    insertEvent(new TimerEvent(nextTickTime));
+                    insertEvent(new TimerEvent(nextTickTime, evt.cpu));
+                    emit("tick", evt, ticked);
                 }
 
 			} else if (evt instanceof ExitEvent) {
+                thisCpu = cpuList[evt.process.cpu];
                 /* handle process exit */
                 handleExit(evt);
                 /* pick a new process if the exiting one was just executing */
-                if (evt.process === curr) {
+                if (evt.process === thisCpu.curr) {
                     sim.pickNext();
                 }
 
 			} else if (evt instanceof SimStartEvent) {
-				sim.pickNext();
+                /* every CPU picks its first process */
+                for (let c = 0; c < cpuList.length; c++) {
+                    thisCpu = cpuList[c];
+                    sim.pickNext();
+                }
+                thisCpu = cpuList[0];
+
+			} else if (evt instanceof ContextSwitchEvent) {
+                thisCpu = cpuList[evt.cpu];
+                /* the switch is over, the process starts running */
+                thisCpu.switchTime += evt.time - evt.setOn;
+                thisCpu.switchEvent = null;
+                evt.process.execLog.push(new LogEntry(sim.time(), LogEvent.pick));
 
 			} else if (evt instanceof PickEvent) {
 				throw new Error("found a PickEvent in the simulation queue: this should not be here!");
@@ -2600,9 +5054,29 @@ var Simulator = {};
 
 			/* add the current process to events that don't have one by themselves (timer, block) */
 			if (evt.process === undefined) {
-				evt.process = curr;
+				evt.process = thisCpu.curr;
 			}
 
+            /* a step is done once all the events at the current time have been processed */
+            var stepEnd = peekNextEvent().time !== sim.time();
+            if (stepEnd) {
+                stepCount++;
+                /* only runs that pause on the way can be stepped back in before they end */
+                if (checkpointInterval > 0 && runMode !== 0 &&
+                    stepCount % (checkpointInterval * checkpointStride) === 0) {
+                        checkpoints.push(takeCheckpoint());
+                        thinCheckpoints();
+                }
+            }
+
+            /* the event has been handled, a hook that failed on the way can now stop the simulation */
+            if (hookError !== null) {
+                let error = hookError;
+                hookError = null;
+                currentEvent = null;
+                throw error;
+            }
+
             /* handle updates and checks related to different run modes */
             if (runMode == 1) {         // run until runAmount time
                 var nextTime = peekNextEvent().time;
@@ -2614,7 +5088,7 @@ var Simulator = {};
 
             } else if (runMode == 2) {  // run for runAmount steps
                 // only increment steps when time changes
-                if (peekNextEvent().time !== sim.time()) {
+                if (stepEnd) {
                     stepsDone++;
                 }
                 if (stepsDone === runAmount) {
@@ -2623,6 +5097,7 @@ var Simulator = {};
                 }
             }
 		}
+        currentEvent = null;
 
         /* create simulation result object */
         var wallTime = Date.now();
@@ -2635,19 +5110,23 @@ var Simulator = {};
             simRes.runTime = sim.time();
 
         } else {
-            /* final exit, simulation is complete */
+            /* final exit, simulation is complete, which counts as the last step */
             simRes.finished = true;
+            stepCount++;
             simRes.runTime = sim.getSimLen();
 
             /* update simulation time to the final event */
             sim.time(evt.time);
 
-            /* update the final process's execTime */
+            /* update the final processes' execTime on every CPU */
             let now = sim.time();
-            let lastRun = now - curr.picked;
-            curr.picked = now;
-            curr.execTime += lastRun;
-            curr.runLog.push(lastRun);
+            for (let c = 0; c < cpuList.length; c++) {
+                let curr = cpuList[c].curr;
+                let lastRun = runSincePick(curr);
+                curr.picked = now;
+                curr.execTime += lastRun;
+                curr.runLog.push(lastRun);
+            }
 
             /* update any possible wait times (but don't log them for latency as the processes never got picked) */
             for (let i in procList) {
@@ -2657,37 +5136,75 @@ var Simulator = {};
             }
 
             /* push final event */
-            evt.process = idle;
+            evt.process = cpuList[0].idle;
             simEventLog.push(evt);
             simRunning = false;
             simInitDone = false;
 
             /* Statistics */
             simRes.averageLoad = sim.getAverageLoad();
+            for (let c = 0; c < cpuList.length; c++) {
+                simRes.cpuLoad.push(sim.getAverageLoad(c));
+            }
             simRes.averageLatency.general = sim.getAverageLatency();
             simRes.averageLatency.byClass = [];
             for (let k = 0; k < schedClassPrio.length; k++) {
-                simRes.averageLatency.byClass.push(schedClassActive[schedClassPrio[k]].getAverageLatency());
+                simRes.averageLatency.byClass.push(sim.getAverageLatency(schedClassPrio[k]));
                 simRes.averageLatency.byClass[k].name = schedClassPrio[k];
 
-                simRes.classStats[schedClassPrio[k]] = schedClassActive[schedClassPrio[k]].getClassStats();
+                /* With multiple CPUs, each class instance reports its own statistics, marked by the CPU number. */
+                if (cpuList.length === 1) {
+                    simRes.classStats[schedClassPrio[k]] = schedClassActive[schedClassPrio[k]].getClassStats();
+                    simRes.classTimeSeries[schedClassPrio[k]] = schedClassActive[schedClassPrio[k]].getClassTimeSeries();
+                } else {
+                    simRes.classStats[schedClassPrio[k]] = [];
+                    simRes.classTimeSeries[schedClassPrio[k]] = [];
+                    for (let c = 0; c < cpuList.length; c++) {
+                        thisCpu = cpuList[c];
+                        let cpuStats = thisCpu.schedClassActive[schedClassPrio[k]].getClassStats();
+                        for (let j = 0; j < cpuStats.length; j++) {
+                            simRes.classStats[schedClassPrio[k]].push(["CPU " + c + ": " + cpuStats[j][0], cpuStats[j][1]]);
+                        }
+                        let cpuSeries = thisCpu.schedClassActive[schedClassPrio[k]].getClassTimeSeries();
+                        for (let j = 0; j < cpuSeries.length; j++) {
+                            simRes.classTimeSeries[schedClassPrio[k]].push(["CPU " + c + ": " + cpuSeries[j][0], cpuSeries[j][1]]);
+                        }
+                    }
+                }
             }
             simRes.averageTurnaround = sim.getAverageTurnaround();
 
             /* Per-process statistics */
             simRes.processStats = sim.procStats();
+            simRes.deviceStats = sim.getDeviceStats();
         }
 
+        fillResult(simRes);
+
+		return simRes;
+	};
+
+
+    /**
+     * fillResult; private method - accessible only within simulator.
+     * Fills in the parts of a {@link SimResult} that finished and paused simulations have in common.
+     * @memberof Simulator
+     * @param  {SimResult} simRes The simulation result object to fill in.
+     */
+    var fillResult = function(simRes) {
         simRes.name = sim.getSimName();
 		simRes.length = sim.getSimLen();
 		simRes.contextSwitches = contextSwitches;
+        simRes.overheadTime = sim.getOverheadTime();
+        simRes.cpus = cpuList.length;
+        simRes.seed = simSeed;
 
 		simRes.simEvents = simEventLog;
 		simRes.processList = procList;
         simRes.activeClasses = schedClassPrio;
-
-		return simRes;
-	};
+        simRes.deadlocks = sim.getDeadlocks();
+        simRes.processTree = sim.getProcessTree();
+    }
 
 
     /**
@@ -2737,6 +5254,336 @@ var Simulator = {};
     sim.break = function() {
         simRunning = false;
         simInitDone = false;
+        checkpoints = [];
+        checkpointStride = 1;
+    }
+
+
+    /**
+     * Simulator.snapshot; Capture the complete state of the simulation, so that it can later be brought back with
+     * {@link index.html#simulatorrestore Simulator.restore(snapshot)}. The snapshot includes the simulation clock, the
+     * simulation queue, the event log, all the processes, the CPUs with the scheduling class instances and their
+     * runqueues, as well as the state of the random number generator. It is a deep copy, so the simulation can keep
+     * running without changing the snapshot. Hook subscriptions are not part of the snapshot.
+     *
+     * Snapshots are meant for paused step-by-step runs - they can't be taken from within the simulation (from a hook
+     * or a scheduling class).
+     * @memberof Simulator
+     * @return {Object} An opaque snapshot object.
+     */
+    sim.snapshot = function() {
+        if (currentEvent !== null) {
+            throw new Error("cannot take a snapshot while the simulator is handling an event, pause the simulation first.");
+        }
+
+        return takeSnapshot();
+    }
+
+    /**
+     * takeSnapshot; private method - accessible only within simulator.
+     * Captures the simulation state for {@link index.html#simulatorsnapshot Simulator.snapshot()}, without checking
+     * whether an event is being handled, so that the main loop can also use it for checkpoints between two steps.
+     * @memberof Simulator
+     * @param  {undefined | Map} copies Objects mapped to whatever should replace them in the snapshot, see cloneState.
+     * @return {Object} An opaque snapshot object.
+     */
+    var takeSnapshot = function(copies) {
+        if (copies === undefined) {
+            copies = new Map([[sim, sim]]);
+        }
+        return {
+            version: simulatorVersion,
+            time: simulationTime,
+            sim: sim,
+            state: cloneState({
+                simNameSet: simNameSet,
+                simLenSet: simLenSet,
+                timerTickLenSet: timerTickLenSet,
+                schedClassNameSet: schedClassNameSet,
+                processesLoaded: processesLoaded,
+                simInitDone: simInitDone,
+                simRunning: simRunning,
+                simWallTimeStart: simWallTimeStart,
+                simulationName: simulationName,
+                timerTickLen: timerTickLen,
+                contextSwitchCost: contextSwitchCost,
+                simulationLen: simulationLen,
+                schedClassName: schedClassName,
+                simulationTime: simulationTime,
+                stepCount: stepCount,
+                contextSwitches: contextSwitches,
+                liveProcessCount: liveProcessCount,
+                simulationQueue: simulationQueue,
+                simEventLog: simEventLog,
+                schedClassRegistered: schedClassRegistered,
+                schedClassPrioRegistered: schedClassPrioRegistered,
+                schedClassActive: schedClassActive,
+                schedClassPrio: schedClassPrio,
+                procList: procList,
+                simSeed: simSeed,
+                rngState: rngState,
+                cpuCount: cpuCount,
+                cpuList: cpuList,
+                thisCpu: thisCpu,
+                devices: devices,
+                locks: locks,
+                lockProtocol: lockProtocol,
+                groups: groups,
+                deadlocks: deadlocks,
+                templates: templates,
+                procMods: procMods,
+                preemption: sim.preemption,
+                calledPutPrev: sim.calledPutPrev
+            }, copies)
+        };
+    }
+
+    /**
+     * Simulator.restore; Bring the simulation back to the state captured by
+     * {@link index.html#simulatorsnapshot Simulator.snapshot()}. The same snapshot can be restored any number of
+     * times, for example to try out different class parameters from the same point of a simulation, and it can also
+     * be restored into a different {@link Simulation}, which then continues the simulation on its own. Any simulation
+     * that was loaded before is discarded.
+     * @memberof Simulator
+     * @param  {Object} snapshot A snapshot returned by Simulator.snapshot().
+     */
+    sim.restore = function(snapshot) {
+        if (currentEvent !== null) {
+            throw new Error("cannot restore a snapshot while the simulator is handling an event, pause the simulation first.");
+        }
+
+        restoreSnapshot(snapshot);
+
+        /* earlier checkpoints belong to a different run, stepping back can only go as far as the restored state */
+        checkpoints = [];
+        checkpointStride = 1;
+        if (simInitDone) {
+            checkpoints.push(takeCheckpoint());
+        }
+    }
+
+    /**
+     * restoreSnapshot; private method - accessible only within simulator.
+     * Brings back the state captured by takeSnapshot, for {@link index.html#simulatorrestore Simulator.restore()} and
+     * for returning to checkpoints.
+     * @memberof Simulator
+     * @param  {Object} snapshot A snapshot returned by takeSnapshot.
+     */
+    var restoreSnapshot = function(snapshot) {
+        if (snapshot === undefined || snapshot === null || snapshot.state === undefined ||
+            !(snapshot.sim instanceof Simulation)) {
+            throw new Error("invalid snapshot passed to Simulator.restore: " + snapshot);
+        } else if (snapshot.version !== simulatorVersion) {
+            throw new Error("the snapshot was taken with simulator version " + snapshot.version + ", expected " +
+                simulatorVersion);
+        }
+
+        /* copy the snapshot again so it stays reusable, its scheduling classes now belong to this simulation */
+        var state = cloneState(snapshot.state, new Map([[snapshot.sim, sim]]));
+
+        simNameSet = state.simNameSet;
+        simLenSet = state.simLenSet;
+        timerTickLenSet = state.timerTickLenSet;
+        schedClassNameSet = state.schedClassNameSet;
+        processesLoaded = state.processesLoaded;
+        simInitDone = state.simInitDone;
+        simRunning = state.simRunning;
+        simWallTimeStart = state.simWallTimeStart;
+        simulationName = state.simulationName;
+        timerTickLen = state.timerTickLen;
+        contextSwitchCost = state.contextSwitchCost;
+        simulationLen = state.simulationLen;
+        schedClassName = state.schedClassName;
+        simulationTime = state.simulationTime;
+        stepCount = state.stepCount;
+        contextSwitches = state.contextSwitches;
+        liveProcessCount = state.liveProcessCount;
+        simulationQueue = state.simulationQueue;
+        simEventLog = state.simEventLog;
+        schedClassRegistered = state.schedClassRegistered;
+        schedClassPrioRegistered = state.schedClassPrioRegistered;
+        schedClassActive = state.schedClassActive;
+        schedClassPrio = state.schedClassPrio;
+        procList = state.procList;
+        simSeed = state.simSeed;
+        rngState = state.rngState;
+        cpuCount = state.cpuCount;
+        cpuList = state.cpuList;
+        thisCpu = state.thisCpu;
+        devices = state.devices;
+        locks = state.locks;
+        lockProtocol = state.lockProtocol;
+        groups = state.groups;
+        deadlocks = state.deadlocks;
+        templates = state.templates;
+        procMods = state.procMods;
+        sim.preemption = state.preemption;
+        sim.calledPutPrev = state.calledPutPrev;
+    }
+
+
+    /**
+     * takeCheckpoint; private method - accessible only within simulator.
+     * Saves the current state of the simulation, along with the step and the time it was taken at, so that
+     * {@link index.html#simulatorstepback Simulator.stepBack()} and
+     * {@link index.html#simulatorrunbackto Simulator.runBackTo()} can return to it.
+     * @memberof Simulator
+     * @return {Object} The checkpoint.
+     */
+    var takeCheckpoint = function() {
+        /* The event log only ever grows, so checkpoints remember its length instead of copying it over and over. */
+        return {
+            step: stepCount,
+            time: simulationTime,
+            logLength: simEventLog.length,
+            snapshot: takeSnapshot(new Map([[sim, sim], [simEventLog, null]]))
+        };
+    }
+
+    /**
+     * thinCheckpoints; private method - accessible only within simulator.
+     * Keeps the number of checkpoints bounded. Once there are more than maxCheckpoints, every other one is dropped and
+     * the interval between new ones doubles, so the remaining checkpoints stay evenly spaced. The first checkpoint is
+     * always kept, as stepping back can't go further than it.
+     * @memberof Simulator
+     */
+    var thinCheckpoints = function() {
+        if (checkpoints.length <= maxCheckpoints) {
+            return;
+        }
+        checkpointStride *= 2;
+        var spacing = checkpointInterval * checkpointStride;
+        checkpoints = checkpoints.filter((checkpoint, i) => i === 0 || checkpoint.step % spacing === 0);
+    }
+
+    /**
+     * returnTo; private method - accessible only within simulator.
+     * Restores the given checkpoint and drops the ones after it, as the simulation will pass them again.
+     * @memberof Simulator
+     * @param  {number} index The index of the checkpoint in the checkpoint list.
+     */
+    var returnTo = function(index) {
+        var checkpoint = checkpoints[index];
+        var log = simEventLog;
+        var relinked = new Map();
+        for (let i = 0; i < procList.length; i++) {
+            relinked.set(procList[i], i);
+        }
+        for (let c = 0; c < cpuList.length; c++) {
+            relinked.set(cpuList[c].idle, -1 - c);
+        }
+
+        restoreSnapshot(checkpoint.snapshot);
+        checkpoints.length = index + 1;
+
+        /* The events logged before the checkpoint still reference the processes that were just replaced. They are
+         * copied with the references pointing to the restored processes, the old log can still be in use elsewhere. */
+        for (let [proc, i] of relinked) {
+            relinked.set(proc, i >= 0 ? procList[i] : cpuList[-1 - i].idle);
+        }
+        simEventLog = log.slice(0, checkpoint.logLength).map(function(evt) {
+            var copy = Object.create(Object.getPrototypeOf(evt));
+            for (let key of Object.keys(evt)) {
+                copy[key] = relinked.has(evt[key]) ? relinked.get(evt[key]) : evt[key];
+            }
+            return copy;
+        });
+    }
+
+    /**
+     * replay; private method - accessible only within simulator.
+     * Runs the simulation forward after returning to a checkpoint. The simulation is deterministic, so it passes
+     * through exactly the same states as the first time, but the hooks subscribed with
+     * {@link index.html#simulatoron Simulator.on()} are not called again.
+     * @memberof Simulator
+     * @param  {number} runFor Same as the runFor parameter of {@link index.html#simulatorrun Simulator.run()}, except
+     * that 0 does not run the simulation at all.
+     * @return {SimResult} The simulation result object of a paused simulation.
+     */
+    var replay = function(runFor) {
+        if (runFor === 0) {
+            var simRes = new SimResult(Date.now());
+            simRes.wallClockTime = simRes.timestamp - simWallTimeStart;
+            simRes.finished = false;
+            simRes.runTime = sim.time();
+            fillResult(simRes);
+            return simRes;
+        }
+
+        replaying = true;
+        try {
+            return sim.run(runFor);
+        } finally {
+            replaying = false;
+        }
+    }
+
+    /**
+     * Simulator.stepBack; Take the simulation back by one or multiple steps. The simulator returns to the last
+     * checkpoint before the wanted step and runs the simulation from there up to it, so the steps are the same ones
+     * that {@link index.html#simulatorstep Simulator.step(steps)} takes. This also works after the simulation has
+     * finished, to go back and look at the end of it again. Hooks are not called for the steps that are run again.
+     * @memberof Simulator
+     * @param {undefined | number} steps The number of steps to go back, 1 by default. Going back past the start of the
+     * simulation stops at the start.
+     * @return {SimResult} The simulation result object of the paused simulation.
+     */
+    sim.stepBack = function(steps) {
+        if (checkpoints.length === 0) {
+            throw new Error("there is no simulation to step back in. Run Simulator.init() first.");
+        } else if (currentEvent !== null) {
+            throw new Error("cannot step back while the simulator is handling an event, pause the simulation first.");
+        }
+
+        if (typeof(steps) !== "number" || steps < 1) {
+            steps = 1;
+        }
+
+        var target = Math.max(stepCount - steps, checkpoints[0].step);
+        var i = checkpoints.length - 1;
+        while (checkpoints[i].step > target) {
+            i--;
+        }
+
+        returnTo(i);
+        return replay(-(target - stepCount));
+    }
+
+    /**
+     * Simulator.runBackTo; Take the simulation back to the specified time. The simulator returns to the last checkpoint
+     * before that time and runs the simulation from there, the same as
+     * {@link index.html#simulatorrunto Simulator.runTo(stopTime)} would. Hooks are not called again.
+     * @memberof Simulator
+     * @param {number} stopTime The nanosecond of simulation at which the simulation should stop, earlier than the
+     * current simulation time.
+     * @return {SimResult | null} The simulation result object of the paused simulation, or null if stopTime is not
+     * earlier than the current simulation time.
+     */
+    sim.runBackTo = function(stopTime) {
+        if (checkpoints.length === 0) {
+            throw new Error("there is no simulation to run back in. Run Simulator.init() first.");
+        } else if (currentEvent !== null) {
+            throw new Error("cannot run back while the simulator is handling an event, pause the simulation first.");
+        } else if (typeof(stopTime) !== "number") {
+            throw new Error("expected a number, found " + typeof(stopTime) + ": " + stopTime);
+        }
+
+        if (stopTime >= sim.time()) {
+            return null;
+        }
+
+        var i = checkpoints.length - 1;
+        while (i > 0 && checkpoints[i].time > stopTime) {
+            i--;
+        }
+
+        returnTo(i);
+        /* Simulator.run() always handles at least one event, which here can already be past stopTime */
+        if (peekNextEvent().time > stopTime) {
+            sim.time(stopTime);
+            return replay(0);
+        }
+        return replay(stopTime - sim.time());
     }
 
 
@@ -2748,19 +5595,33 @@ var Simulator = {};
      */
     sim.multiRun = {
         simConf: null,
+        masterSeed: null,
         results: [],
         initDone: false,
         simDone: false,
 
         /**
          * Simulator.multiRun.init; Initialize the simulator to perform multiple simulations in a row. Must be run
-         * before any other multiRun functions.
+         * before any other multiRun functions. Every run gets its own seed, derived from a master seed and the index
+         * of the run. The seed of each run is recorded in its result, so any of the runs can be replayed on its own
+         * by passing that seed to {@link index.html#simulatorinit Simulator.init()}.
          * @memberof Simulator.multiRun
          * @param {Object | string} simConf A simulation configuration object. Will also accept a string that
          * corresponds to a name of a simulation configuration in {@link SimulationPresets}.
+         * @param {(undefined|number|string)} seed The master seed. Overrides the seed given in the simulation
+         * configuration. If neither is given, a random master seed is chosen.
          */
-        init: function(simConf) {
-            sim.init(simConf);
+        init: function(simConf, seed) {
+            if (seed === undefined && simConf !== undefined && simConf !== null) {
+                seed = typeof(simConf) === "string" && SimulationPresets[simConf] !== undefined ?
+                    SimulationPresets[simConf].seed : simConf.seed;
+            }
+            if (seed === undefined) {
+                seed = Math.floor(Math.random() * 4294967296);
+            }
+            sim.multiRun.masterSeed = seed;
+
+            sim.init(simConf, deriveSeed(seed, 0));
             sim.multiRun.simConf = simConf;
             sim.multiRun.results = [];
             sim.multiRun.initDone = true;
@@ -2774,6 +5635,7 @@ var Simulator = {};
          * @param  {number} times Number of times that the simulation should run.
          * @returns {Object} An object containing the following entries:
          * - **simulationsRan** (number): The number of simulations that were executed in the multiRun
+         * - **masterSeed** (number | string): The master seed from which the seeds of individual runs were derived
          * - **realTimeTaken** (number): The real time that it took to complete the multirun, in milliseconds
          * - **averageLatency** (Object): The object returned by
          * {@link index.html#simulatormultirungetaveragelatency Simulator.multiRun.getAverageLatency()}.
@@ -2799,7 +5661,7 @@ var Simulator = {};
 
             sim.multiRun.results.push(sim.run());
             for (var i = 1; i < times; i++) {
-                sim.init(sim.multiRun.simConf);
+                sim.init(sim.multiRun.simConf, deriveSeed(sim.multiRun.masterSeed, i));
                 sim.multiRun.results.push(sim.run());
             }
 
@@ -2813,6 +5675,7 @@ var Simulator = {};
 
             return {
                 simulationsRan: times,
+                masterSeed: sim.multiRun.masterSeed,
                 realTimeTaken: Date.now() - startTime,
                 averageLatency: sim.multiRun.getAverageLatency(),
                 schedClassLatency: schedClassLatency,
@@ -2984,7 +5847,9 @@ var Simulator = {};
          * {@link index.html#simulatorprocstats Simulator.procStats()} returned for individual simulations. Other than
          * that, the turnaround.valid value changes from boolean to a number. That number represents the number of
          * simulations in which the process exited, making it possible to calculate its turnaround time and use it in
-         * the average turnaround time calculation. Each of the objects in the array is hence as follows:
+         * the average turnaround time calculation. Processes that were forked at runtime can be missing from some of the
+         * simulations, their averages are calculated over the simulations that they appeared in. Each of the objects in
+         * the array is hence as follows:
          * <pre><code>
          * {
          *     pid: the process ID of the given process,
@@ -3024,10 +5889,16 @@ var Simulator = {};
          */
         procStats: function() {
             var procRes = [];
-            for (let i in this.results[0].processStats) {
+            /* Forked processes can make the process lists differ in length, the longest one names all the processes.
+             * runs[i] counts the simulations that the process with PID i appeared in. */
+            var longest = this.results.reduce((acc, curr) =>
+                curr.processStats.length > acc.processStats.length ? curr : acc);
+            var runs = [];
+            for (let i in longest.processStats) {
+                runs.push(0);
                 procRes.push({
                     pid: i,
-                    pname: this.results[0].processList[i].pname,
+                    pname: longest.processList[i].pname,
                     latency: {
                         sum: 0,
                         avg: 0,
@@ -3051,6 +5922,7 @@ var Simulator = {};
             for (let i in this.results) {
                 for (let j in this.results[i].processStats) {
                     let proc = this.results[i].processStats[j];
+                    runs[j]++;
                     procRes[j].execution.cnt += proc.execution.cnt;
                     procRes[j].execution.sum += proc.execution.sum;
                     procRes[j].execution.avg += proc.execution.avg;
@@ -3064,8 +5936,8 @@ var Simulator = {};
             }
 
             /* calculate averages */
-            let count = this.results.length;
             for (let i in procRes) {
+                let count = runs[i];
                 procRes[i].execution.cnt /= count;
                 procRes[i].execution.sum /= count;
                 procRes[i].execution.avg /= count;
@@ -3090,6 +5962,7 @@ var Simulator = {};
 
             /* calculate standard deviations */
             for (let i in procRes) {
+                let count = runs[i];
                 procRes[i].execution.dev = Math.sqrt(procRes[i].execution.dev / count);
                 procRes[i].latency.dev = Math.sqrt(procRes[i].latency.dev / count);
                 if (procRes[i].turnaround.valid > 0) {
@@ -3098,11 +5971,175 @@ var Simulator = {};
             }
 
             return procRes;
+        },
+
+        /**
+         * Simulator.multiRun.exportCSV; Export the per-process statistics of every simulation that ran in the last
+         * {@link index.html#simulatormultirunrun Simulator.multiRun.run()} call as CSV. The columns are the same as
+         * with {@link index.html#simulatorexportcsv Simulator.exportCSV()}, preceded by the index of the run and its
+         * seed, so that the averages can be recalculated or grouped in any other way.
+         * @memberof Simulator.multiRun
+         * @return {string} The statistics as CSV text, with a header line.
+         */
+        exportCSV: function() {
+            var results = sim.multiRun.results;
+            if (results.length === 0) {
+                throw new Error("there are no results to export. Call \"Simulator.multiRun.run\" first.");
+            }
+
+            var lines = [["run", "seed"].concat(csvHeader).join(",")];
+            for (let i = 0; i < results.length; i++) {
+                lines = lines.concat(csvRows(results[i], [i, results[i].seed]));
+            }
+            return lines.join("\n") + "\n";
+        },
+
+        /**
+         * Simulator.multiRun.exportSummaryCSV; Export the aggregate statistics of the last
+         * {@link index.html#simulatormultirunrun Simulator.multiRun.run()} call as CSV, in the same three columns
+         * as {@link index.html#simulatorexportsummarycsv Simulator.exportSummaryCSV()}: the averages and deviations
+         * of the latency over all the runs, in general and for every scheduling class, of the load and of the
+         * turnaround time, along with the number of runs and the master seed. The scope of the latency of a class is
+         * the name of the class.
+         * @memberof Simulator.multiRun
+         * @return {string} The statistics as CSV text, with a header line.
+         */
+        exportSummaryCSV: function() {
+            if (sim.multiRun.results.length === 0) {
+                throw new Error("there are no results to export. Call \"Simulator.multiRun.run\" first.");
+            }
+
+            var rows = [["simulationsRan", "all", sim.multiRun.results.length],
+                ["masterSeed", "all", sim.multiRun.masterSeed]];
+            var latencies = [["all", sim.multiRun.getAverageLatency()]].concat(
+                schedClassPrio.map(name => [name, sim.multiRun.getAverageLatency(name)]));
+            for (let [scope, lat] of latencies) {
+                rows.push(["latencyAvgAvg", scope, lat.avgAvg], ["latencyDevAvg", scope, lat.devAvg],
+                    ["latencyAvgDev", scope, lat.avgDev]);
+            }
+            var load = sim.multiRun.getAverageLoad();
+            var turnaround = sim.multiRun.getAverageTurnaround();
+            rows.push(["loadAvg", "all", load.avg], ["loadDev", "all", load.dev]);
+            rows.push(["turnaroundAvgAvg", "all", turnaround.avgAvg], ["turnaroundAvgDev", "all", turnaround.avgDev],
+                ["exitedAvg", "all", turnaround.avgExited], ["runningAvg", "all", turnaround.avgRunning],
+                ["turnaroundRuns", "all", turnaround.resultsUsed]);
+
+            return [csvSummaryHeader.join(",")].concat(rows.map(row => row.map(csvField).join(","))).join("\n") +
+                "\n";
         }
 
     }; /* Simulator.multiRun */
 
 
+    /* The columns of the aggregate statistics in CSV exports. */
+    var csvSummaryHeader = ["statistic", "scope", "value"];
+
+    /* The columns of the per-process statistics in CSV exports. */
+    var csvHeader = ["pid", "pname", "class", "cpu", "execCnt", "execSum", "execAvg", "execDev", "latencySum",
+        "latencyAvg", "latencyDev", "turnaround"];
+
+    /**
+     * csvField; private method - accessible only within simulator.
+     * Formats a value as a CSV field, quoting it if needed. Missing values and NaN are left empty.
+     * @memberof Simulator
+     * @param  {*} value The value of the field.
+     * @return {string} The field.
+     */
+    var csvField = function(value) {
+        if (value === null || value === undefined || Number.isNaN(value)) {
+            return "";
+        }
+        value = String(value);
+        if (/[",\n]/.test(value)) {
+            return "\"" + value.replace(/"/g, "\"\"") + "\"";
+        }
+        return value;
+    }
+
+    /**
+     * csvRows; private method - accessible only within simulator.
+     * Turns the per-process statistics of a finished simulation into CSV lines, one line per process.
+     * @memberof Simulator
+     * @param  {SimResult} result The result of a finished simulation.
+     * @param  {Array} prefix Values of the extra columns that come before the statistics on every line.
+     * @return {string[]} The lines, without the header.
+     */
+    var csvRows = function(result, prefix) {
+        var lines = [];
+        for (let stats of result.processStats) {
+            let proc = result.processList[stats.pid];
+            let row = prefix.concat([stats.pid, proc.pname, proc.schedClass.name, stats.cpu, stats.execution.cnt,
+                stats.execution.sum, stats.execution.avg, stats.execution.dev, stats.latency.sum, stats.latency.avg,
+                stats.latency.dev, stats.turnaround.value]);
+            lines.push(row.map(csvField).join(","));
+        }
+        return lines;
+    }
+
+    /**
+     * Simulator.exportCSV; Export the per-process statistics of a finished simulation as CSV, one line per process,
+     * for analysis in a spreadsheet, pandas or R. The columns are the process ID, name, scheduling class and CPU,
+     * the execution count, sum, average and deviation, the latency sum, average and deviation, and the turnaround
+     * time, which is empty for processes that did not exit. All times are in nanoseconds.
+     * @memberof Simulator
+     * @param  {SimResult} result The result of a finished simulation, as returned by
+     * {@link index.html#simulatorrun Simulator.run()}.
+     * @return {string} The statistics as CSV text, with a header line.
+     */
+    sim.exportCSV = function(result) {
+        if (result === undefined || result === null || !(result.processStats instanceof Array) ||
+            !result.finished) {
+                throw new Error("Simulator.exportCSV expects the result of a finished simulation, instead found: " +
+                    result);
+        }
+
+        return [csvHeader.join(",")].concat(csvRows(result, [])).join("\n") + "\n";
+    }
+
+    /**
+     * Simulator.exportSummaryCSV; Export the aggregate statistics of a finished simulation as CSV, one line per
+     * statistic, the counterpart of the per-process lines of
+     * {@link index.html#simulatorexportcsv Simulator.exportCSV()}. The columns are the name of the statistic, its scope and its value. The scope is "all" for the whole simulation,
+     * "CPU n" for the load of a single CPU and the name of the scheduling class for the latency of a class and the
+     * statistics that the classes report themselves (classStats). All times are in nanoseconds.
+     * @memberof Simulator
+     * @param  {SimResult} result The result of a finished simulation, as returned by
+     * {@link index.html#simulatorrun Simulator.run()}.
+     * @return {string} The statistics as CSV text, with a header line.
+     */
+    sim.exportSummaryCSV = function(result) {
+        if (result === undefined || result === null || !(result.processStats instanceof Array) ||
+            !result.finished) {
+                throw new Error("Simulator.exportSummaryCSV expects the result of a finished simulation, instead " +
+                    "found: " + result);
+        }
+
+        var rows = [["contextSwitches", "all", result.contextSwitches], ["overheadTime", "all", result.overheadTime],
+            ["load", "all", result.averageLoad]];
+        for (let c = 0; c < result.cpuLoad.length; c++) {
+            rows.push(["load", "CPU " + c, result.cpuLoad[c]]);
+        }
+        rows.push(["latencyAvg", "all", result.averageLatency.general.avg],
+            ["latencyDev", "all", result.averageLatency.general.dev]);
+        for (let lat of result.averageLatency.byClass) {
+            rows.push(["latencyAvg", lat.name, lat.avg], ["latencyDev", lat.name, lat.dev]);
+        }
+        rows.push(["turnaroundAvg", "all", result.averageTurnaround.avg],
+            ["turnaroundDev", "all", result.averageTurnaround.dev],
+            ["exited", "all", result.averageTurnaround.exited], ["running", "all", result.averageTurnaround.running]);
+        /* only the single values, the class statistics can hold anything */
+        for (let name in result.classStats) {
+            for (let [description, value] of result.classStats[name]) {
+                if (typeof(value) === "number") {
+                    rows.push([description, name, value]);
+                }
+            }
+        }
+
+        return [csvSummaryHeader.join(",")].concat(rows.map(row => row.map(csvField).join(","))).join("\n") + "\n";
+    }
+
+
     /**
      * Simulator.procStats; Calculates and returns a list of per-process statistics. Should be run after the simulation
      * has concluded.
@@ -3114,6 +6151,7 @@ var Simulator = {};
      * <pre><code>
      * {
      *     pid: the process ID of the given process,
+     *     cpu: the number of the CPU that the process ran on,
      *     latency: {
      *         sum: the sum of time that the process spent waiting,
      *         avg: the average time that the process spent waiting before it
@@ -3133,11 +6171,25 @@ var Simulator = {};
      *                turnaround time is a valid piece of information,
      *         value: the time from process's first appearance in the simulator
      *                to the time it exited
+     *     },
+     *     locks: {
+     *         acquired: the number of times the process took a lock,
+     *         holdSum: the sum of time that the process held locks,
+     *         holdAvg: the average time that a lock was held, null if no locks
+     *                  were taken,
+     *         holdMax: the longest time that a lock was held,
+     *         waits: the number of times the process had to wait for a lock or
+     *                a condition,
+     *         waitSum: the sum of time that the process spent waiting for them,
+     *         waitAvg: the average time of a wait, null if it never waited,
+     *         waitMax: the longest wait
      *     }
      * }
      * </code></pre>
+     * Locks that are still held and waits that are still in progress are counted up to the current moment.
      */
     sim.procStats = function() {
+        var now = sim.time();
         var results = [];
 
         let latAvg, latDev, runAvg, runDev;
@@ -3146,10 +6198,10 @@ var Simulator = {};
             let proc = procList[i];
 
             if (proc.latencyLog.length > 0) {
-                latAvg = proc.latencyLog.reduce((acc, curr) => acc + curr) / proc.latencyLog.length;
+                latAvg = proc.latencyLog.reduce((acc, curr) => acc + curr, 0) / proc.latencyLog.length;
                 latDev = Math.sqrt(
                     proc.latencyLog.reduce((acc, curr) =>
-                        acc + Math.pow((curr - latAvg), 2)
+                        acc + Math.pow((curr - latAvg), 2), 0
                     ) / proc.latencyLog.length);
             } else {
                 latAvg = null;
@@ -3157,10 +6209,10 @@ var Simulator = {};
             }
 
             if (proc.runLog.length > 0) {
-                runAvg = proc.runLog.reduce((acc, curr) => acc + curr) / proc.runLog.length;
+                runAvg = proc.runLog.reduce((acc, curr) => acc + curr, 0) / proc.runLog.length;
                 runDev = Math.sqrt(
                     proc.runLog.reduce((acc, curr) =>
-                        acc + Math.pow((curr - runAvg), 2)
+                        acc + Math.pow((curr - runAvg), 2), 0
                     ) / proc.runLog.length);
             } else {
                 runAvg = null;
@@ -3170,8 +6222,21 @@ var Simulator = {};
 
             let turnaround = proc.alive ? null : proc.exited - proc.spawned;
 
+            let lockStats = proc.lockStats;
+            let holdSum = lockStats.holdTime, holdMax = lockStats.holdMax;
+            for (let held of proc.locksHeld) {
+                holdSum += now - held.since;
+                holdMax = Math.max(holdMax, now - held.since);
+            }
+            let waitSum = lockStats.waitTime, waitMax = lockStats.waitMax;
+            if (proc.lockWait !== null) {
+                waitSum += now - proc.lockWaitSince;
+                waitMax = Math.max(waitMax, now - proc.lockWaitSince);
+            }
+
             results.push({
                 pid: i,
+                cpu: proc.cpu,
                 latency: {
                     sum: proc.waitTime,
                     avg: latAvg,
@@ -3186,6 +6251,16 @@ var Simulator = {};
                 turnaround: {
                     valid: !proc.alive,
                     value: turnaround
+                },
+                locks: {
+                    acquired: lockStats.acquired,
+                    holdSum: holdSum,
+                    holdAvg: lockStats.acquired > 0 ? holdSum / lockStats.acquired : null,
+                    holdMax: holdMax,
+                    waits: lockStats.waits,
+                    waitSum: waitSum,
+                    waitAvg: lockStats.waits > 0 ? waitSum / lockStats.waits : null,
+                    waitMax: waitMax
                 }
             });
         }
@@ -3210,6 +6285,9 @@ var Simulator = {};
      * themselves whether they need copied or referenced objects. Object deep copies can be done via
      * "var objectCopy = JSON.parse(JSON.stringify(objectToCopy))".
      *
+     * Processes that are forked while the simulation runs get the same value changes made to them as they appear.
+     * Different value changes are left to {@link SchedClass#taskFork SchedClass.taskFork(proc)}.
+     *
      * @memberof Simulator
      * @param {string | string[]}   propName    The name of new (or existing) property of the process object that we
      * wish to assign a new value to.
@@ -3231,19 +6309,29 @@ var Simulator = {};
             modAll = true;
         }
 
+        /* processes that the lock protocol could move into the class need its fields as well */
+        var inClass = function(proc) {
+            return modAll || proc.policy === className || proc.lockClasses.includes(className);
+        }
+
         var i;
         checkProcProp(propName);
         if (typeof(propName) === "string") {
+            /* remember the change for the processes that get forked later, the last value given to a field counts */
+            procMods = procMods.filter(mod => mod.propName !== propName || mod.className !== className);
+            procMods.push({propName: propName, propVal: propVal instanceof Object ?
+                JSON.parse(JSON.stringify(propVal)) : propVal, className: className});
+
             if (propVal instanceof Object) {    // objects are deep copied
                 var propValStr = JSON.stringify(propVal);
                 for (i = 0; i < procList.length; i++) {
-                    if (modAll || procList[i].policy === className) {
+                    if (inClass(procList[i])) {
                         procList[i][propName] = JSON.parse(propValStr);
                     }
                 }
             } else {                            // simple values are assigned
                 for (i = 0; i < procList.length; i++) {
-                    if (modAll || procList[i].policy === className) {
+                    if (inClass(procList[i])) {
                         procList[i][propName] = propVal;
                     }
                 }
@@ -3259,7 +6347,7 @@ var Simulator = {};
             }
 
             for (i = 0; i < procList.length; i++) {
-                if (modAll || procList[i].policy === className) {
+                if (inClass(procList[i])) {
                     procList[i][propName[i]] = propVal[i];
                 }
             }
@@ -3269,10 +6357,75 @@ var Simulator = {};
     }
 
 
+    /**
+     * Simulator.on; Subscribe a function to a simulation hook, to be notified whenever something happens in a running
+     * simulation. The function is called with the simulation as <code>this</code> and two arguments: the event and the
+     * affected process. Available hooks:
+     * - **fork**: a process appeared in the simulation, called with its ForkEvent,
+     * - **enqueue**: a blocked process became runnable again, called with its EnqueueEvent,
+     * - **pick**: a process was picked to run on a CPU, called with the PickEvent. The picked process can also be the
+     * idle process of the CPU,
+     * - **preempt**: a running process was preempted, called with the event that caused the preemption (for example
+     * an EnqueueEvent of a more important process or a TimerEvent),
+     * - **block**: a running process blocked, called with its BlockEvent,
+     * - **exit**: a process exited, called with its ExitEvent,
+     * - **tick**: a timer tick was handled, called with the TimerEvent and the process that was running on its CPU.
+     *
+     * Hooks are called once the simulator has updated the state of the affected process. They are only meant for
+     * observing a simulation and must not change it. If a handler throws, the simulator still finishes handling the
+     * event and then throws the error from {@link index.html#simulatorrun Simulator.run()}, which leaves the simulation
+     * paused after that event. Subscriptions are kept across simulations until they are removed with
+     * {@link index.html#simulatoroff Simulator.off()}.
+     * @memberof Simulator
+     * @param  {string} type The name of the hook.
+     * @param  {function} handler The function to call.
+     * @return {function} The handler, so it can be passed to Simulator.off later.
+     */
+    sim.on = function(type, handler) {
+        if (!hookTypes.includes(type)) {
+            throw new Error("unknown simulation hook \"" + type + "\", available hooks: " + hookTypes.join(", "));
+        } else if (typeof(handler) !== "function") {
+            throw new Error("the handler for simulation hook \"" + type + "\" needs to be a function, found: " + handler);
+        }
+
+        if (listeners[type] === undefined) {
+            listeners[type] = [];
+        }
+        listeners[type].push(handler);
+        return handler;
+    }
+
+    /**
+     * Simulator.off; Unsubscribe a function from a simulation hook, that was subscribed with
+     * {@link index.html#simulatoron Simulator.on()}. If no function is given, all the functions subscribed to the hook
+     * are removed.
+     * @memberof Simulator
+     * @param  {string} type The name of the hook.
+     * @param  {(undefined|function)} handler The function to remove.
+     */
+    sim.off = function(type, handler) {
+        if (!hookTypes.includes(type)) {
+            throw new Error("unknown simulation hook \"" + type + "\", available hooks: " + hookTypes.join(", "));
+        } else if (listeners[type] === undefined) {
+            return;
+        }
+
+        if (handler === undefined) {
+            listeners[type] = [];
+        } else {
+            let i = listeners[type].indexOf(handler);
+            if (i >= 0) {
+                listeners[type].splice(i, 1);
+            }
+        }
+    }
+
+
 	/* Scheduling related functions --------------------------------------------------------------------------------- */
 
 	/**
-	 * Simulator.pickNext; Pick the next process to be run. This method also:
+	 * Simulator.pickNext; Pick the next process to be run on the CPU that the simulator is currently working on. This
+	 * method also:
 	 * - calls handlePreempt if the previously running process didn't block on its own
 	 * - updates the picked process's behavior
 	 * - sets the picked process's end event (block or exit)
@@ -3282,20 +6435,33 @@ var Simulator = {};
 		var prev;
         var next = null;
         var now = sim.time();
+        var schedClassActive = thisCpu.schedClassActive;
 
         /* store the process that ran up until now */
-        prev = curr;
+        prev = thisCpu.curr;
+        /* the process that the classes get as the previous one, see below */
+        var handedOver = prev;
 
         /* handle preemption of the previously running process */
         if (prev !== null && prev !== undefined && prev.runnable) {
             handlePreempt(prev);
+
+            /* A lock holder whose priority changed while it was running moves to its new class or priority on its way
+             * off the CPU. Its old class takes it back first, so the classes then pick as if the CPU had been idle. */
+            let target = prev.runnable && lockProtocol !== "none" ? lockPriority(prev) : null;
+            if (target !== null) {
+                prev.schedClass.putPrev(prev);
+                sim.calledPutPrev = false;
+                setPriority(prev, target);
+                handedOver = thisCpu.idle;
+            }
         }
 
 		/* get next process from scheduling classes, call updateLatency on those that don't get to pick a process */
         sim.calledPutPrev = false;
 		for (var i = 0; i < schedClassPrio.length; i++) {
             if (next === null) {
-                next = schedClassActive[schedClassPrio[i]].pickNext(prev);
+                next = schedClassActive[schedClassPrio[i]].pickNext(handedOver);
                 if (next !== null && !sim.calledPutPrev) {
                     throw new Error("the scheduling class "+schedClassPrio[i]+" returned a process to run, but never made a call to \"Simulator.putPrev(prev)\". This call is essential to the functioning of the simulator and MUST be made if a process is picked.");
                 } else if (next === null && sim.calledPutPrev) {
@@ -3307,7 +6473,7 @@ var Simulator = {};
 		}
 		/* run idle if we got nothing, otherwise handle process's latency */
 		if (next === null || next === undefined) {
-			next = idle;
+			next = thisCpu.idle;
 		} else {
 			contextSwitches++;
 
@@ -3333,10 +6499,22 @@ var Simulator = {};
             }
 		}
 
-        /* Log the pick in the process. */
-        next.execLog.push(new LogEntry(now, LogEvent.pick));
+        /* Switching to a different process takes time, the process only starts running once the switch is over. */
+        var start = now;
+        if (next !== thisCpu.idle && next !== prev && contextSwitchCost !== 0) {
+            start = now + getProcVal(contextSwitchCost);
+        }
+
+        /* Log the pick in the process, or the start of the switch to it if it doesn't run right away. */
+        next.execLog.push(new LogEntry(now, start > now ? LogEvent.switch : LogEvent.pick));
         /* Log the pick in the simulation log. */
-        simEventLog.push(new PickEvent(now, next));
+        var pickEvt = new PickEvent(now, next, thisCpu.id);
+        pickEvt.setOn = now;
+        simEventLog.push(pickEvt);
+        /* The end of the switch logs the actual pick in the process. */
+        if (start > now) {
+            thisCpu.switchEvent = insertEvent(new ContextSwitchEvent(start, next, thisCpu.id));
+        }
 
 		/* The time for which the task shall run. Actually determined later on. */
 		var runTime = -1;
@@ -3361,19 +6539,24 @@ var Simulator = {};
          * were met (so behavior1_cond && behavior2_cond && ...) */
 		if (next.nextBehIndex < next.behavior.length) {
 			var nextBeh = next.behavior[next.nextBehIndex];
-			if (!nextBeh.final && (
-                nextBeh.procExec !== undefined && next.execTime >= nextBeh.procExec ||
-				nextBeh.simExec  !== undefined && now >= nextBeh.simExec ||
-				nextBeh.execCnt  !== undefined && next.execCnt >= nextBeh.execCnt)) {
+			if (!nextBeh.final && behaviorDue(next, nextBeh, now)) {
 					if (nextBeh.run !== undefined) {
 						next.currBehavior.run = nextBeh.run;
 					}
 					if (nextBeh.block !== undefined) {
 						next.currBehavior.block = nextBeh.block;
 					}
-					if (nextBeh.priority !== undefined) {
+					/* a process that runs with a borrowed priority gets its own one back later */
+					if (nextBeh.priority !== undefined && next.basePriority !== null) {
+						next.basePriority = nextBeh.priority;
+					} else if (nextBeh.priority !== undefined) {
 						next.currBehavior.priority = nextBeh.priority;
 					}
+					for (let field of lockFields.concat(forkFields, deadlineFields, shareFields)) {
+						if (nextBeh[field] !== undefined) {
+							next.currBehavior[field] = nextBeh[field];
+						}
+					}
 					next.nextBehIndex++;
 			}
 
@@ -3387,7 +6570,7 @@ var Simulator = {};
                     runTime = next.remainingRuntime;
                 } else {
                     /* decide on a new runtime value */
-                    runTime = getProcVal(next.currBehavior.run);
+                    runTime = getBurstVal(next.currBehavior.run);
                     /* store it in process */
                     next.remainingRuntime = runTime;
                 }
@@ -3397,23 +6580,23 @@ var Simulator = {};
 					exitCond = ExitCond.procExec;
 					if (nextBeh.endNicely) {
 						exitNice = true;
-						endTime = now + runTime;
+						endTime = start + runTime;
 					} else {
 						exitNice = false;
                         if (next.execTime >= nextBeh.procExec) {
                             /* exit right away if we have already passed the set time */
-                            endTime = now + 1;
+                            endTime = start + 1;
                         } else {
-                            endTime = now + (nextBeh.procExec - next.execTime);
+                            endTime = start + (nextBeh.procExec - next.execTime);
                         }
 
 					}
 				} else if (nextBeh.simExec !== undefined) {
 					exitCond = ExitCond.simExec;
 					if (nextBeh.endNicely) {
-                        if (now + runTime >= nextBeh.simExec) {
+                        if (start + runTime >= nextBeh.simExec) {
                             exitNice = true;
-                            endTime = now + runTime;
+                            endTime = start + runTime;
                         } // else nothing, simExec time wouldn't be reached yet
 					} else {
                         // this check could probably just NOT set an event if one is already there, needs testing
@@ -3429,7 +6612,7 @@ var Simulator = {};
                         /* Check if the process should exit during its runtime. If so, set our ExitEvent as
                          * next.nextEvent as well, to let other parts of the simulator know that the process is supposed
                          * to be exiting soon. Leave endTime alone, but mark that we already set the end event. */
-                        if (now + runTime >= nextBeh.simExec) {
+                        if (start + runTime >= nextBeh.simExec) {
                             next.nextEvent = next.strictEndEvent;
                             endEventSet = true;
                         }
@@ -3442,7 +6625,7 @@ var Simulator = {};
                     } else {
                         exitNice = false;   // exits on preempt too
                     }
-					endTime = now + runTime;
+					endTime = start + runTime;
 				}
 
 				if (endTime > 0) {	// end time was set, place an exit event at it
@@ -3466,18 +6649,20 @@ var Simulator = {};
                 runTime = next.remainingRuntime;
             } else {
                 /* decide on a new runtime value */
-                runTime = getProcVal(next.currBehavior.run);
+                runTime = getBurstVal(next.currBehavior.run);
                 /* store it in process */
                 next.remainingRuntime = runTime;
             }
-			next.nextEvent = insertEvent(new BlockEvent(now + runTime, next));
+			next.nextEvent = insertEvent(new BlockEvent(start + runTime, next));
 		}
 
-		/* Set the process's picked time. */
-		next.picked = now;
+		/* Set the process's picked time, the time at which it actually starts running. */
+		next.picked = start;
 
         /* Set the running process. */
-        curr = next;
+        thisCpu.curr = next;
+
+        emit("pick", pickEvt, next);
 
 		return null;
 	} /* sim.pickNext */
@@ -3499,11 +6684,13 @@ var Simulator = {};
      * always preempt the current one and run straight away. If the new process belongs to the same scheduling class as
      * the currently running one, the {@link index.html#schedclasscheckpreempt SchedClass.checkPreempt} method of this
      * scheduling class shall be called to make the decision. Processes from lower priority classes cannot preempt
-     * higher priority ones.
+     * higher priority ones. Only the process running on the new process's CPU can be preempted.
      * @memberof Simulator
      * @param  {Process} proc The process that just entered a runnable state (got enqueued).
      */
     sim.checkPreempt = function(proc) {
+        var curr = cpuList[proc.cpu].curr;
+        var schedClassActive = cpuList[proc.cpu].schedClassActive;
         if (proc.schedClass === curr.schedClass && sim.preemption) {
             proc.schedClass.checkPreempt(proc);
         } else {
@@ -3517,5 +6704,104 @@ var Simulator = {};
         }
     }
 
+    if (definition !== undefined) {
+        sim.init(definition);
+    }
+} /* Simulation */
+
+
+/**
+ * Simulation.schedClassRegistered; The registry of scheduling classes shared by all simulations, in the form of
+ * name:class pairs. Every {@link Simulation} creates its own instances of the classes registered here.
+ * @memberof Simulation
+ * @type {Object}
+ */
+Simulation.schedClassRegistered = {};
+/**
+ * Simulation.schedClassPrioRegistered; The names of the registered scheduling classes in the order in which they were
+ * registered. New simulations start with this priority order.
+ * @memberof Simulation
+ * @type {string[]}
+ */
+Simulation.schedClassPrioRegistered = [];
+
+/**
+ * Simulation.registerSchedClass; Register a scheduling class to be used in the simulator. The class becomes available
+ * to every simulation, including the ones that were created before it was registered. To implement a custom
+ * scheduling class, please refer to
+ * {@link index.html#schedclasstemplate SchedClassTemplate}, which serves as an example scheduling class
+ * implementation with extra instructions and explainations.
+ * @memberof Simulation
+ * @param  {string} className A name for the new scheduling class.
+ * @param  {SchedClass} schedClass An instance of a scheduling class that extends SchedClass. Simulations create their
+ * own instances with <code>new schedClass.constructor(className)</code>.
+ */
+Simulation.registerSchedClass = function(className, schedClass) {
+    if (schedClass.name !== undefined && typeof(schedClass.name) === "string" &&
+        schedClass.init !== undefined && typeof(schedClass.init) === "function" &&
+        schedClass.enqueue !== undefined && typeof(schedClass.enqueue) === "function" &&
+        schedClass.dequeue !== undefined && typeof(schedClass.dequeue) === "function" &&
+        schedClass.pickNext !== undefined && typeof(schedClass.pickNext) === "function" &&
+        schedClass.putPrev !== undefined && typeof(schedClass.putPrev) === "function" &&
+        schedClass.taskTick !== undefined && typeof(schedClass.taskTick) === "function" &&
+        schedClass.checkPreempt !== undefined && typeof(schedClass.checkPreempt) === "function") {
+            if (Simulation.schedClassPrioRegistered.includes(schedClass.name)) {
+                throw new Error("a scheduling class with the name \""+schedClass.name+"\" already exists, please pick a different name");
+            } else if (schedClass.name !== className) {
+                // let's make sure that we're actually registring what we think we are
+                throw new Error("schedClass.name ("+schedClass.name+") and className ("+className+") need to be the same");
+            }
+
+            Simulation.schedClassRegistered[className] = schedClass;
+            Simulation.schedClassPrioRegistered.push(className);
+    } else {
+            throw new Error("malformed SchedClass: "+schedClass.constructor.name);
+    }
+}
+
+/**
+ * The default simulation. It is what the GUI and the browser console use and it keeps code written for the original,
+ * single simulator working unchanged.
+ * @type {Simulation}
+ */
+var Simulator = new Simulation();
 
-}) (Simulator);
+/**
+ * @namespace SchedLinSim
+ * @description The public interface of the simulator core. In the browser it is available as a global object, in
+ * Node.js it is what <code>require("SchedLinSim.js")</code> returns. Scheduling classes receive it when they are
+ * loaded and use it to extend {@link SchedClass} and to register themselves with
+ * {@link index.html#simulationregisterschedclass Simulation.registerSchedClass()}. The event classes are included
+ * for tools that go through the event log of a {@link SimResult}.
+ * @type {Object}
+ */
+var SchedLinSim = {
+    Simulation: Simulation,
+    Simulator: Simulator,
+    SimulationPresets: SimulationPresets,
+    SchedClass: SchedClass,
+    IdleClass: IdleClass,
+    Process: Process,
+    IdleProcess: IdleProcess,
+    SimResult: SimResult,
+    LogEntry: LogEntry,
+    LogEvent: LogEvent,
+    ExitCond: ExitCond,
+    Event: Event,
+    SimStartEvent: SimStartEvent,
+    SimStopEvent: SimStopEvent,
+    ForkEvent: ForkEvent,
+    ExitEvent: ExitEvent,
+    EnqueueEvent: EnqueueEvent,
+    BlockEvent: BlockEvent,
+    TimerEvent: TimerEvent,
+    PickEvent: PickEvent,
+    ContextSwitchEvent: ContextSwitchEvent,
+    Device: Device,
+    Lock: Lock,
+    redblack: redblack
+};
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = SchedLinSim;
+}
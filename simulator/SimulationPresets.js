@@ -548,6 +548,1088 @@ var SimulationPresets = {};
 		],
 	}
 
+	sp.ioDeviceConf = {
+		name: "I/O devices: disk contention",
+		description: "Three I/O-bound processes share a disk with two CPU-bound compilers, under the Linux O(1)\
+		scheduler. The I/O-bound processes don't block for a fixed time, they wait for the disk to serve their\
+		requests, one at a time. They have a higher priority than the compilers, so they preempt them as soon as their\
+		requests are done and the compilers mostly run while the disk is busy. Once the backup starts at 1s, its large\
+		requests keep the disk busy and the small requests of the editor and the database wait in the disk's queue,\
+		which makes them run less often, even though the CPU would be theirs whenever they need it. The disk\
+		utilisation and queue wait can be found in the simulation results.",
+		simLen: "3s",
+		timerTickLen: "1ms",
+		policy: "LinuxO1Class",
+
+		classParams: {
+			LinuxO1Class: {
+				timeScale: "1ms"
+			}
+		},
+
+		devices: {
+			disk: {
+				service: ["2ms", "6ms"],
+				bandwidth: "40MB/s",
+				discipline: "fifo"
+			}
+		},
+
+		processes: [
+			{
+				pname: "Editor",
+				spawn: 0,
+				behavior: [
+					{
+						priority: -5,
+						run: ["0.5ms", "1ms"],
+						block: {device: "disk", request: "4KB"}
+					}
+				]
+			},
+			{
+				pname: "Database",
+				spawn: 0,
+				behavior: [
+					{
+						priority: -5,
+						run: ["2ms", "4ms"],
+						block: {device: "disk", request: ["16KB", "128KB"]}
+					}
+				]
+			},
+			{
+				pname: "Backup",
+				spawn: "1s",
+				behavior: [
+					{
+						priority: -5,
+						run: "1ms",
+						block: {device: "disk", request: "1MB"}
+					}
+				]
+			},
+			{
+				pname: "Compiler A",
+				spawn: 0,
+				behavior: [
+					{
+						priority: 5,
+						run: "400ms",
+						block: "1ms"
+					}
+				]
+			},
+			{
+				pname: "Compiler B",
+				spawn: 0,
+				behavior: [
+					{
+						priority: 5,
+						run: "400ms",
+						block: "1ms"
+					}
+				]
+			},
+		],
+	}
+
+	sp.lockInversionConf = {
+		name: "Locks: priority inversion",
+		description: "Three processes of three scheduling classes, SJFClass > RoundClass > FCFSClass. The sensor and the\
+		logger share a mutex, the bus. The logger holds it for 8ms, and when the sensor wakes up in the meantime it\
+		has to wait for it. The encoder doesn't need the bus, but it belongs to a higher class than the logger, so it\
+		preempts it and runs for 30ms, while the logger holds the bus and the sensor waits. The encoder with its\
+		medium priority delays the high priority sensor, which is known as priority inversion. Compare the lock\
+		waits of the sensor with the same simulation under priority inheritance and priority ceilings.",
+		simLen: "100ms",
+		timerTickLen: "1ms",
+		classPrio: ["SJFClass", "RoundClass", "FCFSClass"],
+
+		locks: {
+			bus: {type: "mutex"}
+		},
+		lockProtocol: "none",
+
+		processes: [
+			{
+				pname: "Sensor (high)",
+				spawn: "2ms",
+				policy: "SJFClass",
+				behavior: [
+					{
+						priority: 0,
+						run: "1ms",
+						block: "20ms",
+						acquire: "bus"
+					}
+				]
+			},
+			{
+				pname: "Encoder (medium)",
+				spawn: "3ms",
+				policy: "RoundClass",
+				behavior: [
+					{
+						priority: 0,
+						run: "30ms",
+						block: "5ms"
+					}
+				]
+			},
+			{
+				pname: "Logger (low)",
+				spawn: 0,
+				policy: "FCFSClass",
+				behavior: [
+					{
+						priority: 0,
+						run: "8ms",
+						block: "30ms",
+						acquire: "bus"
+					}
+				]
+			}
+		]
+	}
+
+	sp.lockInheritanceConf = {
+		name: "Locks: priority inheritance",
+		description: "The priority inversion example, with priority inheritance. When the sensor starts waiting for the\
+		bus, the logger that holds it inherits the sensor's priority and moves into SJFClass until it releases\
+		the bus. The encoder can no longer preempt it, so the sensor waits only for the rest of the logger's\
+		critical section.",
+		simLen: "100ms",
+		timerTickLen: "1ms",
+		classPrio: ["SJFClass", "RoundClass", "FCFSClass"],
+
+		locks: {
+			bus: {type: "mutex"}
+		},
+		lockProtocol: "inheritance",
+
+		processes: [
+			{
+				pname: "Sensor (high)",
+				spawn: "2ms",
+				policy: "SJFClass",
+				behavior: [
+					{
+						priority: 0,
+						run: "1ms",
+						block: "20ms",
+						acquire: "bus"
+					}
+				]
+			},
+			{
+				pname: "Encoder (medium)",
+				spawn: "3ms",
+				policy: "RoundClass",
+				behavior: [
+					{
+						priority: 0,
+						run: "30ms",
+						block: "5ms"
+					}
+				]
+			},
+			{
+				pname: "Logger (low)",
+				spawn: 0,
+				policy: "FCFSClass",
+				behavior: [
+					{
+						priority: 0,
+						run: "8ms",
+						block: "30ms",
+						acquire: "bus"
+					}
+				]
+			}
+		]
+	}
+
+	sp.lockCeilingConf = {
+		name: "Locks: priority ceiling",
+		description: "The priority inversion example, with the priority ceiling protocol. The ceiling of the bus is the\
+		priority of the most important process that uses it, the sensor. The logger runs with that priority every\
+		time it takes the bus, even before the sensor waits for it, so it also delays the sensor when it wakes up\
+		while the logger holds the bus, but never for longer than the logger's critical section.",
+		simLen: "100ms",
+		timerTickLen: "1ms",
+		classPrio: ["SJFClass", "RoundClass", "FCFSClass"],
+
+		locks: {
+			bus: {type: "mutex"}
+		},
+		lockProtocol: "ceiling",
+
+		processes: [
+			{
+				pname: "Sensor (high)",
+				spawn: "2ms",
+				policy: "SJFClass",
+				behavior: [
+					{
+						priority: 0,
+						run: "1ms",
+						block: "20ms",
+						acquire: "bus"
+					}
+				]
+			},
+			{
+				pname: "Encoder (medium)",
+				spawn: "3ms",
+				policy: "RoundClass",
+				behavior: [
+					{
+						priority: 0,
+						run: "30ms",
+						block: "5ms"
+					}
+				]
+			},
+			{
+				pname: "Logger (low)",
+				spawn: 0,
+				policy: "FCFSClass",
+				behavior: [
+					{
+						priority: 0,
+						run: "8ms",
+						block: "30ms",
+						acquire: "bus"
+					}
+				]
+			}
+		]
+	}
+
+	sp.lockDeadlockConf = {
+		name: "Locks: deadlock",
+		description: "Two processes take two mutexes in the opposite order. Each of them takes its first lock and\
+		keeps it when it blocks, then wants the other one when it wakes up again. The first process waits for the\
+		lock of the second and the second for the lock of the first, so neither can ever continue. The simulator\
+		detects the deadlock, reports it in the simulation results and, as no process can run anymore, ends the\
+		simulation early.",
+		simLen: "50ms",
+		timerTickLen: "1ms",
+		policy: "RoundClass",
+
+		locks: {
+			accounts: {type: "mutex"},
+			journal: {type: "mutex"}
+		},
+
+		processes: [
+			{
+				pname: "Transfer",
+				spawn: 0,
+				behavior: [
+					{
+						priority: 0,
+						run: "1ms",
+						block: "2ms",
+						acquire: "accounts",
+						hold: "accounts"
+					},
+					{
+						execCnt: 1,
+						acquire: ["accounts", "journal"],
+						hold: false
+					}
+				]
+			},
+			{
+				pname: "Audit",
+				spawn: "0.5ms",
+				behavior: [
+					{
+						priority: 0,
+						run: "1ms",
+						block: "2ms",
+						acquire: "journal",
+						hold: "journal"
+					},
+					{
+						execCnt: 1,
+						acquire: ["journal", "accounts"],
+						hold: false
+					}
+				]
+			}
+		]
+	}
+
+	sp.forkBuildConf = {
+		name: "Fork: parallel build",
+		description: "A build system that compiles in parallel on two CPUs, while an editor stays in use. Make forks\
+		four compiler processes from a template and waits for all of them to exit, then does the same for the second\
+		batch of files. Once both are compiled, it forks the linker, waits for it and exits. The forked processes\
+		appear in the process tree of the simulation results, under the make process.",
+		simLen: "40ms",
+		timerTickLen: "1ms",
+		policy: "LinuxFairClass",
+		cpus: 2,
+
+		processes: [
+			{
+				pname: "make",
+				spawn: 0,
+				behavior: [
+					{
+						priority: 0,
+						run: "200us",
+						block: "100us",
+						fork: {template: "cc", count: 4},
+						waitChildren: true
+					},
+					{
+						procExec: "400us",
+						fork: "ld"
+					},
+					{
+						final: true,
+						procExec: "800us"
+					}
+				]
+			},
+			{
+				pname: "editor",
+				spawn: "1ms",
+				behavior: [
+					{
+						priority: -5,
+						run: "100us",
+						block: "2ms"
+					}
+				]
+			}
+		],
+
+		templates: {
+			cc: {
+				behavior: [
+					{
+						priority: 0,
+						run: ["1ms", "3ms"],
+						block: "200us"
+					},
+					{
+						final: true,
+						execCnt: [2, 5]
+					}
+				]
+			},
+			ld: {
+				behavior: [
+					{
+						priority: 0,
+						run: "2ms",
+						block: "100us"
+					},
+					{
+						final: true,
+						execCnt: 2
+					}
+				]
+			}
+		}
+	}
+
+	sp.rtThrottlingConf = {
+		name: "Real-time: FIFO, round robin and throttling",
+		description: "Real-time processes of RTClass run above LinuxFairClass, as they do in the kernel. The audio\
+		process has the highest real-time priority and preempts everything else whenever it wakes up. The two\
+		runaway workers share a lower priority level with the round robin policy, so they take turns in 10ms\
+		timeslices and never block. Without throttling they would starve the shell forever, but the real-time class\
+		may only use 80ms of every 100ms period here. Once it has used them up, the class is throttled and the shell can\
+		run for the rest of the period.",
+		simLen: "300ms",
+		timerTickLen: "1ms",
+		classPrio: ["RTClass", "LinuxFairClass"],
+
+		classParams: {
+			RTClass: {
+				schedRrTimeslice: "10ms",
+				schedRtRuntime: "80ms",
+				schedRtPeriod: "100ms"
+			}
+		},
+
+		processes: [
+			{
+				pname: "audio",
+				spawn: "5ms",
+				policy: "RTClass",
+				custom: {
+					rtPolicy: "fifo"
+				},
+				behavior: [
+					{
+						priority: 89,
+						run: "2ms",
+						block: "8ms"
+					}
+				]
+			},
+			{
+				pname: "worker A",
+				spawn: 0,
+				policy: "RTClass",
+				custom: {
+					rtPolicy: "rr"
+				},
+				behavior: [
+					{
+						priority: 49,
+						run: "1s",
+						block: "1ms"
+					}
+				]
+			},
+			{
+				pname: "worker B",
+				spawn: 0,
+				policy: "RTClass",
+				custom: {
+					rtPolicy: "rr"
+				},
+				behavior: [
+					{
+						priority: 49,
+						run: "1s",
+						block: "1ms"
+					}
+				]
+			},
+			{
+				pname: "shell",
+				spawn: 0,
+				policy: "LinuxFairClass",
+				behavior: [
+					{
+						priority: 0,
+						run: "1ms",
+						block: "4ms"
+					}
+				]
+			}
+		]
+	}
+
+	sp.deadlineConf = {
+		name: "Deadline: EDF and the constant bandwidth server",
+		description: "Periodic processes of DeadlineClass, each with a reservation of runtime in every period, run\
+		earliest deadline first above the fair class. Their reservations add up to 55% of the CPU, so they pass the\
+		admission test and the control loop, the sensor and the video process all finish their jobs before their\
+		deadlines. The video process reserves 2ms every 20ms, but needs 5ms for some of its frames. When it uses up its\
+		runtime, the constant bandwidth server throttles it until its next period, so it misses its own deadlines\
+		without delaying the others. The class statistics report the deadline misses, the lateness of the jobs and\
+		how many times a process was throttled.",
+		simLen: "200ms",
+		timerTickLen: "1ms",
+		classPrio: ["DeadlineClass", "LinuxFairClass"],
+
+		processes: [
+			{
+				pname: "control loop",
+				spawn: 0,
+				policy: "DeadlineClass",
+				behavior: [
+					{
+						priority: 0,
+						run: "2ms",
+						block: "8ms",
+						runtime: "2ms",
+						deadline: "5ms",
+						period: "10ms"
+					}
+				]
+			},
+			{
+				pname: "sensor",
+				spawn: "1ms",
+				policy: "DeadlineClass",
+				behavior: [
+					{
+						priority: 0,
+						run: "4ms",
+						block: "16ms",
+						runtime: "5ms",
+						deadline: "20ms",
+						period: "20ms"
+					}
+				]
+			},
+			{
+				pname: "video",
+				spawn: 0,
+				policy: "DeadlineClass",
+				behavior: [
+					{
+						priority: 0,
+						run: ["1ms", "5ms"],
+						block: "15ms",
+						runtime: "2ms",
+						period: "20ms"
+					}
+				]
+			},
+			{
+				pname: "compile",
+				spawn: 0,
+				policy: "LinuxFairClass",
+				behavior: [
+					{
+						priority: 0,
+						run: "50ms",
+						block: "1ms"
+					}
+				]
+			}
+		]
+	}
+
+	sp.fairMixedConf = {
+		name: "Fair and EEVDF: mixed desktop workload under CFS",
+		description: "A desktop workload under LinuxFairClass, the \"Completely Fair Scheduler\". The audio process\
+		wakes up every few milliseconds to fill a buffer, the browser does bursts of work between waiting for input,\
+		two builds run in the background with a lower priority and the video player runs with a higher one. Compare\
+		it with the next preset, which runs the same processes under EEVDFClass. CFS places a waking process up to half\
+		a latency period behind the others, so the audio process preempts the builds as soon as it wakes up, but it\
+		often has to wait for the browser or the video player, whose vruntime isn't far enough ahead of its own. Its\
+		\"slice\" field is ignored here.",
+		simLen: "200ms",
+		timerTickLen: "1ms",
+		classPrio: ["LinuxFairClass"],
+
+		processes: [
+			{
+				pname: "audio",
+				spawn: "2ms",
+				policy: "LinuxFairClass",
+				custom: {
+					slice: "200us"
+				},
+				behavior: [
+					{
+						priority: 0,
+						run: "300us",
+						block: "4ms"
+					}
+				]
+			},
+			{
+				pname: "browser",
+				spawn: 0,
+				policy: "LinuxFairClass",
+				behavior: [
+					{
+						priority: 0,
+						run: ["2ms", "6ms"],
+						block: ["5ms", "15ms"]
+					}
+				]
+			},
+			{
+				pname: "video",
+				spawn: "1ms",
+				policy: "LinuxFairClass",
+				behavior: [
+					{
+						priority: -5,
+						run: "3ms",
+						block: "13ms"
+					}
+				]
+			},
+			{
+				pname: "build 1",
+				spawn: 0,
+				policy: "LinuxFairClass",
+				behavior: [
+					{
+						priority: 5,
+						run: "40ms",
+						block: "1ms"
+					}
+				]
+			},
+			{
+				pname: "build 2",
+				spawn: 0,
+				policy: "LinuxFairClass",
+				behavior: [
+					{
+						priority: 5,
+						run: "40ms",
+						block: "1ms"
+					}
+				]
+			}
+		]
+	}
+
+	sp.eevdfMixedConf = {
+		name: "Fair and EEVDF: mixed desktop workload under EEVDF",
+		description: "The same desktop workload as in the previous preset, scheduled by EEVDFClass instead. There is\
+		no bonus for sleeping: a process wakes up with the lag that it had when it blocked, and the audio process\
+		usually blocks right after running, a bit ahead of the others, so it has to wait until it is eligible again.\
+		What it gets instead is a request: it asks for a slice of 0.2ms with the \"slice\" field of its custom object,\
+		so its virtual deadlines come sooner than those of the others, who use the default of 0.75ms, and it waits\
+		less than under CFS. Try removing the field, the audio process then waits about as long as under CFS. The\
+		shorter slices come at the cost of more context switches.",
+		simLen: "200ms",
+		timerTickLen: "1ms",
+		classPrio: ["EEVDFClass"],
+
+		processes: [
+			{
+				pname: "audio",
+				spawn: "2ms",
+				policy: "EEVDFClass",
+				custom: {
+					slice: "200us"
+				},
+				behavior: [
+					{
+						priority: 0,
+						run: "300us",
+						block: "4ms"
+					}
+				]
+			},
+			{
+				pname: "browser",
+				spawn: 0,
+				policy: "EEVDFClass",
+				behavior: [
+					{
+						priority: 0,
+						run: ["2ms", "6ms"],
+						block: ["5ms", "15ms"]
+					}
+				]
+			},
+			{
+				pname: "video",
+				spawn: "1ms",
+				policy: "EEVDFClass",
+				behavior: [
+					{
+						priority: -5,
+						run: "3ms",
+						block: "13ms"
+					}
+				]
+			},
+			{
+				pname: "build 1",
+				spawn: 0,
+				policy: "EEVDFClass",
+				behavior: [
+					{
+						priority: 5,
+						run: "40ms",
+						block: "1ms"
+					}
+				]
+			},
+			{
+				pname: "build 2",
+				spawn: 0,
+				policy: "EEVDFClass",
+				behavior: [
+					{
+						priority: 5,
+						run: "40ms",
+						block: "1ms"
+					}
+				]
+			}
+		]
+	}
+
+	sp.fairGroupsConf = {
+		name: "Fair groups: two users",
+		description: "Two users share a machine under LinuxFairClass. Alice encodes a video with a single process, while\
+		Bob runs a build that forks eight compiler processes. Both users have a group of their own with the same\
+		weight, and the forked compilers stay in the group of their parent, so the fair class first splits the CPU\
+		between the two groups and only then between the processes of each group. The encoder keeps about half of the\
+		CPU for as long as the build runs, and the class statistics show the run time of each group. Remove the\
+		\"group\" fields of both processes and the encoder only gets a little more of the CPU than each of the\
+		compilers during the build.",
+		simLen: "200ms",
+		timerTickLen: "1ms",
+		policy: "LinuxFairClass",
+
+		groups: {
+			"/users/alice": {weight: 100},
+			"/users/bob": {weight: 100}
+		},
+
+		processes: [
+			{
+				pname: "encoder",
+				spawn: 0,
+				group: "/users/alice",
+				behavior: [
+					{
+						priority: 0,
+						run: "40ms",
+						block: "1ms"
+					}
+				]
+			},
+			{
+				pname: "make",
+				spawn: "5ms",
+				group: "/users/bob",
+				behavior: [
+					{
+						priority: 0,
+						run: "200us",
+						block: "100us",
+						fork: {template: "cc", count: 8},
+						waitChildren: true
+					},
+					{
+						final: true,
+						execCnt: 2
+					}
+				]
+			}
+		],
+
+		templates: {
+			cc: {
+				behavior: [
+					{
+						priority: 0,
+						run: ["2ms", "4ms"],
+						block: "200us"
+					},
+					{
+						final: true,
+						execCnt: [10, 15]
+					}
+				]
+			}
+		}
+	}
+
+	sp.fairBandwidthConf = {
+		name: "Fair groups: container CPU limit",
+		description: "A web container on a machine with two CPUs, limited to half a CPU: a quota of 50ms in every 100ms\
+		period. The server answers short requests, while two garbage collector threads run for 25ms at a time, on both\
+		CPUs at once, and sleep for 200ms in between. On average, the container uses about a third of a CPU, well under its limit,\
+		yet every collection uses up the quota of the period in 25ms and the container is throttled for the rest of\
+		it, although both CPUs are idle. The server then waits for the next period instead of answering, so\
+		while most requests are still answered right away, the slowest ones wait for more than 60ms. The throttled\
+		intervals are marked on the timeline, and the class statistics show how many times and for how long the\
+		container was throttled on each CPU. Remove the \"quota\" field and the server never waits for more than\
+		about 10ms.",
+		simLen: "1s",
+		timerTickLen: "1ms",
+		policy: "LinuxFairClass",
+		cpus: 2,
+
+		groups: {
+			"/containers/web": {quota: "50ms", period: "100ms"}
+		},
+
+		processes: [
+			{
+				pname: "server",
+				spawn: 0,
+				cpu: 0,
+				group: "/containers/web",
+				behavior: [
+					{
+						priority: 0,
+						run: ["500us", "1500us"],
+						block: ["5ms", "10ms"]
+					}
+				]
+			},
+			{
+				pname: "gc 1",
+				spawn: "30ms",
+				cpu: 0,
+				group: "/containers/web",
+				behavior: [
+					{
+						priority: 0,
+						run: "25ms",
+						block: "200ms"
+					}
+				]
+			},
+			{
+				pname: "gc 2",
+				spawn: "30ms",
+				cpu: 1,
+				group: "/containers/web",
+				behavior: [
+					{
+						priority: 0,
+						run: "25ms",
+						block: "200ms"
+					}
+				]
+			}
+		]
+	}
+
+	sp.mlfqConf = {
+		name: "Multi-level feedback queue",
+		description: "Processes of MLFQClass move between three queues. The editor runs briefly between keystrokes and\
+		stays in the highest queue, so it usually runs soon after it wakes up. The two batch jobs use up the allotment of\
+		the highest queue in one go and sink to the lowest queue, where they take turns in 40ms quanta. The gamer\
+		tries to stay on top by blocking just before its 10ms quantum runs out, but its allotment is counted across the\
+		bursts, so it's demoted all the same. Every 200ms a priority boost moves everybody back to the highest queue and\
+		the batch jobs sink again. Set keepOnBlock to true to see the gamer win: blocking then resets its allotment and\
+		it keeps most of the CPU for itself. The class statistics show how long the processes were resident on each\
+		level and how long they ran there.",
+		simLen: "600ms",
+		timerTickLen: "1ms",
+		policy: "MLFQClass",
+
+		classParams: {
+			MLFQClass: {
+				queues: 3,
+				quantum: ["10ms", "20ms", "40ms"],
+				allotment: ["10ms", "20ms", "40ms"],
+				boostPeriod: "200ms",
+				keepOnBlock: false
+			}
+		},
+
+		processes: [
+			{
+				pname: "editor",
+				spawn: "3ms",
+				behavior: [
+					{
+						priority: 0,
+						run: "1ms",
+						block: ["5ms", "20ms"]
+					}
+				]
+			},
+			{
+				pname: "gamer",
+				spawn: 0,
+				behavior: [
+					{
+						priority: 0,
+						run: "9ms",
+						block: "1ms"
+					}
+				]
+			},
+			{
+				pname: "batch 1",
+				spawn: 0,
+				behavior: [
+					{
+						priority: 0,
+						run: "1s",
+						block: "1ms"
+					}
+				]
+			},
+			{
+				pname: "batch 2",
+				spawn: 0,
+				behavior: [
+					{
+						priority: 0,
+						run: "1s",
+						block: "1ms"
+					}
+				]
+			}
+		]
+	}
+
+	sp.lotteryConf = {
+		name: "Proportional share: lottery",
+		description: "Processes of LotteryClass hold tickets, given in the \"tickets\" field of their custom objects,\
+		and a lottery decides which one runs for the next 10ms quantum. The renderer holds 300 tickets, the batch job\
+		100 until it inflates them to 400 with a behavior entry after 300ms. The client runs briefly and then waits for\
+		the server, transferring its 200 tickets to it with the \"transfer\" field of its behavior, so the server runs\
+		more while the client waits for it. The class statistics compare the share of the CPU that each process should\
+		have got by its tickets to the one that it got, which only matches on average, as the lottery is random.\
+		Compare with the next preset, where StrideClass runs the same processes.",
+		simLen: "600ms",
+		timerTickLen: "1ms",
+		classPrio: ["LotteryClass"],
+
+		classParams: {
+			LotteryClass: {
+				quantum: "10ms"
+			}
+		},
+
+		processes: [
+			{
+				pname: "render",
+				spawn: 0,
+				policy: "LotteryClass",
+				custom: {
+					tickets: 300
+				},
+				behavior: [
+					{
+						priority: 0,
+						run: "1s",
+						block: "1ms"
+					}
+				]
+			},
+			{
+				pname: "batch",
+				spawn: 0,
+				policy: "LotteryClass",
+				custom: {
+					tickets: 100
+				},
+				behavior: [
+					{
+						priority: 0,
+						run: "1s",
+						block: "1ms"
+					},
+					{
+						simExec: "300ms",
+						tickets: 400
+					}
+				]
+			},
+			{
+				pname: "server",
+				spawn: 0,
+				policy: "LotteryClass",
+				custom: {
+					tickets: 100
+				},
+				behavior: [
+					{
+						priority: 0,
+						run: "1s",
+						block: "1ms"
+					}
+				]
+			},
+			{
+				pname: "client",
+				spawn: "5ms",
+				policy: "LotteryClass",
+				custom: {
+					tickets: 200
+				},
+				behavior: [
+					{
+						priority: 0,
+						run: "2ms",
+						block: "30ms",
+						transfer: "server"
+					}
+				]
+			}
+		]
+	}
+
+	sp.strideConf = {
+		name: "Proportional share: stride",
+		description: "The same processes as in the previous preset, scheduled by StrideClass. Instead of drawing\
+		lotteries, the class runs the process with the lowest pass and advances its pass by a stride that is inversely\
+		proportional to its tickets. The shares are the same as in the lottery, but they are reached deterministically\
+		and within a few quanta, so the achieved shares in the class statistics stay close to the expected ones, also\
+		after the batch job inflates its tickets.",
+		simLen: "600ms",
+		timerTickLen: "1ms",
+		classPrio: ["StrideClass"],
+
+		classParams: {
+			StrideClass: {
+				quantum: "10ms"
+			}
+		},
+
+		processes: [
+			{
+				pname: "render",
+				spawn: 0,
+				policy: "StrideClass",
+				custom: {
+					tickets: 300
+				},
+				behavior: [
+					{
+						priority: 0,
+						run: "1s",
+						block: "1ms"
+					}
+				]
+			},
+			{
+				pname: "batch",
+				spawn: 0,
+				policy: "StrideClass",
+				custom: {
+					tickets: 100
+				},
+				behavior: [
+					{
+						priority: 0,
+						run: "1s",
+						block: "1ms"
+					},
+					{
+						simExec: "300ms",
+						tickets: 400
+					}
+				]
+			},
+			{
+				pname: "server",
+				spawn: 0,
+				policy: "StrideClass",
+				custom: {
+					tickets: 100
+				},
+				behavior: [
+					{
+						priority: 0,
+						run: "1s",
+						block: "1ms"
+					}
+				]
+			},
+			{
+				pname: "client",
+				spawn: "5ms",
+				policy: "StrideClass",
+				custom: {
+					tickets: 200
+				},
+				behavior: [
+					{
+						priority: 0,
+						run: "2ms",
+						block: "30ms",
+						transfer: "server"
+					}
+				]
+			}
+		]
+	}
+
 	sp.simpleSystemConf = {
 		name: "Simple system example",
 		description: "This preset serves as an example of a simple computing system. You can think of it as a\
@@ -2117,6 +3199,77 @@ var SimulationPresets = {};
 		],
 	}
 
+	sp.o1InteractivityConf = {
+		name: "Linux O(1) scheduler: interactivity heuristics",
+		description: "An editor and a media player share the CPU with two compilers under the Linux O(1) scheduler,\
+			all of them at nice 0, with the interactivity heuristics of the class turned on. The editor and the player\
+			sleep a lot, so their sleep averages grow and their dynamic priorities rise towards -5, while the compilers\
+			never sleep and sink towards +5. Once that happens, the editor and the player preempt the compilers as soon\
+			as they wake up and mostly run right away, and when the player does use up its timeslice, it goes back onto\
+			the active runqueue as an interactive process. The class statistics show the average dynamic priority of\
+			every process and the time series show how it changed. With \"interactivity\" set to false, all four\
+			processes keep the same priority and the editor and the player wait behind the long timeslices of the\
+			compilers, for up to most of a second.",
+		simLen: "3s",
+		timerTickLen: "1ms",
+		classPrio: ["LinuxO1Class"],
+		policy: "LinuxO1Class",
+
+		classParams: {
+			LinuxO1Class: {
+				timeScale: "1ms",
+				interactivity: true
+			}
+		},
+
+		processes: [
+			{
+				pname: "Editor",
+				spawn: 0,
+				behavior: [
+					{
+						priority: 0,
+						run: ["0.5ms", "1.5ms"],
+						block: ["20ms", "60ms"]
+					},
+				],
+			},
+			{
+				pname: "Player",
+				spawn: 0,
+				behavior: [
+					{
+						priority: 0,
+						run: ["6ms", "10ms"],
+						block: ["8ms", "12ms"]
+					},
+				],
+			},
+			{
+				pname: "Compiler 1",
+				spawn: 0,
+				behavior: [
+					{
+						priority: 0,
+						run: "10s",
+						block: "1ms"
+					},
+				],
+			},
+			{
+				pname: "Compiler 2",
+				spawn: "500ms",
+				behavior: [
+					{
+						priority: 0,
+						run: "10s",
+						block: "1ms"
+					},
+				],
+			},
+		],
+	}
+
 	sp.linuxFairPreset0 = {
 		name: "Linux fair scheduler: priority difference",
 		description: "Demonstrates how four equal processes get scheduled in Linux fair scheduler when given different\
@@ -2520,3 +3673,7 @@ var SimulationPresets = {};
 	}
 
 }) (SimulationPresets);
+
+if (typeof module !== "undefined" && module.exports) {
+	module.exports = SimulationPresets;
+}
@@ -0,0 +1,208 @@
+(function(root, factory) {
+	if (typeof module !== "undefined" && module.exports) {
+		module.exports = factory(require("./SchedLinSim.js"));
+	} else {
+		root.TraceExport = factory(root.SchedLinSim);
+	}
+}) (this, function(SchedLinSim) {
+	var LogEvent = SchedLinSim.LogEvent;
+	var ForkEvent = SchedLinSim.ForkEvent;
+	var PickEvent = SchedLinSim.PickEvent;
+	var ContextSwitchEvent = SchedLinSim.ContextSwitchEvent;
+
+	/**
+	 * @namespace TraceExport
+	 * @description Converts simulation results into the Trace Event Format, the JSON format of chrome://tracing that
+	 * Perfetto (https://ui.perfetto.dev) opens as well. The trace has a track for every CPU, showing the processes that
+	 * ran on it and the context switches between them, and a track for every process, showing when it was running,
+	 * waiting on the runqueue ("waiting", or "preempted" if it got there by being preempted), being switched to,
+	 * waiting for a lock ("lock wait"), throttled by a bandwidth limit and blocked, with instant events marking forks,
+	 * preemptions, throttling and exits. Simulation nanoseconds are written as trace microseconds with a fractional
+	 * part, as the format requires.
+	 * @type {Object}
+	 */
+	var TraceExport = {};
+
+	/* trace process ids of the two groups of tracks */
+	var cpuGroup = 1;
+	var procGroup = 2;
+
+	/* The names of the process states after each kind of execLog entry. Dequeues are shown as blocked, like in the
+	 * GUI timeline. */
+	var stateNames = [];
+	stateNames[LogEvent.enqueue] = "waiting";
+	stateNames[LogEvent.dequeue] = "blocked";
+	stateNames[LogEvent.pick] = "running";
+	stateNames[LogEvent.block] = "blocked";
+	stateNames[LogEvent.preempt] = "preempted";
+	stateNames[LogEvent.switch] = "switching";
+	stateNames[LogEvent.lock] = "lock wait";
+	stateNames[LogEvent.throttle] = "throttled";
+
+	/* nanoseconds to trace timestamps */
+	var us = function(ns) {
+		return ns / 1000;
+	}
+
+	/* metadata events that name and order the tracks */
+	var metadata = function(pid, tid, name, sortIndex) {
+		var events = [];
+		if (tid === undefined) {
+			events.push({ph: "M", name: "process_name", pid: pid, args: {name: name}});
+			events.push({ph: "M", name: "process_sort_index", pid: pid, args: {sort_index: sortIndex}});
+		} else {
+			events.push({ph: "M", name: "thread_name", pid: pid, tid: tid, args: {name: name}});
+			events.push({ph: "M", name: "thread_sort_index", pid: pid, tid: tid, args: {sort_index: sortIndex}});
+		}
+		return events;
+	}
+
+	/* A slice on a track, zero-length slices are left out. */
+	var slice = function(events, tid, pid, name, start, end, args) {
+		if (end > start) {
+			events.push({ph: "X", cat: "state", name: name, pid: pid, tid: tid, ts: us(start), dur: us(end - start),
+				args: args});
+		}
+	}
+
+	/* An instant event on a process track. */
+	var instant = function(events, proc, name, time) {
+		events.push({ph: "i", s: "t", cat: "event", name: name, pid: procGroup, tid: proc.pid, ts: us(time)});
+	}
+
+	/**
+	 * TraceExport.fromResult; Converts a simulation result into a trace in the Trace Event Format. The result of a
+	 * paused simulation works as well, the trace then ends at the time that the simulation was paused at.
+	 * @memberof TraceExport
+	 * @param  {SimResult} result The result of a simulation, as returned by
+	 * {@link index.html#simulatorrun Simulator.run()}.
+	 * @return {Object} The trace, ready to be saved with JSON.stringify.
+	 */
+	TraceExport.fromResult = function(result) {
+		if (result === undefined || result === null || !(result.processList instanceof Array) ||
+			!(result.simEvents instanceof Array)) {
+				throw new Error("TraceExport.fromResult expects a simulation result, instead found: " + result);
+		}
+
+		var end = result.finished ? result.length : result.runTime;
+		var events = [];
+
+		/* CPU tracks, built from the sequence of picks */
+		events = events.concat(metadata(cpuGroup, undefined, "CPUs", 0));
+		for (let c = 0; c < result.cpus; c++) {
+			events = events.concat(metadata(cpuGroup, c, "CPU " + c, c));
+		}
+		/* Count the context switches to every process at every time, taken from the execution logs. A pick that
+		 * started a switch shows the switch until its ContextSwitchEvent, or until the next pick if it was cut short. */
+		var switches = new Map();
+		for (let proc of result.processList) {
+			for (let entry of proc.execLog) {
+				if (entry.event === LogEvent.switch) {
+					let key = proc.pid + "@" + entry.timestamp;
+					switches.set(key, (switches.get(key) || 0) + 1);
+				}
+			}
+		}
+		var startsSwitch = function(evt) {
+			let key = evt.process.pid + "@" + evt.time;
+			if (switches.get(key) > 0) {
+				switches.set(key, switches.get(key) - 1);
+				return true;
+			}
+			return false;
+		}
+		var running = [];
+		var cpuSlice = function(cpu, until) {
+			let curr = running[cpu];
+			if (curr === undefined) {
+				return;
+			}
+			if (curr.switching) {
+				slice(events, cpu, cpuGroup, "context switch", curr.since, until, {pid: curr.proc.pid});
+			} else if (curr.proc.pid >= 0) {
+				/* the idle process is left out, idle time shows as gaps */
+				slice(events, cpu, cpuGroup, curr.proc.pname, curr.since, until,
+					{pid: curr.proc.pid, class: curr.proc.schedClass.name});
+			}
+		}
+		for (let evt of result.simEvents) {
+			if (evt instanceof PickEvent && evt.time <= end) {
+				cpuSlice(evt.cpu, evt.time);
+				running[evt.cpu] = {proc: evt.process, since: evt.time, switching: startsSwitch(evt)};
+			} else if (evt instanceof ContextSwitchEvent && evt.time <= end) {
+				cpuSlice(evt.cpu, evt.time);
+				running[evt.cpu] = {proc: evt.process, since: evt.time, switching: false};
+			} else if (evt instanceof ForkEvent && evt.time <= end) {
+				instant(events, evt.process, "fork", evt.time);
+			}
+		}
+		for (let c = 0; c < running.length; c++) {
+			cpuSlice(c, end);
+		}
+
+		/* process tracks, built from the execution logs */
+		events = events.concat(metadata(procGroup, undefined, "Processes", 1));
+		for (let proc of result.processList) {
+			events = events.concat(metadata(procGroup, proc.pid, proc.pid + ": " + proc.pname, proc.pid));
+
+			let state = null;
+			let since = 0;
+			for (let entry of proc.execLog) {
+				if (entry.timestamp > end) {
+					break;
+				}
+
+				let name = stateNames[entry.event];
+				/* a preempted process stays preempted when it gets enqueued again */
+				if (entry.event === LogEvent.enqueue && state === "preempted") {
+					name = state;
+				}
+				if (name === state) {
+					continue;
+				}
+
+				if (state !== null) {
+					slice(events, proc.pid, procGroup, state, since, entry.timestamp);
+				}
+				if (entry.event === LogEvent.preempt) {
+					instant(events, proc, "preempt", entry.timestamp);
+				} else if (entry.event === LogEvent.throttle) {
+					instant(events, proc, "throttle", entry.timestamp);
+				} else if (entry.event === LogEvent.exit) {
+					instant(events, proc, "exit", entry.timestamp);
+					state = null;
+					break;
+				}
+				state = name;
+				since = entry.timestamp;
+			}
+			if (state !== null) {
+				slice(events, proc.pid, procGroup, state, since, end);
+			}
+		}
+
+		return {
+			traceEvents: events,
+			displayTimeUnit: "ns",
+			otherData: {
+				simulation: result.name,
+				seed: result.seed,
+				length: result.length,
+				cpus: result.cpus
+			}
+		};
+	}
+
+	/**
+	 * TraceExport.stringify; Converts a simulation result into a trace in the Trace Event Format and returns it as
+	 * JSON text, ready to be saved into a file and opened in Perfetto or chrome://tracing.
+	 * @memberof TraceExport
+	 * @param  {SimResult} result The result of a simulation.
+	 * @return {string} The trace as JSON.
+	 */
+	TraceExport.stringify = function(result) {
+		return JSON.stringify(TraceExport.fromResult(result));
+	}
+
+	return TraceExport;
+});
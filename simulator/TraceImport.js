@@ -0,0 +1,371 @@
+(function(root, factory) {
+	if (typeof module !== "undefined" && module.exports) {
+		module.exports = factory();
+	} else {
+		root.TraceImport = factory();
+	}
+}) (this, function() {
+	/**
+	 * @namespace TraceImport
+	 * @description Converts scheduler traces recorded on a real Linux system into simulation definitions, so that the
+	 * traced workload can be replayed under any of the scheduling classes. Two trace formats are supported:
+	 * - the text output of ftrace (/sys/kernel/tracing/trace or trace-cmd report) with the sched_switch and
+	 *   sched_wakeup events enabled; sched_wakeup_new, sched_waking and sched_process_exit are used when present
+	 * - the output of "perf sched script", recorded with "perf sched record"
+	 *
+	 * Every traced task becomes a process. It spawns when it first appears in the trace and its behavior list holds the
+	 * sequence of its run and block bursts as observed in the trace: a run burst is all the time that the task spent
+	 * running between waking up and going to sleep, no matter how many times it got preempted in between, and a block
+	 * burst is the time that it spent asleep. The time that a task spent waiting for a CPU is left out, as that is what
+	 * the simulated scheduler decides on. Behavior entries switch on the process's execution time ("procExec"), so the
+	 * bursts follow each other the same way under any scheduler. Tasks that exited in the trace exit after their last
+	 * burst, the rest keep repeating their last burst until the end of the simulation.
+	 * @type {Object}
+	 */
+	var TraceImport = {};
+
+	/* ftrace line: "  bash-1234  [002] d..3  5432.123456: sched_switch: prev_comm=bash ..." The tgid column and the
+	 * flags are optional, depending on the kernel version and the trace options. */
+	var ftraceLine = /^\s*(.+)-(\d+)\s+(?:\(\s*(?:\d+|-+)\)\s+)?\[(\d+)\]\s+(?:\S+\s+)?(\d+\.\d+):\s+(\w+):\s*(.*)$/;
+	/* perf sched script line: "  bash  1234 [002]  5432.123456:  sched:sched_switch: prev_comm=bash ..." */
+	var perfLine = /^\s*(.+?)\s+(\d+)(?:\/\d+)?\s+\[(\d+)\]\s+(\d+\.\d+):\s+(?:\d+\s+)?\w+:(\w+):\s*(.*)$/;
+
+	/* key=value fields, values can contain spaces (task names do) */
+	var fieldPattern = /(\w+)=(.*?)(?=\s+\w+=|\s+==>|\s*$)/g;
+	/* the shorter formats that some versions of perf print instead of key=value fields */
+	var perfSwitch = /^(.+):(\d+)\s+\[(\d+)\]\s+(\S+)\s+==>\s+(.+):(\d+)\s+\[(\d+)\]/;
+	var perfWakeup = /^(.+):(\d+)\s+\[(\d+)\]/;
+
+	/**
+	 * TraceImport.detect; Recognizes the format of a trace.
+	 * @memberof TraceImport
+	 * @param  {string} text The contents of a trace file.
+	 * @return {(string|null)} "ftrace" or "perf", null if the text is neither.
+	 */
+	TraceImport.detect = function(text) {
+		if (typeof(text) !== "string") {
+			return null;
+		}
+
+		/* the first few scheduling events are enough to tell */
+		var lines = text.split("\n");
+		for (let i = 0; i < lines.length && i < 10000; i++) {
+			if (/\ssched:sched_\w+:/.test(lines[i]) && perfLine.test(lines[i])) {
+				return "perf";
+			} else if (/\ssched_\w+:/.test(lines[i]) && ftraceLine.test(lines[i])) {
+				return "ftrace";
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * TraceImport.parse; Converts a trace into a simulation definition, recognizing its format on its own.
+	 * @memberof TraceImport
+	 * @param  {string} text The contents of an ftrace or "perf sched script" trace.
+	 * @param  {Object} options Optional settings of the conversion, see
+	 * {@link index.html#traceimportfromftrace TraceImport.fromFtrace()}.
+	 * @return {Object} A simulation definition.
+	 */
+	TraceImport.parse = function(text, options) {
+		var format = TraceImport.detect(text);
+		if (format === "ftrace") {
+			return TraceImport.fromFtrace(text, options);
+		} else if (format === "perf") {
+			return TraceImport.fromPerf(text, options);
+		}
+		throw new Error("unrecognized trace format, expected ftrace text output or \"perf sched script\" output " +
+			"with sched_switch and sched_wakeup events.");
+	}
+
+	/**
+	 * TraceImport.fromFtrace; Converts the text output of ftrace into a simulation definition.
+	 * @memberof TraceImport
+	 * @param  {string} text The contents of the trace.
+	 * @param  {Object} options Optional settings of the conversion:
+	 * - **name** (string): the name of the simulation
+	 * - **policy** (string): the scheduling class of the processes, LinuxFairClass by default
+	 * - **timerTickLen** (number | string): the timer tick length, 1ms by default
+	 * - **cpus** (number): the number of simulated CPUs, by default as many as there are in the trace
+	 * - **filter** (function): called with the pid and the name of every task, only the tasks for which it returns
+	 *   true are imported
+	 * @return {Object} A simulation definition.
+	 */
+	TraceImport.fromFtrace = function(text, options) {
+		return convert(readEvents(text, ftraceLine), "ftrace", options);
+	}
+
+	/**
+	 * TraceImport.fromPerf; Converts the output of "perf sched script" into a simulation definition.
+	 * @memberof TraceImport
+	 * @param  {string} text The contents of the trace.
+	 * @param  {Object} options Optional settings of the conversion, see
+	 * {@link index.html#traceimportfromftrace TraceImport.fromFtrace()}.
+	 * @return {Object} A simulation definition.
+	 */
+	TraceImport.fromPerf = function(text, options) {
+		return convert(readEvents(text, perfLine), "perf", options);
+	}
+
+
+	/* Convert a timestamp in seconds, as written in traces, to integer nanoseconds without rounding errors. */
+	var toNs = function(timestamp) {
+		var parts = timestamp.split(".");
+		return parseInt(parts[0]) * 1000000000 + parseInt((parts[1] + "000000000").substr(0, 9));
+	}
+
+	/* Read the fields of a scheduling event into an object. */
+	var readFields = function(type, text) {
+		var fields = {};
+		var match;
+		fieldPattern.lastIndex = 0;
+		while ((match = fieldPattern.exec(text)) !== null) {
+			fields[match[1]] = match[2];
+		}
+
+		if (type === "sched_switch" && fields.prev_pid === undefined) {
+			match = perfSwitch.exec(text);
+			if (match !== null) {
+				fields = {
+					prev_comm: match[1], prev_pid: match[2], prev_prio: match[3], prev_state: match[4],
+					next_comm: match[5], next_pid: match[6], next_prio: match[7]
+				};
+			}
+		} else if (type !== "sched_switch" && fields.pid === undefined) {
+			match = perfWakeup.exec(text);
+			if (match !== null) {
+				fields = {comm: match[1], pid: match[2], prio: match[3]};
+			}
+		}
+		return fields;
+	}
+
+	/* Read the scheduling events of a trace, in the order of their timestamps. Other events and lines are skipped. */
+	var readEvents = function(text, linePattern) {
+		var events = [];
+		var lines = text.split("\n");
+		for (let i = 0; i < lines.length; i++) {
+			let match = linePattern.exec(lines[i]);
+			if (match === null || !/^sched_(switch|wakeup|wakeup_new|waking|process_exit)$/.test(match[5])) {
+				continue;
+			}
+
+			events.push({
+				time: toNs(match[4]),
+				cpu: parseInt(match[3]),
+				type: match[5],
+				fields: readFields(match[5], match[6]),
+				line: i + 1
+			});
+		}
+
+		if (events.length === 0) {
+			throw new Error("the trace contains no sched_switch or sched_wakeup events.");
+		}
+
+		/* per-CPU buffers can be slightly out of order, sort is stable so same-time events keep their order */
+		events.sort((a, b) => a.time - b.time);
+		return events;
+	}
+
+	/* Translate a kernel priority into a nice value. Real-time priorities get the highest nice value. */
+	var toNice = function(prio) {
+		prio = parseInt(prio);
+		if (isNaN(prio)) {
+			return 0;
+		}
+		return Math.min(Math.max(prio - 120, -20), 19);
+	}
+
+	/* Follow the tasks through the events and turn them into a simulation definition. */
+	var convert = function(events, format, options) {
+		options = options !== undefined && options !== null ? options : {};
+
+		var start = events[0].time;
+		var end = events[events.length - 1].time;
+		var tasks = new Map();
+		var order = [];
+		var maxCpu = 0;
+
+		/* Tasks are in one of the states "running", "runnable" or "blocked". Those that show up running were already
+		 * running when the trace started. */
+		var getTask = function(pid, comm, prio, time, state) {
+			var task = tasks.get(pid);
+			if (task === undefined) {
+				task = {
+					pid: pid,
+					comm: comm,
+					prio: prio,
+					spawn: state === "running" ? 0 : time,
+					state: state,
+					runStart: 0,
+					run: 0,
+					sleepStart: 0,
+					bursts: [],
+					exiting: false,
+					exited: false
+				};
+				tasks.set(pid, task);
+				order.push(task);
+			}
+			if (comm !== undefined) {
+				task.comm = comm;
+			}
+			if (prio !== undefined) {
+				task.prio = prio;
+			}
+			return task;
+		}
+
+		/* a blocked task that wakes up finishes a run and block burst */
+		var wakeUp = function(task, time) {
+			if (task.state === "blocked") {
+				task.bursts.push({run: task.run, block: time - task.sleepStart});
+				task.run = 0;
+				task.state = "runnable";
+			}
+		}
+
+		for (let evt of events) {
+			let time = evt.time - start;
+			let f = evt.fields;
+			maxCpu = Math.max(maxCpu, evt.cpu);
+
+			if (evt.type === "sched_switch") {
+				if (f.prev_pid === undefined || f.next_pid === undefined) {
+					throw new Error("cannot read the sched_switch event on line " + evt.line + " of the trace.");
+				}
+
+				let prevPid = parseInt(f.prev_pid);
+				if (prevPid !== 0) {
+					let prev = getTask(prevPid, f.prev_comm, f.prev_prio, time, "running");
+					if (prev.state === "running") {
+						prev.run += time - prev.runStart;
+					}
+
+					/* R and R+ mean that the task got preempted, X and Z that it's dead, anything else puts it asleep */
+					let prevState = f.prev_state !== undefined ? f.prev_state : "R";
+					if (prev.exiting || /^[XZ]/.test(prevState)) {
+						prev.state = "exited";
+						prev.exited = true;
+					} else if (/^(R\+?|0)$/.test(prevState)) {
+						prev.state = "runnable";
+					} else {
+						prev.state = "blocked";
+						prev.sleepStart = time;
+					}
+				}
+
+				let nextPid = parseInt(f.next_pid);
+				if (nextPid !== 0) {
+					let next = getTask(nextPid, f.next_comm, f.next_prio, time, "runnable");
+					/* a wakeup that is missing from the trace */
+					wakeUp(next, time);
+					next.state = "running";
+					next.runStart = time;
+				}
+
+			} else if (evt.type === "sched_process_exit") {
+				let task = tasks.get(parseInt(f.pid));
+				if (task !== undefined) {
+					task.exiting = true;
+				}
+
+			} else {	// sched_wakeup, sched_wakeup_new, sched_waking
+				let pid = parseInt(f.pid);
+				if (isNaN(pid)) {
+					throw new Error("cannot read the " + evt.type + " event on line " + evt.line + " of the trace.");
+				}
+				if (pid !== 0) {
+					wakeUp(getTask(pid, f.comm, f.prio, time, "runnable"), time);
+				}
+			}
+		}
+
+		/* finish the bursts that were cut off by the end of the trace */
+		for (let task of order) {
+			if (task.state === "running") {
+				task.run += end - start - task.runStart;
+			}
+			if (task.state === "blocked" && end - start > task.sleepStart) {
+				task.bursts.push({run: task.run, block: end - start - task.sleepStart});
+			} else if (task.run > 0) {
+				task.bursts.push({run: task.run});
+			}
+		}
+
+		var processes = [];
+		for (let task of order) {
+			if (task.bursts.length === 0 || typeof(options.filter) === "function" &&
+				!options.filter(task.pid, task.comm)) {
+					continue;
+			}
+			processes.push(toProcess(task));
+		}
+		if (processes.length === 0) {
+			throw new Error("no tasks found in the trace.");
+		}
+
+		return {
+			name: options.name !== undefined ? options.name : "Imported " + format + " trace",
+			description: "Workload of " + processes.length + " tasks, imported from " + format + " output that is " +
+				Math.round((end - start) / 1000) / 1000 + "ms long.",
+			simLen: Math.max(end - start, 1),
+			timerTickLen: options.timerTickLen !== undefined ? options.timerTickLen : "1ms",
+			policy: options.policy !== undefined ? options.policy : "LinuxFairClass",
+			cpus: options.cpus !== undefined ? options.cpus : maxCpu + 1,
+			processes: processes
+		};
+	}
+
+	/* Turn the bursts of a task into a process definition. */
+	var toProcess = function(task) {
+		var bursts = task.bursts;
+		/* a task that never blocked keeps running, it still needs a block time */
+		var lastBlock = 1;
+		for (let burst of bursts) {
+			if (burst.block !== undefined) {
+				lastBlock = Math.max(burst.block, 1);
+				break;
+			}
+		}
+
+		var behavior = [{
+			run: Math.max(bursts[0].run, 1),
+			block: bursts[0].block !== undefined ? Math.max(bursts[0].block, 1) : lastBlock,
+			priority: toNice(task.prio)
+		}];
+
+		/* the next burst starts once the process has run for as long as all the previous ones */
+		var execTime = behavior[0].run;
+		var current = {run: behavior[0].run, block: behavior[0].block};
+		for (let i = 1; i < bursts.length; i++) {
+			let entry = {procExec: execTime};
+			let run = Math.max(bursts[i].run, 1);
+			let block = bursts[i].block !== undefined ? Math.max(bursts[i].block, 1) : undefined;
+			if (run !== current.run) {
+				entry.run = current.run = run;
+			}
+			if (block !== undefined && block !== current.block) {
+				entry.block = current.block = block;
+			}
+			/* bursts that repeat the previous one need no entry of their own */
+			if (entry.run !== undefined || entry.block !== undefined) {
+				behavior.push(entry);
+			}
+			execTime += run;
+		}
+
+		if (task.exited) {
+			behavior.push({procExec: execTime, final: true, endNicely: true});
+		}
+
+		return {
+			pname: task.comm + "-" + task.pid,
+			spawn: task.spawn,
+			behavior: behavior
+		};
+	}
+
+	return TraceImport;
+});
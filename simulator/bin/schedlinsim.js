@@ -0,0 +1,365 @@
+#!/usr/bin/env node
+/*
+ * @name schedlinsim.js
+ * @fileOverview Command line runner for the SchedLinSim scheduling simulator. Runs a preset from SimulationPresets or a
+ * simulation definition stored in a JSON file, once or multiple times, and prints the results.
+ * @author Jan Makovecki
+ * @version 1.0.0
+ */
+
+var fs = require("fs");
+var path = require("path");
+var SchedLinSim = require("../index.js");
+
+var Simulator = SchedLinSim.Simulator;
+var SimulationPresets = SchedLinSim.SimulationPresets;
+var TraceImport = SchedLinSim.TraceImport;
+var TraceExport = SchedLinSim.TraceExport;
+
+var usage = "\
+Usage: schedlinsim <preset | definition.json | trace> [options]\n\
+\n\
+Runs a simulation preset (a name from SimulationPresets) or a simulation definition stored in a JSON file. With\n\
+--trace, the workload is imported from an ftrace or \"perf sched script\" trace instead.\n\
+\n\
+Options:\n\
+  -n, --runs <count>      number of simulations to run, more than 1 uses Simulator.multiRun (default: 1)\n\
+  -s, --seed <seed>       random seed, the master seed when running multiple simulations (integer or string)\n\
+  -l, --sim-len <length>  override the simulation length, accepts suffixes ns, us, ms, s, min (e.g. 50ms)\n\
+  -f, --format <format>   output format: summary, json, csv, summary-csv or trace (default: summary), csv has the\n\
+                          statistics of every process, summary-csv the aggregate ones, trace writes a single run\n\
+                          in the Trace Event Format, for Perfetto or chrome://tracing\n\
+  -t, --trace             the file is a kernel scheduler trace, ftrace text output or \"perf sched script\" output\n\
+  -p, --policy <class>    the default scheduling class, LinuxFairClass for imported traces\n\
+      --convert           print the simulation definition as JSON instead of running it\n\
+  -o, --output <file>     write the output to a file instead of the standard output\n\
+      --list              list the available presets and exit\n\
+  -h, --help              show this help and exit\n";
+
+/* Options that take a value, by their long and short names. */
+var valueOpts = {
+	"--runs": "runs", "-n": "runs",
+	"--seed": "seed", "-s": "seed",
+	"--sim-len": "simLen", "-l": "simLen",
+	"--format": "format", "-f": "format",
+	"--policy": "policy", "-p": "policy",
+	"--output": "output", "-o": "output"
+};
+
+/* Thrown on malformed command line arguments, so that the usage gets printed along with the error. */
+class UsageError extends Error {}
+
+/* Parse the command line arguments into an options object. Accepts both "--opt value" and "--opt=value". */
+function parseArgs(argv) {
+	var opts = {
+		source: null,
+		runs: 1,
+		seed: undefined,
+		simLen: undefined,
+		format: "summary",
+		trace: false,
+		policy: undefined,
+		convert: false,
+		output: null,
+		list: false,
+		help: false
+	};
+
+	for (let i = 0; i < argv.length; i++) {
+		let arg = argv[i];
+		let value;
+
+		if (arg.startsWith("--") && arg.includes("=")) {
+			value = arg.slice(arg.indexOf("=") + 1);
+			arg = arg.slice(0, arg.indexOf("="));
+		}
+
+		if (arg === "-h" || arg === "--help") {
+			opts.help = true;
+		} else if (arg === "--list") {
+			opts.list = true;
+		} else if (arg === "-t" || arg === "--trace") {
+			opts.trace = true;
+		} else if (arg === "--convert") {
+			opts.convert = true;
+		} else if (valueOpts[arg] !== undefined) {
+			if (value === undefined) {
+				if (i + 1 >= argv.length) {
+					throw new UsageError("option " + arg + " requires a value");
+				}
+				value = argv[++i];
+			}
+			opts[valueOpts[arg]] = value;
+		} else if (arg.startsWith("-") && arg !== "-") {
+			throw new UsageError("unknown option " + arg);
+		} else if (opts.source === null) {
+			opts.source = arg;
+		} else {
+			throw new UsageError("unexpected argument " + arg);
+		}
+	}
+
+	if (opts.help || opts.list) {
+		return opts;
+	}
+
+	if (opts.source === null) {
+		throw new UsageError("missing preset name, definition file or trace file");
+	}
+
+	if (!/^\d+$/.test(String(opts.runs)) || parseInt(opts.runs) < 1) {
+		throw new UsageError("the number of runs needs to be a positive integer, instead found: " + opts.runs);
+	}
+	opts.runs = parseInt(opts.runs);
+
+	if (!["summary", "json", "csv", "summary-csv", "trace"].includes(opts.format)) {
+		throw new UsageError("unknown output format \"" + opts.format + "\", use summary, json, csv, summary-csv or trace");
+	}
+	if (opts.format === "trace" && opts.runs > 1) {
+		throw new UsageError("the trace format holds a single simulation, it cannot be used with multiple runs");
+	}
+
+	/* whole numbers are integer seeds, anything else is a string seed, same as in the gui */
+	if (opts.seed !== undefined && /^-?\d+$/.test(opts.seed)) {
+		opts.seed = parseInt(opts.seed);
+	}
+
+	return opts;
+}
+
+/* Load the simulation definition, either a preset, a JSON file or an imported trace. Returns a copy that can be
+ * modified freely. */
+function loadDefinition(source, opts) {
+	if (opts.trace) {
+		if (!fs.existsSync(source)) {
+			throw new Error("trace file \"" + source + "\" does not exist");
+		}
+		return TraceImport.parse(fs.readFileSync(source, "utf8"), {name: path.basename(source), policy: opts.policy});
+	}
+
+	if (SimulationPresets[source] !== undefined) {
+		return JSON.parse(JSON.stringify(SimulationPresets[source]));
+	}
+
+	if (!fs.existsSync(source)) {
+		throw new Error("\"" + source + "\" is neither a preset name nor an existing file, see --list for presets");
+	}
+
+	try {
+		return JSON.parse(fs.readFileSync(source, "utf8"));
+	} catch (e) {
+		throw new Error("cannot parse simulation definition " + path.basename(source) + ": " + e.message);
+	}
+}
+
+/* Drop the process list and the event log from a SimResult. They are circular and far too large for the output. */
+function slimResult(result) {
+	var slim = {};
+	for (let key in result) {
+		if (key !== "processList" && key !== "simEvents") {
+			slim[key] = result[key];
+		}
+	}
+	return slim;
+}
+
+/* Round a number for the summary. */
+function fmt(value) {
+	if (typeof(value) !== "number" || isNaN(value)) {
+		return "-";
+	}
+	return String(Math.round(value * 100) / 100);
+}
+
+/* A human readable summary of a single simulation. */
+function formatSummary(result) {
+	var lines = [
+		"Simulation:        " + result.name,
+		"Seed:              " + result.seed,
+		"Length:            " + result.length + "ns",
+		"CPUs:              " + result.cpus,
+		"Context switches:  " + result.contextSwitches,
+		"Overhead time:     " + result.overheadTime + "ns",
+		"",
+		"CPU load:          " + fmt(result.averageLoad * 100) + "%"
+	];
+	if (result.cpus > 1) {
+		for (let i in result.cpuLoad) {
+			lines.push("  CPU " + i + ":           " + fmt(result.cpuLoad[i] * 100) + "%");
+		}
+	}
+
+	lines.push("Latency:           avg " + fmt(result.averageLatency.general.avg) + "ns, dev " +
+		fmt(result.averageLatency.general.dev) + "ns");
+	if (result.averageTurnaround.exited > 0) {
+		lines.push("Turnaround:        avg " + fmt(result.averageTurnaround.avg) + "ns, dev " +
+			fmt(result.averageTurnaround.dev) + "ns (" + result.averageTurnaround.exited + " processes exited)");
+	} else {
+		lines.push("Turnaround:        no processes exited");
+	}
+
+	for (let className of result.activeClasses) {
+		lines.push("", className + ":");
+		for (let stat of result.classStats[className]) {
+			lines.push("  " + stat[0] + ": " + (typeof(stat[1]) === "number" ? fmt(stat[1]) : stat[1]));
+		}
+	}
+
+	for (let dev of result.deviceStats) {
+		lines.push("", "Device " + dev.name + ":");
+		lines.push("  requests served: " + dev.requests + ", utilisation " + fmt(dev.utilisation * 100) + "%");
+		lines.push("  queue wait: avg " + fmt(dev.waitAvg) + "ns, max " + dev.waitMax + "ns");
+	}
+
+	for (let deadlock of result.deadlocks) {
+		lines.push("", "Deadlock at " + deadlock.time + "ns:");
+		lines.push("  processes " + deadlock.processes.join(", ") + " waiting for " + deadlock.locks.join(", "));
+	}
+
+	lines.push("", "Processes:");
+	for (let stats of result.processStats) {
+		lines.push("  " + stats.pid + " " + result.processList[stats.pid].pname + ": ran " + stats.execution.cnt +
+			" times for " + stats.execution.sum + "ns, waited " + stats.latency.sum + "ns");
+		if (stats.locks.acquired > 0 || stats.locks.waits > 0) {
+			lines.push("    locks: acquired " + stats.locks.acquired + " times, held " + stats.locks.holdSum +
+				"ns, waited " + stats.locks.waits + " times for " + stats.locks.waitSum + "ns");
+		}
+	}
+
+	/* the tree is only worth showing if some process forked children */
+	if (result.processTree.some(node => node.children.length > 0)) {
+		lines.push("", "Process tree:");
+		let addNode = function(node, indent) {
+			lines.push(indent + node.pid + " " + node.pname);
+			for (let child of node.children) {
+				addNode(child, indent + "  ");
+			}
+		}
+		for (let node of result.processTree) {
+			addNode(node, "  ");
+		}
+	}
+
+	return lines.join("\n") + "\n";
+}
+
+/* A human readable summary of a multiRun. */
+function formatMultiSummary(multiRes, results) {
+	var lines = [
+		"Simulation:        " + results[0].name,
+		"Simulations ran:   " + multiRes.simulationsRan,
+		"Master seed:       " + multiRes.masterSeed,
+		"Real time taken:   " + multiRes.realTimeTaken + "ms",
+		"",
+		"CPU load:          avg " + fmt(multiRes.averageLoad.avg * 100) + "%, dev " +
+			fmt(multiRes.averageLoad.dev * 100) + "%",
+		"Latency:           avg " + fmt(multiRes.averageLatency.avgAvg) + "ns, dev of averages " +
+			fmt(multiRes.averageLatency.devAvg) + "ns, average dev " + fmt(multiRes.averageLatency.avgDev) + "ns",
+		"Turnaround:        avg " + fmt(multiRes.averageTurnaround.avgAvg) + "ns, dev of averages " +
+			fmt(multiRes.averageTurnaround.devAvg) + "ns, average exited " +
+			fmt(multiRes.averageTurnaround.avgExited),
+		"",
+		"Runs:"
+	];
+	for (let i in results) {
+		lines.push("  " + i + ": seed " + results[i].seed + ", load " + fmt(results[i].averageLoad * 100) +
+			"%, latency " + fmt(results[i].averageLatency.general.avg) + "ns");
+	}
+
+	return lines.join("\n") + "\n";
+}
+
+/* Run the simulations described by the options and return the output as a string. */
+function run(opts) {
+	var definition = loadDefinition(opts.source, opts);
+	if (opts.simLen !== undefined) {
+		definition.simLen = opts.simLen;
+	}
+	if (opts.policy !== undefined) {
+		definition.policy = opts.policy;
+	}
+
+	if (opts.convert) {
+		return JSON.stringify(definition, null, 2) + "\n";
+	}
+
+	if (opts.runs === 1) {
+		Simulator.init(definition, opts.seed);
+		let result = Simulator.run();
+
+		if (opts.format === "json") {
+			return JSON.stringify(slimResult(result), null, 2) + "\n";
+		} else if (opts.format === "csv") {
+			return Simulator.exportCSV(result);
+		} else if (opts.format === "summary-csv") {
+			return Simulator.exportSummaryCSV(result);
+		} else if (opts.format === "trace") {
+			return TraceExport.stringify(result) + "\n";
+		}
+		return formatSummary(result);
+	}
+
+	Simulator.multiRun.init(definition, opts.seed);
+	let multiRes = Simulator.multiRun.run(opts.runs);
+	let results = Simulator.multiRun.results;
+
+	if (opts.format === "json") {
+		return JSON.stringify(Object.assign({}, multiRes, {runs: results.map(slimResult)}), null, 2) + "\n";
+	} else if (opts.format === "csv") {
+		return Simulator.multiRun.exportCSV();
+	} else if (opts.format === "summary-csv") {
+		return Simulator.multiRun.exportSummaryCSV();
+	}
+	return formatMultiSummary(multiRes, results);
+}
+
+function main(argv) {
+	var opts;
+	try {
+		opts = parseArgs(argv);
+	} catch (e) {
+		if (e instanceof UsageError) {
+			process.stderr.write("schedlinsim: " + e.message + "\n\n" + usage);
+			return 2;
+		}
+		throw e;
+	}
+
+	if (opts.help) {
+		process.stdout.write(usage);
+		return 0;
+	}
+
+	if (opts.list) {
+		for (let name in SimulationPresets) {
+			process.stdout.write(name + (SimulationPresets[name].name !== undefined ?
+				"\t" + SimulationPresets[name].name : "") + "\n");
+		}
+		return 0;
+	}
+
+	var output;
+	try {
+		output = run(opts);
+	} catch (e) {
+		process.stderr.write("schedlinsim: " + e.message + "\n");
+		return 1;
+	}
+
+	if (opts.output !== null) {
+		fs.writeFileSync(opts.output, output);
+	} else {
+		process.stdout.write(output);
+	}
+	return 0;
+}
+
+/* Stop quietly when the output is piped into a program that exits early, such as head. */
+process.stdout.on("error", function(e) {
+	if (e.code === "EPIPE") {
+		process.exit(0);
+	}
+	throw e;
+});
+
+process.exitCode = main(process.argv.slice(2));
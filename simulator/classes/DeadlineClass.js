@@ -0,0 +1,430 @@
+(function(root, factory) {
+	if (typeof module !== "undefined" && module.exports) {
+		module.exports = factory(require("../SchedLinSim.js"));
+	} else {
+		root.DeadlineClass = factory(root.SchedLinSim);
+	}
+}) (this, function(SchedLinSim) {
+	var Simulation = SchedLinSim.Simulation;
+	var SchedClass = SchedLinSim.SchedClass;
+
+	/**
+	 * An implementation of the deadline scheduling class of the Linux kernel (SCHED_DEADLINE). Processes reserve a
+	 * runtime in every period and are run earliest deadline first (EDF). The constant bandwidth server (CBS) throttles a
+	 * process that uses up its runtime until its next period, so that it can't take the reserved time of the others.
+	 * @extends SchedClass
+	 * @param {string} name "DeadlineClass", the name that will be used to identify this scheduling class.
+	 */
+	class DeadlineClass extends SchedClass {
+		constructor(name) {
+			super(name);
+		}
+
+		init(classParams) {
+			super.init();
+
+			/* Init runqueue, an unordered list of processes that's searched for the earliest deadline */
+			this.runqueue = [];
+
+			/* Simulation settings. As in the kernel, the processes may reserve up to sched_rt_runtime_us out of every
+			 * sched_rt_period_us on each CPU, 95% by default. */
+			this.schedRtRuntime = 950000000;
+			this.schedRtPeriod = 1000000000;
+
+			/* load class parameters */
+			if (classParams !== undefined) {
+				if (classParams.schedRtPeriod !== undefined) {
+					let schedRtPeriod = this.sim.handleSuffix(classParams.schedRtPeriod, "simulation configuration, class parameters, DeadlineClass, schedRtPeriod");
+					if (schedRtPeriod <= 0) {
+						throw new Error("schedRtPeriod has to be a positive value")
+					}
+					this.schedRtPeriod = schedRtPeriod;
+				}
+				if (classParams.schedRtRuntime !== undefined) {
+					let schedRtRuntime = classParams.schedRtRuntime === -1 ? -1 :
+						this.sim.handleSuffix(classParams.schedRtRuntime, "simulation configuration, class parameters, DeadlineClass, schedRtRuntime");
+					if (schedRtRuntime < 0 && schedRtRuntime !== -1) {
+						throw new Error("schedRtRuntime has to be a positive value or -1")
+					}
+					this.schedRtRuntime = schedRtRuntime;
+				}
+			}
+			if (this.schedRtRuntime > this.schedRtPeriod) {
+				throw new Error("schedRtRuntime can't be longer than schedRtPeriod")
+			}
+
+			/* Statistics */
+			this.jobs = 0;				// number of finished jobs (bursts)
+			this.misses = 0;			// number of jobs that finished after their deadline
+			this.latenessSum = 0;		// sum of the lateness of all the finished jobs
+			this.maxLateness = null;	// the largest lateness of a job
+			this.throttledCount = 0;	// number of times a process used up its runtime and got throttled
+			this.refused = [];			// the forked processes that didn't pass the admission test
+
+			/* Make sure that our processes have valid reservations and that they fit on their CPUs (admission test).
+			 * Processes never migrate, so each CPU is tested on its own, with the processes that are placed on it. */
+			var procList = this.sim.getProcList();
+			var ours = [];
+			for (let i in procList) {
+				if (procList[i].policy === this.name) {
+					this.checkProc(procList[i]);
+					ours.push(procList[i]);
+				}
+			}
+			if (this.schedRtRuntime >= 0) {
+				this.place(ours);
+			}
+			for (let c = 0; c < this.sim.getCpuCount(); c++) {
+				let admission = this.admit(ours.filter(p => p.cpu === c));
+				if (admission !== null && admission.total > admission.limit) {
+					throw new Error("the processes of DeadlineClass on CPU " + c + " reserve a bandwidth of " +
+					admission.total.toFixed(3) + ", but only " + admission.limit.toFixed(3) +
+					" is available (schedRtRuntime / schedRtPeriod).")
+				}
+			}
+
+			/* Add deadline scheduling entity fields to the processes */
+			this.sim.modProc("dlDeadline", 0, this.name);		// absolute deadline
+			this.sim.modProc("dlRuntime", 0, this.name);		// remaining runtime
+			this.sim.modProc("dlThrottled", false, this.name);	// whether the process waits for its replenishment
+			this.sim.modProc("dlReplenish", 0, this.name);		// time of the replenishment of a throttled process
+			this.sim.modProc("dlJobDeadline", 0, this.name);	// deadline of the current job
+		}
+
+		classParamsTemplate() {
+			/* return an object with all possible class parameters */
+			var params = super.classParamsTemplate();
+
+			params.schedRtRuntime = 950000000;
+			params.schedRtPeriod = 1000000000;
+
+			return params;
+	    }
+
+		getDescription() {
+			return "The deadline scheduling class of the Linux kernel (SCHED_DEADLINE). Every process reserves a\
+			\"runtime\" in every \"period\", which it should receive before its relative \"deadline\", all three given as\
+			fields of its behavior (the deadline defaults to the period and vice versa). The process with the earliest\
+			absolute deadline runs first (EDF), priorities are not used. A process that uses up its runtime is throttled\
+			until its next period by the constant bandwidth server (CBS), which protects the reservations of the other\
+			processes from it. Throttled processes are replenished on timer ticks.\n\
+			Processes don't migrate between CPUs, so the reservations are admitted per CPU: the processes on each CPU\
+			may reserve up to schedRtRuntime / schedRtPeriod of it. Processes from the simulation definition that aren't\
+			pinned to a CPU are placed at the start, from the largest reservation to the smallest, each on the CPU with\
+			the least bandwidth reserved so far. The simulation is rejected if a CPU can't fit its processes. A process\
+			forked at runtime that doesn't fit on the CPU it's placed on is refused and exits right away, as the kernel\
+			fails the fork. As in the kernel, this class should be placed above RTClass in classPrio.\n\n\
+			Accepted parameters:\n\
+			schedRtRuntime: out of every schedRtPeriod, the time that can be reserved on each CPU, -1 removes the limit.\n\
+			schedRtPeriod: see schedRtRuntime.";
+		}
+
+		/**
+		 * Returns the reservation that a process currently runs with, filling in the missing deadline or period.
+		 * @param  {Process} proc The process.
+		 * @return {Object} The reservation as {runtime, deadline, period}, null if the process has none.
+		 */
+		params(proc) {
+			var beh = proc.currBehavior;
+			if (beh.runtime === undefined) {
+				return null;
+			}
+			return {
+				runtime: beh.runtime,
+				deadline: beh.deadline !== undefined ? beh.deadline : beh.period,
+				period: beh.period !== undefined ? beh.period : beh.deadline
+			};
+		}
+
+		/**
+		 * Checks every reservation that a process of the class will run with. The runtime can't be longer than the
+		 * deadline, which can't be longer than the period.
+		 * @param  {Process} proc The process.
+		 * @return {number} The largest bandwidth (runtime / period) that the process reserves.
+		 */
+		checkProc(proc) {
+			var res = {}, bandwidth = 0;
+			for (let beh of proc.behavior) {
+				if (beh.final) {
+					continue;
+				}
+				for (let field of ["runtime", "deadline", "period"]) {
+					if (beh[field] !== undefined) {
+						res[field] = beh[field];
+					}
+				}
+				let deadline = res.deadline !== undefined ? res.deadline : res.period;
+				let period = res.period !== undefined ? res.period : res.deadline;
+				if (res.runtime === undefined || deadline === undefined) {
+					throw new Error("the process with PID " + proc.pid + " needs a \"runtime\" and a \"deadline\" or a \"period\" in its first behavior entry.")
+				} else if (res.runtime > deadline || deadline > period) {
+					throw new Error("the process with PID " + proc.pid + " has a runtime of " + res.runtime +
+					", a deadline of " + deadline + " and a period of " + period + ", they need to be runtime <= deadline <= period.")
+				}
+				bandwidth = Math.max(bandwidth, res.runtime / period);
+			}
+			return bandwidth;
+		}
+
+		/**
+		 * The admission test. Checks whether the reservations of the processes fit on a single CPU.
+		 * @param  {Process[]} procs The processes of the class on the CPU.
+		 * @return {Object} The reserved bandwidth and the available one as {total, limit}, null if there is no limit.
+		 */
+		admit(procs) {
+			if (this.schedRtRuntime < 0) {
+				return null;
+			}
+			var total = procs.reduce((acc, proc) => acc + this.checkProc(proc), 0);
+			var limit = this.schedRtRuntime / this.schedRtPeriod;
+			return {total: total, limit: limit};
+		}
+
+		/**
+		 * Pins the processes from the simulation definition that weren't pinned to a CPU, so that the admission test
+		 * can be run per CPU before they spawn. They are taken from the largest reservation to the smallest and put on
+		 * the CPU with the least bandwidth reserved so far (worst fit decreasing), which spreads them over the CPUs as
+		 * the simulator would. Pinned processes keep their CPUs.
+		 * @param  {Process[]} procs The processes of the class.
+		 */
+		place(procs) {
+			var reserved = new Array(this.sim.getCpuCount()).fill(0);
+			for (let proc of procs) {
+				if (proc.cpu >= 0) {
+					reserved[proc.cpu] += this.checkProc(proc);
+				}
+			}
+			var unplaced = procs.filter(p => p.cpu < 0).map(p => ({proc: p, bandwidth: this.checkProc(p)}));
+			unplaced.sort((a, b) => b.bandwidth - a.bandwidth || a.proc.pid - b.proc.pid);
+			for (let entry of unplaced) {
+				let cpu = reserved.indexOf(Math.min(...reserved));
+				entry.proc.cpu = cpu;
+				reserved[cpu] += entry.bandwidth;
+			}
+		}
+
+		/**
+		 * Returns the process with the earliest deadline that isn't throttled.
+		 * @return {Process} The process, null if there is none.
+		 */
+		first() {
+			var picked = null;
+			for (let proc of this.runqueue) {
+				if (!proc.dlThrottled && (picked === null || proc.dlDeadline < picked.dlDeadline)) {
+					picked = proc;
+				}
+			}
+			return picked;
+		}
+
+		/**
+		 * Gives a process that ran out of runtime a new one, moving its deadline a period further for every runtime
+		 * that it's given. If that still leaves it behind the current time, it starts over from now.
+		 * @param  {Process} proc The process.
+		 */
+		replenish(proc) {
+			var now = this.sim.time();
+			var params = this.params(proc);
+			while (proc.dlRuntime <= 0) {
+				proc.dlDeadline += params.period;
+				proc.dlRuntime += params.runtime;
+			}
+			if (proc.dlDeadline < now) {
+				proc.dlDeadline = now + params.deadline;
+				proc.dlRuntime = params.runtime;
+			}
+			proc.dlThrottled = false;
+		}
+
+		/**
+		 * Charges the time that a process ran since it was last updated to its runtime. A process that used it up is
+		 * throttled until the start of its next period, or replenished straight away if that has already begun.
+		 * @param  {Process} curr The running (or just descheduled) process of the class.
+		 */
+		updateCurr(curr) {
+			var now = this.sim.time();
+			var delta = now - curr.updated;
+			curr.updated = now;
+			var params = this.params(curr);
+			if (delta <= 0 || params === null) {
+				return;
+			}
+
+			curr.dlRuntime -= delta;
+			if (curr.dlRuntime <= 0) {
+				curr.dlReplenish = curr.dlDeadline - params.deadline + params.period;
+				if (curr.dlReplenish <= now) {
+					this.replenish(curr);
+				} else {
+					curr.dlThrottled = true;
+					/* only count the processes that wanted to keep running, not the ones that blocked just in time */
+					if (curr.runnable) {
+						this.throttledCount++;
+					}
+				}
+			}
+		}
+
+		enqueue(proc) {
+			super.enqueue(proc);
+
+			var now = this.sim.time();
+			var params = this.params(proc);
+			if (params === null) {
+				/* A process that a lock protocol lends to this class has no reservation of its own, it runs as soon as
+				 * possible to release its locks. */
+				proc.dlDeadline = now;
+				proc.dlThrottled = false;
+			} else {
+				/* A process that blocked right as it ran out of runtime may already be due for its replenishment. */
+				if (proc.dlThrottled && proc.dlReplenish <= now) {
+					this.replenish(proc);
+				}
+				/* The CBS wakeup rule: the process keeps its deadline and runtime only if its deadline is still ahead and
+				 * using up the runtime before it wouldn't exceed the reserved bandwidth. */
+				if (!proc.dlThrottled && (proc.dlDeadline <= now ||
+					proc.dlRuntime * params.period > (proc.dlDeadline - now) * params.runtime)) {
+						proc.dlDeadline = now + params.deadline;
+						proc.dlRuntime = params.runtime;
+				}
+				/* A new job starts. A throttled process only gets its deadline once it's replenished. */
+				proc.dlJobDeadline = proc.dlThrottled ? null : proc.dlDeadline;
+			}
+
+			this.runqueue.push(proc);
+		}
+
+		dequeue(proc) {
+			super.dequeue(proc);
+
+			for (let i = 0; i < this.runqueue.length; i++) {
+				if (this.runqueue[i] === proc) {
+					this.runqueue.splice(i, 1);
+					break;
+				}
+			}
+
+			/* a process that blocks has finished its job */
+			if (!proc.runnable && proc.alive && this.params(proc) !== null) {
+				let lateness = this.sim.time() - proc.dlJobDeadline;
+				this.jobs++;
+				this.latenessSum += lateness;
+				if (lateness > 0) {
+					this.misses++;
+				}
+				if (this.maxLateness === null || lateness > this.maxLateness) {
+					this.maxLateness = lateness;
+				}
+			}
+		}
+
+		pickNext(prev) {
+			super.pickNext(prev);
+
+			/* Charge the time of our previous process first, it could have used up its runtime. */
+			if (prev.schedClass === this) {
+				this.updateCurr(prev);
+			}
+
+			/* Call putPrev and return a process if we have one. Just return null without putPrev call otherwise. */
+			var picked = this.first();
+			if (picked !== null) {
+				this.sim.putPrev(prev);
+				/* Log the start of task execution */
+				picked.updated = this.sim.time();
+			}
+			return picked;
+		}
+
+		putPrev(prev) {
+			super.putPrev(prev);
+
+			this.updateCurr(prev);
+		}
+
+		checkPreempt(proc) {
+			super.checkPreempt(proc);
+
+			var curr = this.sim.getCurr();
+			if (!proc.dlThrottled && proc.dlDeadline < curr.dlDeadline) {
+				/* The new process has an earlier deadline than the current one, preempt. */
+				this.sim.pickNext();
+			}
+		}
+
+		taskTick() {
+			super.taskTick();
+
+			/* Charge the running time. Reschedule if the process got throttled or isn't the earliest anymore. */
+			var curr = this.sim.getCurr();
+			this.updateCurr(curr);
+			var first = this.first();
+			if (curr.dlThrottled || first !== null && first.dlDeadline < curr.dlDeadline) {
+				this.sim.pickNext();
+			}
+		}
+
+		classTick() {
+			super.classTick();
+
+			/* Replenish the throttled processes whose next period has begun. */
+			var now = this.sim.time();
+			var woken = null;
+			for (let proc of this.runqueue) {
+				if (proc.dlThrottled && proc.dlReplenish <= now) {
+					this.replenish(proc);
+					if (proc.dlJobDeadline === null) {
+						proc.dlJobDeadline = proc.dlDeadline;
+					}
+					if (woken === null || proc.dlDeadline < woken.dlDeadline) {
+						woken = proc;
+					}
+				}
+			}
+
+			/* The earliest of them may preempt the running process. */
+			if (woken !== null) {
+				this.sim.checkPreempt(woken);
+			}
+		}
+
+		taskFork(proc) {
+			super.taskFork(proc);
+
+			/* The forked process has to pass the admission test of the CPU that it was placed on, together with the
+			 * live processes of the class on that CPU, and with the ones from the simulation definition that have yet to
+			 * spawn there, as they were admitted at init. Its siblings that are forked after it aren't counted yet. If
+			 * it doesn't pass, it's refused, like a fork that the kernel fails with -EBUSY, and the rest keep their
+			 * reservations. */
+			var procList = this.sim.getProcList();
+			var admission = this.admit(procList.filter(p => p.policy === this.name && p.cpu === proc.cpu &&
+				p.exited < 0 && (p.alive || p.ppid < 0)));
+			if (admission !== null && admission.total > admission.limit) {
+				this.refused.push(proc);
+				return false;
+			}
+		}
+
+		getClassStats() {
+			var res = super.getClassStats();
+
+			res.push(["Jobs finished", this.jobs]);
+			res.push(["Deadline misses", this.misses]);
+			res.push(["Lateness average", this.jobs > 0 ? this.latenessSum / this.jobs : 0]);
+			res.push(["Lateness maximum", this.maxLateness !== null ? this.maxLateness : 0]);
+			res.push(["Times throttled", this.throttledCount]);
+			res.push(["Forked processes refused admission", this.refused.length]);
+			for (let proc of this.refused) {
+				res.push(["Time " + proc.pname + " (PID " + proc.pid + ") was refused", proc.spawned]);
+			}
+
+			return res;
+		}
+	}
+
+	var name = "DeadlineClass";
+	var deadlineClass = new DeadlineClass(name);
+	Simulation.registerSchedClass(name, deadlineClass);
+
+	return DeadlineClass;
+});
@@ -0,0 +1,365 @@
+(function(root, factory) {
+	if (typeof module !== "undefined" && module.exports) {
+		module.exports = factory(require("../SchedLinSim.js"));
+	} else {
+		root.EEVDFClass = factory(root.SchedLinSim);
+	}
+}) (this, function(SchedLinSim) {
+	var Simulation = SchedLinSim.Simulation;
+	var SchedClass = SchedLinSim.SchedClass;
+
+	/**
+	 * An implementation of the fair scheduling policy of Linux since version 6.6, "Earliest Eligible Virtual Deadline
+	 * First" (EEVDF). It replaced the heuristics of CFS with virtual deadlines: every process asks for a slice of time
+	 * and gets a virtual deadline at which it should have received it, and out of the processes that haven't received
+	 * more than their fair share (the eligible ones) the one with the earliest virtual deadline runs.
+	 * @extends SchedClass
+	 * @param {string} name "EEVDFClass", the name that will be used to identify this scheduling class.
+	 */
+	class EEVDFClass extends SchedClass {
+		constructor(name) {
+			super(name);
+
+			/* array of mappings from niceness to weight, borrowed from "core.c" of the Linux kernel */
+			const schedPrioToWeight = [
+				/* -20 */     88761,     71755,     56483,     46273,     36291,
+				/* -15 */     29154,     23254,     18705,     14949,     11916,
+				/* -10 */      9548,      7620,      6100,      4904,      3906,
+				/*  -5 */      3121,      2501,      1991,      1586,      1277,
+				/*   0 */      1024,       820,       655,       526,       423,
+				/*   5 */       335,       272,       215,       172,       137,
+				/*  10 */       110,        87,        70,        56,        45,
+				/*  15 */        36,        29,        23,        18,        15,
+			];
+			this.schedPrioToWeight = schedPrioToWeight;
+		}
+
+		init(classParams) {
+			super.init();
+
+			/* Init runqueue & status variables. The runqueue holds all the runnable processes, the running one too. */
+			this.runqueue = [];
+			this.curr = null;			// the currently selected (executing) process of the class
+			this.minVruntime = 0;		// monotonic reference point for vruntime, used while the runqueue is empty
+
+			/* Init class parameters */
+			this.baseSlice = 750000;	// sysctl_sched_base_slice, the default request size of 0.75ms
+			this.runToParity = true;	// RUN_TO_PARITY, wakeups don't preempt a process before its slice is used up
+
+			/* load class parameters */
+			if (classParams !== undefined) {
+				if (classParams.baseSlice !== undefined) {
+					let baseSlice = this.sim.handleSuffix(classParams.baseSlice, "simulation configuration, class parameters, EEVDFClass, baseSlice");
+					if (baseSlice <= 0) {
+						throw new Error("baseSlice has to be a positive value")
+					}
+					this.baseSlice = baseSlice;
+				}
+				if (classParams.runToParity !== undefined) {
+					if (typeof(classParams.runToParity) === "boolean") {
+						this.runToParity = classParams.runToParity;
+					} else {
+						throw new Error("runToParity needs to be a boolean, instead found: " + classParams.runToParity)
+					}
+				}
+			}
+
+			/* Check the slices that processes request for themselves, in the "slice" field of their custom object. As
+			 * with sched_attr.sched_runtime in the kernel, they need to be between 0.1ms and 100ms. */
+			var procList = this.sim.getProcList();
+			for (let i in procList) {
+				if (procList[i].policy === this.name) {
+					this.checkSlice(procList[i]);
+				}
+			}
+
+			/* Add to processes the variables that will be used during scheduling
+			 * - eevdfVruntime - virtual runtime, the weighted time that the process has run for
+			 * - eevdfDeadline - virtual deadline, null until the process is placed on the runqueue for the first time
+			 * - eevdfLag - the service that the process was owed (or owed others) when it last left the runqueue
+			 * - eevdfProtect - the deadline at the time of the last pick, for RUN_TO_PARITY
+			 *  */
+			this.sim.modProc("eevdfVruntime", 0, this.name);
+			this.sim.modProc("eevdfDeadline", null, this.name);
+			this.sim.modProc("eevdfLag", 0, this.name);
+			this.sim.modProc("eevdfProtect", null, this.name);
+		}
+
+		classParamsTemplate() {
+			/* return an object with all possible class parameters */
+			var params = super.classParamsTemplate();
+
+			params.baseSlice = 750000;
+			params.runToParity = true;
+
+			return params;
+	    }
+
+		getDescription() {
+			return "A scheduling class that behaves like the fair class of Linux since version 6.6, \"Earliest Eligible\
+		Virtual Deadline First\" (EEVDF), which replaced the \"Completely Fair Scheduler\". As in CFS, processes collect\
+		virtual runtime, the time they ran weighted by their priority. The average virtual runtime of the runqueue is\
+		what every process would have if the CPU was shared perfectly, and a process behind it (with positive lag) is\
+		eligible to run. Every process requests a slice of time and gets a virtual deadline one slice (in virtual time)\
+		after its virtual runtime. Out of the eligible processes, the one with the earliest virtual deadline runs, until\
+		it uses up its slice and gets a new deadline. Processes with shorter slices get earlier deadlines, so they wait\
+		less, but run in shorter pieces. A process keeps its lag while it sleeps and is placed with it when it wakes up,\
+		so sleeping doesn't earn it extra time, nor does it lose what it was owed.\n\
+        Priorities in this class follow the standard unix \"nice\" values: a lower number means a higher priority,\
+		where 19 is the lowest priority, 0 the default and -20 the highest. A process can request its own slice with\
+		the \"slice\" field of the custom object in its definition, from 0.1ms to 100ms.\n\n\
+		Accepted parameters:\n\
+		baseSlice: the slice of the processes that don't request their own.\n\
+		runToParity: boolean, if true a waking process doesn't preempt the running one until the running one has used\
+		up its slice or is no longer eligible, unless the waking process requests a shorter slice.";
+		}
+
+		/*
+		 *		Helper functions
+		 */
+
+		/* Check the slice that a process requests for itself and convert its time suffix. */
+		checkSlice(proc) {
+			if (proc.slice === undefined) {
+				return;
+			}
+			proc.slice = this.sim.handleSuffix(proc.slice, "process " + proc.pid + ", slice");
+			if (typeof(proc.slice) !== "number" || proc.slice < 100000 || proc.slice > 100000000) {
+				throw new Error("the process with PID " + proc.pid + " requests a slice of " + proc.slice +
+				", allowed values are from 100000 (0.1ms) to 100000000 (100ms).")
+			}
+		}
+
+		/* Return the load that corresponds to a given "nice" value / priority. */
+		getLoad(prio) {
+			if (typeof(prio) !== "number" || prio < -20 || prio > 19) {
+				throw new Error("Invalid priority detected, expected a number on [-20, 19], found: " + prio);
+			}
+
+			return this.schedPrioToWeight[prio + 20];
+		}
+
+		/* Calculate virtual passage of time, weighted by process priority. Time passes slower for processes with higher
+		 * priority, allowing them to execute longer. */
+		calcDeltaFair(delta, proc) {
+			return delta * this.getLoad(0) / this.getLoad(proc.currBehavior.priority);
+		}
+
+		/* The slice that a process requests, its own or the default one. */
+		sliceOf(proc) {
+			return typeof(proc.slice) === "number" ? proc.slice : this.baseSlice;
+		}
+
+		/* The sum of the weights of the runnable processes and of their vruntimes, weighted and taken relative to
+		 * minVruntime to keep the numbers small (avg_vruntime). Optionally leaves out a process. */
+		avgSums(except) {
+			var load = 0, avg = 0;
+			for (let proc of this.runqueue) {
+				if (proc !== except) {
+					let weight = this.getLoad(proc.currBehavior.priority);
+					load += weight;
+					avg += (proc.eevdfVruntime - this.minVruntime) * weight;
+				}
+			}
+			return {load: load, avg: avg};
+		}
+
+		/* The weighted average vruntime of the runqueue, the vruntime that every process would have on an ideal CPU. */
+		avgVruntime(except) {
+			var sums = this.avgSums(except);
+			return sums.load > 0 ? this.minVruntime + sums.avg / sums.load : this.minVruntime;
+		}
+
+		/* A process is eligible if it hasn't received more than its share, if its vruntime isn't past the average.
+		 * Compared without division, like the kernel does. */
+		eligible(proc, sums) {
+			return sums.avg >= (proc.eevdfVruntime - this.minVruntime) * sums.load;
+		}
+
+		/* Pick the eligible process with the earliest virtual deadline (pick_eevdf). The process with the smallest
+		 * vruntime is always eligible, it's also the fallback if rounding leaves nothing eligible. */
+		pickEevdf() {
+			var sums = this.avgSums();
+			var best = null;
+			var leftmost = null;
+			for (let proc of this.runqueue) {
+				if (this.eligible(proc, sums) && (best === null || proc.eevdfDeadline < best.eevdfDeadline)) {
+					best = proc;
+				}
+				if (leftmost === null || proc.eevdfVruntime < leftmost.eevdfVruntime) {
+					leftmost = proc;
+				}
+			}
+			return best !== null ? best : leftmost;
+		}
+
+		/* Move minVruntime up to the smallest vruntime on the runqueue, it never decreases. */
+		updateMinVruntime() {
+			if (this.runqueue.length === 0) {
+				return;
+			}
+			var vruntime = Math.min.apply(null, this.runqueue.map(proc => proc.eevdfVruntime));
+			this.minVruntime = this.minVruntime > vruntime ? this.minVruntime : vruntime;
+		}
+
+		/* Update the stats of the currently running process. Take it as parameter just in case it was already replaced.
+		 * Returns true if the process used up its slice and got a new deadline, so that a reschedule is due. */
+		updateCurr(proc) {
+			/* Check whether the current process actually belongs to us. */
+			if (proc.schedClass !== this) {
+				return false;
+			}
+
+			var now = this.sim.time();
+			var deltaExec = now - proc.updated;
+
+			if (deltaExec <= 0) {
+				return false;
+			}
+
+			proc.updated = now;
+			proc.eevdfVruntime += this.calcDeltaFair(deltaExec, proc);
+
+			/* update_deadline: once the process has received its slice, it requests another one */
+			var resched = false;
+			if (proc.eevdfVruntime >= proc.eevdfDeadline) {
+				proc.eevdfDeadline = proc.eevdfVruntime + this.calcDeltaFair(this.sliceOf(proc), proc);
+				resched = true;
+			}
+			this.updateMinVruntime();
+			return resched;
+		}
+
+		/* Place a process that joins the runqueue (place_entity). It keeps the lag that it had when it left, scaled up
+		 * as its own weight will pull the average towards it, and gets a new deadline. */
+		placeEntity(proc) {
+			var initial = typeof(proc.eevdfDeadline) !== "number";
+			var sums = this.avgSums(proc);
+			var vruntime = sums.load > 0 ? this.minVruntime + sums.avg / sums.load : this.minVruntime;
+			var lag = 0;
+
+			if (!initial && sums.load > 0) {
+				let weight = this.getLoad(proc.currBehavior.priority);
+				lag = proc.eevdfLag * (sums.load + weight) / sums.load;
+			}
+			proc.eevdfVruntime = vruntime - lag;
+
+			/* New processes only request half a slice at first (PLACE_DEADLINE_INITIAL), so that they start soon. */
+			var vslice = this.calcDeltaFair(this.sliceOf(proc), proc);
+			proc.eevdfDeadline = proc.eevdfVruntime + (initial ? vslice / 2 : vslice);
+		}
+
+		/* Remember the lag of a process that leaves the runqueue (update_entity_lag), limited to a slice or a tick. */
+		updateEntityLag(proc) {
+			var limit = this.calcDeltaFair(Math.max(2 * this.sliceOf(proc), this.sim.getTimerTickLen()), proc);
+			var lag = this.avgVruntime() - proc.eevdfVruntime;
+			proc.eevdfLag = Math.max(-limit, Math.min(limit, lag));
+		}
+
+		/*
+		 *		Main scheduler functions
+		 */
+		enqueue(proc) {
+			super.enqueue(proc);
+
+			/* bring the running process up to date before the average changes */
+			this.updateCurr(this.sim.getCurr());
+
+			this.placeEntity(proc);
+			this.runqueue.push(proc);
+		}
+
+		dequeue(proc) {
+			super.dequeue(proc);
+
+			this.updateCurr(this.sim.getCurr());
+			this.updateEntityLag(proc);
+
+			for (let i = 0; i < this.runqueue.length; i++) {
+				if (this.runqueue[i] === proc) {
+					this.runqueue.splice(i, 1);
+					break;
+				}
+			}
+			this.updateMinVruntime();
+		}
+
+		pickNext(prev) {
+			super.pickNext(prev);
+
+			/* Call putPrev and return a process. Just return null if the runqueue is empty. */
+			if (this.runqueue.length === 0) {
+				return null;
+			}
+
+			this.sim.putPrev(prev);
+
+			var picked = this.pickEevdf();
+
+			/* update_stats_curr_start */
+			picked.updated = this.sim.time();
+			/* the slice that the process was picked with, it isn't preempted before its end with RUN_TO_PARITY */
+			picked.eevdfProtect = picked.eevdfDeadline;
+
+			/* set picked process as the current process for this class */
+			this.curr = picked;
+
+			return picked;
+		}
+
+		putPrev(prev) {
+			super.putPrev(prev);
+
+			this.updateCurr(prev);
+			this.curr = null;
+		}
+
+		checkPreempt(proc) {
+			super.checkPreempt(proc);
+
+			var curr = this.sim.getCurr();
+			if (this.updateCurr(curr)) {
+				this.sim.pickNext();
+				return;
+			}
+
+			/* With RUN_TO_PARITY, the running process keeps going while it's eligible and its slice lasts, unless the
+			 * new process requests a shorter slice (PREEMPT_SHORT). */
+			if (this.runToParity && this.sliceOf(proc) >= this.sliceOf(curr) &&
+				curr.eevdfDeadline === curr.eevdfProtect && this.eligible(curr, this.avgSums())) {
+				return;
+			}
+			/* Preempt if the new process is the one that EEVDF would pick now. */
+			if (this.pickEevdf() === proc) {
+				this.sim.pickNext();
+			}
+		}
+
+		taskTick() {
+			super.taskTick();
+
+			/* Reschedule once the running process has used up its slice, if anything else wants to run. */
+			var curr = this.sim.getCurr();
+			if (this.updateCurr(curr) && this.runqueue.length > 1) {
+				this.sim.pickNext();
+			}
+		}
+
+		taskFork(proc) {
+			super.taskFork(proc);
+
+			this.checkSlice(proc);
+		}
+
+		getClassStats() {
+			var res = super.getClassStats();
+			return res;
+		}
+	}
+
+	var name = "EEVDFClass";
+	var eevdfClass = new EEVDFClass(name);
+	Simulation.registerSchedClass(name, eevdfClass);
+
+	return EEVDFClass;
+});
@@ -1,71 +1,82 @@
-/**
- * An implementation of the first come first served scheduling algorithm as a scheduling class.
- * @extends SchedClass
- * @param {string} name "FCFSClass", the name that will be used to identify this scheduling class.
- */
-class FCFSClass extends SchedClass {
-	constructor(name) {
-		super(name);
+(function(root, factory) {
+	if (typeof module !== "undefined" && module.exports) {
+		module.exports = factory(require("../SchedLinSim.js"));
+	} else {
+		root.FCFSClass = factory(root.SchedLinSim);
 	}
+}) (this, function(SchedLinSim) {
+	var Simulation = SchedLinSim.Simulation;
+	var SchedClass = SchedLinSim.SchedClass;
 
-	init() {
-		super.init();
+	/**
+	 * An implementation of the first come first served scheduling algorithm as a scheduling class.
+	 * @extends SchedClass
+	 * @param {string} name "FCFSClass", the name that will be used to identify this scheduling class.
+	 */
+	class FCFSClass extends SchedClass {
+		constructor(name) {
+			super(name);
+		}
 
-		/* Init runqueue */
-		this.runqueue = [];
-	}
+		init() {
+			super.init();
 
-	getDescription() {
-		return "First-come-first-serve scheduling policy without preemption. Processes are executed in order of arrival\
+			/* Init runqueue */
+			this.runqueue = [];
+		}
+
+		getDescription() {
+			return "First-come-first-serve scheduling policy without preemption. Processes are executed in order of arrival\
 			and run until they block.\n\
 			This class does not use process priorities.\n\n\
 			Accepted parameters: none.";
-	}
+		}
 
-	enqueue(proc) {
-		super.enqueue(proc);
+		enqueue(proc) {
+			super.enqueue(proc);
 
-		this.runqueue.push(proc);
-	}
+			this.runqueue.push(proc);
+		}
 
-	dequeue(proc) {
-		super.dequeue(proc);
+		dequeue(proc) {
+			super.dequeue(proc);
 
-		for (var i = 0; i < this.runqueue.length; i++) {
-			if (this.runqueue[i] === proc) {
-				this.runqueue.splice(i, 1);
-				break;
+			for (var i = 0; i < this.runqueue.length; i++) {
+				if (this.runqueue[i] === proc) {
+					this.runqueue.splice(i, 1);
+					break;
+				}
 			}
 		}
-	}
 
-	pickNext(prev) {
-		super.pickNext(prev);
+		pickNext(prev) {
+			super.pickNext(prev);
 
-		/* Call putPrev and return a process. Just return null if the runqueue is empty. */
-		if (this.runqueue.length > 0) {
-			Simulator.putPrev(prev);
-			return this.runqueue[0];
-		}
+			/* Call putPrev and return a process. Just return null if the runqueue is empty. */
+			if (this.runqueue.length > 0) {
+				this.sim.putPrev(prev);
+				return this.runqueue[0];
+			}
 
-		return null;
-	}
+			return null;
+		}
 
-	putPrev(prev) {
-		super.putPrev(prev);
-	}
+		putPrev(prev) {
+			super.putPrev(prev);
+		}
 
-	checkPreempt(proc) {
-		super.checkPreempt(proc);
-	}
+		checkPreempt(proc) {
+			super.checkPreempt(proc);
+		}
 
-	taskTick() {
-		super.taskTick();
+		taskTick() {
+			super.taskTick();
+		}
 	}
-}
 
-(function() {
 	var name = "FCFSClass";
 	var fcfsClass = new FCFSClass(name);
-	Simulator.registerSchedClass(name, fcfsClass);
-}) ();
+	Simulation.registerSchedClass(name, fcfsClass);
+
+	return FCFSClass;
+});
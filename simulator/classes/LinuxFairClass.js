@@ -1,141 +1,301 @@
-/**
- * An implementation of the main scheduling policy of the current version of the Linux scheduler, known as the
- * "Completely Fair Scheduler". Introduced in the 2.6.23 version of kernel in 2007, the scheduler brought many
- * improvements to the kernel, along with addition of scheduling classes as we know them now.
- * @extends SchedClass
- * @param {string} name "LinuxFairClass", the name that will be used to identify this scheduling class.
- */
-class LinuxFairClass extends SchedClass {
-	constructor(name) {
-		super(name);
-
-		/* array of mappings from niceness to weight, borrowed from "core.c" of the Linux kernel */
-		const schedPrioToWeight = [
-			/* -20 */     88761,     71755,     56483,     46273,     36291,
-			/* -15 */     29154,     23254,     18705,     14949,     11916,
-			/* -10 */      9548,      7620,      6100,      4904,      3906,
-			/*  -5 */      3121,      2501,      1991,      1586,      1277,
-			/*   0 */      1024,       820,       655,       526,       423,
-			/*   5 */       335,       272,       215,       172,       137,
-			/*  10 */       110,        87,        70,        56,        45,
-			/*  15 */        36,        29,        23,        18,        15,
-		];
-		this.schedPrioToWeight = schedPrioToWeight;
+(function(root, factory) {
+	if (typeof module !== "undefined" && module.exports) {
+		module.exports = factory(require("../SchedLinSim.js"));
+	} else {
+		root.LinuxFairClass = factory(root.SchedLinSim);
 	}
+}) (this, function(SchedLinSim) {
+	var Simulation = SchedLinSim.Simulation;
+	var SchedClass = SchedLinSim.SchedClass;
+	var Process = SchedLinSim.Process;
+	var redblack = SchedLinSim.redblack;
+	var LogEntry = SchedLinSim.LogEntry;
+	var LogEvent = SchedLinSim.LogEvent;
+
+	/**
+	 * A pool of CPU time that a group or a process may use in every period, what "cfs_bandwidth" is in the kernel. A
+	 * group's pool is shared by its entities on all the CPUs. The pool is refilled with the quota at the start of every
+	 * period, time that was used over the quota in one period is paid back from the next one.
+	 * @param {number} quota The time that may be used in every period.
+	 * @param {number} period The length of the period.
+	 * @param {number} start The time at which the first period starts.
+	 */
+	class Bandwidth {
+		constructor(quota, period, start) {
+			this.quota = quota;
+			this.period = period;
+			this.runtime = quota;		// the time that is left in the current period, negative after an overrun
+			this.periodStart = start;
+		}
+
+		/**
+		 * Starts a new period if the current one is over.
+		 * @param {number} now The current time.
+		 */
+		refill(now) {
+			if (now - this.periodStart < this.period) {
+				return;
+			}
+
+			var periods = Math.floor((now - this.periodStart) / this.period);
+			this.periodStart += periods * this.period;
+			this.runtime = Math.min(this.quota, this.runtime + periods * this.quota);
+		}
+	}
+
+	/**
+	 * The scheduling entity of a control group on one CPU, what a group's "sched_entity" and "cfs_rq" are in the
+	 * kernel. On the runqueue of its parent group it's scheduled just like a process, by its vruntime, and it holds a
+	 * runqueue of its own with the processes and the child groups of the group. The root group is the fair class
+	 * itself, whose runqueue holds everything else.
+	 * @param {string} path The path of the group, such as "/users/alice".
+	 * @param {(LinuxFairClass|GroupEntity)} parent The runqueue that the group is scheduled on.
+	 * @param {number} shares The shares of the group, which its weight on the CPUs is calculated from.
+	 * @param {Bandwidth} bandwidth The pool that limits the CPU time of the group, null if there's no limit.
+	 */
+	class GroupEntity {
+		constructor(path, parent, shares, bandwidth) {
+			this.path = path;
+			this.parent = parent;
+			this.shares = shares;
+			this.bandwidth = bandwidth;
+
+			/* The entity, as its parent runqueue sees it, with the same fields as the processes */
+			this.vruntime = 0;
+			this.loadWeight = shares;	// the weight that the entity contributes to the load of its parent runqueue
+			this.onRq = false;
+			this.enqueueWakeup = false;
+			this.updated = 0;
+			this.execTime = 0;			// the time that the processes of the group ran for on this CPU
+			this.prevSumExecRuntime = 0;
+
+			/* The throttling of the entity on this CPU, the same fields as the processes with a limit of their own have */
+			this.throttled = false;		// whether the entity waits off its parent runqueue for its pool to be refilled
+			this.throttledSince = 0;
+			this.throttledCount = 0;
+			this.throttledTime = 0;		// time spent throttled, excluding the current throttling
+
+			/* The runqueue of the group, with the same fields as the root runqueue */
+			this.runqueue = redblack.tree();
+			this.enqueued = 0;
+			this.nrQueued = 0;
+			this.load = 0;
+			this.minVruntime = 0;
+			this.curr = null;
+			this.loadAvg = 0;
+			this.utilAvg = 0;
+			this.avgUpdated = 0;
+		}
 
-	init(classParams) {
-		super.init();
+		/** A group can run as long as it has a runnable entity on its runqueue. */
+		get runnable() {
+			return this.nrQueued > 0;
+		}
+	}
 
-		/* Init runqueue & status variables */
-		this.runqueue = redblack.tree();	// redblack tree to always keep processes organised by vruntime
-		this.enqueued = 0;			// currend number of processes enqueued on the runqueue
-		this.load = 0;				// current load on the runqueue, sum of all process loads
+	/**
+	 * An implementation of the main scheduling policy of the current version of the Linux scheduler, known as the
+	 * "Completely Fair Scheduler". Introduced in the 2.6.23 version of kernel in 2007, the scheduler brought many
+	 * improvements to the kernel, along with addition of scheduling classes as we know them now.
+	 * @extends SchedClass
+	 * @param {string} name "LinuxFairClass", the name that will be used to identify this scheduling class.
+	 */
+	class LinuxFairClass extends SchedClass {
+		constructor(name) {
+			super(name);
+
+			/* array of mappings from niceness to weight, borrowed from "core.c" of the Linux kernel */
+			const schedPrioToWeight = [
+				/* -20 */     88761,     71755,     56483,     46273,     36291,
+				/* -15 */     29154,     23254,     18705,     14949,     11916,
+				/* -10 */      9548,      7620,      6100,      4904,      3906,
+				/*  -5 */      3121,      2501,      1991,      1586,      1277,
+				/*   0 */      1024,       820,       655,       526,       423,
+				/*   5 */       335,       272,       215,       172,       137,
+				/*  10 */       110,        87,        70,        56,        45,
+				/*  15 */        36,        29,        23,        18,        15,
+			];
+			this.schedPrioToWeight = schedPrioToWeight;
+		}
 
-		this.minVruntime = 0;		// minimal vruntime, virtual amount of work that was done on the cpu
+		init(classParams) {
+			super.init();
+
+			/* Init runqueue & status variables */
+			this.runqueue = redblack.tree();	// redblack tree to always keep processes organised by vruntime
+			this.enqueued = 0;			// currend number of processes enqueued on the runqueue
+			this.nrQueued = 0;			// number of entities whose load is on the runqueue, the current one included
+			this.load = 0;				// current load on the runqueue, sum of all process loads
+
+			this.minVruntime = 0;		// minimal vruntime, virtual amount of work that was done on the cpu
+
+			this.curr = null;			// the currently selected (executing) process of fair class
+
+			/* Load tracking of the runqueue: its load and whether it had something running, averaged over time */
+			this.loadAvg = 0;
+			this.utilAvg = 0;
+			this.avgUpdated = 0;		// the time that the averages were last brought up to date at
+			this.avgSeries = {};		// the averages sampled on every tick, by their description
+
+			/* The class itself is the runqueue of the root group, the other groups get entities with runqueues of their
+			 * own. Parents come before their children. The instance of the first CPU is initialized first and creates
+			 * the pools of the limited groups, the instances of the other CPUs share them. */
+			this.groups = {};
+			var first = this.sim.getCpu(0).schedClassActive[this.name];
+			for (let group of this.sim.getGroups()) {
+				let parent = group.parent === "/" ? this : this.groups[group.parent];
+				let bandwidth = null;
+				if (first !== this) {
+					bandwidth = first.groups[group.path].bandwidth;
+				} else if (group.quota !== null) {
+					bandwidth = new Bandwidth(group.quota, group.period, 0);
+				}
+				this.groups[group.path] = new GroupEntity(group.path, parent, group.shares, bandwidth);
+			}
 
-		this.curr = null;			// the currently selected (executing) process of fair class
+			/* the entities that wait for their pools to be refilled */
+			this.throttledList = [];
 
-		/* Init class parameters */
+			/* Init class parameters */
 
-		// default timescale here = 1000000ns = 1ms
-		this.timeScale = 1000000;
+			// default timescale here = 1000000ns = 1ms
+			this.timeScale = 1000000;
 
-		/* minimal timeslice that should be assigned to a process
-		 * (originally set to 0.75 in CFS, so this.timeScale * 0.75) */
-		this.minGranularity = this.timeScale * 1;
+			/* minimal timeslice that should be assigned to a process
+			 * (originally set to 0.75 in CFS, so this.timeScale * 0.75) */
+			this.minGranularity = this.timeScale * 1;
 
-		// A period of time in which all processes should run; (orig. 6) schedLatency = minGranularity * schedNrLatency
-		this.schedLatency = this.timeScale * 8;
+			// A period of time in which all processes should run; (orig. 6) schedLatency = minGranularity * schedNrLatency
+			this.schedLatency = this.timeScale * 8;
 
-		// preemption delay, lets tasks run for at least a little while before getting preempted. */
-		this.schedWakeupGranularity = this.timeScale * 1;
+			// preemption delay, lets tasks run for at least a little while before getting preempted. */
+			this.schedWakeupGranularity = this.timeScale * 1;
 
-		// minimal preemption granularity for CPU-bound tasks (orig. 0.75)
-		this.schedMinGranularity = this.timeScale * 1;
+			// minimal preemption granularity for CPU-bound tasks (orig. 0.75)
+			this.schedMinGranularity = this.timeScale * 1;
 
-		// defer execution of new processes for one period, see comment in "placeEntity()".
-		this.startDebit = false;
+			// defer execution of new processes for one period, see comment in "placeEntity()".
+			this.startDebit = false;
 
-		// Number of processes that fit into schedLatency. If there are more, schedLatency will be temporarily increased
-		this.schedNrLatency = Math.floor(this.schedLatency / this.schedWakeupGranularity);
+			// Number of processes that fit into schedLatency. If there are more, schedLatency will be temporarily increased
+			this.schedNrLatency = Math.floor(this.schedLatency / this.schedWakeupGranularity);
 
+			// the time in which the load averages lose half of their value, 32 periods of 1024us as in the kernel
+			this.peltHalfLife = 32 * 1024000;
 
-		/* load class parameters */
-		if (classParams !== undefined) {
-			if (classParams.timeScale !== undefined) {
-				let timeScale = Simulator.handleSuffix(classParams.timeScale, "simulation configuration, class parameters, LinuxFairClass, timeScale");
-				if (timeScale <= 0) {
-					throw new Error("timeScale has to be a positive value")
+
+			/* load class parameters */
+			if (classParams !== undefined) {
+				if (classParams.timeScale !== undefined) {
+					let timeScale = this.sim.handleSuffix(classParams.timeScale, "simulation configuration, class parameters, LinuxFairClass, timeScale");
+					if (timeScale <= 0) {
+						throw new Error("timeScale has to be a positive value")
+					}
+					this.timeScale = timeScale;
 				}
-				this.timeScale = timeScale;
-			}
-			if (classParams.minGranularity !== undefined) {
-				let minGranularity = Simulator.handleSuffix(classParams.minGranularity, "simulation configuration, class parameters, LinuxFairClass, minGranularity");
-				if (minGranularity <= 0) {
-					throw new Error("minGranularity has to be a positive value")
+				if (classParams.minGranularity !== undefined) {
+					let minGranularity = this.sim.handleSuffix(classParams.minGranularity, "simulation configuration, class parameters, LinuxFairClass, minGranularity");
+					if (minGranularity <= 0) {
+						throw new Error("minGranularity has to be a positive value")
+					}
+					this.minGranularity = minGranularity;
 				}
-				this.minGranularity = minGranularity;
-			}
-			if (classParams.schedLatency !== undefined) {
-				let schedLatency = Simulator.handleSuffix(classParams.schedLatency, "simulation configuration, class parameters, LinuxFairClass, schedLatency");
-				if (schedLatency <= 0) {
-					throw new Error("schedLatency has to be a positive value")
+				if (classParams.schedLatency !== undefined) {
+					let schedLatency = this.sim.handleSuffix(classParams.schedLatency, "simulation configuration, class parameters, LinuxFairClass, schedLatency");
+					if (schedLatency <= 0) {
+						throw new Error("schedLatency has to be a positive value")
+					}
+					this.schedLatency = schedLatency;
+					this.schedNrLatency = Math.floor(schedLatency / this.schedWakeupGranularity);
 				}
-				this.schedLatency = schedLatency;
-				this.schedNrLatency = Math.floor(schedLatency / this.schedWakeupGranularity);
-			}
-			if (classParams.schedWakeupGranularity !== undefined) {
-				let schedWakeupGranularity = Simulator.handleSuffix(classParams.schedWakeupGranularity, "simulation configuration, class parameters, LinuxFairClass, schedWakeupGranularity");
-				if (schedWakeupGranularity <= 0) {
-					throw new Error("schedWakeupGranularity has to be a positive value")
+				if (classParams.schedWakeupGranularity !== undefined) {
+					let schedWakeupGranularity = this.sim.handleSuffix(classParams.schedWakeupGranularity, "simulation configuration, class parameters, LinuxFairClass, schedWakeupGranularity");
+					if (schedWakeupGranularity <= 0) {
+						throw new Error("schedWakeupGranularity has to be a positive value")
+					}
+					this.schedWakeupGranularity = schedWakeupGranularity;
+					this.schedNrLatency = Math.floor(this.schedLatency / schedWakeupGranularity);
 				}
-				this.schedWakeupGranularity = schedWakeupGranularity;
-				this.schedNrLatency = Math.floor(this.schedLatency / schedWakeupGranularity);
-			}
-			if (classParams.schedMinGranularity !== undefined) {
-				let schedMinGranularity = Simulator.handleSuffix(classParams.schedMinGranularity, "simulation configuration, class parameters, LinuxFairClass, schedMinGranularity");
-				if (schedMinGranularity <= 0) {
-					throw new Error("schedMinGranularity has to be a positive value")
+				if (classParams.schedMinGranularity !== undefined) {
+					let schedMinGranularity = this.sim.handleSuffix(classParams.schedMinGranularity, "simulation configuration, class parameters, LinuxFairClass, schedMinGranularity");
+					if (schedMinGranularity <= 0) {
+						throw new Error("schedMinGranularity has to be a positive value")
+					}
+					this.schedMinGranularity = schedMinGranularity;
+				}
+				if (classParams.startDebit !== undefined) {
+					if (typeof(classParams.startDebit) === "boolean") {
+						this.startDebit = classParams.startDebit;
+					} else {
+						throw new Error("startDebit needs to be a boolean, instead found: " + classParams.startDebit)
+					}
+				}
+				if (classParams.peltHalfLife !== undefined) {
+					let peltHalfLife = this.sim.handleSuffix(classParams.peltHalfLife, "simulation configuration, class parameters, LinuxFairClass, peltHalfLife");
+					if (typeof(peltHalfLife) !== "number" || peltHalfLife <= 0) {
+						throw new Error("peltHalfLife has to be a positive value")
+					}
+					this.peltHalfLife = peltHalfLife;
 				}
-				this.schedMinGranularity = schedMinGranularity;
 			}
-			if (classParams.startDebit !== undefined) {
-				if (typeof(classParams.startDebit) === "boolean") {
-					this.startDebit = classParams.startDebit;
-				} else {
-					throw new Error("startDebit needs to be a boolean, instead found: " + classParams.startDebit)
+
+			/* Init  */
+
+			/* Add to processes the variables that will be used during scheduling
+			 * - enqueueWakeup - set when the task blocks, tells enqueue function that the task just woke up
+			 * - vruntime - CFS virtual runtime
+			 * - prevSumExecRuntime - previous execution time counter, updated on pick and used in preemption decisions
+			 * - loadWeight - the weight that the process contributes to the load of its runqueue
+			 * - bandwidth - the pool that limits the CPU time of the process, null if there's no limit
+			 * - throttled - whether the process waits off its runqueue for its pool (not the one of a group) to be
+			 *   refilled, a throttled process counts as being on the runqueue for the simulator
+			 * - throttledSince, throttledCount, throttledTime - when the current throttling started, how many times the
+			 *   process was throttled and for how long, not counting the current throttling
+			 * - runnableAvg, utilAvg - the part of the time that the process was runnable and running for, with the
+			 *   recent past counting more than the distant one, scaled to 1024 (per-entity load tracking)
+			 * - loadAvg - runnableAvg applied to the weight of the process, the load that it usually puts on the runqueue
+			 * - avgUpdated - the time that the averages were last brought up to date at
+			 *  */
+			this.sim.modProc("enqueueWakeup", false, this.name);
+			this.sim.modProc("vruntime", 0, this.name);
+			this.sim.modProc("prevSumExecRuntime", 0, this.name);
+			this.sim.modProc("loadWeight", 0, this.name);
+			this.sim.modProc("bandwidth", null, this.name);
+			this.sim.modProc("throttled", false, this.name);
+			this.sim.modProc("throttledSince", 0, this.name);
+			this.sim.modProc("throttledCount", 0, this.name);
+			this.sim.modProc("throttledTime", 0, this.name);
+			this.sim.modProc("runnableAvg", 0, this.name);
+			this.sim.modProc("utilAvg", 0, this.name);
+			this.sim.modProc("loadAvg", 0, this.name);
+			this.sim.modProc("avgUpdated", 0, this.name);
+
+			/* Give the processes with a limit of their own their pools. */
+			var procList = this.sim.getProcList();
+			for (let i in procList) {
+				if (procList[i].policy === this.name) {
+					this.checkProc(procList[i]);
 				}
 			}
 		}
 
-		/* Init  */
-
-		/* Add to processes the variables that will be used during scheduling
-		 * - enqueueWakeup - set when the task blocks, tells enqueue function that the task just woke up
-		 * - vruntime - CFS virtual runtime
-		 * - prevSumExecRuntime - previous execution time counter, updated on pick and used in preemption decisions
-		 *  */
-		Simulator.modProc("enqueueWakeup", false, this.name);
-		Simulator.modProc("vruntime", 0, this.name);
-		Simulator.modProc("prevSumExecRuntime", 0, this.name);
-	}
-
-	classParamsTemplate() {
-		/* return an object with all possible class parameters */
-		var params = super.classParamsTemplate();
+		classParamsTemplate() {
+			/* return an object with all possible class parameters */
+			var params = super.classParamsTemplate();
 
-		params.timeScale = 1000000;
-		params.minGranularity = params.timeScale * 1;
-		params.schedLatency = params.timeScale * 8;
-		params.schedWakeupGranularity = params.timeScale * 1;
-		params.schedMinGranularity = params.timeScale * 1;
-		params.startDebit = false;
+			params.timeScale = 1000000;
+			params.minGranularity = params.timeScale * 1;
+			params.schedLatency = params.timeScale * 8;
+			params.schedWakeupGranularity = params.timeScale * 1;
+			params.schedMinGranularity = params.timeScale * 1;
+			params.startDebit = false;
+			params.peltHalfLife = 32 * 1024000;
 
-		return params;
-    }
+			return params;
+	    }
 
-	getDescription() {	// todo
-		return "A scheduling class that behaves like the current version of the Linux scheduler, \"Completely Fair\
+		getDescription() {	// todo
+			return "A scheduling class that behaves like the current version of the Linux scheduler, \"Completely Fair\
 		Scheduler\". Introduced in the 2.6.23 version of kernel in 2007, its main goal is to simulate a perfect\
 		multitasking processor, that would run all of its processes simoultaneously, each with a fair share of the\
 		system's total computing power. Since such a processor doesn't exist, the fair class approximates it by running\
@@ -163,371 +323,903 @@ class LinuxFairClass extends SchedClass {
 		schedMinGranularity: the smallest amount of time by which a new task should be behind the current one\
 		in order for the current task to be preempted and the new one run instead.\n\
 		startDebit: boolean, if true the execution of new processes will be deferred for a time period, which is more\
-		fair to the already waiting processes, but increases latency.";
-	}
+		fair to the already waiting processes, but increases latency.\n\
+		peltHalfLife: the time in which the load averages lose half of their value, 32ms by default, as in the\
+		kernel.\n\n\
+		Groups: processes can be assigned to the control groups from the \"groups\" section of the simulation\
+		definition, with their \"group\" field. Like with cgroups in Linux, every group is scheduled on the runqueue\
+		of its parent as a single entity with a vruntime and a weight of its own, its shares, and keeps a runqueue of\
+		its own for its processes and child groups. The CPU is shared between the groups by their weights first and\
+		only then between the processes of each group, so a user that runs many processes doesn't take the CPU away\
+		from a user with a single one. On multiple CPUs, the shares of a group are split between the CPUs by the load\
+		that the group has on each of them.\n\n\
+		Bandwidth: the CPU time of a group can be limited with its \"quota\" and \"period\" fields, like with\
+		\"cpu.max\" in Linux, and the same goes for a single process with the \"quota\" and \"period\" fields of its\
+		custom object. Every period, the pool of the group is refilled with the quota, the time that its processes run\
+		for on any of the CPUs is taken from it and once it's used up, the group is throttled: it's taken off the\
+		runqueue of its parent until the next period begins, even if the CPU would be idle otherwise. The pool is\
+		checked on timer ticks, so the processes can run over the quota by up to a tick, which is then paid back in\
+		the next period. The class statistics report how many times and for how long every limited group and process\
+		was throttled, the timeline shows throttled processes separately from the ones that just wait on the\
+		runqueue.\n\n\
+		Load tracking: like PELT in Linux, the class keeps geometrically decaying averages for every process and\
+		runqueue, which lose half of their value in peltHalfLife. The utilization average (utilAvg) tells how much of\
+		the time a process was running or a runqueue had something to run, scaled to 1024, and the load average\
+		(loadAvg) how much of the time a process was runnable, applied to its weight, or what the load of a runqueue\
+		was. The averages are brought up to date whenever a process is enqueued, dequeued, picked or put back and on\
+		every tick, when they are also sampled into the time series of the class.";
+		}
 
-	/*
-	 *		Helper functions
-	 */
+		/* Check the limit that a process got in the custom object of its definition and give it a pool for it. */
+		checkProc(proc) {
+			proc.bandwidth = null;
+			if (proc.quota === undefined) {
+				return;
+			}
 
-	/* Return the load that corresponds to a given "nice" value / priority. */
-	getLoad(prio) {
-		if (typeof(prio) !== "number" || prio < -20 || prio > 19) {
-			throw new Error("Invalid priority detected, expected a number on [-20, 19], found: " + prio);
+			var where = "the custom object of the process with PID " + proc.pid;
+			var quota = this.sim.handleSuffix(proc.quota, where + ', "quota" field');
+			if (typeof(quota) !== "number" || quota < 1000000) {
+				throw new Error(where + ' contains an invalid "quota" field, needs to be a time of at least 1ms.');
+			}
+			var period = 100000000;
+			if (proc.period !== undefined) {
+				period = this.sim.handleSuffix(proc.period, where + ', "period" field');
+				if (typeof(period) !== "number" || period < 1000000 || period > 1000000000) {
+					throw new Error(where + ' contains an invalid "period" field, needs to be a time from 1ms to 1s.');
+				}
+			}
+			proc.quota = quota;
+			proc.period = period;
+			proc.bandwidth = new Bandwidth(quota, period, this.sim.time());
 		}
 
-		return this.schedPrioToWeight[prio + 20];
-	}
+		/*
+		 *		Helper functions
+		 */
 
+		/* Return the load that corresponds to a given "nice" value / priority. */
+		getLoad(prio) {
+			if (typeof(prio) !== "number" || prio < -20 || prio > 19) {
+				throw new Error("Invalid priority detected, expected a number on [-20, 19], found: " + prio);
+			}
 
-	/* Calculate virtual passage of time, weighted by process priority. Time passes slower for processes with higher
-	 * priority, allowing them to execute longer. */
-	calcDeltaFair(delta, proc) {
-		if (proc.currBehavior.priority === 0) {
-			return delta;
-		} else {
-			return this.calcDelta(delta, this.getLoad(0), this.getLoad(proc.currBehavior.priority));
+			return this.schedPrioToWeight[prio + 20];
 		}
-	}
-	calcDelta(deltaExec, weight, loadWeight) {
-		return deltaExec * weight / loadWeight;
-	}
 
-	/* Calculate the vruntime slice of a process that is to be inserted into the runqueue. */
-	schedVslice(proc) {
-		return this.calcDeltaFair(this.schedSlice(proc), proc);
-	}
-	/* Calculate the "wall-time" slice (actually simulated time, as opposed to virtual time / vruntime of fair class)
-	 * from the period by taking a part proportional to the weight of the process amongst weights of all processes. */
-	schedSlice(proc) {
-		let processCount = proc.onRq ? this.enqueued : this.enqueued + 1;
-		let slice = this.schedPeriod(processCount);
-
-		let load = this.load;
-		/* We note curr as off runqueue whereas CFS doesn't, but its load is still already accounted for. */
-		if (!proc.onRq && proc !== this.curr) {
-			load += proc.load;
+		/* Return the weight of a scheduling entity: the load of its priority for a process, the weight that the group
+		 * got on this CPU for a group. */
+		weightOf(se) {
+			if (se instanceof GroupEntity) {
+				return se.loadWeight;
+			}
+			return this.getLoad(se.currBehavior.priority);
 		}
 
-		slice = this.calcDelta(slice, this.getLoad(proc.currBehavior.priority), load);
+		/* Return the runqueue that an entity is scheduled on, the one of its group or the root runqueue, which is the
+		 * class itself. */
+		rqOf(se) {
+			if (se instanceof GroupEntity) {
+				return se.parent;
+			}
+			var group = this.groups[se.group];
+			return group !== undefined ? group : this;
+		}
 
-		return slice;
-	}
+		/* Return the group entity that an entity belongs to, or null at the top of the hierarchy. */
+		parentOf(se) {
+			var rq = this.rqOf(se);
+			return rq === this ? null : rq;
+		}
 
-	/* Return the time period in which each processe should run once. Extend it if the number of processes gets too
-	 * big. */
-	schedPeriod(processCount) {
-		if (processCount > this.schedNrLatency) {
-			return processCount * this.minGranularity;
-		} else {
-			return this.schedLatency;
+		/* Return the number of groups above an entity. */
+		depthOf(se) {
+			var depth = 0;
+			for (let parent = this.parentOf(se); parent !== null; parent = this.parentOf(parent)) {
+				depth++;
+			}
+			return depth;
 		}
-	}
 
+		/* Check whether the load of an entity is accounted for on its runqueue: it's either waiting on it or running. A
+		 * throttled process is on the runqueue for the simulator, but not for us. */
+		isQueued(rq, se) {
+			return (se.onRq && !se.throttled) || rq.curr === se;
+		}
 
-	/* Update the stats of the currently running process. Take it as parameter just in case it was already replaced. */
-	updateCurr(proc) {
-		/* Check whether the current process actually belongs to us. */
-		if (proc.schedClass !== this) {
-			return;
+		/* Return the leftmost entity of a runqueue, the one with the lowest vruntime. */
+		leftmost(rq) {
+			var holder = rq.runqueue.leftmost();
+			if (holder instanceof Array) {
+				return holder[0];
+			} else if (holder instanceof Process || holder instanceof GroupEntity) {
+				return holder;
+			}
+			throw new Error("the runqueue is empty or has an invalid value stored in it: " + holder);
 		}
 
-		var now = Simulator.time();
-		var deltaExec = now - proc.updated;
 
-		if (deltaExec <= 0) {
-			return;
+		/* Calculate virtual passage of time, weighted by process priority. Time passes slower for processes with higher
+		 * priority, allowing them to execute longer. The same goes for groups and their weights. */
+		calcDeltaFair(delta, se) {
+			var weight = this.weightOf(se);
+			if (weight === this.getLoad(0)) {
+				return delta;
+			} else {
+				return this.calcDelta(delta, this.getLoad(0), weight);
+			}
+		}
+		calcDelta(deltaExec, weight, loadWeight) {
+			return deltaExec * weight / loadWeight;
 		}
 
-		proc.updated = now;
-
-		proc.vruntime += this.calcDeltaFair(deltaExec, proc);
-		this.updateMinVruntime(proc);
-	}
+		/* Calculate the vruntime slice of an entity that is to be inserted into the runqueue. */
+		schedVslice(se) {
+			return this.calcDeltaFair(this.schedSlice(se), se);
+		}
+		/* Calculate the "wall-time" slice (actually simulated time, as opposed to virtual time / vruntime of fair class)
+		 * from the period by taking a part proportional to the weight of the entity amongst weights of all entities on
+		 * its runqueue, and then the same for every group above it. */
+		schedSlice(se) {
+			var rq = this.rqOf(se);
+			let processCount = this.isQueued(rq, se) ? rq.nrQueued : rq.nrQueued + 1;
+			let slice = this.schedPeriod(processCount);
+
+			for (; se !== null; se = this.parentOf(se)) {
+				rq = this.rqOf(se);
+				let load = rq.load;
+				/* We note curr as off runqueue whereas CFS doesn't, but its load is still already accounted for. */
+				if (!this.isQueued(rq, se)) {
+					load += this.weightOf(se);
+				}
 
-	/* Update the minimal vruntime of the scheduling queue. This represents the virtual amount of work that was done on
-	 * the cpu and is monotonically increasing. Min vruntime updates from the current process, but we pass it as a
-	 * parameter just in case. */
-	updateMinVruntime(proc) {
-		var vruntime = this.minVruntime;
+				slice = this.calcDelta(slice, this.weightOf(se), load);
+			}
 
-		if (proc.runnable) {	/* proc.onRq check in CFS, likely just a check if it's runnable */
-			vruntime = proc.vruntime;
+			return slice;
 		}
 
-		if (this.enqueued > 0) {
-			let leftmost;
-			let holder = this.runqueue.leftmost();
-			if (holder instanceof Process) {
-				leftmost = holder;
-			} else if (holder instanceof Array) {
-				leftmost = holder[0];
+		/* Return the time period in which each processe should run once. Extend it if the number of processes gets too
+		 * big. */
+		schedPeriod(processCount) {
+			if (processCount > this.schedNrLatency) {
+				return processCount * this.minGranularity;
 			} else {
-				throw new Error("the runqueue is empty or has an invalid value stored in it: " + holder);
+				return this.schedLatency;
 			}
+		}
 
-			if (proc.runnable) {
-				vruntime = leftmost.vruntime < vruntime ? leftmost.vruntime : vruntime;
-			} else {
-				vruntime = leftmost.vruntime;
+		/* Calculate the weight of a group on this CPU (calc_group_shares). The shares of a group are split between the
+		 * CPUs by the load that the group has on each of them, but the weight never drops below 2 or exceeds the
+		 * shares. With a single CPU, a group always weighs as much as its shares. */
+		groupWeight(group) {
+			var total = 0;
+			for (let i = 0; i < this.sim.getCpuCount(); i++) {
+				total += this.sim.getCpu(i).schedClassActive[this.name].groups[group.path].load;
+			}
+
+			var weight = total > 0 ? group.shares * group.load / total : group.shares;
+			return Math.max(2, Math.min(group.shares, weight));
+		}
+
+		/* Update the weight of a group, along with the load of the runqueue that it's on. (update_cfs_group) */
+		updateGroupWeight(group) {
+			var weight = this.groupWeight(group);
+			if (this.isQueued(group.parent, group)) {
+				this.updateRqAvg(group.parent);
+				group.parent.load += weight - group.loadWeight;
+			}
+			group.loadWeight = weight;
+		}
+		/* Update the weights of a group and all the groups above it, after its load changed. */
+		updateGroupWeights(group) {
+			for (; group !== null; group = this.parentOf(group)) {
+				this.updateGroupWeight(group);
 			}
 		}
 
-		/* minVruntime should never decrease */
-		this.minVruntime = this.minVruntime > vruntime ? this.minVruntime : vruntime;
-	}
 
-	/* Place a process on the runqueue. "initial" tells us whether it only just spawned. */
-	placeEntity(proc, initial) {
-		var vruntime = this.minVruntime;
+		/* Update the stats of the currently running process and of the groups that it belongs to, and take the time
+		 * that it ran from their pools. Take it as parameter just in case it was already replaced. */
+		updateCurr(proc) {
+			/* Check whether the current process actually belongs to us. */
+			if (proc.schedClass !== this) {
+				return;
+			}
 
-		if (initial && this.startDebit) {
-			/* this part defers the execution of a new task for one time period to account for the fact that the current
-			 * time period was calculated with previously enqueued tasks. This feature can be disabled in CFS to improve
-			 * latency though and since it seems like a pretty major difference, we support toggling it too. */
-			vruntime += this.schedVslice(proc);
-		}
+			var now = this.sim.time();
 
-		if (!initial) {
-			let thresh = this.schedLatency;
-			thresh /= 2;	// assume kernel's GENTLE_FAIR_SLEEPERS is on, otherwise we wouldn't halve this
-			vruntime -= thresh;
+			for (let se = proc; se !== null; se = this.parentOf(se)) {
+				let deltaExec = now - se.updated;
+
+				if (deltaExec <= 0) {
+					continue;
+				}
+
+				se.updated = now;
+
+				se.vruntime += this.calcDeltaFair(deltaExec, se);
+				if (se instanceof GroupEntity) {
+					se.execTime += deltaExec;
+				}
+				if (se.bandwidth instanceof Bandwidth) {
+					se.bandwidth.refill(now);
+					se.bandwidth.runtime -= deltaExec;
+				}
+				this.updateMinVruntime(this.rqOf(se), se);
+			}
+
+			/* the priority of a process can change while it runs, its load on the runqueue changes with it */
+			var rq = this.rqOf(proc);
+			var weight = this.getLoad(proc.currBehavior.priority);
+			if (weight !== proc.loadWeight && this.isQueued(rq, proc)) {
+				this.updateLoadAvg(rq, proc);
+				rq.load += weight - proc.loadWeight;
+				proc.loadWeight = weight;
+			}
 		}
 
-		/* ensure we never gain time by being placed backwards */
-		proc.vruntime = proc.vruntime < vruntime ? vruntime : proc.vruntime;
-	}
+		/* Update the minimal vruntime of the scheduling queue. This represents the virtual amount of work that was done on
+		 * the cpu and is monotonically increasing. Min vruntime updates from the current entity, but we pass it as a
+		 * parameter just in case. */
+		updateMinVruntime(rq, se) {
+			var vruntime = rq.minVruntime;
 
-	/* Actually enqueue the entity on the runqueue, redblack tree. (__enqueue_entity) */
-	enqueueEntity(proc) {
-		var holder = this.runqueue.getDelete(proc.vruntime);
-        if (holder instanceof Process) {
-            holder = [holder, proc];
-        } else if (holder instanceof Array) {
-            holder.push(proc);
-        } else {
-            holder = proc;
-        }
-
-		this.runqueue.insert(proc.vruntime, holder);
-	}
+			if (se.runnable) {	/* se->on_rq check in CFS, likely just a check if it's runnable */
+				vruntime = se.vruntime;
+			}
 
-	/* Actually dequeue the entity from the runqueue, redblack tree. (__dequeue_entity) */
-	dequeueEntity(proc) {
-		var rq = this.runqueue;
+			if (rq.enqueued > 0) {
+				let leftmost = this.leftmost(rq);
 
-		var holder = rq.getDelete(proc.vruntime);
-		if (holder instanceof Process) {
-			return holder;
-		} else if (holder instanceof Array) {
-			if (holder.length === 1) {
-				return holder[0];
-			} else if (holder.length === 2) {
-				if (holder[0] === proc) {
-					rq.insert(holder[1].vruntime, holder[1]);
-					return holder[0];
-				} else if (holder[1] === proc) {
-					rq.insert(holder[0].vruntime, holder[0]);
-					return holder[1];
+				if (se.runnable) {
+					vruntime = leftmost.vruntime < vruntime ? leftmost.vruntime : vruntime;
 				} else {
-					throw new Error("the process was not found at the time it should be at: "+proc);
+					vruntime = leftmost.vruntime;
 				}
-			} else if (holder.length > 2) {
-				let retVal;
+			}
+
+			/* minVruntime should never decrease */
+			rq.minVruntime = rq.minVruntime > vruntime ? rq.minVruntime : vruntime;
+		}
+
+		/* Place an entity on the runqueue. "initial" tells us whether it only just spawned. */
+		placeEntity(rq, se, initial) {
+			var vruntime = rq.minVruntime;
+
+			if (initial && this.startDebit) {
+				/* this part defers the execution of a new task for one time period to account for the fact that the current
+				 * time period was calculated with previously enqueued tasks. This feature can be disabled in CFS to improve
+				 * latency though and since it seems like a pretty major difference, we support toggling it too. */
+				vruntime += this.schedVslice(se);
+			}
+
+			if (!initial) {
+				let thresh = this.schedLatency;
+				thresh /= 2;	// assume kernel's GENTLE_FAIR_SLEEPERS is on, otherwise we wouldn't halve this
+				vruntime -= thresh;
+			}
+
+			/* ensure we never gain time by being placed backwards */
+			se.vruntime = se.vruntime < vruntime ? vruntime : se.vruntime;
+		}
+
+		/* Add the load of an entity to its runqueue. (account_entity_enqueue) */
+		accountEntityEnqueue(rq, se) {
+			this.updateLoadAvg(rq, se);
+			se.loadWeight = se instanceof GroupEntity ? this.groupWeight(se) : this.weightOf(se);
+			rq.load += se.loadWeight;
+			rq.nrQueued++;
+		}
+
+		/* Remove the load of an entity from its runqueue. (account_entity_dequeue) */
+		accountEntityDequeue(rq, se) {
+			this.updateLoadAvg(rq, se);
+			rq.load -= se.loadWeight;
+			rq.nrQueued--;
+		}
+
+		/* Actually enqueue the entity on the runqueue, redblack tree. (__enqueue_entity) */
+		enqueueEntity(rq, se) {
+			var holder = rq.runqueue.getDelete(se.vruntime);
+			if (holder instanceof Array) {
+				holder.push(se);
+			} else if (holder instanceof Process || holder instanceof GroupEntity) {
+				holder = [holder, se];
+			} else {
+				holder = se;
+			}
+
+			rq.runqueue.insert(se.vruntime, holder);
+			rq.enqueued++;
+		}
+
+		/* Actually dequeue the entity from the runqueue, redblack tree. (__dequeue_entity) */
+		dequeueEntity(rq, se) {
+			var tree = rq.runqueue;
+
+			var holder = tree.getDelete(se.vruntime);
+			if (holder instanceof Array) {
 				for (let i = 0; i < holder.length; i++) {
-					if (holder[i] === proc) {
-						retVal = holder.splice(i, 1)[0];
-						rq.insert(holder[0].vruntime, holder);
-						return retVal;
+					if (holder[i] === se) {
+						holder.splice(i, 1);
+						if (holder.length === 1) {
+							tree.insert(holder[0].vruntime, holder[0]);
+						} else if (holder.length > 1) {
+							tree.insert(holder[0].vruntime, holder);
+						}
+						rq.enqueued--;
+						return se;
 					}
 				}
-				throw new Error("the process was not found at the time it should be at: "+proc);
+			} else if (holder === se) {
+				rq.enqueued--;
+				return se;
 			}
-		} else {
-			throw new Error("the process was not found at the time it should be at: "+proc);
+			throw new Error("the entity was not found at the time it should be at: " + se);
 		}
-	}
 
-	/*
-	 *		Main scheduler functions
-	 */
-	enqueue(proc) {
-		super.enqueue(proc);
-		proc.onRq = false;	// super sets this to true, but we don't need it yet, keep it on false for calculations
+		/* Take the groups that were left without runnable entities off their runqueues, then update the weights of the
+		 * groups above them, which lost some of their load. A throttled group is off its runqueue already. */
+		dequeueGroups(group) {
+			for (; group !== null && group.nrQueued === 0; group = this.parentOf(group)) {
+				if (group.throttled) {
+					group.enqueueWakeup = true;
+					break;
+				}
+				if (group.onRq) {
+					this.dequeueEntity(group.parent, group);
+					group.onRq = false;
+				}
+				this.accountEntityDequeue(group.parent, group);
+				/* the group went to sleep, this will let us know that it just woke up if it does */
+				group.enqueueWakeup = true;
+			}
+
+			this.updateGroupWeights(group);
+		}
+
+		/* Enqueue an entity and then every group above it that isn't on its runqueue yet. An entity that has used up its
+		 * pool is throttled instead, as are the groups above it that have, and the groups above those aren't touched.
+		 * (the loop of enqueue_task_fair) */
+		enqueueEntities(first) {
+			var se = first;
+			for (; se !== null; se = this.parentOf(se)) {
+				let rq = this.rqOf(se);
+				if (se !== first && (this.isQueued(rq, se) || se.throttled)) {
+					break;
+				}
+				if (this.outOfRuntime(se)) {
+					this.throttle(se);
+					break;
+				}
+
+				this.accountEntityEnqueue(rq, se);
+
+				if (se.vruntime === 0) {			// entity is brand new
+					this.placeEntity(rq, se, true);
+				} else if (se.enqueueWakeup) {	// entity just woke up
+					this.placeEntity(rq, se, false);
+					se.enqueueWakeup = false;
+				}
+
+				this.enqueueEntity(rq, se);
+
+				se.onRq = true;
+			}
 
-		/* update the stats for the currently executing process, this also brings minVruntime up to date */
-		var curr = Simulator.getCurr();
-		this.updateCurr(curr);
+			/* the groups that were already on their runqueues got more load */
+			this.updateGroupWeights(se instanceof GroupEntity ? se : null);
+		}
+
+		/*
+		 *		Load tracking
+		 */
 
-		/* account_entity_enqueue;  we don't use scheduling entities, just processes, so it's fine to just calculate
-		 * process load from its priority when we need it */
-		this.load += this.getLoad(proc.currBehavior.priority);
-		this.enqueued++;
+		/* Decay an average that was last updated delta ago towards the value that it had as input since. Every
+		 * peltHalfLife, the past counts half as much. */
+		decayAvg(avg, input, delta) {
+			return input + (avg - input) * Math.pow(0.5, delta / this.peltHalfLife);
+		}
 
-		if (proc.vruntime === 0) {			// task is brand new
-			if (curr.schedClass === this) {
-				this.vruntime = curr.vruntime;
+		/* Bring the averages of a runqueue up to date, with the load and the current entity that it had since they
+		 * were last updated, so this has to be called before either changes. (update_cfs_rq_load_avg) */
+		updateRqAvg(rq) {
+			var now = this.sim.time();
+			var delta = now - rq.avgUpdated;
+			if (delta <= 0) {
+				return;
 			}
-			this.placeEntity(proc, true);
-		} else if (proc.enqueueWakeup) {	// task just woke up
-			this.placeEntity(proc, false);
-			proc.enqueueWakeup = false;
+
+			rq.avgUpdated = now;
+			rq.loadAvg = this.decayAvg(rq.loadAvg, rq.load, delta);
+			rq.utilAvg = this.decayAvg(rq.utilAvg, rq.curr !== null ? 1024 : 0, delta);
 		}
 
-		this.enqueueEntity(proc);
+		/* Bring the averages of a process up to date, with the state that it was in on its runqueue since they were last
+		 * updated, so this has to be called before the state changes. (__update_load_avg_se) */
+		updateProcAvg(proc) {
+			var now = this.sim.time();
+			var delta = now - proc.avgUpdated;
+			if (delta <= 0) {
+				return;
+			}
 
-		proc.onRq = true;
-	}
+			var rq = this.rqOf(proc);
+			proc.avgUpdated = now;
+			proc.runnableAvg = this.decayAvg(proc.runnableAvg, this.isQueued(rq, proc) ? 1024 : 0, delta);
+			proc.utilAvg = this.decayAvg(proc.utilAvg, rq.curr === proc ? 1024 : 0, delta);
+			proc.loadAvg = this.getLoad(proc.currBehavior.priority) * proc.runnableAvg / 1024;
+		}
 
-	dequeue(proc) {
-		super.dequeue(proc);
-		proc.onRq = true;	// super sets this to false, but we might still need it, keep it on true for calculations
+		/* Bring the averages of a runqueue and of an entity on it up to date. Groups are only tracked as runqueues.
+		 * (update_load_avg) */
+		updateLoadAvg(rq, se) {
+			this.updateRqAvg(rq);
+			if (!(se instanceof GroupEntity)) {
+				this.updateProcAvg(se);
+			}
+		}
 
-		/* update the stats for the currently executing process, this also brings minVruntime up to date */
-		this.updateCurr(Simulator.getCurr());
+		/* Bring the averages of all the runqueues and of our live processes up to date and sample them into the time
+		 * series. */
+		sampleAvgs() {
+			var now = this.sim.time();
+			var sample = (description, value) => {
+				if (this.avgSeries[description] === undefined) {
+					this.avgSeries[description] = [];
+				}
+				this.avgSeries[description].push([now, value]);
+			};
+
+			this.updateRqAvg(this);
+			sample("Load average of the runqueue", this.loadAvg);
+			sample("Utilization average of the runqueue", this.utilAvg);
+			for (let path in this.groups) {
+				let group = this.groups[path];
+				this.updateRqAvg(group);
+				sample("Load average of group " + path, group.loadAvg);
+				sample("Utilization average of group " + path, group.utilAvg);
+			}
 
-		this.dequeueEntity(proc);
-		proc.onRq = false;
+			var procList = this.sim.getProcList();
+			for (let i in procList) {
+				let proc = procList[i];
+				if (proc.schedClass === this && proc.alive) {
+					this.updateProcAvg(proc);
+					sample("Load average of " + proc.pname + " (PID " + proc.pid + ")", proc.loadAvg);
+					sample("Utilization average of " + proc.pname + " (PID " + proc.pid + ")", proc.utilAvg);
+				}
+			}
+		}
 
-		/* account_entity_dequeue */
-		this.load -= this.getLoad(proc.currBehavior.priority);
-		this.enqueued--;
+		/*
+		 *		Bandwidth control
+		 */
 
-		if (!proc.runnable) {
-			/* process went to sleep (or ended), this will let us know that it just woke up if it does */
-			proc.enqueueWakeup = true;
+		/* Check whether an entity has used up its pool for the current period. */
+		outOfRuntime(se) {
+			if (!(se.bandwidth instanceof Bandwidth)) {
+				return false;
+			}
+			se.bandwidth.refill(this.sim.time());
+			return se.bandwidth.runtime <= 0;
 		}
-	}
 
-	pickNext(prev) {
-		super.pickNext(prev);
+		/* Check whether an entity or any of the groups above it is throttled. (throttled_hierarchy) */
+		throttledHierarchy(se) {
+			for (; se !== null; se = this.parentOf(se)) {
+				if (se.throttled) {
+					return true;
+				}
+			}
+			return false;
+		}
 
-		/* Call putPrev and return a process. Just return null if the runqueue is empty. */
-		if (this.enqueued === 0) {
-			if (this.nrRunning === 0) {
-				return null;
-			} else if (prev.schedClass === this && prev.runnable) {
-				Simulator.putPrev(prev);
-				return prev;
+		/* Return the runnable processes of an entity, which is either the process itself or the processes of a group
+		 * and of the groups below it. */
+		procsOf(se) {
+			if (!(se instanceof GroupEntity)) {
+				return [se];
 			}
+			return this.sim.getProcList().filter(proc => {
+				if (proc.schedClass !== this || !proc.runnable) {
+					return false;
+				}
+				for (let parent = this.parentOf(proc); parent !== null; parent = this.parentOf(parent)) {
+					if (parent === se) {
+						return true;
+					}
+				}
+				return false;
+			});
 		}
 
-		Simulator.putPrev(prev);
+		/* Log a change of state in the execution log of a process, unless it's in that state already. */
+		logState(proc, evt) {
+			var last = proc.execLog[proc.execLog.length - 1];
+			if (last === undefined || last.event !== evt) {
+				proc.execLog.push(new LogEntry(this.sim.time(), evt));
+			}
+		}
 
-		var picked;
-		var holder = this.runqueue.leftmost();		// don't delete it from tree yet, we do the dequeue later
-		if (holder instanceof Process) {
-			picked = holder;
-		} else if (holder instanceof Array) {
-			picked = holder[0];
-		} else {
-			throw new Error("the runqueue is empty or has an invalid value stored in it: " + holder);
+		/* Throttle an entity that has used up its pool, it waits off its runqueue until the pool is refilled. Its load
+		 * has to be off the runqueue already. (throttle_cfs_rq) */
+		throttle(se) {
+			se.throttled = true;
+			se.throttledSince = this.sim.time();
+			se.throttledCount++;
+			if (!(se instanceof GroupEntity)) {
+				/* the simulator still sees the process on the runqueue, so that it dequeues it if it exits or moves */
+				se.onRq = true;
+			}
+			this.throttledList.push(se);
+
+			for (let proc of this.procsOf(se)) {
+				this.logState(proc, LogEvent.throttle);
+			}
+		}
+
+		/* Stop the throttling of an entity, without returning it to its runqueue. */
+		endThrottling(se) {
+			se.throttled = false;
+			se.throttledTime += this.sim.time() - se.throttledSince;
+			this.throttledList.splice(this.throttledList.indexOf(se), 1);
 		}
 
-		/* CFS checks if picked ("left") is on rq before following call, but we simplify and always take it from rq */
-		this.dequeueEntity(picked);
+		/* Return a throttled entity to its runqueue once its pool was refilled, along with the groups above it that
+		 * can run again. It's placed as if it just woke up. (unthrottle_cfs_rq) */
+		unthrottle(se) {
+			this.endThrottling(se);
+			se.enqueueWakeup = true;
 
-		/* CFS leaves the "onRq" state on true here, since the running process is runnable, but we take onRq more
-		 * literally, as in actually on the runqueue. We have "Process.runnable" to see if something can run. */
-		picked.onRq = false;
-		this.enqueued--;
+			if (se.runnable) {
+				if (!(se instanceof GroupEntity)) {
+					se.onRq = false;
+				}
+				this.enqueueEntities(se);
+			}
 
-		/* update_stats_curr_start */
-		picked.updated = Simulator.time();
+			for (let proc of this.procsOf(se)) {
+				if (!this.throttledHierarchy(proc)) {
+					this.logState(proc, LogEvent.enqueue);
+				}
+			}
+		}
 
-		/* set picked process as the current process for this class */
-		this.curr = picked;
+		/* Return the process that the class would pick, without picking it. */
+		firstProc() {
+			var se = this.leftmost(this);
+			while (se instanceof GroupEntity) {
+				se = this.leftmost(se);
+			}
+			return se;
+		}
 
-		/* note down picked process's previous execution time */
-		picked.prevSumExecRuntime = picked.execTime;
+		/*
+		 *		Main scheduler functions
+		 */
+		enqueue(proc) {
+			super.enqueue(proc);
+			proc.onRq = false;	// super sets this to true, but we don't need it yet, keep it on false for calculations
+
+			/* update the stats for the currently executing process, this also brings minVruntime up to date */
+			this.updateCurr(this.sim.getCurr());
+
+			/* Processes that a lock protocol lends to this class don't have the fields of the class yet. */
+			if (proc.vruntime === undefined) {
+				proc.vruntime = 0;
+				proc.enqueueWakeup = false;
+				proc.prevSumExecRuntime = 0;
+				proc.runnableAvg = 0;
+				proc.utilAvg = 0;
+				proc.loadAvg = 0;
+				proc.avgUpdated = this.sim.time();
+			}
 
-		return picked;
-	}
+			/* enqueue the process and then every group above it that isn't on its runqueue yet (enqueue_task_fair) */
+			this.enqueueEntities(proc);
 
-	putPrev(prev) {
-		super.putPrev(prev);
+			/* a process that wakes up in a throttled group waits along with the group */
+			if (this.throttledHierarchy(proc)) {
+				this.logState(proc, LogEvent.throttle);
+			}
+		}
 
-		this.updateCurr(prev);
+		dequeue(proc) {
+			super.dequeue(proc);
+			proc.onRq = true;	// super sets this to false, but we might still need it, keep it on true for calculations
 
-		// return prev to the runqueue, but do check if it blocked first
-		if (prev.runnable) {
-			this.enqueueEntity(prev);
-			prev.onRq = true;
-			this.enqueued++;
+			/* a throttled process isn't on our runqueue, it only stops waiting for its pool */
+			if (proc.throttled) {
+				this.endThrottling(proc);
+				proc.onRq = false;
+				if (!proc.runnable) {
+					proc.enqueueWakeup = true;
+				}
+				return;
+			}
+
+			/* update the stats for the currently executing process, this also brings minVruntime up to date */
+			this.updateCurr(this.sim.getCurr());
+
+			/* the process was runnable until now, which its averages still need to see */
+			var rq = this.rqOf(proc);
+			this.updateLoadAvg(rq, proc);
+			this.dequeueEntity(rq, proc);
+			proc.onRq = false;
+
+			this.accountEntityDequeue(rq, proc);
+
+			if (!proc.runnable) {
+				/* process went to sleep (or ended), this will let us know that it just woke up if it does */
+				proc.enqueueWakeup = true;
+			}
+
+			/* the rest of dequeue_task_fair, for the groups above the process */
+			this.dequeueGroups(this.parentOf(proc));
 		}
 
-		this.curr = null;
-	}
+		pickNext(prev) {
+			super.pickNext(prev);
+
+			/* If prev was ours, return it to the runqueue first, it could have used up its pool or the pool of one of
+			 * its groups and get throttled. If it blocked or ended and the CPU is about to go idle, nobody calls putPrev
+			 * on it either, but we still need to take it off the runqueue. */
+			if (prev.schedClass === this && this.rqOf(prev).curr === prev) {
+				this.putPrevEntities(prev);
+			}
+
+			/* Call putPrev and return a process. Just return null if there's nothing to run. */
+			if (this.nrQueued === 0) {
+				return null;
+			}
+
+			this.sim.putPrev(prev);
+
+			/* Take the leftmost entity of the root runqueue. If it's a group, go on with the leftmost entity of its
+			 * runqueue, until we get to a process. */
+			var now = this.sim.time();
+			var rq = this;
+			var picked;
+			do {
+				picked = this.leftmost(rq);		// don't delete it from tree yet, we do the dequeue next
+				this.updateLoadAvg(rq, picked);
 
-	checkPreempt(proc) {
-		super.checkPreempt(proc);
+				/* CFS checks if picked ("left") is on rq before following call, but we simplify and always take it from
+				 * rq */
+				this.dequeueEntity(rq, picked);
 
-		var curr = Simulator.getCurr();
-		this.updateCurr(curr);
+				/* CFS leaves the "onRq" state on true here, since the running entity is runnable, but we take onRq more
+				 * literally, as in actually on the runqueue. We have "Process.runnable" to see if something can run. */
+				picked.onRq = false;
 
-		var vdiff = curr.vruntime - proc.vruntime;
+				/* update_stats_curr_start */
+				picked.updated = now;
 
-		/* granularity gets scaled, as per comment in fair.c: wakeup_gran */
-		var granularity = this.calcDeltaFair(this.schedWakeupGranularity, proc);
-		if (vdiff > granularity) {
-			Simulator.pickNext();
+				/* set picked entity as the current entity of its runqueue */
+				rq.curr = picked;
+
+				/* note down picked entity's previous execution time */
+				picked.prevSumExecRuntime = picked.execTime;
+
+				rq = picked instanceof GroupEntity ? picked : null;
+			} while (rq !== null);
+
+			return picked;
 		}
-	}
 
-	taskTick() {	// BOOKMARK ========================================================================================
-		super.taskTick();
+		putPrev(prev) {
+			super.putPrev(prev);
 
-		var now = Simulator.time();
+			/* prev is already back on the runqueue (or off it) if our pickNext was called before */
+			if (this.rqOf(prev).curr === prev) {
+				this.putPrevEntities(prev);
+			}
+		}
 
-		var curr = Simulator.getCurr();
-		this.updateCurr(curr);
+		/* Return prev and the groups above it to their runqueues. (put_prev_task_fair) */
+		putPrevEntities(prev) {
+			this.updateCurr(prev);
+
+			/* return prev and the groups above it to their runqueues, but do check if it blocked first */
+			for (let se = prev; se !== null; se = this.parentOf(se)) {
+				let rq = this.rqOf(se);
+				this.updateLoadAvg(rq, se);
+				rq.curr = null;
+
+				if (se.runnable && !this.outOfRuntime(se)) {
+					this.enqueueEntity(rq, se);
+					se.onRq = true;
+				} else if (se.runnable) {
+					/* the entity used up its pool, it waits off the runqueue for the next period, and so do the
+					 * groups above it that are left empty without it (check_cfs_rq_runtime) */
+					this.accountEntityDequeue(rq, se);
+					this.throttle(se);
+				} else {
+					/* prev blocked or ended while it was running, it leaves the runqueue along with the groups that are
+					 * left empty without it */
+					this.accountEntityDequeue(rq, se);
+					se.enqueueWakeup = true;
+				}
+			}
 
-		if (this.nrRunning <= 1) {
-			return;
+			this.updateGroupWeights(this.parentOf(prev));
 		}
 
-		/* check if ideal runtime was exceeded */
-		var idealRuntime = this.schedSlice(curr);
-		var deltaExec = (curr.execTime + now - curr.picked) - curr.prevSumExecRuntime;
-		if (deltaExec > idealRuntime) {
-			Simulator.pickNext();
-			return;
+		checkPreempt(proc) {
+			super.checkPreempt(proc);
+
+			var curr = this.sim.getCurr();
+			this.updateCurr(curr);
+
+			/* a process that waits for a pool to be refilled can't preempt anything */
+			if (this.throttledHierarchy(proc)) {
+				return;
+			}
+
+			/* compare the entities of both processes that share a runqueue, the processes themselves or the groups
+			 * that they belong to (find_matching_se) */
+			var se = curr;
+			var pse = proc;
+			var depth = this.depthOf(se);
+			var pdepth = this.depthOf(pse);
+			for (; depth > pdepth; depth--) {
+				se = this.parentOf(se);
+			}
+			for (; pdepth > depth; pdepth--) {
+				pse = this.parentOf(pse);
+			}
+			while (this.rqOf(se) !== this.rqOf(pse)) {
+				se = this.parentOf(se);
+				pse = this.parentOf(pse);
+			}
+
+			var vdiff = se.vruntime - pse.vruntime;
+
+			/* granularity gets scaled, as per comment in fair.c: wakeup_gran */
+			var granularity = this.calcDeltaFair(this.schedWakeupGranularity, pse);
+			if (vdiff > granularity) {
+				this.sim.pickNext();
+			}
 		}
 
-		/* check if another task would be more appropriate to run (but account for minimal preemption granularity) */
-		if (deltaExec < this.schedMinGranularity || this.enqueued < 1) {
-			return;
+		/* Check whether the current entity of a runqueue should make way for another one (check_preempt_tick). Return
+		 * true if it did. */
+		checkPreemptTick(rq, curr) {
+			var now = this.sim.time();
+
+			/* check if ideal runtime was exceeded */
+			var idealRuntime = this.schedSlice(curr);
+			var sumExecRuntime = curr instanceof GroupEntity ? curr.execTime : curr.execTime + now - curr.picked;
+			var deltaExec = sumExecRuntime - curr.prevSumExecRuntime;
+			if (deltaExec > idealRuntime) {
+				this.sim.pickNext();
+				return true;
+			}
+
+			/* check if another task would be more appropriate to run (but account for minimal preemption granularity) */
+			if (deltaExec < this.schedMinGranularity || rq.enqueued < 1) {
+				return false;
+			}
+
+			var left = this.leftmost(rq);	// get leftmost entity in tree
+			var delta = curr.vruntime - left.vruntime;
+
+			if (delta > idealRuntime) {
+				this.sim.pickNext();
+				return true;
+			}
+			return false;
 		}
 
-		var left;	// get leftmost process in tree
-		var holder = this.runqueue.leftmost();
-		if (holder instanceof Process) {
-			left = holder;
-		} else if (holder instanceof Array) {
-			left = holder[0];
-		} else {
-			throw new Error("the runqueue is empty or has an invalid value stored in it: " + holder);
+		taskTick() {
+			super.taskTick();
+
+			var curr = this.sim.getCurr();
+			this.updateCurr(curr);
+
+			/* once the process or one of its groups used up its pool, it's time to throttle it */
+			for (let se = curr; se !== null; se = this.parentOf(se)) {
+				if (this.outOfRuntime(se)) {
+					this.sim.pickNext();
+					return;
+				}
+			}
+
+			/* every level of the hierarchy, from the process up, checks on its current entity (entity_tick) */
+			for (let se = curr; se !== null; se = this.parentOf(se)) {
+				let rq = this.rqOf(se);
+				if (se instanceof GroupEntity) {
+					this.updateGroupWeight(se);
+				}
+
+				if (rq.nrQueued > 1 && this.checkPreemptTick(rq, se)) {
+					return;
+				}
+			}
 		}
 
-		var delta = curr.vruntime - left.vruntime;
+		classTick() {
+			super.classTick();
+
+			this.unthrottleRefilled();
+			this.sampleAvgs();
+		}
+
+		/* Return the throttled entities whose pools were refilled to their runqueues. */
+		unthrottleRefilled() {
+			if (this.throttledList.length === 0) {
+				return;
+			}
+
+			/* Charge our running process before a new period begins. */
+			this.updateCurr(this.sim.getCurr());
+
+			var unthrottled = false;
+			for (let se of this.throttledList.slice()) {
+				if (!this.outOfRuntime(se)) {
+					this.unthrottle(se);
+					unthrottled = true;
+				}
+			}
 
-		if (delta < 0) {
-			return;
+			/* If the CPU was left to the idle process or a lower class because of the throttling, our first process
+			 * takes it back. Our own running process is checked on in taskTick. */
+			if (unthrottled && this.nrQueued > 0 && this.sim.getCurr().schedClass !== this) {
+				this.sim.checkPreempt(this.firstProc());
+			}
 		}
 
-		if (delta > idealRuntime) {
-			Simulator.pickNext();
+		taskFork(proc) {
+			super.taskFork(proc);
+
+			this.checkProc(proc);
 		}
-	}
 
-	getClassStats() {
-		var res = super.getClassStats();
-		return res;
+		/* Return the time that an entity spent throttled, the current throttling included. */
+		throttledTimeOf(se) {
+			return se.throttled ? se.throttledTime + this.sim.time() - se.throttledSince : se.throttledTime;
+		}
+
+		getClassTimeSeries() {
+			var res = super.getClassTimeSeries();
+
+			for (let description in this.avgSeries) {
+				res.push([description, this.avgSeries[description]]);
+			}
+
+			return res;
+		}
+
+		getClassStats() {
+			var res = super.getClassStats();
+
+			for (let path in this.groups) {
+				let group = this.groups[path];
+				res.push(["Run time of group " + path, group.execTime]);
+				if (group.bandwidth !== null) {
+					res.push(["Times group " + path + " was throttled", group.throttledCount]);
+					res.push(["Time group " + path + " was throttled", this.throttledTimeOf(group)]);
+				}
+			}
+
+			var procList = this.sim.getProcList();
+			for (let i in procList) {
+				let proc = procList[i];
+				if (proc.schedClass === this && proc.bandwidth instanceof Bandwidth) {
+					res.push(["Times " + proc.pname + " (PID " + proc.pid + ") was throttled", proc.throttledCount]);
+					res.push(["Time " + proc.pname + " (PID " + proc.pid + ") was throttled", this.throttledTimeOf(proc)]);
+				}
+			}
+
+			return res;
+		}
 	}
-}
 
-(function() {
 	var name = "LinuxFairClass";
 	var linuxFairClass = new LinuxFairClass(name);
-	Simulator.registerSchedClass(name, linuxFairClass);
-}) ();
+	Simulation.registerSchedClass(name, linuxFairClass);
+
+	return LinuxFairClass;
+});
@@ -1,96 +1,145 @@
-/**
- * An approximation of the scheduling algorithm found around the 2.6 release of Linux kernel, known as the "O(1)"
- * scheduler. It was effectively the third version of the Linux scheduler and was named after its O(1) process selection
- * complexity, that contrasted the O(n) complexity of its predecessors. Loosely implemented here as a scheduling class.
- * @extends SchedClass
- * @param {string} name "LinuxO1Class", the name that will be used to identify this scheduling class.
- */
-class LinuxO1Class extends SchedClass {
-	constructor(name) {
-		super(name);
+(function(root, factory) {
+	if (typeof module !== "undefined" && module.exports) {
+		module.exports = factory(require("../SchedLinSim.js"));
+	} else {
+		root.LinuxO1Class = factory(root.SchedLinSim);
 	}
+}) (this, function(SchedLinSim) {
+	var Simulation = SchedLinSim.Simulation;
+	var SchedClass = SchedLinSim.SchedClass;
+
+	/**
+	 * An approximation of the scheduling algorithm found around the 2.6 release of Linux kernel, known as the "O(1)"
+	 * scheduler. It was effectively the third version of the Linux scheduler and was named after its O(1) process selection
+	 * complexity, that contrasted the O(n) complexity of its predecessors. Loosely implemented here as a scheduling class.
+	 * @extends SchedClass
+	 * @param {string} name "LinuxO1Class", the name that will be used to identify this scheduling class.
+	 */
+	class LinuxO1Class extends SchedClass {
+		constructor(name) {
+			super(name);
+		}
 
-	getTimesliceLen(priority) {
-		if (priority < -20) {
-			/* RT processes all get same timeslice to simplify things */
-			return this.timeScale * 900;
-		} else {
-			/* change priority to positive values where 0 = lowest & 39 = highest standard & 139 = highest realtime */
-			var prio = (priority - 19) * (-1);
-			/* timeslices range from 5ms to 800ms in O(1) scheduler for standard processes, so set ours accordingly */
-			return this.timeScale * Math.round(prio * 20.4 + 5);
+		getTimesliceLen(priority) {
+			if (priority < -20) {
+				/* RT processes all get same timeslice to simplify things */
+				return this.timeScale * 900;
+			} else {
+				/* change priority to positive values where 0 = lowest & 39 = highest standard & 139 = highest realtime */
+				var prio = (priority - 19) * (-1);
+				/* timeslices range from 5ms to 800ms in O(1) scheduler for standard processes, so set ours accordingly */
+				return this.timeScale * Math.round(prio * 20.4 + 5);
+			}
 		}
-	}
 
-	init(classParams) {
-		super.init();
-
-		/* Init runqueue */
-		this.runqueue = {
-			active: {
-				bitmap: [],
-				count: 0,
-				rq: []
-			},
-			expired: {
-				bitmap: [],
-				count: 0,
-				rq: []
-			}
-		};
-		for (let i = 0; i < 140; i++) {
-			this.runqueue.active.bitmap.push(false);
-			this.runqueue.active.rq.push([]);
-			this.runqueue.expired.bitmap.push(false);
-			this.runqueue.expired.rq.push([]);
-		}
-
-		/* Set default timeScale. If Doing simulations on time unit / nanosecond level, this should be 1. If using
-		 * microseconds as units, 1000. For realistic simulations with milliseconds, use 1000000. */
-		this.timeScale = 1;
-
-		/* load class parameters */
-		if (classParams !== undefined) {
-			if (classParams.timeScale !== undefined) {
-				let timeScale = Simulator.handleSuffix(classParams.timeScale, "simulation configuration, class parameters, LinuxOnClass, timeScale");
-				if (timeScale <= 0) {
-					throw new Error("timeScale has to be a positive value")
+		init(classParams) {
+			super.init();
+
+			/* Init runqueue */
+			this.runqueue = {
+				active: {
+					bitmap: [],
+					count: 0,
+					rq: []
+				},
+				expired: {
+					bitmap: [],
+					count: 0,
+					rq: []
 				}
-				this.timeScale = timeScale;
+			};
+			for (let i = 0; i < 140; i++) {
+				this.runqueue.active.bitmap.push(false);
+				this.runqueue.active.rq.push([]);
+				this.runqueue.expired.bitmap.push(false);
+				this.runqueue.expired.rq.push([]);
 			}
-		}
 
-		/* Get process list and make sure none of the processes have priority <= 0 */
-		var procList = Simulator.getProcList();
-		var t = [], timeSliceList = [];
+			/* Set default timeScale. If Doing simulations on time unit / nanosecond level, this should be 1. If using
+			 * microseconds as units, 1000. For realistic simulations with milliseconds, use 1000000. */
+			this.timeScale = 1;
+
+			/* Whether the priorities of processes change with their sleep averages, see "effectivePrio()". */
+			this.interactivity = false;
+
+			/* load class parameters */
+			if (classParams !== undefined) {
+				if (classParams.timeScale !== undefined) {
+					let timeScale = this.sim.handleSuffix(classParams.timeScale, "simulation configuration, class parameters, LinuxOnClass, timeScale");
+					if (timeScale <= 0) {
+						throw new Error("timeScale has to be a positive value")
+					}
+					this.timeScale = timeScale;
+				}
+				if (classParams.interactivity !== undefined) {
+					if (typeof(classParams.interactivity) === "boolean") {
+						this.interactivity = classParams.interactivity;
+					} else {
+						throw new Error("interactivity needs to be a boolean, instead found: " + classParams.interactivity)
+					}
+				}
+			}
 
-		for (let i in procList) {
-			t.push("timeSlice");
-			if (procList[i].currBehavior.priority < -120 || procList[i].currBehavior.priority > 19) {
-				throw new Error("the process with PID " + i + " has a priority of " +
-				procList[i].currBehavior.priority + ", allowed values are from -120 (highest priority) to 19 (lowest priority). Note that priorities below -20 are considered realtime.")
-			} else {
-				timeSliceList.push(this.getTimesliceLen(procList[i].currBehavior.priority));
+			/* Interactivity heuristics, scaled to timeScale like the timeslices. The kernel's values assume milliseconds. */
+			this.maxBonus = 10;							// the width of the range of bonuses, from -5 to +5
+			this.maxSleepAvg = this.timeScale * 1000;	// the sleep average that earns the highest bonus
+			this.defTimeslice = this.timeScale * 100;	// the timeslice that the kernel gives to nice 0
+
+			/* The time that the first process of the expired runqueue was put onto it and the best static priority
+			 * among those processes, used to keep interactive processes from starving the expired ones. */
+			this.expiredSince = null;
+			this.bestExpiredPrio = 20;
+
+			/* The dynamic priorities of the processes, each point holds the priority from its time on, and the
+			 * processes that they belong to. */
+			this.prioSeries = {};
+			this.members = [];
+
+			/* Get process list and make sure none of the processes have priority <= 0 */
+			var procList = this.sim.getProcList();
+			var t = [], timeSliceList = [];
+
+			for (let i in procList) {
+				t.push("timeSlice");
+				if (procList[i].currBehavior.priority < -120 || procList[i].currBehavior.priority > 19) {
+					throw new Error("the process with PID " + i + " has a priority of " +
+					procList[i].currBehavior.priority + ", allowed values are from -120 (highest priority) to 19 (lowest priority). Note that priorities below -20 are considered realtime.")
+				} else {
+					timeSliceList.push(this.getTimesliceLen(procList[i].currBehavior.priority));
+				}
 			}
-		}
 
-		/* Add timeslices to the processes. List needs to contain an entry for every process, but only our processes
-		 * will have timeslice values added. Also add runqueue references. */
-		Simulator.modProc(t, timeSliceList, this.name);
-		Simulator.modProc("o1rq", null, this.name);
-	}
+			/* Add timeslices to the processes. List needs to contain an entry for every process, but only our processes
+			 * will have timeslice values added. Also add runqueue references. */
+			this.sim.modProc(t, timeSliceList, this.name);
+			this.sim.modProc("o1rq", null, this.name);
+
+			/* Add the variables of the interactivity heuristics
+			 * - o1prio - the dynamic priority, the one that the process is queued by
+			 * - sleepAvg - the time that the process slept minus the time that it ran, from 0 to maxSleepAvg. Processes
+			 *   start in the middle, with no bonus or penalty.
+			 * - sleepStart - the time that the process blocked at, null while it's runnable
+			 * - o1reinserted - how many times the process was put back onto the active runqueue as an interactive one
+			 *   after its timeslice ran out
+			 *  */
+			this.sim.modProc("o1prio", null, this.name);
+			this.sim.modProc("sleepAvg", this.maxSleepAvg / 2, this.name);
+			this.sim.modProc("sleepStart", null, this.name);
+			this.sim.modProc("o1reinserted", 0, this.name);
+		}
 
-	classParamsTemplate() {
-		/* return an object with all possible class parameters */
-		var params = super.classParamsTemplate();
+		classParamsTemplate() {
+			/* return an object with all possible class parameters */
+			var params = super.classParamsTemplate();
 
-		params.timeScale = 1;
+			params.timeScale = 1;
+			params.interactivity = false;
 
-		return params;
-    }
+			return params;
+	    }
 
-	getDescription() {
-		return "A scheduling policy that mimics the third version of the Linux scheduler, found around the 2.6 version\
+		getDescription() {
+			return "A scheduling policy that mimics the third version of the Linux scheduler, found around the 2.6 version\
 		of the Linux kernel and dubbed the \"O(1)\" scheduler. Unlike its predecessors, it selects the processes in\
 		constant time, which got it its name. This scheduler contains two sets of 140 runqueues, where each runqueue\
 		represents a priority level. 40 of those levels belong to regular processes (standard Unix priorities, where\
@@ -101,145 +150,326 @@ class LinuxO1Class extends SchedClass {
 		versa.\n\
 		The real O(1) scheduler was nutorious for its use of heuristics to decide whether a process was interactive or\
 		not, in order to dynamically boost the priority of interactive processes and allow them to execute more often.\
-		For the sake of simplicity, we have omitted these heuristics in our implementation - if you wish to model an\
-		interactive process, feel free to increase its priority yourself - in theory, the real O(1) scheduler would\
-		have done so on its own.\n\n\
+		These are off by default - if you wish to model an interactive process without them, feel free to increase its\
+		priority yourself. With the \"interactivity\" parameter, every process keeps a sleep average: the time that it\
+		slept is added to it and the time that it ran is taken from it, up to a second. Its dynamic priority, the one\
+		that it's queued by, is its priority with a bonus of up to 5 levels for processes that mostly sleep and a\
+		penalty of up to 5 levels for processes that mostly run. It's calculated when the process wakes up and when its\
+		timeslice runs out. A process whose bonus is high enough for its priority is considered interactive and goes\
+		back onto the active runqueue when its timeslice runs out, instead of waiting for all the others on the expired\
+		one, unless the expired processes have waited for too long already. The class statistics report the average\
+		dynamic priority of every process and how many times it stayed on the active runqueue, the changes of the\
+		dynamic priorities are reported as time series.\n\n\
 		Accepted parameters:\n\
         timeScale: the length of the default time unit used for the simulation. When doing simulations on \"time unit\"\
         or nanosecond level, this should be 1. When using microseconds as units, 1000. For \"realistic time\"\
-        simulations with milliseconds, use 1000000.";
-	}
+        simulations with milliseconds, use 1000000. The interactivity heuristics use it as well, for the millisecond\
+        values of the kernel.\n\
+        interactivity: boolean, if true the priorities of processes change with their sleep averages.";
+		}
 
-	enqueue(proc, expired) {
-		super.enqueue(proc);
-
-		/* Enqueue into expired runqueue if expired is explicitely stated, otherwise the active one. */
-		var currRq;
-
-		if (expired === true) {
-			/* We were explicitly told that the process is expired, treat it as such. */
-			currRq = this.runqueue.expired;
-		} else if (proc.timeSlice === 0) {
-			/* Edge case, process happened to block just as its timeslice ran out. Instead of re-enqueuing it, letting
-			 * it be selected and then preempted straight away, just move it onto expired runqueue now. */
-			proc.timeSlice = this.getTimesliceLen(proc.currBehavior.priority);	// reset timeslice
-			currRq = this.runqueue.expired;		// put onto expired runqueue
-		} else {
-			currRq = this.runqueue.active;
-		}
-
-		var listNo = proc.currBehavior.priority + 120;
-		currRq.rq[listNo].push(proc);
-		currRq.bitmap[listNo] = true;
-		currRq.count++;
-		proc.o1rq = currRq;
-	}
+		/*
+		 *		Interactivity heuristics
+		 */
 
-	dequeue(proc) {
-		super.dequeue(proc);
+		/* Return the bonus that the sleep average of a process earns it, from 0 to maxBonus. (CURRENT_BONUS) */
+		currentBonus(proc) {
+			return Math.floor(proc.sleepAvg * this.maxBonus / this.maxSleepAvg);
+		}
 
-		/* dequeue from process's runqueue, be it active or expired */
-		var listNo = proc.currBehavior.priority + 120;
-		var currRq = proc.o1rq;
+		/* Return the bonus above the middle that a process needs to be considered interactive, which grows with its
+		 * nice value, so that a process of nice 19 never is. (DELTA) */
+		interactiveDelta(proc) {
+			return Math.floor((proc.currBehavior.priority + 20) * this.maxBonus / 40) - this.maxBonus / 2 + 2;
+		}
 
-		for (let i = 0; i < currRq.rq[listNo].length; i++) {
-			if (currRq.rq[listNo][i] === proc) {
-				currRq.rq[listNo].splice(i, 1);
-				break;
+		/* Return the priority that a process should be queued by, its priority with the bonus or penalty of its sleep
+		 * average. Real time processes keep theirs. (effective_prio) */
+		effectivePrio(proc) {
+			var prio = proc.currBehavior.priority;
+			if (!this.interactivity || prio < -20) {
+				return prio;
 			}
+
+			prio -= this.currentBonus(proc) - this.maxBonus / 2;
+			return Math.max(-20, Math.min(19, prio));
 		}
-		if (currRq.rq[listNo].length < 1) {
-			currRq.bitmap[listNo] = false;
+
+		/* Set the dynamic priority of a process and note it down if it changed. */
+		setPrio(proc, prio) {
+			if (this.interactivity && prio !== proc.o1prio) {
+				let description = "Dynamic priority of " + proc.pname + " (PID " + proc.pid + ")";
+				if (this.prioSeries[description] === undefined) {
+					this.prioSeries[description] = [];
+					this.members.push(proc);
+				}
+				this.prioSeries[description].push([this.sim.time(), prio]);
+			}
+			proc.o1prio = prio;
 		}
-		currRq.count--;
-	}
 
-	pickNext(prev) {
-		super.pickNext(prev);
+		/* Return the priority that a process competes with, the dynamic one if the heuristics are on. */
+		prioOf(proc) {
+			return this.interactivity ? proc.o1prio : proc.currBehavior.priority;
+		}
+
+		/* Add the time that a process slept to its sleep average (recalc_task_prio). A process that slept for very long
+		 * only gets just enough to count as interactive, so that a hog that was idle for a while doesn't come back with
+		 * the highest bonus. */
+		creditSleep(proc, sleepTime) {
+			var interactiveSleep = this.maxSleepAvg * (this.maxBonus / 2 + this.interactiveDelta(proc) + 1) / this.maxBonus;
+			if (sleepTime > interactiveSleep) {
+				proc.sleepAvg = Math.max(proc.sleepAvg, this.maxSleepAvg - this.defTimeslice);
+			} else {
+				proc.sleepAvg = Math.min(this.maxSleepAvg, proc.sleepAvg + sleepTime);
+			}
+		}
+
+		/* Take the time that a process ran from its sleep average. The higher its bonus, the less it's charged, so
+		 * that an interactive process doesn't lose its status over a single longer burst. (schedule) */
+		chargeRun(proc, runTime) {
+			if (this.interactivity && runTime > 0) {
+				proc.sleepAvg = Math.max(0, proc.sleepAvg - runTime / Math.max(1, this.currentBonus(proc)));
+			}
+		}
+
+		/* Return the runqueue that a process whose timeslice ran out goes to. An interactive process goes back to the
+		 * active one, unless the expired processes have waited for longer than they should have, given how many
+		 * processes are runnable, or one of them has a better static priority. (TASK_INTERACTIVE and EXPIRED_STARVING
+		 * in scheduler_tick) */
+		rqAfterTimeslice(proc) {
+			var expired = this.runqueue.expired;
+			if (!this.interactivity || proc.currBehavior.priority < -20 ||
+				proc.o1prio > proc.currBehavior.priority - this.interactiveDelta(proc)) {
+				return expired;
+			}
+
+			var running = this.runqueue.active.count + expired.count + 1;
+			if (this.expiredSince !== null && this.sim.time() - this.expiredSince >= this.maxSleepAvg * running) {
+				return expired;
+			}
+			if (proc.currBehavior.priority > this.bestExpiredPrio) {
+				return expired;
+			}
+
+			proc.o1reinserted++;
+			return this.runqueue.active;
+		}
 
-		/* Call putPrev and return a process if we have one. Just return null without putPrev call otherwise. */
-		var picked = null;
-		if (this.runqueue.active.count > 0 || this.runqueue.expired.count > 0) {
-			Simulator.putPrev(prev);
+		/*
+		 *		Main scheduler functions
+		 */
+		enqueue(proc, expired) {
+			super.enqueue(proc);
+
+			/* Processes that a lock protocol lends to this class don't have the fields of the class yet. */
+			if (proc.sleepAvg === undefined) {
+				proc.sleepAvg = this.maxSleepAvg / 2;
+				proc.sleepStart = null;
+				proc.o1reinserted = 0;
+			}
+
+			/* A process that wakes up is credited for its sleep and gets a new dynamic priority, so does one whose
+			 * timeslice ran out. */
+			if (proc.sleepStart !== null) {
+				if (this.interactivity) {
+					this.creditSleep(proc, this.sim.time() - proc.sleepStart);
+				}
+				proc.sleepStart = null;
+			}
+			this.setPrio(proc, this.effectivePrio(proc));
+
+			/* Enqueue into expired runqueue if expired is explicitely stated, otherwise the active one. */
+			var currRq;
+
+			if (expired === true) {
+				/* We were explicitly told that the process is expired, treat it as such. */
+				currRq = this.runqueue.expired;
+			} else if (proc.timeSlice === 0) {
+				/* Edge case, process happened to block just as its timeslice ran out. Instead of re-enqueuing it, letting
+				 * it be selected and then preempted straight away, just move it onto expired runqueue now (or keep it
+				 * on the active one, if it's interactive). */
+				proc.timeSlice = this.getTimesliceLen(proc.currBehavior.priority);	// reset timeslice
+				currRq = this.rqAfterTimeslice(proc);
+			} else {
+				currRq = this.runqueue.active;
+			}
 
-			if (this.runqueue.active.count === 0) {
-				/* swap runqueues */
-				let tmp = this.runqueue.active;
-				this.runqueue.active = this.runqueue.expired;
-				this.runqueue.expired = tmp;
+			if (currRq === this.runqueue.expired) {
+				if (this.expiredSince === null) {
+					this.expiredSince = this.sim.time();
+				}
+				this.bestExpiredPrio = Math.min(this.bestExpiredPrio, proc.currBehavior.priority);
 			}
 
-			for (let i = 0; i < this.runqueue.active.bitmap.length; i++) {
-				if (this.runqueue.active.bitmap[i]) {
-					picked = this.runqueue.active.rq[i][0];
+			var listNo = proc.o1prio + 120;
+			currRq.rq[listNo].push(proc);
+			currRq.bitmap[listNo] = true;
+			currRq.count++;
+			proc.o1rq = currRq;
+		}
+
+		dequeue(proc) {
+			super.dequeue(proc);
+
+			/* dequeue from process's runqueue, be it active or expired, by the priority that it was queued by */
+			var listNo = proc.o1prio + 120;
+			var currRq = proc.o1rq;
+
+			for (let i = 0; i < currRq.rq[listNo].length; i++) {
+				if (currRq.rq[listNo][i] === proc) {
+					currRq.rq[listNo].splice(i, 1);
 					break;
 				}
 			}
+			if (currRq.rq[listNo].length < 1) {
+				currRq.bitmap[listNo] = false;
+			}
+			currRq.count--;
+
+			/* the process blocked (or ended), its sleep starts now */
+			if (!proc.runnable) {
+				proc.sleepStart = this.sim.time();
+			}
 		}
 
-		if (picked !== null) {
-			/* Log the start of task execution */
-			picked.updated = Simulator.time();
+		pickNext(prev) {
+			super.pickNext(prev);
+
+			/* Call putPrev and return a process if we have one. Just return null without putPrev call otherwise. */
+			var picked = null;
+			if (this.runqueue.active.count > 0 || this.runqueue.expired.count > 0) {
+				this.sim.putPrev(prev);
+
+				if (this.runqueue.active.count === 0) {
+					/* swap runqueues */
+					let tmp = this.runqueue.active;
+					this.runqueue.active = this.runqueue.expired;
+					this.runqueue.expired = tmp;
+					this.expiredSince = null;
+					this.bestExpiredPrio = 20;
+				}
+
+				for (let i = 0; i < this.runqueue.active.bitmap.length; i++) {
+					if (this.runqueue.active.bitmap[i]) {
+						picked = this.runqueue.active.rq[i][0];
+						break;
+					}
+				}
+			}
+
+			if (picked !== null) {
+				/* Log the start of task execution */
+				picked.updated = this.sim.time();
+			}
+			return picked;
 		}
-		return picked;
-	}
 
-	putPrev(prev) {
-		super.putPrev(prev);
+		putPrev(prev) {
+			super.putPrev(prev);
+
+			var now = this.sim.time();
+			if (prev.updated !== now) {
+				this.chargeRun(prev, now - prev.updated);
+				prev.timeSlice -= now - prev.updated;
+				prev.timeSlice = prev.timeSlice < 0 ? 0 : prev.timeSlice;
+				prev.updated = now;
+			}
+
+			if (prev.onRq && prev.timeSlice === 0) {
+				/* dequeue from active runqueue */
+				this.dequeue(prev);
 
-		var now = Simulator.time();
-		if (prev.updated !== now) {
-			prev.timeSlice -= now - prev.updated;
-			prev.timeSlice = prev.timeSlice < 0 ? 0 : prev.timeSlice;
-			prev.updated = now;
+				/* enqueue with the timeslice still at 0, enqueue resets it and puts the process onto the expired
+				 * runqueue, or back onto the active one if it's interactive */
+				this.enqueue(prev);
+			}
 		}
 
-		if (prev.onRq && prev.timeSlice === 0) {
-			/* dequeue from active runqueue */
-			this.dequeue(prev);
+		checkPreempt(proc) {
+			super.checkPreempt(proc);
 
-			/* reset timeslice */
-			prev.timeSlice = this.getTimesliceLen(prev.currBehavior.priority);
+			var curr = this.sim.getCurr();
+			if (this.prioOf(curr) > this.prioOf(proc)) {
+				/* Current process has lower priority (higher number means lower priority) than the new one, preempt. */
+				this.sim.pickNext();
+			}
+		}
 
-			/* enqueue into expired runqueue, "true" tells the enqueue method that the process is expired */
-			this.enqueue(prev, true);
+		taskTick() {
+			super.taskTick();
+
+			/* Decrease timeslice. If it ran out, reset it and call for reschedule. */
+			var now = this.sim.time();
+			var curr = this.sim.getCurr();
+			this.chargeRun(curr, now - curr.updated);
+			if (curr.timeSlice - (now - curr.updated) <= 0) {
+				curr.timeSlice =  0;	// Just set timeslice to 0, putPrev handles the moving to re-enqueue.
+				curr.updated = now;		// Log the task timeslice update timer.
+				this.sim.pickNext();
+			} else {
+				curr.timeSlice -= now - curr.updated;
+				curr.updated = now;		// Log the task timeslice update timer.
+			}
 		}
-	}
 
-	checkPreempt(proc) {
-		super.checkPreempt(proc);
+		taskFork(proc) {
+			super.taskFork(proc);
+
+			if (proc.currBehavior.priority < -120 || proc.currBehavior.priority > 19) {
+				throw new Error("the process with PID " + proc.pid + " has a priority of " +
+				proc.currBehavior.priority + ", allowed values are from -120 (highest priority) to 19 (lowest priority). Note that priorities below -20 are considered realtime.")
+			}
+			proc.timeSlice = this.getTimesliceLen(proc.currBehavior.priority);
 
-		var curr = Simulator.getCurr();
-		if (curr.currBehavior.priority > proc.currBehavior.priority) {
-			/* Current process has lower priority (higher number means lower priority) than the new one, preempt. */
-			Simulator.pickNext();
+			/* the child inherits most of the sleep average of its parent (CHILD_PENALTY in sched_fork) */
+			var parent = this.sim.getProcList()[proc.ppid];
+			if (parent !== undefined && parent.sleepAvg !== undefined) {
+				proc.sleepAvg = parent.sleepAvg * 0.95;
+			}
 		}
-	}
 
-	taskTick() {
-		super.taskTick();
+		/* Return the points of the dynamic priority of a process. */
+		prioSeriesOf(proc) {
+			return this.prioSeries["Dynamic priority of " + proc.pname + " (PID " + proc.pid + ")"];
+		}
+
+		getClassTimeSeries() {
+			var res = super.getClassTimeSeries();
 
-		/* Decrease timeslice. If it ran out, reset it and call for reschedule. */
-		var now = Simulator.time();
-		var curr = Simulator.getCurr();
-		if (curr.timeSlice - (now - curr.updated) <= 0) {
-			curr.timeSlice =  0;	// Just set timeslice to 0, putPrev handles the moving to re-enqueue.
-			curr.updated = now;		// Log the task timeslice update timer.
-			Simulator.pickNext();
-		} else {
-			curr.timeSlice -= now - curr.updated;
-			curr.updated = now;		// Log the task timeslice update timer.
+			for (let description in this.prioSeries) {
+				res.push([description, this.prioSeries[description]]);
+			}
+
+			return res;
 		}
-	}
 
-	getClassStats() {
-		var res = super.getClassStats();
-		return res;
+		getClassStats() {
+			var res = super.getClassStats();
+
+			/* The average dynamic priority of a process is weighed by the time that it had each priority for, up to
+			 * now or up to its last event, if it exited. */
+			for (let proc of this.members) {
+				let points = this.prioSeriesOf(proc);
+				let end = proc.alive ? this.sim.time() : proc.execLog[proc.execLog.length - 1].timestamp;
+				let sum = 0;
+				for (let i = 0; i < points.length; i++) {
+					let until = i + 1 < points.length ? points[i + 1][0] : Math.max(end, points[i][0]);
+					sum += points[i][1] * (until - points[i][0]);
+				}
+				let length = Math.max(end, points[points.length - 1][0]) - points[0][0];
+				let avg = length > 0 ? sum / length : points[0][1];
+				res.push([proc.pname + " (PID " + proc.pid + "): average dynamic priority", avg]);
+				res.push([proc.pname + " (PID " + proc.pid + "): times kept on the active runqueue", proc.o1reinserted]);
+			}
+
+			return res;
+		}
 	}
-}
 
-(function() {
 	var name = "LinuxO1Class";
 	var linuxO1Class = new LinuxO1Class(name);
-	Simulator.registerSchedClass(name, linuxO1Class);
-}) ();
+	Simulation.registerSchedClass(name, linuxO1Class);
+
+	return LinuxO1Class;
+});
@@ -0,0 +1,343 @@
+(function(root, factory) {
+	if (typeof module !== "undefined" && module.exports) {
+		module.exports = factory(require("../SchedLinSim.js"));
+	} else {
+		root.LotteryClass = factory(root.SchedLinSim);
+	}
+}) (this, function(SchedLinSim) {
+	var Simulation = SchedLinSim.Simulation;
+	var SchedClass = SchedLinSim.SchedClass;
+
+	/**
+	 * An implementation of lottery scheduling, a proportional-share policy. Every process holds a number of tickets
+	 * and at the end of every quantum a lottery is drawn among the runnable processes, so that each of them runs with a
+	 * probability proportional to its tickets. The ticket handling of this class is also used by
+	 * {@link StrideClass}, which gives the same shares deterministically.
+	 * @extends SchedClass
+	 * @param {string} name "LotteryClass", the name that will be used to identify this scheduling class.
+	 */
+	class LotteryClass extends SchedClass {
+		constructor(name) {
+			super(name);
+
+			/* Processes without tickets of their own get the weight of their "nice" value, the same one as in
+			 * LinuxFairClass, so that the shares of both classes can be compared. */
+			this.schedPrioToWeight = [
+				/* -20 */     88761,     71755,     56483,     46273,     36291,
+				/* -15 */     29154,     23254,     18705,     14949,     11916,
+				/* -10 */      9548,      7620,      6100,      4904,      3906,
+				/*  -5 */      3121,      2501,      1991,      1586,      1277,
+				/*   0 */      1024,       820,       655,       526,       423,
+				/*   5 */       335,       272,       215,       172,       137,
+				/*  10 */       110,        87,        70,        56,        45,
+				/*  15 */        36,        29,        23,        18,        15,
+			];
+		}
+
+		init(classParams) {
+			super.init();
+
+			/* Simulation settings */
+			this.quantum = 10000000;	// 10ms, the time a process runs for before the next decision
+
+			/* load class parameters */
+			if (classParams !== undefined) {
+				if (classParams.quantum !== undefined) {
+					let quantum = this.sim.handleSuffix(classParams.quantum, "simulation configuration, class parameters, " + this.name + ", quantum");
+					if (typeof(quantum) !== "number" || quantum <= 0) {
+						throw new Error("quantum has to be a positive value")
+					}
+					this.quantum = quantum;
+				}
+			}
+
+			/* Init runqueue, it holds all the runnable processes, the running one too */
+			this.runqueue = [];
+			/* Tickets that blocked processes have transferred to others, in the form {from, to, tickets} */
+			this.loans = [];
+			/* All the processes that were ever on the runqueue, for the statistics */
+			this.members = [];
+			/* Time that the processes of the class ran for */
+			this.classTime = 0;
+
+			/* Make sure that the tickets of our processes are valid */
+			var procList = this.sim.getProcList();
+			for (let i in procList) {
+				if (procList[i].policy === this.name) {
+					this.checkProc(procList[i]);
+				}
+			}
+
+			/* Add to processes the variables that will be used during scheduling
+			 * - shareSlice - the rest of the current quantum
+			 * - shareExpected - the time that the process should have run for, according to its tickets
+			 * - shareAchieved - the time that the process actually ran for
+			 *  */
+			this.sim.modProc("shareSlice", this.quantum, this.name);
+			this.sim.modProc("shareExpected", 0, this.name);
+			this.sim.modProc("shareAchieved", 0, this.name);
+		}
+
+		classParamsTemplate() {
+			/* return an object with all possible class parameters */
+			var params = super.classParamsTemplate();
+
+			params.quantum = 10000000;
+
+			return params;
+	    }
+
+		getDescription() {
+			return "Lottery scheduling, a proportional-share policy. Every process holds a number of tickets. At the end\
+			of every quantum, the class draws a winning ticket among the runnable processes and the process that holds\
+			it runs next, so each process gets a share of the CPU proportional to its tickets, on average. The tickets\
+			of a process are given by the \"tickets\" field of its custom object, otherwise by its priority, which is a\
+			\"nice\" value from -20 to 19 that maps to the same weights as in LinuxFairClass (1024 tickets at 0).\n\
+			A behavior entry can change the tickets of a process with a \"tickets\" field (ticket inflation) and\
+			give them to another process of the class while it's blocked, with a \"transfer\" field that names the\
+			other process (ticket transfer), for example a client that waits for a server. The class statistics\
+			compare the share of the CPU time of the class that each process should have got to the one it got.\n\n\
+			Accepted parameters:\n\
+			quantum: the time that a process runs for before the next lottery.";
+		}
+
+		/**
+		 * Checks the tickets that a process got in the custom object of its definition.
+		 * @param  {Process} proc The process.
+		 */
+		checkProc(proc) {
+			if (proc.tickets !== undefined && (!Number.isInteger(proc.tickets) || proc.tickets < 1)) {
+				throw new Error("the process with PID " + proc.pid + " has " + proc.tickets + " tickets, it needs " +
+				"a positive integer.")
+			}
+		}
+
+		/**
+		 * Returns the tickets that a process holds itself: the ones from its behavior, the ones from its custom object
+		 * or the weight of its priority, in that order.
+		 * @param  {Process} proc The process.
+		 * @return {number} The number of tickets.
+		 */
+		ownTickets(proc) {
+			if (proc.currBehavior.tickets !== undefined) {
+				return proc.currBehavior.tickets;
+			} else if (proc.tickets !== undefined) {
+				return proc.tickets;
+			}
+			var prio = proc.currBehavior.priority;
+			if (!Number.isInteger(prio) || prio < -20 || prio > 19) {
+				throw new Error("Invalid priority detected, expected a number on [-20, 19], found: " + prio);
+			}
+			return this.schedPrioToWeight[prio + 20];
+		}
+
+		/**
+		 * Returns the tickets that a process competes with, its own ones and the ones transferred to it.
+		 * @param  {Process} proc The process.
+		 * @return {number} The number of tickets.
+		 */
+		ticketsOf(proc) {
+			var tickets = this.ownTickets(proc);
+			for (let loan of this.loans) {
+				if (loan.to === proc && loan.from.alive) {
+					tickets += loan.tickets;
+				}
+			}
+			return tickets;
+		}
+
+		/**
+		 * Returns the sum of the tickets of all the runnable processes.
+		 * @return {number} The number of tickets.
+		 */
+		totalTickets() {
+			var total = 0;
+			for (let proc of this.runqueue) {
+				total += this.ticketsOf(proc);
+			}
+			return total;
+		}
+
+		/**
+		 * Charges the time that a process ran since it was last updated to its quantum and to its share. The time is
+		 * also split among all the runnable processes by their tickets, as the time that they should have got.
+		 * @param  {Process} curr The running (or just descheduled) process of the class.
+		 * @return {number} The time that was charged.
+		 */
+		updateCurr(curr) {
+			var now = this.sim.time();
+			var delta = now - curr.updated;
+			if (delta <= 0) {
+				return 0;
+			}
+			curr.updated = now;
+			curr.shareSlice -= delta;
+			curr.shareAchieved += delta;
+			this.classTime += delta;
+
+			var total = this.totalTickets();
+			if (total > 0) {
+				for (let proc of this.runqueue) {
+					proc.shareExpected += delta * this.ticketsOf(proc) / total;
+				}
+			}
+			return delta;
+		}
+
+		/**
+		 * Transfers the tickets of a process that blocked to the process named in the "transfer" field of its
+		 * behavior, if it names a live process of the class.
+		 * @param  {Process} proc The process that blocked.
+		 */
+		lend(proc) {
+			var name = proc.currBehavior.transfer;
+			if (typeof(name) !== "string") {
+				return;
+			}
+			var procList = this.sim.getProcList();
+			for (let i in procList) {
+				let to = procList[i];
+				if (to !== proc && to.pname === name && to.alive && to.schedClass === this) {
+					this.loans.push({from: proc, to: to, tickets: this.ownTickets(proc)});
+					return;
+				}
+			}
+		}
+
+		/**
+		 * Takes back the tickets that a process transferred while it was blocked, along with the loans of processes
+		 * that have exited since.
+		 * @param  {Process} proc The process that woke up.
+		 */
+		repay(proc) {
+			this.loans = this.loans.filter(loan => loan.from !== proc && loan.from.alive);
+		}
+
+		/**
+		 * Draws the process to run next.
+		 * @return {Process} The winner of the lottery.
+		 */
+		draw() {
+			var winner = Math.floor(this.sim.random() * this.totalTickets());
+			for (let proc of this.runqueue) {
+				winner -= this.ticketsOf(proc);
+				if (winner < 0) {
+					return proc;
+				}
+			}
+			return this.runqueue[this.runqueue.length - 1];
+		}
+
+		enqueue(proc) {
+			super.enqueue(proc);
+
+			/* Charge the running process before the shares change. */
+			var curr = this.sim.getCurr();
+			if (curr.schedClass === this && curr.onRq) {
+				this.updateCurr(curr);
+			}
+			this.repay(proc);
+
+			/* Processes that a lock protocol lends to this class don't have the fields of the class yet. */
+			if (proc.shareExpected === undefined) {
+				proc.shareExpected = 0;
+				proc.shareAchieved = 0;
+			}
+			if (this.members.indexOf(proc) < 0) {
+				this.members.push(proc);
+			}
+
+			proc.shareSlice = this.quantum;
+			this.runqueue.push(proc);
+		}
+
+		dequeue(proc) {
+			super.dequeue(proc);
+
+			/* Charge the running process while the shares are still the old ones. */
+			var curr = this.sim.getCurr();
+			if (curr.schedClass === this) {
+				this.updateCurr(curr);
+			}
+
+			for (let i = 0; i < this.runqueue.length; i++) {
+				if (this.runqueue[i] === proc) {
+					this.runqueue.splice(i, 1);
+					break;
+				}
+			}
+
+			if (!proc.runnable && proc.alive) {
+				this.lend(proc);
+			}
+		}
+
+		pickNext(prev) {
+			super.pickNext(prev);
+
+			/* Call putPrev and return a process. Just return null if the runqueue is empty. */
+			if (this.runqueue.length === 0) {
+				return null;
+			}
+
+			this.sim.putPrev(prev);
+			var picked = this.draw();
+
+			/* Log the start of task execution */
+			picked.updated = this.sim.time();
+			return picked;
+		}
+
+		putPrev(prev) {
+			super.putPrev(prev);
+
+			this.updateCurr(prev);
+			if (prev.shareSlice <= 0) {
+				prev.shareSlice = this.quantum;
+			}
+		}
+
+		checkPreempt(proc) {
+			super.checkPreempt(proc);
+
+			/* Decisions are only made at the end of a quantum. */
+		}
+
+		taskTick() {
+			super.taskTick();
+
+			/* Charge the running time, once the quantum runs out it's time for the next decision. */
+			var curr = this.sim.getCurr();
+			this.updateCurr(curr);
+			if (curr.shareSlice <= 0) {
+				this.sim.pickNext();
+			}
+		}
+
+		taskFork(proc) {
+			super.taskFork(proc);
+
+			this.checkProc(proc);
+		}
+
+		getClassStats() {
+			var res = super.getClassStats();
+
+			/* The shares are given in percent of the time that the processes of the class ran for. */
+			for (let proc of this.members) {
+				let expected = this.classTime > 0 ? proc.shareExpected / this.classTime * 100 : 0;
+				let achieved = this.classTime > 0 ? proc.shareAchieved / this.classTime * 100 : 0;
+				res.push([proc.pname + " (PID " + proc.pid + "): expected share %", expected]);
+				res.push([proc.pname + " (PID " + proc.pid + "): achieved share %", achieved]);
+			}
+
+			return res;
+		}
+	}
+
+	var name = "LotteryClass";
+	var lotteryClass = new LotteryClass(name);
+	Simulation.registerSchedClass(name, lotteryClass);
+
+	return LotteryClass;
+});
@@ -0,0 +1,400 @@
+(function(root, factory) {
+	if (typeof module !== "undefined" && module.exports) {
+		module.exports = factory(require("../SchedLinSim.js"));
+	} else {
+		root.MLFQClass = factory(root.SchedLinSim);
+	}
+}) (this, function(SchedLinSim) {
+	var Simulation = SchedLinSim.Simulation;
+	var SchedClass = SchedLinSim.SchedClass;
+
+	/**
+	 * An implementation of the multi-level feedback queue (MLFQ), the textbook scheduler for interactive systems. The
+	 * class has a number of round robin queues, ordered by priority. New processes start in the highest queue and move
+	 * down once they have used up the allotment of time of their queue, so the processes that run for long stretches
+	 * sink to the lower queues while the interactive ones stay on top. Every now and then all the processes get boosted
+	 * back to the highest queue, so that the ones at the bottom don't starve.
+	 * @extends SchedClass
+	 * @param {string} name "MLFQClass", the name that will be used to identify this scheduling class.
+	 */
+	class MLFQClass extends SchedClass {
+		constructor(name) {
+			super(name);
+		}
+
+		init(classParams) {
+			super.init();
+
+			/* Simulation settings */
+			this.queues = 3;					// number of queues (priority levels), 0 is the highest
+			this.quantum = null;				// time quantum of every level, 10ms on the highest, doubled on each lower
+			this.allotment = null;				// time a process can use on a level before it's demoted, one quantum
+			this.boostPeriod = 1000000000;		// period of the priority boost, 1s, -1 turns it off
+			this.keepOnBlock = false;			// whether blocking resets the allotment that a process used
+
+			/* load class parameters */
+			if (classParams !== undefined) {
+				if (classParams.queues !== undefined) {
+					if (!Number.isInteger(classParams.queues) || classParams.queues < 1) {
+						throw new Error("queues has to be a positive integer")
+					}
+					this.queues = classParams.queues;
+				}
+				if (classParams.quantum !== undefined) {
+					this.quantum = this.levelTimes(classParams.quantum, "quantum");
+				}
+				if (classParams.allotment !== undefined) {
+					this.allotment = this.levelTimes(classParams.allotment, "allotment");
+				}
+				if (classParams.boostPeriod !== undefined) {
+					let boostPeriod = classParams.boostPeriod === -1 ? -1 :
+						this.sim.handleSuffix(classParams.boostPeriod, "simulation configuration, class parameters, MLFQClass, boostPeriod");
+					if (boostPeriod <= 0 && boostPeriod !== -1) {
+						throw new Error("boostPeriod has to be a positive value or -1")
+					}
+					this.boostPeriod = boostPeriod;
+				}
+				if (classParams.keepOnBlock !== undefined) {
+					if (typeof(classParams.keepOnBlock) === "boolean") {
+						this.keepOnBlock = classParams.keepOnBlock;
+					} else {
+						throw new Error("keepOnBlock needs to be a boolean, instead found: " + classParams.keepOnBlock)
+					}
+				}
+			}
+			if (this.quantum === null) {
+				this.quantum = [];
+				for (let i = 0; i < this.queues; i++) {
+					this.quantum.push(10000000 * Math.pow(2, i));
+				}
+			}
+			if (this.allotment === null) {
+				this.allotment = this.quantum.slice();
+			}
+
+			/* Init runqueue, one round robin list for every level */
+			this.runqueue = {
+				count: 0,
+				rq: []
+			};
+			for (let i = 0; i < this.queues; i++) {
+				this.runqueue.rq.push([]);
+			}
+
+			/* Init statistics */
+			this.lastBoost = this.sim.time();	// time of the last priority boost
+			this.boosts = 0;					// number of priority boosts
+			this.demotions = 0;					// number of times a process moved down a level
+			this.levelTime = [];				// time that the processes ran for on each level
+			this.levelResidency = [];			// time that the processes spent runnable on each level
+			for (let i = 0; i < this.queues; i++) {
+				this.levelTime.push(0);
+				this.levelResidency.push(0);
+			}
+
+			/* Add to processes the variables that will be used during scheduling
+			 * - mlfqLevel - the queue that the process is in, everyone starts on the highest one
+			 * - mlfqUsed - the time that the process ran for on its level, counted against the allotment
+			 * - mlfqSlice - the rest of the current time quantum
+			 * - mlfqEntered - the time that the process joined the queue of its level
+			 *  */
+			this.sim.modProc("mlfqLevel", 0, this.name);
+			this.sim.modProc("mlfqUsed", 0, this.name);
+			this.sim.modProc("mlfqSlice", this.quantum[0], this.name);
+			this.sim.modProc("mlfqEntered", 0, this.name);
+		}
+
+		classParamsTemplate() {
+			/* return an object with all possible class parameters */
+			var params = super.classParamsTemplate();
+
+			params.queues = 3;
+			params.quantum = [10000000, 20000000, 40000000];
+			params.allotment = [10000000, 20000000, 40000000];
+			params.boostPeriod = 1000000000;
+			params.keepOnBlock = false;
+
+			return params;
+	    }
+
+		getDescription() {
+			return "Multi-level feedback queue. The class has a number of queues, each with a priority level, and always\
+			runs a process from the highest queue that isn't empty. The processes within a queue take turns in round\
+			robin fashion, each for one time quantum of the queue. New processes start in the highest queue. Once a\
+			process has run for the allotment of its queue, it's demoted to the queue below, no matter how many times it\
+			gave up the CPU on the way. That way the processes that run for long stretches sink to the lower queues,\
+			which usually have longer quanta, while the interactive ones stay on top and get to run soon after they\
+			wake up. To keep the processes at the bottom from starving, all the processes are boosted back to the highest\
+			queue every boost period.\n\
+			The statistics show the time that the processes were resident on each level, waiting in its queue or\
+			running, and the CPU time that they got there.\n\
+			This class does not use process priorities.\n\n\
+			Accepted parameters:\n\
+			queues: the number of queues.\n\
+			quantum: the time quantum, either one for all the levels or an array with one for each level, from the\
+			highest to the lowest. Defaults to 10ms on the highest level, doubled on each lower one.\n\
+			allotment: the time that a process may run for on a level before it's demoted, one for all the levels or an\
+			array like quantum. Defaults to one quantum of the level.\n\
+			boostPeriod: the time between two priority boosts, -1 turns them off.\n\
+			keepOnBlock: boolean, if true a process that blocks before it used up its allotment keeps its level and\
+			starts with the full allotment again when it wakes up. This is the older rule that a process can game by\
+			blocking just before its allotment runs out.";
+		}
+
+		/**
+		 * Converts the time parameter of the levels to an array with one time for each level.
+		 * @param  {(number|string|Array)} param The parameter, a single time or an array of them.
+		 * @param  {string} name The name of the parameter.
+		 * @return {number[]} The times of the levels, from the highest to the lowest.
+		 */
+		levelTimes(param, name) {
+			var location = "simulation configuration, class parameters, MLFQClass, " + name;
+			var times;
+			if (param instanceof Array) {
+				if (param.length !== this.queues) {
+					throw new Error(name + " needs one time for each of the " + this.queues + " queues, found " + param.length)
+				}
+				times = param.map((time, i) => this.sim.handleSuffix(time, location + "[" + i + "]"));
+			} else {
+				let time = this.sim.handleSuffix(param, location);
+				times = [];
+				for (let i = 0; i < this.queues; i++) {
+					times.push(time);
+				}
+			}
+			for (let time of times) {
+				if (typeof(time) !== "number" || time <= 0) {
+					throw new Error(name + " has to be a positive value, found: " + time)
+				}
+			}
+			return times;
+		}
+
+		/**
+		 * Charges the time that a process ran since it was last updated to its quantum, to the allotment of its level
+		 * and to the statistics of the level.
+		 * @param  {Process} curr The running (or just descheduled) process of the class.
+		 */
+		updateCurr(curr) {
+			var now = this.sim.time();
+			var delta = now - curr.updated;
+			if (delta <= 0) {
+				return;
+			}
+			curr.updated = now;
+			curr.mlfqSlice -= delta;
+			curr.mlfqUsed += delta;
+			this.levelTime[curr.mlfqLevel] += delta;
+		}
+
+		/**
+		 * Checks whether a process has used up the allotment of its level and should move a level down. The processes
+		 * on the lowest level stay there.
+		 * @param  {Process} proc The process.
+		 * @return {boolean} True if the process should be demoted.
+		 */
+		usedAllotment(proc) {
+			return proc.mlfqLevel < this.queues - 1 && proc.mlfqUsed >= this.allotment[proc.mlfqLevel];
+		}
+
+		/**
+		 * Moves a process one level down, with a fresh allotment.
+		 * @param  {Process} proc The process.
+		 */
+		demote(proc) {
+			proc.mlfqLevel++;
+			proc.mlfqUsed = 0;
+			this.demotions++;
+		}
+
+		/**
+		 * Returns the first process of the highest level that isn't empty.
+		 * @return {Process} The process, null if the runqueue is empty.
+		 */
+		first() {
+			for (let i = 0; i < this.runqueue.rq.length; i++) {
+				if (this.runqueue.rq[i].length > 0) {
+					return this.runqueue.rq[i][0];
+				}
+			}
+			return null;
+		}
+
+		/**
+		 * Moves all the processes of the class, the blocked ones too, back to the highest level if a boost period has
+		 * passed since the last boost.
+		 * @return {boolean} True if the processes were boosted.
+		 */
+		boost() {
+			var now = this.sim.time();
+			if (this.boostPeriod === -1 || now - this.lastBoost < this.boostPeriod) {
+				return false;
+			}
+			this.lastBoost += Math.floor((now - this.lastBoost) / this.boostPeriod) * this.boostPeriod;
+			this.boosts++;
+
+			var procList = this.sim.getProcList();
+			for (let i in procList) {
+				let proc = procList[i];
+				if (proc.schedClass !== this || !proc.alive || proc.mlfqLevel === undefined) {
+					continue;
+				}
+				if (proc.onRq) {
+					this.dequeue(proc);
+					proc.mlfqLevel = 0;
+					proc.mlfqUsed = 0;
+					this.enqueue(proc);
+				} else {
+					proc.mlfqLevel = 0;
+					proc.mlfqUsed = 0;
+				}
+			}
+			return true;
+		}
+
+		enqueue(proc) {
+			super.enqueue(proc);
+
+			/* Processes that a lock protocol lends to this class start on the highest level. */
+			if (proc.mlfqLevel === undefined) {
+				proc.mlfqLevel = 0;
+				proc.mlfqUsed = 0;
+			}
+
+			/* A fresh time quantum for every process that joins a queue. */
+			proc.mlfqSlice = this.quantum[proc.mlfqLevel];
+			proc.mlfqEntered = this.sim.time();
+			this.runqueue.rq[proc.mlfqLevel].push(proc);
+			this.runqueue.count++;
+		}
+
+		dequeue(proc) {
+			super.dequeue(proc);
+
+			var list = this.runqueue.rq[proc.mlfqLevel];
+			for (let i = 0; i < list.length; i++) {
+				if (list[i] === proc) {
+					list.splice(i, 1);
+					break;
+				}
+			}
+			this.runqueue.count--;
+
+			/* The running process stays in its queue, so the process was resident on the level, waiting or running, for
+			 * all the time since it joined the queue. */
+			this.levelResidency[proc.mlfqLevel] += this.sim.time() - proc.mlfqEntered;
+
+			/* The process blocked, charge its last run before deciding about its level. */
+			if (!proc.runnable && proc.alive) {
+				if (proc === this.sim.getCurr()) {
+					this.updateCurr(proc);
+				}
+				if (this.usedAllotment(proc)) {
+					this.demote(proc);
+				} else if (this.keepOnBlock) {
+					proc.mlfqUsed = 0;
+				}
+			}
+		}
+
+		pickNext(prev) {
+			super.pickNext(prev);
+
+			/* Call putPrev and return a process. Just return null if the runqueue is empty. */
+			if (this.runqueue.count === 0) {
+				return null;
+			}
+
+			this.sim.putPrev(prev);
+			var picked = this.first();
+
+			/* Log the start of task execution */
+			picked.updated = this.sim.time();
+			return picked;
+		}
+
+		putPrev(prev) {
+			super.putPrev(prev);
+
+			this.updateCurr(prev);
+
+			/* A process that used up its allotment moves to the back of the level below, one that used up its quantum
+			 * to the back of its own level. A preempted one stays at the front, where it was picked from. */
+			if (prev.onRq && (this.usedAllotment(prev) || prev.mlfqSlice <= 0)) {
+				this.dequeue(prev);
+				if (this.usedAllotment(prev)) {
+					this.demote(prev);
+				}
+				this.enqueue(prev);
+			}
+		}
+
+		checkPreempt(proc) {
+			super.checkPreempt(proc);
+
+			var curr = this.sim.getCurr();
+			if (curr.mlfqLevel > proc.mlfqLevel) {
+				/* Current process is on a lower level than the new one, preempt. */
+				this.sim.pickNext();
+			}
+		}
+
+		taskTick() {
+			super.taskTick();
+
+			/* Charge the running time. Reschedule if the quantum or the allotment ran out. */
+			var curr = this.sim.getCurr();
+			this.updateCurr(curr);
+			if (curr.mlfqSlice <= 0 || this.usedAllotment(curr)) {
+				this.sim.pickNext();
+			}
+		}
+
+		classTick() {
+			super.classTick();
+
+			/* Charge our running process on its old level before the boost. */
+			var curr = this.sim.getCurr();
+			if (curr.schedClass === this) {
+				this.updateCurr(curr);
+			}
+
+			/* After a boost, the order of the queues has changed, the first process might need to run. */
+			if (this.boost() && this.runqueue.count > 0) {
+				if (curr.schedClass === this) {
+					this.sim.pickNext();
+				} else {
+					this.sim.checkPreempt(this.first());
+				}
+			}
+		}
+
+		getClassStats() {
+			var res = super.getClassStats();
+
+			/* The processes that are still in the queues are counted up to now. */
+			var residency = this.levelResidency.slice();
+			for (let i = 0; i < this.queues; i++) {
+				for (let proc of this.runqueue.rq[i]) {
+					residency[i] += this.sim.time() - proc.mlfqEntered;
+				}
+			}
+			for (let i = 0; i < this.queues; i++) {
+				res.push(["Time resident on level " + i, residency[i]]);
+			}
+			for (let i = 0; i < this.queues; i++) {
+				res.push(["CPU time on level " + i, this.levelTime[i]]);
+			}
+			res.push(["Demotions", this.demotions]);
+			res.push(["Priority boosts", this.boosts]);
+
+			return res;
+		}
+	}
+
+	var name = "MLFQClass";
+	var mlfqClass = new MLFQClass(name);
+	Simulation.registerSchedClass(name, mlfqClass);
+
+	return MLFQClass;
+});
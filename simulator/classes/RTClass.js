@@ -0,0 +1,367 @@
+(function(root, factory) {
+	if (typeof module !== "undefined" && module.exports) {
+		module.exports = factory(require("../SchedLinSim.js"));
+	} else {
+		root.RTClass = factory(root.SchedLinSim);
+	}
+}) (this, function(SchedLinSim) {
+	var Simulation = SchedLinSim.Simulation;
+	var SchedClass = SchedLinSim.SchedClass;
+
+	/**
+	 * An implementation of the real-time scheduling class of the Linux kernel, which schedules the processes with the
+	 * SCHED_FIFO and SCHED_RR policies. Processes are picked strictly by their static priority, a FIFO process runs
+	 * until it blocks or a process of higher priority appears, while round robin processes of the same priority take
+	 * turns in timeslices. RT throttling limits the time that the class can use in every period, so that the processes
+	 * of lower classes are not starved forever by a runaway real-time process.
+	 *
+	 * Process definitions give priorities as the sched_priority of the kernel, from 1 (lowest) to 99 (highest). Like
+	 * the kernel, the class turns them into internal priorities with prio = 99 - sched_priority, so that the processes
+	 * run on levels 0 (highest) to 98 (lowest) and a lower number means a higher priority, as it does for the rest of
+	 * the simulator. Process.currBehavior.priority holds the internal value.
+	 * @extends SchedClass
+	 * @param {string} name "RTClass", the name that will be used to identify this scheduling class.
+	 */
+	class RTClass extends SchedClass {
+		constructor(name) {
+			super(name);
+		}
+
+		init(classParams) {
+			super.init();
+
+			/* Init runqueue, one list for each of the 100 internal priority levels and a bitmap of the non-empty ones */
+			this.runqueue = {
+				bitmap: [],
+				count: 0,
+				rq: []
+			};
+			for (let i = 0; i < 100; i++) {
+				this.runqueue.bitmap.push(false);
+				this.runqueue.rq.push([]);
+			}
+
+			/* Simulation settings, the defaults are the ones of the kernel */
+			this.rtPolicy = "fifo";						// policy of the processes that don't choose one themselves
+			this.schedRrTimeslice = 100000000;			// sched_rr_timeslice_ms, 100ms
+			this.schedRtRuntime = 950000000;			// sched_rt_runtime_us, 950ms, -1 turns off throttling
+			this.schedRtPeriod = 1000000000;			// sched_rt_period_us, 1s
+
+			/* load class parameters */
+			if (classParams !== undefined) {
+				if (classParams.rtPolicy !== undefined) {
+					if (classParams.rtPolicy !== "fifo" && classParams.rtPolicy !== "rr") {
+						throw new Error("rtPolicy has to be either \"fifo\" or \"rr\"")
+					}
+					this.rtPolicy = classParams.rtPolicy;
+				}
+				if (classParams.schedRrTimeslice !== undefined) {
+					let schedRrTimeslice = this.sim.handleSuffix(classParams.schedRrTimeslice, "simulation configuration, class parameters, RTClass, schedRrTimeslice");
+					if (schedRrTimeslice <= 0) {
+						throw new Error("schedRrTimeslice has to be a positive value")
+					}
+					this.schedRrTimeslice = schedRrTimeslice;
+				}
+				if (classParams.schedRtPeriod !== undefined) {
+					let schedRtPeriod = this.sim.handleSuffix(classParams.schedRtPeriod, "simulation configuration, class parameters, RTClass, schedRtPeriod");
+					if (schedRtPeriod <= 0) {
+						throw new Error("schedRtPeriod has to be a positive value")
+					}
+					this.schedRtPeriod = schedRtPeriod;
+				}
+				if (classParams.schedRtRuntime !== undefined) {
+					let schedRtRuntime = classParams.schedRtRuntime === -1 ? -1 :
+						this.sim.handleSuffix(classParams.schedRtRuntime, "simulation configuration, class parameters, RTClass, schedRtRuntime");
+					if (schedRtRuntime < 0 && schedRtRuntime !== -1) {
+						throw new Error("schedRtRuntime has to be a positive value or -1")
+					}
+					this.schedRtRuntime = schedRtRuntime;
+				}
+			}
+			if (this.schedRtRuntime > this.schedRtPeriod) {
+				throw new Error("schedRtRuntime can't be longer than schedRtPeriod")
+			}
+
+			/* Throttling state of the current period */
+			this.periodStart = this.sim.time();		// start of the current period
+			this.rtTime = 0;						// time that our processes ran in the current period
+			this.throttled = false;					// whether our processes have used up their runtime
+			this.throttledSince = 0;				// time at which the class was last throttled
+			this.throttledCount = 0;				// number of times the class was throttled
+			this.throttledTime = 0;					// total time spent throttled, excluding the current throttling
+
+			/* Make sure that our processes have valid policies, their priorities were checked when they were created */
+			var procList = this.sim.getProcList();
+			for (let i in procList) {
+				if (procList[i].policy === this.name) {
+					this.checkProc(procList[i]);
+				}
+			}
+
+			/* Add round robin timeslices and runqueue levels to the processes */
+			this.sim.modProc("rtTimeSlice", this.schedRrTimeslice, this.name);
+			this.sim.modProc("rtLevel", null, this.name);
+		}
+
+		classParamsTemplate() {
+			/* return an object with all possible class parameters */
+			var params = super.classParamsTemplate();
+
+			params.rtPolicy = "fifo";
+			params.schedRrTimeslice = 100000000;
+			params.schedRtRuntime = 950000000;
+			params.schedRtPeriod = 1000000000;
+
+			return params;
+	    }
+
+		getDescription() {
+			return "The real-time scheduling class of the Linux kernel, with the SCHED_FIFO and SCHED_RR policies. It\
+			has 99 priority levels, each with its own runqueue, and always runs the first process of the highest\
+			non-empty level. As with sched_priority in the kernel, priorities in process definitions go from 1 (lowest)\
+			to 99 (highest). Internally, and in the priorities that the simulator reports, the class uses the kernel's\
+			prio = 99 - sched_priority instead, where 0 is the highest priority and 98 the lowest. A FIFO process runs\
+			until it blocks or is preempted by a process of higher priority, a round robin process is also moved to the\
+			back of its level once it uses up its timeslice. The policy of a process can be chosen with the \"rtPolicy\"\
+			field (\"fifo\" or \"rr\") of the custom object in its definition. As in the kernel, this class should be\
+			placed above LinuxFairClass in classPrio.\n\
+			To keep a runaway real-time process from starving the rest of the system, the class is throttled once its\
+			processes run for schedRtRuntime in a period of schedRtPeriod. Lower classes then run until the next period\
+			begins.\n\n\
+			Accepted parameters:\n\
+			rtPolicy: the policy of the processes that don't choose one themselves, \"fifo\" (default) or \"rr\".\n\
+			schedRrTimeslice: the length of the timeslice of round robin processes.\n\
+			schedRtRuntime: the time that real-time processes may run in each period, -1 turns throttling off.\n\
+			schedRtPeriod: the length of the throttling period.";
+		}
+
+		/**
+		 * Turns the sched_priority from a process definition, 1 (lowest) to 99 (highest), into the internal priority
+		 * of the class, 0 (highest) to 98 (lowest).
+		 * @param  {number} priority The sched_priority.
+		 * @param  {string} where The process or template that the priority belongs to.
+		 * @return {number} The internal priority.
+		 */
+		definitionPriority(priority, where) {
+			if (!Number.isInteger(priority) || priority < 1 || priority > 99) {
+				throw new Error("the " + where + " has a priority of " + priority +
+				", allowed values are from 1 (lowest priority) to 99 (highest priority).")
+			}
+			return 99 - priority;
+		}
+
+		/**
+		 * Checks the policy of a process that belongs to the class. Its priorities were checked when the process was
+		 * created, see definitionPriority.
+		 * @param  {Process} proc The process.
+		 */
+		checkProc(proc) {
+			if (proc.rtPolicy !== undefined && proc.rtPolicy !== "fifo" && proc.rtPolicy !== "rr") {
+				throw new Error("the process with PID " + proc.pid + " has an rtPolicy of \"" + proc.rtPolicy +
+				"\", allowed values are \"fifo\" and \"rr\".")
+			}
+		}
+
+		/**
+		 * Returns the policy that a process is scheduled with.
+		 * @param  {Process} proc The process.
+		 * @return {string} Either "fifo" or "rr".
+		 */
+		policyOf(proc) {
+			return proc.rtPolicy !== undefined ? proc.rtPolicy : this.rtPolicy;
+		}
+
+		/**
+		 * Charges the time that a process ran since it was last updated to its timeslice and to the runtime of the
+		 * class, and throttles the class once it has used up its runtime for the period.
+		 * @param  {Process} curr The running (or just descheduled) process of the class.
+		 */
+		updateCurr(curr) {
+			var now = this.sim.time();
+			var delta = now - curr.updated;
+			if (delta <= 0) {
+				return;
+			}
+			curr.updated = now;
+			curr.rtTimeSlice -= delta;
+
+			if (this.schedRtRuntime >= 0) {
+				this.rtTime += delta;
+				if (!this.throttled && this.rtTime > this.schedRtRuntime) {
+					this.throttled = true;
+					this.throttledSince = now;
+					this.throttledCount++;
+				}
+			}
+		}
+
+		/**
+		 * Starts a new period if the current one is over, refilling the runtime of the class.
+		 * @return {boolean} True if the class was throttled and may run again.
+		 */
+		replenish() {
+			var now = this.sim.time();
+			if (now - this.periodStart < this.schedRtPeriod) {
+				return false;
+			}
+
+			/* The time over the runtime is carried over to the new period, as the kernel does. */
+			var overrun = Math.floor((now - this.periodStart) / this.schedRtPeriod);
+			this.periodStart += overrun * this.schedRtPeriod;
+			if (this.schedRtRuntime >= 0) {
+				this.rtTime = Math.max(0, this.rtTime - overrun * this.schedRtRuntime);
+			}
+
+			if (this.throttled && this.rtTime < this.schedRtRuntime) {
+				this.throttled = false;
+				this.throttledTime += now - this.throttledSince;
+				return true;
+			}
+			return false;
+		}
+
+		/**
+		 * Returns the first process of the highest priority level that isn't empty.
+		 * @return {Process} The process, null if the runqueue is empty.
+		 */
+		first() {
+			for (let i = 0; i < this.runqueue.bitmap.length; i++) {
+				if (this.runqueue.bitmap[i]) {
+					return this.runqueue.rq[i][0];
+				}
+			}
+			return null;
+		}
+
+		enqueue(proc) {
+			super.enqueue(proc);
+
+			/* Processes that a lock protocol lends to this class don't have a timeslice of their own yet. */
+			if (proc.rtTimeSlice === undefined) {
+				proc.rtTimeSlice = this.schedRrTimeslice;
+			}
+
+			/* Remember the level, the priority of the process can change while it's running. */
+			var listNo = proc.currBehavior.priority;
+			proc.rtLevel = listNo;
+			this.runqueue.rq[listNo].push(proc);
+			this.runqueue.bitmap[listNo] = true;
+			this.runqueue.count++;
+		}
+
+		dequeue(proc) {
+			super.dequeue(proc);
+
+			var listNo = proc.rtLevel;
+			var list = this.runqueue.rq[listNo];
+			for (let i = 0; i < list.length; i++) {
+				if (list[i] === proc) {
+					list.splice(i, 1);
+					break;
+				}
+			}
+			if (list.length < 1) {
+				this.runqueue.bitmap[listNo] = false;
+			}
+			this.runqueue.count--;
+		}
+
+		pickNext(prev) {
+			super.pickNext(prev);
+
+			/* Charge the time of our previous process first, it could have used up the runtime of the class. */
+			if (prev.schedClass === this) {
+				this.updateCurr(prev);
+			}
+			this.replenish();
+
+			/* Just return null without putPrev call if we're throttled or have nothing to run. */
+			if (this.throttled || this.runqueue.count === 0) {
+				return null;
+			}
+
+			this.sim.putPrev(prev);
+			var picked = this.first();
+
+			/* Log the start of task execution */
+			picked.updated = this.sim.time();
+			return picked;
+		}
+
+		putPrev(prev) {
+			super.putPrev(prev);
+
+			this.updateCurr(prev);
+
+			/* A round robin process that used up its timeslice moves to the back of its priority level, a FIFO one
+			 * stays at the front, where it was picked from. */
+			if (prev.onRq && this.policyOf(prev) === "rr" && prev.rtTimeSlice <= 0) {
+				prev.rtTimeSlice = this.schedRrTimeslice;
+				this.dequeue(prev);
+				this.enqueue(prev);
+			}
+		}
+
+		checkPreempt(proc) {
+			super.checkPreempt(proc);
+
+			var curr = this.sim.getCurr();
+			if (curr.currBehavior.priority > proc.currBehavior.priority) {
+				/* Current process has lower priority (higher internal number means lower priority) than the new one,
+				 * preempt. */
+				this.sim.pickNext();
+			}
+		}
+
+		taskTick() {
+			super.taskTick();
+
+			/* Charge the running time. Reschedule if the class got throttled or a round robin timeslice ran out. */
+			var curr = this.sim.getCurr();
+			this.updateCurr(curr);
+			if (this.throttled || (this.policyOf(curr) === "rr" && curr.rtTimeSlice <= 0)) {
+				this.sim.pickNext();
+			}
+		}
+
+		classTick() {
+			super.classTick();
+
+			/* Charge our running process before a new period begins. */
+			var curr = this.sim.getCurr();
+			if (curr.schedClass === this) {
+				this.updateCurr(curr);
+			}
+
+			/* Once the throttling is over, our first process preempts whatever lower class process is running. */
+			if (this.replenish() && this.runqueue.count > 0) {
+				this.sim.checkPreempt(this.first());
+			}
+		}
+
+		taskFork(proc) {
+			super.taskFork(proc);
+
+			this.checkProc(proc);
+		}
+
+		getClassStats() {
+			var res = super.getClassStats();
+
+			var throttledTime = this.throttledTime;
+			if (this.throttled) {
+				throttledTime += this.sim.time() - this.throttledSince;
+			}
+			res.push(["Times throttled", this.throttledCount]);
+			res.push(["Time throttled", throttledTime]);
+
+			return res;
+		}
+	}
+
+	var name = "RTClass";
+	var rtClass = new RTClass(name);
+	Simulation.registerSchedClass(name, rtClass);
+
+	return RTClass;
+});
@@ -0,0 +1,112 @@
+(function(root, factory) {
+	if (typeof module !== "undefined" && module.exports) {
+		module.exports = factory(require("../SchedLinSim.js"), require("./LotteryClass.js"));
+	} else {
+		root.StrideClass = factory(root.SchedLinSim, root.LotteryClass);
+	}
+}) (this, function(SchedLinSim, LotteryClass) {
+	var Simulation = SchedLinSim.Simulation;
+
+	/**
+	 * An implementation of stride scheduling, the deterministic counterpart of lottery scheduling. It shares the
+	 * tickets, the ticket transfer and inflation and the statistics with {@link LotteryClass}, but instead of drawing a
+	 * winner it runs the process with the lowest pass. The pass of a process grows by its stride, which is inversely
+	 * proportional to its tickets, for every quantum that it runs.
+	 * @extends LotteryClass
+	 * @param {string} name "StrideClass", the name that will be used to identify this scheduling class.
+	 */
+	class StrideClass extends LotteryClass {
+		constructor(name) {
+			super(name);
+		}
+
+		init(classParams) {
+			super.init(classParams);
+
+			/* The stride of a process with a single ticket, the strides of the others are this divided by their tickets */
+			this.strideOne = 10000;
+			/* The pass of the whole class, it grows by the stride of all the runnable tickets together. Processes that
+			 * join the runqueue are placed relative to it. */
+			this.globalPass = 0;
+
+			/* Add to processes the variables that will be used during scheduling
+			 * - stridePass - the pass of the process, the one with the lowest runs next
+			 * - strideRemain - the distance of the pass from the global pass, kept while the process is blocked
+			 *  */
+			this.sim.modProc("stridePass", 0, this.name);
+			this.sim.modProc("strideRemain", 0, this.name);
+		}
+
+		getDescription() {
+			return "Stride scheduling, the deterministic counterpart of lottery scheduling. Every process holds a number\
+			of tickets and has a stride, a large constant divided by its tickets. The class runs the process with the\
+			lowest pass for a quantum and then adds its stride to its pass (or the part of it that corresponds to the\
+			part of the quantum that it used), so each process gets a share of the CPU proportional to its tickets,\
+			without the randomness of the lottery. A process that blocks keeps the distance of its pass from the pass\
+			of the class and is placed at the same distance when it wakes up, so sleeping earns it no extra time.\n\
+			The tickets of a process are given by the \"tickets\" field of its custom object, otherwise by its priority,\
+			which is a \"nice\" value from -20 to 19 that maps to the same weights as in LinuxFairClass (1024 tickets at\
+			0). A behavior entry can change the tickets of a process with a \"tickets\" field (ticket inflation) and\
+			give them to another process of the class while it's blocked, with a \"transfer\" field that names the\
+			other process (ticket transfer). The class statistics compare the share of the CPU time of the class that\
+			each process should have got to the one it got.\n\n\
+			Accepted parameters:\n\
+			quantum: the time that a process runs for before the next decision.";
+		}
+
+		/**
+		 * Charges the time that a process ran to its pass and to the pass of the class, on top of what
+		 * {@link LotteryClass} charges.
+		 * @param  {Process} curr The running (or just descheduled) process of the class.
+		 * @return {number} The time that was charged.
+		 */
+		updateCurr(curr) {
+			var delta = super.updateCurr(curr);
+			if (delta > 0) {
+				curr.stridePass += delta / this.quantum * this.strideOne / this.ticketsOf(curr);
+				let total = this.totalTickets();
+				if (total > 0) {
+					this.globalPass += delta / this.quantum * this.strideOne / total;
+				}
+			}
+			return delta;
+		}
+
+		/**
+		 * Picks the process with the lowest pass. Processes with the same pass run in the order in which they joined
+		 * the runqueue.
+		 * @return {Process} The process to run.
+		 */
+		draw() {
+			var picked = this.runqueue[0];
+			for (let proc of this.runqueue) {
+				if (proc.stridePass < picked.stridePass) {
+					picked = proc;
+				}
+			}
+			return picked;
+		}
+
+		enqueue(proc) {
+			super.enqueue(proc);
+
+			/* Processes that a lock protocol lends to this class start at the pass of the class. */
+			if (proc.strideRemain === undefined) {
+				proc.strideRemain = 0;
+			}
+			proc.stridePass = this.globalPass + proc.strideRemain;
+		}
+
+		dequeue(proc) {
+			super.dequeue(proc);
+
+			proc.strideRemain = proc.stridePass - this.globalPass;
+		}
+	}
+
+	var name = "StrideClass";
+	var strideClass = new StrideClass(name);
+	Simulation.registerSchedClass(name, strideClass);
+
+	return StrideClass;
+});
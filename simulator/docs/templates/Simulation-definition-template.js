@@ -39,6 +39,18 @@ var SimulationDefinitionTemplate = {
 	 * classes. Every process can define its own scheduling policy, so this field is only required when a process with
 	 * no policy definition exists. */
 	"policy": "RoundClass",
+	/* The number of simulated CPUs. Every CPU runs its own process, has its own timer and its own instance of each
+	 * scheduling class. Processes are placed on the least busy CPU when they spawn and stay there. Optional, defaults
+	 * to 1, integer > 0. */
+	"cpus": 1,
+	/* The time that a CPU spends switching to a different process. During a switch the CPU runs neither the previous
+	 * nor the next process, the time is reported as overhead in the simulation results. Optional, defaults to 0, which
+	 * makes switches free, >= 0. Can be an interval or a distribution, as the values in process behaviors. */
+	"contextSwitchCost": "3us",
+	/* The seed of the random number generator that picks values from ranges in process definitions. Runs with the
+	 * same definition and the same seed produce identical results. Optional, integer or string, a random seed is
+	 * chosen when omitted. The seed that was used is reported in the simulation results. */
+	"seed": 12345,
 	/* The simulation description. Optional. */
 	"description" : "An example simulation definition.",
 
@@ -47,7 +59,7 @@ var SimulationDefinitionTemplate = {
 	 * of multiple scheduling classes exist in the simulation, then this list can be used to set the priority of the
 	 * classes, in descending priority order. If it is not set, the default class order will be used. This list does
 	 * not need to contain all the used classes either, but the ones it does will get higher priority. Optional. */
-	"classPrio": ["FCFSClass", "RoundClass"],
+	"classPrio": ["DeadlineClass", "FCFSClass", "RoundClass"],
 
 	/* Scheduling class parameters. These differ from class to class and are ususally explained in scheduling class
 	 * descriptions. Default parameters can be obtained from a class by calling its SchedClass.classParamsTemplate()
@@ -64,6 +76,58 @@ var SimulationDefinitionTemplate = {
 		}
 	},
 
+	/* I/O devices, shared by all the CPUs. Instead of blocking for a given time, processes can block on a device with a
+	 * request. The device serves one request at a time, the rest wait in its queue, so processes that use the same
+	 * device slow each other down. Each device is given by its name and the following fields:
+	 * - service: the time that every request takes, precise, random or a distribution
+	 * - bandwidth: the amount of data transferred per second, adds the transfer time to requests that have a size
+	 * - discipline: the order of serving waiting requests, "fifo" (default), "sjf" (shortest first) or "priority"
+	 *   (processes with lower priority values first)
+	 * At least one of service and bandwidth is required. Optional. */
+	"devices": {
+		"disk": {
+			"service": ["50us", "200us"],
+			"bandwidth": "100MB/s",
+			"discipline": "fifo"
+		}
+	},
+
+	/* Locks that processes can take in their behaviors, shared by all the CPUs. Each lock is given by its name and
+	 * the following fields:
+	 * - type: "mutex" (default), "semaphore" or "condition"
+	 * - count: the number of processes that can hold a semaphore at the same time, integer > 0, semaphores only
+	 * A process that wants a lock that is taken blocks until the lock is handed over to it. Conditions are never held,
+	 * processes wait on them until another process signals them. Optional. */
+	"locks": {
+		"buffer": {"type": "mutex"},
+		"slots": {"type": "semaphore", "count": 2},
+		"dataReady": {"type": "condition"}
+	},
+	/* The protocol that fights priority inversion on mutexes, when a process of high priority waits for a lock that a
+	 * process of low priority holds:
+	 * - "none": the holder keeps its own priority (default)
+	 * - "inheritance": the holder runs with the priority and the scheduling class of the most important process that
+	 *   waits for its locks
+	 * - "ceiling": the holder runs with the highest priority of all the processes that ever take the lock
+	 * Priorities are compared by scheduling class first, in the classPrio order, then by priority value, lower values
+	 * meaning higher priority. Optional. */
+	"lockProtocol": "inheritance",
+
+	/* Control groups that processes can be assigned to, shared by all the CPUs. Groups form a tree like the cgroups of
+	 * Linux, each is given by its path, which names its parent group too, and the following fields:
+	 * - weight: the "cpu.weight" of the group, integer from 1 to 10000, 100 by default
+	 * - shares: the "cpu.shares" of the group, integer from 2 to 262144, 1024 by default, instead of the weight
+	 * - quota: the time that the processes of the group may run for in every period, on all the CPUs together, like
+	 *   the first value of "cpu.max", precise, >= 1ms, unlimited by default
+	 * - period: the length of the period of the quota, precise, from 1ms to 1s, 100ms by default
+	 * Classes that support groups (LinuxFairClass) divide the CPU between the groups of the same parent by their
+	 * weights first and between the processes of each group second, and throttle a group that used up its quota until
+	 * the next period. Parents that aren't listed get the default weight and no quota. Optional. */
+	"groups": {
+		"/users/alice": {"weight": 100},
+		"/users/bob": {"weight": 200, "quota": "20ms", "period": "100ms"}
+	},
+
 	/* PROCESS DEFINITIONS ------------------------------------------------------------------------------------------ */
 
 	/* Process definitions are given in the form of an array of objects, where each object represents a process. Every
@@ -82,6 +146,12 @@ var SimulationDefinitionTemplate = {
 			 * change the scheduling class for this particular process to a different one, as it does here. Valid values
 			 * are the names of registered scheduling classes. */
 			"policy": "FCFSClass",
+			/* The CPU that the process is pinned to. Pinned processes always run on the given CPU, the rest are placed
+			 * on the least busy CPU when they spawn. Optional, integer from 0 to cpus - 1. */
+			"cpu": 0,
+			/* The control group that the process belongs to, given by its path. Optional, "/" (the root group) by
+			 * default. */
+			"group": "/users/alice",
 
 			/* The process behavior list. Behaviors define how a process will function during its lifetime via 3
 			 * different values:
@@ -116,8 +186,8 @@ var SimulationDefinitionTemplate = {
 				 *   at least this many times. Precise or random.
 				 *
 				 * Exactly one behavior switch condition must be present on behavior entries beyond the first one.
-				 * At least one behavior update field (run, block, priority) must be defined on behavior entries beyond
-				 * the first one. */
+				 * At least one behavior update field (run, block, priority or one of the lock fields shown in
+				 * Process D and Process E) must be defined on behavior entries beyond the first one. */
 				{
 					/* The process will switch to this behavior when it gets picked to run after the simulation has run
 					 * for at least 5ms. */
@@ -166,11 +236,159 @@ var SimulationDefinitionTemplate = {
 					"execCnt": 3,
 					/* This behavior entry updates both the process's run time and block time. */
 					"run": "10ms",
-					"block": "2ms"
+					/* Anywhere an interval is allowed, a value can also be drawn from a distribution, given as an
+					 * object with the distribution name in the "dist" field and its parameters in the rest:
+					 * - uniform: "min", "max"
+					 * - exponential: "mean"
+					 * - normal: "mean", "sd" (standard deviation)
+					 * - lognormal: "mean", "sd" of the values themselves
+					 * - pareto: "scale" (the lowest value), "shape"
+					 * - weibull: "scale", "shape"
+					 * - empirical: "samples", a list of values that get picked at random
+					 * - mixture (or bimodal): "components", a list of precise values, intervals or distributions,
+					 *   and optional "weights", a list of relative chances of picking each of the components
+					 * Times accept suffixes, shapes and weights are plain numbers. Any distribution can be truncated
+					 * with "min" and/or "max". The drawn values are rounded to whole nanoseconds and are never negative,
+					 * run and block times are at least 1. Spawn times and other offsets can be 0.
+					 * This process will usually block for a short time, but sometimes for much longer. */
+					"block": {"dist": "pareto", "scale": "500us", "shape": 1.5, "max": "20ms"}
+				}
+			]
+		},
+
+		/* A process that uses the disk defined above. */
+		{
+			"pname": "Process C",
+			"spawn": 0,
+			"behavior": [
+				{
+					"run": "200us",
+					/* Instead of a block time, this process makes requests of 4 to 64 KB to the disk and stays blocked
+					 * until the disk has served them. The request size is optional, it accepts the units B, KB, MB and
+					 * GB and can be random, like times. */
+					"block": {"device": "disk", "request": ["4KB", "64KB"]},
+					"priority": 0
+				}
+			]
+		},
+
+		/* A process that fills the buffer and tells the next one that it can use it. */
+		{
+			"pname": "Process D",
+			"spawn": 0,
+			"behavior": [
+				{
+					"run": "300us",
+					"block": "1ms",
+					"priority": 0,
+					/* Locks that the process takes every time it wakes up, in the given order. The locks are held
+					 * while it runs and released when it blocks. A single lock can be given without the array.
+					 * Mutexes and semaphores only. Optional. */
+					"acquire": ["slots", "buffer"],
+					/* Conditions that get signalled when the process blocks, waking up the most important process that
+					 * waits on each of them. "broadcast" works the same way, but wakes up all the waiting processes.
+					 * Optional. */
+					"signal": "dataReady"
+				}
+			]
+		},
+
+		/* A process that waits for the buffer to be filled. */
+		{
+			"pname": "Process E",
+			"spawn": 0,
+			"behavior": [
+				{
+					"run": "200us",
+					"block": "100us",
+					"priority": 0,
+					/* The condition that the process waits on every time it wakes up, before it takes any locks. Set
+					 * it to null in a later behavior to stop waiting. Optional. */
+					"wait": "dataReady",
+					"acquire": "buffer"
+				},
+				{
+					"execCnt": 5,
+					"acquire": ["slots", "buffer"],
+					/* Locks that are kept when the process blocks, to be released in a later burst. true keeps all
+					 * of them. Locks are always released when the process exits. Optional. */
+					"hold": ["slots"]
+				}
+			]
+		},
+
+		/* A process that starts workers and waits for them to finish, like a shell running a pipeline. */
+		{
+			"pname": "Process F",
+			"spawn": "1ms",
+			"behavior": [
+				{
+					"run": "100us",
+					"block": "2ms",
+					"priority": 0,
+					/* The children that the process forks at the end of every burst, from the templates below. Either
+					 * a template name, an object with the template and the number of children, or a list of them.
+					 * The number can be precise or random and is 1 if left out. Set "fork" to null in a later
+					 * behavior to stop forking. Optional. */
+					"fork": {"template": "worker", "count": [2, 4]},
+					/* When true, a process that has children that haven't exited yet doesn't wake up after its block
+					 * time. It stays blocked until the last of its children exits instead. Optional. */
+					"waitChildren": true
+				},
+				{
+					"execCnt": 3,
+					"fork": null,
+					"waitChildren": false
+				}
+			]
+		},
+
+		/* A periodic process with a reservation, scheduled earliest deadline first by DeadlineClass. */
+		{
+			"pname": "Process G",
+			"spawn": 0,
+			"policy": "DeadlineClass",
+			"behavior": [
+				{
+					"run": "150us",
+					"block": "850us",
+					"priority": 0,
+					/* The reservation of the process under DeadlineClass: it should get "runtime" in every "period",
+					 * before its relative "deadline". Either the deadline or the period can be left out, they then
+					 * default to each other. The times need to be precise. Other classes ignore these fields.
+					 * Optional. */
+					"runtime": "200us",
+					"deadline": "500us",
+					"period": "1ms"
 				}
 			]
 		}
-	]
+	],
+
+	/* PROCESS TEMPLATES -------------------------------------------------------------------------------------------- */
+
+	/* Templates that processes fork their children from while the simulation runs, given by their names. A template
+	 * is written like a process definition, but without the spawn time, as its children appear when they are forked.
+	 * Each child is named after the template ("pname", or the template name if there is none) and its PID. The PIDs of
+	 * children follow those of the processes above, in the order in which they are forked. Children are put into the
+	 * group of their parent, unless their template gives them a group of its own. Optional. */
+	"templates": {
+		"worker": {
+			"pname": "worker",
+			"behavior": [
+				{
+					"run": ["200us", "1ms"],
+					"block": "300us",
+					"priority": 0
+				},
+				/* Children need to exit at some point for their parents to stop waiting for them. */
+				{
+					"final": true,
+					"execCnt": [2, 5]
+				}
+			]
+		}
+	}
 }
 
 var SimulationDefinitionTemplateShort =
@@ -181,9 +399,12 @@ var SimulationDefinitionTemplateShort =
 	"simLen": "30ms",
 	"timerTickLen": "0.5ms",
 	"policy": "RoundClass",
+	"cpus": 1,
+	"contextSwitchCost": "3us",
+	"seed": 12345,
 	"description" : "An example simulation definition.",
 
-	"classPrio": ["FCFSClass", "RoundClass"],
+	"classPrio": ["DeadlineClass", "FCFSClass", "RoundClass"],
 
 	"classParams": {
 		"RoundClass": {
@@ -191,11 +412,33 @@ var SimulationDefinitionTemplateShort =
 		}
 	},
 
+	"devices": {
+		"disk": {
+			"service": ["50us", "200us"],
+			"bandwidth": "100MB/s",
+			"discipline": "fifo"
+		}
+	},
+
+	"locks": {
+		"buffer": {"type": "mutex"},
+		"slots": {"type": "semaphore", "count": 2},
+		"dataReady": {"type": "condition"}
+	},
+	"lockProtocol": "inheritance",
+
+	"groups": {
+		"/users/alice": {"weight": 100},
+		"/users/bob": {"weight": 200, "quota": "20ms", "period": "100ms"}
+	},
+
 	"processes": [
 		{
 			"pname": "Process A",
 			"spawn": [0, "800us"],
 			"policy": "FCFSClass",
+			"cpu": 0,
+			"group": "/users/alice",
 
 			"behavior": [
 				{
@@ -226,11 +469,103 @@ var SimulationDefinitionTemplateShort =
 				{
 					"execCnt": 3,
 					"run": "10ms",
-					"block": "2ms"
+					"block": {"dist": "pareto", "scale": "500us", "shape": 1.5, "max": "20ms"}
+				}
+			]
+		},
+		{
+			"pname": "Process C",
+			"spawn": 0,
+			"behavior": [
+				{
+					"run": "200us",
+					"block": {"device": "disk", "request": ["4KB", "64KB"]},
+					"priority": 0
+				}
+			]
+		},
+		{
+			"pname": "Process D",
+			"spawn": 0,
+			"behavior": [
+				{
+					"run": "300us",
+					"block": "1ms",
+					"priority": 0,
+					"acquire": ["slots", "buffer"],
+					"signal": "dataReady"
+				}
+			]
+		},
+		{
+			"pname": "Process E",
+			"spawn": 0,
+			"behavior": [
+				{
+					"run": "200us",
+					"block": "100us",
+					"priority": 0,
+					"wait": "dataReady",
+					"acquire": "buffer"
+				},
+				{
+					"execCnt": 5,
+					"acquire": ["slots", "buffer"],
+					"hold": ["slots"]
+				}
+			]
+		},
+		{
+			"pname": "Process F",
+			"spawn": "1ms",
+			"behavior": [
+				{
+					"run": "100us",
+					"block": "2ms",
+					"priority": 0,
+					"fork": {"template": "worker", "count": [2, 4]},
+					"waitChildren": true
+				},
+				{
+					"execCnt": 3,
+					"fork": null,
+					"waitChildren": false
+				}
+			]
+		},
+		{
+			"pname": "Process G",
+			"spawn": 0,
+			"policy": "DeadlineClass",
+			"behavior": [
+				{
+					"run": "150us",
+					"block": "850us",
+					"priority": 0,
+					"runtime": "200us",
+					"deadline": "500us",
+					"period": "1ms"
 				}
 			]
 		}
-	]
+	],
+
+	"templates": {
+		"worker": {
+			"pname": "worker",
+			"behavior": [
+				{
+					"run": ["200us", "1ms"],
+					"block": "300us",
+					"priority": 0
+				},
+				{
+					"final": true,
+					"execCnt": [2, 5]
+				}
+			]
+		}
+	}
 }
 
 
@@ -0,0 +1,30 @@
+/*
+ * @name index.js
+ * @fileOverview Node.js entry point of the SchedLinSim scheduling simulator. Loads the simulator core, the trace
+ * importer and exporter, and registers the bundled scheduling classes in the same order as the browser does.
+ * @author Jan Makovecki
+ * @version 1.0.0
+ */
+
+var SchedLinSim = require("./SchedLinSim.js");
+var TraceImport = require("./TraceImport.js");
+var TraceExport = require("./TraceExport.js");
+
+var classes = {
+    FCFSClass: require("./classes/FCFSClass.js"),
+    RoundClass: require("./classes/RoundClass.js"),
+    SJFClass: require("./classes/SJFClass.js"),
+    RLClass: require("./classes/RLClass.js"),
+    MLFQClass: require("./classes/MLFQClass.js"),
+    LotteryClass: require("./classes/LotteryClass.js"),
+    StrideClass: require("./classes/StrideClass.js"),
+    LinuxOriginalClass: require("./classes/LinuxOriginalClass.js"),
+    LinuxOnClass: require("./classes/LinuxOnClass.js"),
+    LinuxO1Class: require("./classes/LinuxO1Class.js"),
+    DeadlineClass: require("./classes/DeadlineClass.js"),
+    RTClass: require("./classes/RTClass.js"),
+    EEVDFClass: require("./classes/EEVDFClass.js"),
+    LinuxFairClass: require("./classes/LinuxFairClass.js")
+};
+
+module.exports = Object.assign({TraceImport, TraceExport}, SchedLinSim, classes);
@@ -0,0 +1,54 @@
+/*
+ * @name index.mjs
+ * @fileOverview ES module entry point of the SchedLinSim scheduling simulator. Re-exports everything that the
+ * CommonJS entry point (index.js) provides.
+ * @author Jan Makovecki
+ * @version 1.0.0
+ */
+
+import SchedLinSim from "./index.js";
+
+export const {
+    Simulation,
+    Simulator,
+    SimulationPresets,
+    SchedClass,
+    IdleClass,
+    Process,
+    IdleProcess,
+    SimResult,
+    LogEntry,
+    LogEvent,
+    ExitCond,
+    Event,
+    SimStartEvent,
+    SimStopEvent,
+    ForkEvent,
+    ExitEvent,
+    EnqueueEvent,
+    BlockEvent,
+    TimerEvent,
+    PickEvent,
+    ContextSwitchEvent,
+    Device,
+    Lock,
+    redblack,
+    TraceImport,
+    TraceExport,
+    FCFSClass,
+    RoundClass,
+    SJFClass,
+    RLClass,
+    MLFQClass,
+    LotteryClass,
+    StrideClass,
+    LinuxOriginalClass,
+    LinuxOnClass,
+    LinuxO1Class,
+    DeadlineClass,
+    RTClass,
+    EEVDFClass,
+    LinuxFairClass
+} = SchedLinSim;
+
+export default SchedLinSim;
@@ -36,12 +36,11 @@
     var root = this;
     var orig = root.redblack;
 
-    /*if (typeof module !== 'undefined' && module.exports) {
+    if (typeof module !== 'undefined' && module.exports) {
         module.exports = redblack;
     } else {
         root.redblack = redblack;
-    }*/
-    root.redblack = redblack;   // we're not intending to use node so this is enough
+    }
 
     redblack.VERSION = '0.1.2';
 